@@ -3,6 +3,7 @@ import { Command } from './Command.js';
 import { StoryTagStorage } from '../utils/StoryTagStorage.js';
 import { TagFormatter } from '../utils/TagFormatter.js';
 import { Validation } from '../utils/Validation.js';
+import { announceReachedLimits } from '../handlers/LimitHandler.js';
 import { requireGuildId } from '../utils/GuildUtils.js';
 
 /**
@@ -58,7 +59,7 @@ export class AddTagsCommand extends Command {
         blockeds.push(item);
       }
       // Check if it's a status (ends with -number)
-      else if (Validation.validateStatus(item).valid) {
+      else if (Validation.looksLikeStatus(item)) {
         statuses.push(item);
       }
       // Otherwise it's a tag
@@ -100,7 +101,6 @@ export class AddTagsCommand extends Command {
 
     // Filter out duplicates (case-insensitive comparison)
     const duplicateTags = [];
-    const duplicateStatuses = [];
     const duplicateLimits = [];
     const duplicateBlockeds = [];
     
@@ -113,14 +113,8 @@ export class AddTagsCommand extends Command {
       return true;
     });
 
-    const newStatuses = statuses.filter(status => {
-      const isDuplicate = existingStatuses.some(existing => existing.toLowerCase() === status.toLowerCase());
-      if (isDuplicate) {
-        duplicateStatuses.push(status);
-        return false;
-      }
-      return true;
-    });
+    // Statuses are never duplicates - giving an existing status stacks onto it
+    const newStatuses = statuses;
 
     const newLimits = limits.filter(limit => {
       const isDuplicate = existingLimits.some(existing => existing.toLowerCase() === limit.toLowerCase());
@@ -141,7 +135,7 @@ export class AddTagsCommand extends Command {
     });
 
     // Check if all items are duplicates
-    const totalDuplicates = duplicateTags.length + duplicateStatuses.length + duplicateLimits.length + duplicateBlockeds.length;
+    const totalDuplicates = duplicateTags.length + duplicateLimits.length + duplicateBlockeds.length;
     const totalNew = newTags.length + newStatuses.length + newLimits.length + newBlockeds.length;
 
     if (totalNew === 0) {
@@ -149,9 +143,6 @@ export class AddTagsCommand extends Command {
       if (duplicateTags.length > 0) {
         duplicateMessages.push(`**Tags:** ${duplicateTags.join(', ')}`);
       }
-      if (duplicateStatuses.length > 0) {
-        duplicateMessages.push(`**Statuses:** ${duplicateStatuses.join(', ')}`);
-      }
       if (duplicateLimits.length > 0) {
         duplicateMessages.push(`**Limits:** ${duplicateLimits.join(', ')}`);
       }
@@ -221,9 +212,6 @@ export class AddTagsCommand extends Command {
     if (duplicateTags.length > 0) {
       duplicateWarnings.push(`⚠️ **Tags already exist:** ${duplicateTags.join(', ')}`);
     }
-    if (duplicateStatuses.length > 0) {
-      duplicateWarnings.push(`⚠️ **Statuses already exist:** ${duplicateStatuses.join(', ')}`);
-    }
     if (duplicateLimits.length > 0) {
       duplicateWarnings.push(`⚠️ **Limits already exist:** ${duplicateLimits.join(', ')}`);
     }
@@ -249,6 +237,10 @@ export class AddTagsCommand extends Command {
       content,
       flags: ephemeral ? MessageFlags.Ephemeral : undefined,
     });
+
+    if (newStatuses.length > 0) {
+      await announceReachedLimits(interaction.client, guildId, { sceneId });
+    }
   }
 }
 
@@ -0,0 +1,117 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { Command } from './Command.js';
+import { ChallengeStorage } from '../utils/ChallengeStorage.js';
+import { ChallengeView } from '../utils/ChallengeView.js';
+import { StatusModel } from '../utils/StatusModel.js';
+import { Validation } from '../utils/Validation.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+import { announceReachedChallengeLimits } from '../handlers/LimitHandler.js';
+
+/**
+ * Add tags, statuses, limits or a threat to a challenge (auto-detects type from format)
+ */
+export class ChallengeAddTagCommand extends Command {
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('challenge-add-tag')
+      .setDescription('Add tags, statuses, limits or a threat to a challenge in the current scene')
+      .addStringOption(option =>
+        option
+          .setName('challenge')
+          .setDescription('The challenge to add to')
+          .setRequired(true)
+          .setAutocomplete(true))
+      .addStringOption(option =>
+        option
+          .setName('tags')
+          .setDescription('Comma-separated tags, statuses (name-3) and limits (name(3))')
+          .setRequired(false))
+      .addStringOption(option =>
+        option
+          .setName('threat')
+          .setDescription('A threat the challenge poses')
+          .setRequired(false)
+          .setMaxLength(500))
+      .addBooleanOption(option =>
+        option
+          .setName('ephemeral')
+          .setDescription('Only show the response to you (default: false)')
+          .setRequired(false));
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+    const sceneId = interaction.channelId;
+    const challengeName = interaction.options.getString('challenge', true);
+    const tagsInput = interaction.options.getString('tags') || '';
+    const threat = (interaction.options.getString('threat') || '').trim();
+    const ephemeral = interaction.options.getBoolean('ephemeral') ?? false;
+
+    const challenge = ChallengeStorage.getChallengeByName(guildId, sceneId, challengeName);
+    if (!challenge) {
+      await interaction.reply({
+        content: `There is no challenge named "${challengeName}" in this scene.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const items = tagsInput.split(',').map(item => item.trim()).filter(item => item.length > 0);
+    if (items.length === 0 && threat.length === 0) {
+      await interaction.reply({
+        content: 'Please provide at least one tag or a threat.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    // Categorize items by type based on format
+    const tags = [];
+    const statuses = [];
+    const limits = [];
+    for (const item of items) {
+      if (Validation.validateLimit(item).valid) {
+        limits.push(item);
+      } else if (Validation.looksLikeStatus(item)) {
+        statuses.push(item);
+      } else {
+        tags.push(item);
+      }
+    }
+
+    const statusValidation = Validation.validateStatuses(statuses);
+    if (!statusValidation.valid && statusValidation.errors) {
+      await interaction.reply({
+        content: `**Validation Error:**\n${statusValidation.errors.join('\n')}`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const addedTags = ChallengeStorage.addTags(guildId, challenge.id, tags, 'tag');
+    const addedLimits = ChallengeStorage.addTags(guildId, challenge.id, limits, 'limit');
+    const addedThreats = ChallengeStorage.addTags(guildId, challenge.id, threat ? [threat] : [], 'threat');
+    // Statuses are never duplicates - giving an existing status stacks onto it
+    for (const status of statuses) {
+      const { name, tier } = StatusModel.parse(status);
+      ChallengeStorage.addStatusTier(guildId, challenge.id, name, tier);
+    }
+
+    const duplicates = [...addedTags.duplicates, ...addedLimits.duplicates, ...addedThreats.duplicates];
+    const addedCount = addedTags.added.length + addedLimits.added.length + addedThreats.added.length + statuses.length;
+    let content = `**Added ${addedCount} item${addedCount !== 1 ? 's' : ''} to ${challenge.name}**`;
+    if (duplicates.length > 0) {
+      content += `\n⚠️ **Already on the challenge:** ${duplicates.join(', ')}`;
+    }
+    const updatedChallenge = ChallengeStorage.getChallenge(guildId, challenge.id);
+    content += `\n\n${ChallengeView.formatChallenge(updatedChallenge)}`;
+
+    await interaction.reply({
+      content,
+      flags: ephemeral ? MessageFlags.Ephemeral : undefined,
+    });
+
+    // A status meeting a limit of the same name overcomes the challenge
+    await announceReachedChallengeLimits(interaction.client, updatedChallenge, ChallengeStorage.getNewlyReachedLimits(challenge, updatedChallenge));
+  }
+}
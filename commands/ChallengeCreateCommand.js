@@ -0,0 +1,63 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { Command } from './Command.js';
+import { ChallengeStorage } from '../utils/ChallengeStorage.js';
+import { ChallengeView } from '../utils/ChallengeView.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+
+/**
+ * Create a challenge (NPC, rival, obstacle) in the current scene
+ */
+export class ChallengeCreateCommand extends Command {
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('challenge-create')
+      .setDescription('Create a challenge (NPC, rival, obstacle) in the current scene')
+      .addStringOption(option =>
+        option
+          .setName('name')
+          .setDescription('Name of the challenge')
+          .setRequired(true)
+          .setMaxLength(100))
+      .addStringOption(option =>
+        option
+          .setName('description')
+          .setDescription('Short description of the challenge')
+          .setRequired(false)
+          .setMaxLength(500))
+      .addBooleanOption(option =>
+        option
+          .setName('ephemeral')
+          .setDescription('Only show the response to you (default: false)')
+          .setRequired(false));
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+    const sceneId = interaction.channelId;
+    const name = interaction.options.getString('name', true).trim();
+    const description = interaction.options.getString('description');
+    const ephemeral = interaction.options.getBoolean('ephemeral') ?? false;
+
+    if (name.length === 0) {
+      await interaction.reply({
+        content: 'Challenge name cannot be empty.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const result = ChallengeStorage.createChallenge(guildId, sceneId, name, description, interaction.user.id);
+    if (!result.success) {
+      await interaction.reply({
+        content: result.message,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    await interaction.reply({
+      content: `**Challenge created.** Add tags with \`/challenge-add-tag\`.\n\n${ChallengeView.formatChallenge(result.challenge)}`,
+      flags: ephemeral ? MessageFlags.Ephemeral : undefined,
+    });
+  }
+}
@@ -0,0 +1,49 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { Command } from './Command.js';
+import { ChallengeStorage } from '../utils/ChallengeStorage.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+
+/**
+ * Remove a challenge from the current scene, along with its tags, statuses, limits and threats
+ */
+export class ChallengeRemoveCommand extends Command {
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('challenge-remove')
+      .setDescription('Remove a challenge and everything on it from the current scene')
+      .addStringOption(option =>
+        option
+          .setName('challenge')
+          .setDescription('The challenge to remove')
+          .setRequired(true)
+          .setAutocomplete(true))
+      .addBooleanOption(option =>
+        option
+          .setName('ephemeral')
+          .setDescription('Only show the response to you (default: false)')
+          .setRequired(false));
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+    const sceneId = interaction.channelId;
+    const challengeName = interaction.options.getString('challenge', true);
+    const ephemeral = interaction.options.getBoolean('ephemeral') ?? false;
+
+    const challenge = ChallengeStorage.getChallengeByName(guildId, sceneId, challengeName);
+    if (!challenge) {
+      await interaction.reply({
+        content: `There is no challenge named "${challengeName}" in this scene.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    ChallengeStorage.deleteChallenge(guildId, challenge.id);
+
+    await interaction.reply({
+      content: `**Removed challenge ${challenge.name}** and all of its tags, statuses, limits and threats.`,
+      flags: ephemeral ? MessageFlags.Ephemeral : undefined,
+    });
+  }
+}
@@ -0,0 +1,104 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { Command } from './Command.js';
+import { ChallengeStorage } from '../utils/ChallengeStorage.js';
+import { ChallengeView } from '../utils/ChallengeView.js';
+import { StatusModel } from '../utils/StatusModel.js';
+import { Validation } from '../utils/Validation.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+
+/**
+ * Remove tags, limits or a threat from a challenge, or reduce and remove its statuses
+ */
+export class ChallengeRemoveTagCommand extends Command {
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('challenge-remove-tag')
+      .setDescription('Remove tags, limits or a threat from a challenge, or reduce its statuses')
+      .addStringOption(option =>
+        option
+          .setName('challenge')
+          .setDescription('The challenge to remove from')
+          .setRequired(true)
+          .setAutocomplete(true))
+      .addStringOption(option =>
+        option
+          .setName('tags')
+          .setDescription('Comma-separated tags and limits, statuses to reduce (name-2) or remove (name)')
+          .setRequired(false))
+      .addStringOption(option =>
+        option
+          .setName('threat')
+          .setDescription('A threat to remove')
+          .setRequired(false)
+          .setMaxLength(500))
+      .addBooleanOption(option =>
+        option
+          .setName('ephemeral')
+          .setDescription('Only show the response to you (default: false)')
+          .setRequired(false));
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+    const sceneId = interaction.channelId;
+    const challengeName = interaction.options.getString('challenge', true);
+    const tagsInput = interaction.options.getString('tags') || '';
+    const threat = (interaction.options.getString('threat') || '').trim();
+    const ephemeral = interaction.options.getBoolean('ephemeral') ?? false;
+
+    const challenge = ChallengeStorage.getChallengeByName(guildId, sceneId, challengeName);
+    if (!challenge) {
+      await interaction.reply({
+        content: `There is no challenge named "${challengeName}" in this scene.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const items = tagsInput.split(',').map(item => item.trim()).filter(item => item.length > 0);
+    if (items.length === 0 && threat.length === 0) {
+      await interaction.reply({
+        content: 'Please provide at least one tag or a threat.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    // Statuses with a tier are reduced by that tier, statuses named without one are removed entirely
+    const changed = [];
+    const notFound = [];
+    const others = [];
+    for (const item of items) {
+      const { name, tier } = StatusModel.parse(item);
+      if (Validation.validateStatus(item).valid && StatusModel.find(challenge.statuses, name)) {
+        const result = ChallengeStorage.reduceStatus(guildId, challenge.id, name, tier);
+        changed.push(result ? `${name} → ${result}` : name);
+      } else if (StatusModel.find(challenge.statuses, item)) {
+        ChallengeStorage.removeStatus(guildId, challenge.id, item);
+        changed.push(item);
+      } else if (Validation.looksLikeStatus(item)) {
+        notFound.push(item);
+      } else {
+        others.push(item);
+      }
+    }
+
+    const removedTags = ChallengeStorage.removeTags(guildId, challenge.id, threat ? [...others, threat] : others);
+    changed.push(...removedTags.removed);
+    notFound.push(...removedTags.notFound);
+
+    let content = `**Removed ${changed.length} item${changed.length !== 1 ? 's' : ''} from ${challenge.name}**`;
+    if (changed.length > 0) {
+      content += `\n${changed.join(', ')}`;
+    }
+    if (notFound.length > 0) {
+      content += `\n⚠️ **Not on the challenge:** ${notFound.join(', ')}`;
+    }
+    content += `\n\n${ChallengeView.formatChallenge(ChallengeStorage.getChallenge(guildId, challenge.id))}`;
+
+    await interaction.reply({
+      content,
+      flags: ephemeral ? MessageFlags.Ephemeral : undefined,
+    });
+  }
+}
@@ -0,0 +1,64 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { Command } from './Command.js';
+import { ChallengeStorage } from '../utils/ChallengeStorage.js';
+import { ChallengeView } from '../utils/ChallengeView.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+
+/**
+ * View one or all challenges in the current scene
+ */
+export class ChallengeViewCommand extends Command {
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('challenge-view')
+      .setDescription('View the challenges in the current scene')
+      .addStringOption(option =>
+        option
+          .setName('challenge')
+          .setDescription('Only show this challenge')
+          .setRequired(false)
+          .setAutocomplete(true))
+      .addBooleanOption(option =>
+        option
+          .setName('ephemeral')
+          .setDescription('Only show the response to you (default: false)')
+          .setRequired(false));
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+    const sceneId = interaction.channelId;
+    const challengeName = interaction.options.getString('challenge');
+    const ephemeral = interaction.options.getBoolean('ephemeral') ?? false;
+
+    if (challengeName) {
+      const challenge = ChallengeStorage.getChallengeByName(guildId, sceneId, challengeName);
+      if (!challenge) {
+        await interaction.reply({
+          content: `There is no challenge named "${challengeName}" in this scene.`,
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+      await interaction.reply({
+        content: ChallengeView.formatChallenge(challenge),
+        flags: ephemeral ? MessageFlags.Ephemeral : undefined,
+      });
+      return;
+    }
+
+    const challenges = ChallengeStorage.getChallenges(guildId, sceneId);
+    if (challenges.length === 0) {
+      await interaction.reply({
+        content: 'There are no challenges in this scene. Create one with `/challenge-create`.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    await interaction.reply({
+      content: ChallengeView.formatChallenges(challenges),
+      flags: ephemeral ? MessageFlags.Ephemeral : undefined,
+    });
+  }
+}
@@ -8,6 +8,8 @@ import sheetTabCache from '../utils/SheetTabCache.js';
 import { isGidBlacklisted } from '../utils/SheetTabBlacklist.js';
 import { getServerEnv } from '../utils/ServerConfig.js';
 import { requireGuildId } from '../utils/GuildUtils.js';
+import { CharacterHistoryStorage } from '../utils/CharacterHistoryStorage.js';
+import { CharacterChange } from '../constants/CharacterChange.js';
 
 /**
  * Create a new character with themes
@@ -134,7 +136,11 @@ export class CreateCharacterCommand extends Command {
           }
           
           // Sync from sheet to get latest data
-          await CharacterStorage.syncFromSheet(guildId, userId, existingCharacter.id);
+          CharacterHistoryStorage.recordBaseline(guildId, existingCharacter.id);
+          const syncResult = await CharacterStorage.syncFromSheet(guildId, userId, existingCharacter.id);
+          if (syncResult.success) {
+            CharacterHistoryStorage.record(guildId, existingCharacter.id, CharacterChange.SHEET_SYNC, 'Synced from the Google Sheet when claimed', null, userId);
+          }
           
           await interaction.editReply({
             content: `✅ Character **${existingCharacter.name}** claimed successfully! The character has been assigned to you and auto-sync has been disabled.`,
@@ -173,29 +179,27 @@ export class CreateCharacterCommand extends Command {
       // Read character data from sheet
       const characterData = await sheetsService.readCharacterFromSheet(sheetUrl);
 
-      // Create character in database
-      const character = CharacterStorage.createCharacter(
-        guildId,
-        userId,
-        characterData.name,
-        characterData.themes
-      );
-
-      // Update with additional fields
-      const updates = {};
+      // Additional fields, created together with the character
+      const details = {};
       if (characterData.backpack && characterData.backpack.length > 0) {
-        updates.backpack = characterData.backpack;
+        details.backpack = characterData.backpack;
       }
       if (characterData.storyTags && characterData.storyTags.length > 0) {
-        updates.storyTags = characterData.storyTags;
+        details.storyTags = characterData.storyTags;
       }
       if (characterData.tempStatuses && characterData.tempStatuses.length > 0) {
-        updates.tempStatuses = characterData.tempStatuses;
+        details.tempStatuses = characterData.tempStatuses;
       }
 
-      if (Object.keys(updates).length > 0) {
-        CharacterStorage.updateCharacter(guildId, userId, character.id, updates);
-      }
+      // Create character in database
+      const character = CharacterStorage.createCharacter(
+        guildId,
+        userId,
+        characterData.name,
+        characterData.themes,
+        details
+      );
+      CharacterHistoryStorage.record(guildId, character.id, CharacterChange.SHEET_SYNC, 'Imported from the Google Sheet', null, userId);
 
       // Set the sheet URL
       CharacterStorage.setSheetUrl(guildId, userId, character.id, sheetUrl);
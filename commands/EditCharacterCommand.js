@@ -1,4 +1,4 @@
-import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { SlashCommandBuilder, MessageFlags, ActionRowBuilder } from 'discord.js';
 import { Command } from './Command.js';
 import { CharacterStorage } from '../utils/CharacterStorage.js';
 import { CharacterView } from '../utils/CharacterView.js';
@@ -31,8 +31,8 @@ export class EditCharacterCommand extends Command {
       return;
     }
 
-    // Display character with edit button (pass userId as ownerId)
-    await EditCharacterCommand.displayCharacter(interaction, activeCharacter, true, userId);
+    // Display character with edit buttons
+    await EditCharacterCommand.displayCharacter(interaction, activeCharacter, true);
   }
 
   /**
@@ -40,13 +40,19 @@ export class EditCharacterCommand extends Command {
    * @param {import('discord.js').Interaction} interaction - The interaction
    * @param {Object} character - The character to display
    * @param {boolean} showEditButtons - Whether to show edit buttons (default: true)
-   * @param {string} ownerId - Optional owner ID to display owner information
+   * @param {boolean} showHistoryButton - Whether to show the history button without edit buttons (for narrators)
    */
-  static async displayCharacter(interaction, character, showEditButtons = true) {
+  static async displayCharacter(interaction, character, showEditButtons = true, showHistoryButton = false) {
     // Build character displays
     const displayData = await CharacterView.buildCharacterDisplays(character, interaction);
 
-    const allComponents = CharacterView.combineCharacterComponents(displayData, showEditButtons ? CharacterView.buildCharacterButtons(character) : { buttonRows: [] });
+    let buttonData = { buttonRows: [] };
+    if (showEditButtons) {
+      buttonData = CharacterView.buildCharacterButtons(character);
+    } else if (showHistoryButton) {
+      buttonData = { buttonRows: [new ActionRowBuilder().setComponents([CharacterView.buildHistoryButton(character)])] };
+    }
+    const allComponents = CharacterView.combineCharacterComponents(displayData, buttonData);
 
     await interaction.reply({
       components: allComponents,
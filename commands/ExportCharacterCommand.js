@@ -0,0 +1,40 @@
+import { SlashCommandBuilder, MessageFlags, AttachmentBuilder } from 'discord.js';
+import { Command } from './Command.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { CharacterFile } from '../utils/CharacterFile.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+
+/**
+ * Export the active character as a JSON file that /char-import-file reads back
+ */
+export class ExportCharacterCommand extends Command {
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('char-export')
+      .setDescription('Download your active character as a JSON file');
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+    const userId = interaction.user.id;
+
+    const character = CharacterStorage.getActiveCharacter(guildId, userId);
+    if (!character) {
+      await interaction.reply({
+        content: 'You don\'t have an active character. Use `/char-create` to import from Google Sheets, or `/char-select` to select an active character.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const file = new AttachmentBuilder(Buffer.from(JSON.stringify(CharacterFile.build(character), null, 2)), {
+      name: CharacterFile.getFileName(character),
+    });
+
+    await interaction.reply({
+      content: `📦 **${character.name}** exported. Use \`/char-import-file\` with this file to bring the character into any server running this bot.`,
+      files: [file],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+}
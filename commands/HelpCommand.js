@@ -23,9 +23,14 @@ export class HelpCommand extends Command {
       value: 
         '`/char-create` - Create a new character by importing from Google Sheets\n' +
         '`/char-edit` - Edit your active character (name, themes, backpack, statuses)\n' +
+        '  • **History** shows what each change did and restores an earlier version (narrators too)\n' +
         '`/char-select` - Switch between your characters\n' +
         '`/char-lookup` - View any character by name (yours or others)\n' +
         '  • Use autocomplete to search by character name\n' +
+        '`/char-export` - Download your active character as a JSON file\n' +
+        '`/char-import-file` - Create or update a character from such a file (no Google Sheet needed)\n' +
+        '`/theme-develop` - Spend a theme\'s improvements on a new tag, a removed weakness and more\n' +
+        '`/theme-track` - Mark or erase boxes on a theme\'s tracks (milestone, abandon...)\n' +
         '`/fellowship-lookup` - View a fellowship by name\n' +
         '  • Shows fellowship tags and weaknesses',
       inline: false,
@@ -49,15 +54,35 @@ export class HelpCommand extends Command {
         '`/roll-propose` - Propose a roll with help/hinder tags\n' +
         '  • Select from your character tags, statuses, scene tags, and fellowship tags\n' +
         '  • Can burn tags for extra power\n' +
+        '  • **Save Loadout** keeps your tag selection; pick it later with the `loadout` option\n' +
+        '  • Tags of other players\' characters need their owner\'s approval before the roll is confirmed\n' +
         '`/roll-reaction` - Propose a reaction roll for narrator approval\n' +
         '  • Optional `roll-id` parameter to react to consequences of a specific roll\n' +
         '  • If `roll-id` is provided, tags from that roll cannot be reused\n' +
         '  • Reaction outcomes: 10+ (Spend Power+1), 7-9 (Spend Power), 6- (Suffer Consequences)\n' +
         '`/roll-confirm` - Confirm/edit a proposed roll (narrator only)\n' +
+        '  • Narrators can **Reject** a roll with a reason; players can **Withdraw** their proposal from its message\n' +
+        '`/roll-queue` - List proposed rolls waiting for confirmation in all scenes (narrator only)\n' +
         '`/roll-execute` - Execute a confirmed roll and roll the dice',
       inline: false,
     });
 
+    // Roll Review
+    embed.addFields({
+      name: '📜 Roll Review',
+      value:
+        '`/roll-quick` - Pick tags and execute a roll right away, without a proposal (narrator only, if enabled)\n' +
+        '`/npc-play` - Pick an unassigned character to roll as an NPC, or go back to your own (narrator only)\n' +
+        '  • NPC rolls note the narrator who made them; NPCs come first under **Add Other Player Tags**\n' +
+        '`/roll-undo` - Undo an executed roll: un-burn tags, restore burned items and remove improvements (narrator only)\n' +
+        '`/roll-history` - Browse past rolls\n' +
+        '  • Filter by character, scene, status, outcome, or date range (YYYY-MM-DD)\n' +
+        '`/roll-chain` - Show a roll with all its reaction rolls and their outcomes\n' +
+        '`/stats` - Campaign statistics for the server, a character, or a fellowship\n' +
+        '  • Outcome rates, average power, most-used/burned tags, weaknesses, theme development',
+      inline: false,
+    });
+
     // Scene Management
     embed.addFields({
       name: '🎬 Scene Management',
@@ -65,7 +90,16 @@ export class HelpCommand extends Command {
         '`/scene-add-tags` - Add tags, statuses, or limits to the current scene\n' +
         '`/scene-remove-tags` - Remove tags, statuses, or limits from the scene\n' +
         '`/scene-status` - View all tags, statuses, and limits in the scene\n' +
-        '`/scene-clear` - Clear all scene data (use with caution!)',
+        '`/scene-clear` - Clear all scene data (use with caution!)\n' +
+        '`/scene-limit` - Link a limit to the statuses that fill it up (narrator only)\n' +
+        '  • Posts an alert when a challenge is overcome or a character is taken out\n' +
+        '`/challenge-create` - Create a challenge (NPC, rival, obstacle) in the scene\n' +
+        '`/challenge-add-tag` - Add tags, statuses, limits or a threat to a challenge\n' +
+        '  • A status meeting a limit of the same name (harm-4 for harm(4)) overcomes the challenge\n' +
+        '`/challenge-view` - View the challenges in the scene\n' +
+        '`/challenge-remove-tag` - Remove tags, limits or a threat, or reduce statuses (name-2) or remove them (name)\n' +
+        '`/challenge-remove` - Remove a challenge and everything on it\n' +
+        '  • Challenge tags and statuses can be picked as help or hinder tags in rolls',
       inline: false,
     });
 
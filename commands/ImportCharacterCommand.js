@@ -7,6 +7,8 @@ import sheetTabCache from '../utils/SheetTabCache.js';
 import { isGidBlacklisted } from '../utils/SheetTabBlacklist.js';
 import { getServerEnv } from '../utils/ServerConfig.js';
 import { requireGuildId } from '../utils/GuildUtils.js';
+import { CharacterHistoryStorage } from '../utils/CharacterHistoryStorage.js';
+import { CharacterChange } from '../constants/CharacterChange.js';
 
 /**
  * Import an unassigned character from Google Sheets
@@ -147,8 +149,11 @@ export class ImportCharacterCommand extends Command {
         }
       }
 
+      // Record the imported character as its first version
+      CharacterHistoryStorage.record(guildId, character.id, CharacterChange.SHEET_SYNC, 'Imported from the Google Sheet', null, interaction.user.id);
+
       await interaction.editReply({
-        content: `✅ Unassigned character **${characterData.name}** imported successfully from Google Sheet!\n\nPlayers can claim this character using \`/char-create\`.`,
+        content: `✅ Unassigned character **${characterData.name}** imported successfully from Google Sheet!\n\nPlayers can claim this character using \`/char-create\`, and narrators can play it as an NPC with \`/npc-play\`.`,
       });
 
     } catch (error) {
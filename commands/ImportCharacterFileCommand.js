@@ -0,0 +1,126 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { Command } from './Command.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { CharacterHistoryStorage } from '../utils/CharacterHistoryStorage.js';
+import { FellowshipStorage } from '../utils/FellowshipStorage.js';
+import { CharacterFile } from '../utils/CharacterFile.js';
+import { CharacterChange } from '../constants/CharacterChange.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+
+// Character files are a few kilobytes; anything much larger is not one
+const MAX_FILE_SIZE = 100 * 1024;
+
+// Validation errors listed in the reply, so it stays readable (and under Discord's 2000 characters)
+const MAX_LISTED_ERRORS = 10;
+
+/**
+ * Create or update a character from a JSON file made by /char-export, without Google Sheets
+ */
+export class ImportCharacterFileCommand extends Command {
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('char-import-file')
+      .setDescription('Create or update one of your characters from a /char-export JSON file')
+      .addAttachmentOption(option =>
+        option
+          .setName('file')
+          .setDescription('Character file from /char-export')
+          .setRequired(true));
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+    const userId = interaction.user.id;
+    const attachment = interaction.options.getAttachment('file', true);
+
+    if (attachment.size > MAX_FILE_SIZE) {
+      await interaction.reply({
+        content: `❌ **${attachment.name}** is too large to be a character file (${Math.ceil(attachment.size / 1024)} KB, at most ${MAX_FILE_SIZE / 1024} KB).`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    // Defer reply since downloading the file might take a moment
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    let text;
+    try {
+      const response = await fetch(attachment.url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      text = await response.text();
+    } catch (error) {
+      console.error('Error downloading character file:', error);
+      await interaction.editReply({
+        content: `❌ Failed to download **${attachment.name}**: ${error.message}`,
+      });
+      return;
+    }
+
+    const result = CharacterFile.parse(text);
+    if (!result.valid) {
+      const listed = result.errors.slice(0, MAX_LISTED_ERRORS).map(error => `• ${error}`);
+      if (result.errors.length > MAX_LISTED_ERRORS) {
+        listed.push(`• ...and ${result.errors.length - MAX_LISTED_ERRORS} more`);
+      }
+      await interaction.editReply({
+        content: `❌ **${attachment.name}** is not a valid character file:\n${listed.join('\n')}`,
+      });
+      return;
+    }
+
+    const data = result.character;
+    const updates = {
+      backpack: data.backpack,
+      storyTags: data.storyTags,
+      tempStatuses: data.tempStatuses,
+    };
+
+    // A character of the same name is updated in place, so its tags keep their IDs
+    const existingCharacter = CharacterStorage.getUserCharacters(guildId, userId)
+      .find(character => character.name.toLowerCase() === data.name.toLowerCase());
+
+    let character;
+    let content;
+    if (existingCharacter) {
+      CharacterHistoryStorage.recordBaseline(guildId, existingCharacter.id);
+      character = CharacterStorage.updateCharacter(guildId, userId, existingCharacter.id, {
+        ...updates,
+        name: data.name,
+        themes: data.themes,
+      });
+      CharacterHistoryStorage.record(guildId, character.id, CharacterChange.FILE_IMPORT, `Imported from ${attachment.name}`, null, userId);
+      content = `✅ Character **${character.name}** updated from **${attachment.name}**. Its previous version is kept in its history.`;
+      const syncNote = await CharacterStorage.getAutoSyncNote(character);
+      if (syncNote) {
+        content += syncNote;
+      }
+    } else {
+      // Check character limit (max 3 characters per user)
+      if (CharacterStorage.getUserCharacters(guildId, userId).length >= 3) {
+        await interaction.editReply({
+          content: '❌ You have reached the maximum limit of 3 characters.\n\nTo import a new character, delete one of your existing characters first, or import a file with the name of an existing character to update it.',
+        });
+        return;
+      }
+
+      character = CharacterStorage.createCharacter(guildId, userId, data.name, data.themes, updates);
+      CharacterHistoryStorage.record(guildId, character.id, CharacterChange.FILE_IMPORT, `Created from ${attachment.name}`, null, userId);
+      content = `✅ Character **${character.name}** created from **${attachment.name}**!`;
+    }
+
+    // Look up and assign fellowship if the file names one
+    if (data.fellowshipName) {
+      const fellowship = FellowshipStorage.getFellowshipByName(guildId, data.fellowshipName);
+      if (fellowship) {
+        CharacterStorage.setFellowship(guildId, userId, character.id, fellowship.id);
+      } else {
+        content += `\n\n⚠️ Fellowship **${data.fellowshipName}** doesn't exist on this server, so the character is not in a fellowship.`;
+      }
+    }
+
+    await interaction.editReply({ content });
+  }
+}
@@ -2,6 +2,8 @@ import { SlashCommandBuilder, MessageFlags } from 'discord.js';
 import { Command } from './Command.js';
 import { StoryTagStorage } from '../utils/StoryTagStorage.js';
 import { TagFormatter } from '../utils/TagFormatter.js';
+import { ChallengeStorage } from '../utils/ChallengeStorage.js';
+import { ChallengeView } from '../utils/ChallengeView.js';
 import { requireGuildId } from '../utils/GuildUtils.js';
 
 /**
@@ -26,11 +28,12 @@ export class ListSceneStatusCommand extends Command {
     const statuses = StoryTagStorage.getStatuses(guildId, sceneId);
     const limits = StoryTagStorage.getLimits(guildId, sceneId);
     const blockeds = StoryTagStorage.getBlockeds(guildId, sceneId);
+    const challenges = ChallengeStorage.getChallenges(guildId, sceneId);
     const ephemeral = interaction.options.getBoolean('ephemeral') ?? false;
 
-    if (tags.length === 0 && statuses.length === 0 && limits.length === 0 && blockeds.length === 0) {
+    if (tags.length === 0 && statuses.length === 0 && limits.length === 0 && blockeds.length === 0 && challenges.length === 0) {
       await interaction.reply({
-        content: 'No tags, statuses, limits, or blocked tags are set for this scene.',
+        content: 'No tags, statuses, limits, blocked tags, or challenges are set for this scene.',
         flags: MessageFlags.Ephemeral,
       });
       return;
@@ -44,7 +47,10 @@ export class ListSceneStatusCommand extends Command {
     if (blockeds.length > 0) counts.push(`${blockeds.length} truth${blockeds.length !== 1 ? 's' : ''}`);
     
     const formatted = TagFormatter.formatSceneStatusInCodeBlock(tags, statuses, limits, blockeds);
-    const content = `**Scene Status (${totalCount} total: ${counts.join(', ')})**\n${formatted}`;
+    let content = `**Scene Status (${totalCount} total${counts.length > 0 ? ': ' + counts.join(', ') : ''})**\n${formatted}`;
+    if (challenges.length > 0) {
+      content += `\n\n${ChallengeView.formatChallenges(challenges)}`;
+    }
 
     await interaction.reply({
       content,
@@ -75,12 +75,13 @@ export class NarratorGuideCommand extends Command {
     embed.addFields({
       name: '✅ Confirm the Roll',
       value:
-        '1. Use `/roll-confirm {roll-#}` with the roll number from the proposal\n' +
+        '1. Use `/roll-confirm {roll-#}` with the roll number from the proposal, or pick it from `/roll-queue`\n' +
         '2. Review the proposal details\n' +
         '3. You can edit the proposal if needed:\n' +
         '   • Add or remove help/hinder tags\n' +
         '   • Adjust burned tags\n' +
         '4. Click "Confirm" to approve the roll\n' +
+        '   • Or click "Reject" and give the player a reason\n' +
         '5. The player can then use `/roll {roll-#}` to roll the dice',
       inline: false,
     });
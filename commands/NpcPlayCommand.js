@@ -0,0 +1,67 @@
+import { SlashCommandBuilder, MessageFlags, ActionRowBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder } from 'discord.js';
+import { Command } from './Command.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+import { requireNarrator } from '../utils/NarratorUtils.js';
+
+/**
+ * Pick the NPC (unassigned character) a narrator rolls as (narrator only)
+ */
+export class NpcPlayCommand extends Command {
+  // Value of the select option to stop playing an NPC
+  static OWN_CHARACTER = 'none';
+
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('npc-play')
+      .setDescription('Pick the NPC you roll as, or go back to your own character (narrator only)');
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+    const userId = interaction.user.id;
+
+    // Check narrator permissions
+    if (!await requireNarrator(interaction, guildId, 'Only narrators can play NPCs.')) {
+      return;
+    }
+
+    const npcs = CharacterStorage.getNpcs(guildId);
+    if (npcs.length === 0) {
+      await interaction.reply({
+        content: 'There are no NPCs yet. Use `/char-import` to import one from Google Sheets.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const activeNpc = CharacterStorage.getActiveNpc(guildId, userId);
+
+    // Going back to their own character comes first, then the NPCs (Discord shows up to 25 options)
+    const options = [
+      new StringSelectMenuOptionBuilder()
+        .setLabel('My own character')
+        .setDescription('Roll as your active character again')
+        .setValue(NpcPlayCommand.OWN_CHARACTER)
+        .setDefault(!activeNpc),
+      ...npcs.slice(0, 24).map(npc => new StringSelectMenuOptionBuilder()
+        .setLabel(npc.name)
+        .setValue(npc.id.toString())
+        .setDefault(activeNpc !== null && activeNpc.id === npc.id)),
+    ];
+
+    const selectMenu = new StringSelectMenuBuilder()
+      .setCustomId(`npc_play_select_${userId}`)
+      .setPlaceholder('Select an NPC to play...')
+      .setMinValues(1)
+      .setMaxValues(1)
+      .addOptions(options);
+
+    const current = activeNpc ? `You are playing **${activeNpc.name}**.` : 'You are playing your own character.';
+    await interaction.reply({
+      content: `**Select the NPC you roll as:**\n${current} /roll-propose, /roll-quick and /roll-reaction use it until you switch back.`,
+      components: [new ActionRowBuilder().setComponents([selectMenu])],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+}
@@ -5,7 +5,7 @@ import { StoryTagStorage } from '../utils/StoryTagStorage.js';
 import { RollStorage } from '../utils/RollStorage.js';
 import { RollView } from '../utils/RollView.js';
 import { combineRollComponents } from '../handlers/RollHandler.js';
-import RollStatus from '../constants/RollStatus.js';
+import RollStatus, { isDiscardedRollStatus } from '../constants/RollStatus.js';
 import { requireGuildId } from '../utils/GuildUtils.js';
 
 /**
@@ -68,6 +68,14 @@ export class RollAmendCommand extends Command {
       return;
     }
 
+    if (isDiscardedRollStatus(roll.status)) {
+      await interaction.reply({
+        content: RollView.formatDiscardedRoll(roll),
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
     if (roll.status !== RollStatus.PROPOSED && roll.status !== RollStatus.CONFIRMED) {
       await interaction.reply({
         content: `Roll #${rollId} is in an invalid state for amending. Current status: ${roll.status}`,
@@ -76,8 +84,8 @@ export class RollAmendCommand extends Command {
       return;
     }
 
-    // Get the character
-    const character = CharacterStorage.getCharacter(guildId, roll.creatorId, roll.characterId);
+    // Get the character (an NPC when a narrator made the roll as one)
+    const character = CharacterStorage.getCharacterById(guildId, roll.characterId);
     if (!character) {
       await interaction.reply({
         content: 'Character not found for this roll.',
@@ -0,0 +1,41 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { Command } from './Command.js';
+import { RollStorage } from '../utils/RollStorage.js';
+import { RollView } from '../utils/RollView.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+
+/**
+ * Show an action roll together with all its reaction rolls and their outcomes
+ */
+export class RollChainCommand extends Command {
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('roll-chain')
+      .setDescription('Show a roll with all its reaction rolls and their outcomes')
+      .addIntegerOption(option =>
+        option
+          .setName('id')
+          .setDescription('The ID of the roll or of any reaction in its chain')
+          .setRequired(true));
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+    const rollId = interaction.options.getInteger('id', true);
+
+    const chain = RollStorage.getRollChain(guildId, rollId);
+    if (chain.length === 0) {
+      await interaction.reply({
+        content: `Roll #${rollId} not found.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const chainData = RollView.buildRollChain(chain, guildId);
+    await interaction.reply({
+      components: chainData.components,
+      flags: chainData.flags | MessageFlags.Ephemeral,
+    });
+  }
+}
@@ -1,11 +1,9 @@
 import { SlashCommandBuilder, MessageFlags, ActionRowBuilder, ButtonBuilder, ButtonStyle, ContainerBuilder, TextDisplayBuilder } from 'discord.js';
 import { Command } from './Command.js';
 import { RollStorage } from '../utils/RollStorage.js';
-import RollStatus from '../constants/RollStatus.js';
+import RollStatus, { isDiscardedRollStatus } from '../constants/RollStatus.js';
 import { RollView } from '../utils/RollView.js';
-import { CharacterStorage } from '../utils/CharacterStorage.js';
-import { StoryTagStorage } from '../utils/StoryTagStorage.js';
-import { combineRollComponents } from '../handlers/RollHandler.js';
+import { buildRollConfirmEditor } from '../handlers/RollHandler.js';
 import { getServerEnv } from '../utils/ServerConfig.js';
 import { getGuildId } from '../utils/GuildUtils.js';
 
@@ -64,17 +62,6 @@ export class RollConfirmCommand extends Command {
       return;
     }
     
-    // Check for invalid roll_tags (will be shown as warning but form still displayed)
-    let invalidTagsWarning = null;
-    if (roll.invalidTags && roll.invalidTags.length > 0) {
-      const invalidCount = roll.invalidTags.length;
-      const helpCount = roll.invalidTags.filter(t => t.tag_type === 'help').length;
-      const hinderCount = roll.invalidTags.filter(t => t.tag_type === 'hinder').length;
-      
-      invalidTagsWarning = `⚠️ **Warning: This roll contains ${invalidCount} tag(s) that no longer exist** (${helpCount} help, ${hinderCount} hinder).\n\n` +
-        `These tags were likely removed unintentionally and the roll may not calculate as expected. Invalid tags will be automatically removed when you confirm.`;
-    }
-
     // Allow confirming proposed or confirmed rolls (but not executed)
     if (roll.status === RollStatus.EXECUTED) {
       const rollType = roll.isReaction ? 'reaction roll' : 'action roll';
@@ -85,6 +72,14 @@ export class RollConfirmCommand extends Command {
       return;
     }
 
+    if (isDiscardedRollStatus(roll.status)) {
+      await interaction.reply({
+        content: RollView.formatDiscardedRoll(roll),
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
     // If already confirmed, show warning and require confirmation
     const isReconfirming = roll.status === RollStatus.CONFIRMED;
     
@@ -117,112 +112,15 @@ export class RollConfirmCommand extends Command {
       return;
     }
 
-    // Get the character to rebuild options
-    const character = CharacterStorage.getCharacter(guildId, roll.creatorId, roll.characterId);
-    if (!character) {
-      await interaction.editReply({
+    const allComponents = buildRollConfirmEditor(interaction.client, guildId, roll);
+    if (!allComponents) {
+      await interaction.reply({
         content: 'Character not found for this roll proposal.',
+        flags: MessageFlags.Ephemeral,
       });
       return;
     }
 
-    // Initialize roll state for editing
-    if (!interaction.client.rollStates) {
-      interaction.client.rollStates = new Map();
-    }
-
-    const rollKey = `confirm_${rollId}`;
-    
-    // If this is a reaction roll, exclude tags from the original roll
-    let excludedTags = new Set();
-    if (roll.isReaction && roll.reactionToRollId) {
-      const originalRoll = RollStorage.getRoll(guildId, roll.reactionToRollId);
-      if (originalRoll) {
-        excludedTags = new Set([
-          ...(originalRoll.helpTags || []),
-          ...(originalRoll.hinderTags || [])
-        ]);
-      }
-    }
-    
-    // Collect all available tags (exclude burned tags - they can't be used until refreshed)
-    const helpOptions = RollView.collectTags(character, roll.sceneId, StoryTagStorage, false, guildId, false);
-    const filteredHelpOptions = (roll.isReaction && roll.reactionToRollId)
-      ? helpOptions.filter(opt => !excludedTags.has(opt.data.value))
-      : helpOptions;
-    
-    const hinderOptions = RollView.collectTags(character, roll.sceneId, StoryTagStorage, false, guildId, true);
-    const filteredHinderOptions = (roll.isReaction && roll.reactionToRollId)
-      ? hinderOptions.filter(opt => !excludedTags.has(opt.data.value))
-      : hinderOptions;
-    
-    // Store the roll state for editing
-    const burnedTags = roll.burnedTags || new Set();
-    const isReaction = roll.isReaction === true;
-    
-    interaction.client.rollStates.set(rollKey, {
-      rollId: rollId,
-      creatorId: roll.creatorId,
-      characterId: roll.characterId,
-      sceneId: roll.sceneId,
-      helpTags: roll.helpTags,
-      hinderTags: roll.hinderTags,
-      burnedTags: burnedTags,
-      helpFromCharacterIdMap: roll.helpFromCharacterIdMap || new Map(),
-      hinderFromCharacterIdMap: roll.hinderFromCharacterIdMap || new Map(),
-      description: roll.description,
-      narrationLink: roll.narrationLink,
-      justificationNotes: roll.justificationNotes,
-      showJustificationButton: false,
-      helpOptions: filteredHelpOptions,
-      hinderOptions: filteredHinderOptions,
-      helpPage: 0,
-      hinderPage: 0,
-      buttons: {confirm: true, cancel: true},
-      isReaction: isReaction,
-      reactionToRollId: roll.reactionToRollId,
-      mightModifier: roll.mightModifier !== undefined && roll.mightModifier !== null ? roll.mightModifier : 0
-    });
-
-    // Build components for editing (don't show justification button in confirm view)
-    // Use helpFromCharacterIdMap from the roll
-    const interactiveComponents = RollView.buildRollInteractives(rollKey, filteredHelpOptions, filteredHinderOptions, 0, 0, roll.helpTags, roll.hinderTags, {confirm: true, cancel: true}, burnedTags, roll.justificationNotes, false, roll.helpFromCharacterIdMap || new Map(), roll.hinderFromCharacterIdMap || new Map(), roll.mightModifier || 0);
-
-    const title = isReaction
-      ? `Reviewing Reaction Roll #${rollId}${roll.reactionToRollId ? ` (to Roll #${roll.reactionToRollId})` : ''}`
-      : `Reviewing Action Roll #${rollId}`;
-    
-    const rollStateForDisplay = {
-      helpTags: roll.helpTags,
-      hinderTags: roll.hinderTags,
-      description: roll.description,
-      burnedTags: burnedTags,
-      characterId: roll.characterId,
-      sceneId: roll.sceneId,
-      mightModifier: roll.mightModifier !== undefined && roll.mightModifier !== null ? roll.mightModifier : 0
-    };
-    const displayData = RollView.buildRollDisplays(
-      rollStateForDisplay,
-      {
-        title: title,
-        descriptionText: `**Player:** <@${roll.creatorId}>`,
-        guildId: guildId,
-      }
-    );
-
-    // Combine Components V2 display components with interactive components in the right order
-    const allComponents = combineRollComponents(displayData, interactiveComponents);
-    
-    // Add warning about invalid tags if present
-    if (invalidTagsWarning) {
-      const warningContainer = new ContainerBuilder();
-      warningContainer.addTextDisplayComponents(
-        new TextDisplayBuilder()
-          .setContent(invalidTagsWarning)
-      );
-      allComponents.unshift(warningContainer);
-    }
-
     await interaction.reply({
       components: allComponents,
       flags: MessageFlags.Ephemeral | MessageFlags.IsComponentsV2,
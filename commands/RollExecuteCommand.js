@@ -1,12 +1,12 @@
 import { SlashCommandBuilder, MessageFlags, ContainerBuilder, TextDisplayBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
 import { Command } from './Command.js';
 import { RollStorage } from '../utils/RollStorage.js';
-import RollStatus from '../constants/RollStatus.js';
+import RollStatus, { isDiscardedRollStatus } from '../constants/RollStatus.js';
 import { RollView } from '../utils/RollView.js';
-import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { RollExecutor } from '../utils/RollExecutor.js';
 import { requireGuildId } from '../utils/GuildUtils.js';
-import { RollTagParentType } from '../constants/RollTagParentType.js';
-import { RollTagEntityConverter } from '../utils/RollTagEntityConverter.js';
+import { postRollUpdate } from '../handlers/RollThreadHandler.js';
+import { getAllStrategies } from '../utils/rulesets/index.js';
 
 /**
  * Execute a confirmed roll
@@ -28,8 +28,7 @@ export class RollExecuteCommand extends Command {
           .setRequired(true)
           .addChoices(
             { name: 'None (No modifier)', value: 'none' },
-            { name: 'Throw caution to the wind (Power +1, Roll -1)', value: 'throw_caution' },
-            { name: 'Hedge your risks (Power -1, Roll +1)', value: 'hedge_risks' }
+            ...getAllStrategies().map(strategy => ({ name: strategy.label, value: strategy.value }))
           ));
   }
 
@@ -49,6 +48,15 @@ export class RollExecuteCommand extends Command {
       return;
     }
     
+    // Rejected and cancelled rolls can never be executed
+    if (isDiscardedRollStatus(roll.status)) {
+      await interaction.reply({
+        content: RollView.formatDiscardedRoll(roll),
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
     // Check for invalid roll_tags - show confirmation prompt
     if (roll.invalidTags && roll.invalidTags.length > 0) {
       const invalidCount = roll.invalidTags.length;
@@ -103,220 +111,21 @@ export class RollExecuteCommand extends Command {
     // Delete any invalid tags (in case they exist but weren't caught by the warning)
     RollStorage.deleteInvalidTags(guildId, rollId);
 
-    // Validate strategy before making any changes
-    // Calculate base modifier to check strategy conditions
-    const burnedTags = roll.burnedTags || new Set();
-    const baseModifier = RollView.calculateModifier(roll.helpTags, roll.hinderTags, burnedTags, guildId);
-    
-    // Get might modifier from roll (default to 0 if not set)
-    const mightModifier = roll.mightModifier !== undefined && roll.mightModifier !== null ? roll.mightModifier : 0;
-    
-    // Calculate total power (base modifier + might modifier)
-    const totalPower = baseModifier + mightModifier;
-    
-    let strategyModifier = 0;
-    let strategyName = null;
-    let originalPower = totalPower; // Include might in original power
-    let strategyError = null;
-    
-    if (strategy === 'throw_caution') {
-      if (totalPower > 2) {
-        strategyError = `Cannot use "Throw caution to the wind" - your Power is ${totalPower}, but it requires Power ≤ 2.`;
-      } else {
-        strategyModifier = -1; // Reduce Power by 1
-        strategyName = 'Throw caution to the wind';
-      }
-    } else if (strategy === 'hedge_risks') {
-      if (totalPower < 2) {
-        strategyError = `Cannot use "Hedge your risks" - your Power is ${totalPower}, but it requires Power ≥ 2.`;
-      } else {
-        strategyModifier = +1; // Add 1 to Power
-        strategyName = 'Hedge your risks';
-      }
-    }
-    
-    // If strategy was invalid, return error
-    if (strategyError) {
+    // Apply burns and improvements, roll the dice and store the result
+    const { error, resultData } = RollExecutor.execute(guildId, roll, strategy, userId);
+    if (error) {
       await interaction.reply({
-        content: `❌ ${strategyError}`,
+        content: `❌ ${error}`,
         flags: MessageFlags.Ephemeral,
       });
       return;
     }
 
-    // Mark as executed
-    RollStorage.updateRoll(guildId, rollId, { status: RollStatus.EXECUTED });
-
-    // Track theme improvements from weakness tags in hinderTags
-    const hinderTags = roll.hinderTags || new Set();
-    let improvementNotification = null;
-    if (hinderTags.size > 0) {
-      const improvementResult = CharacterStorage.incrementThemeImprovements(
-        guildId,
-        hinderTags
-      );
-      
-      // Build notification if any themes are ready to develop
-      // Group by character to show which player can develop
-      if (improvementResult.readyToDevelop.length > 0) {
-        // Group themes by user_id to avoid duplicate mentions
-        const themesByUser = new Map();
-        for (const t of improvementResult.readyToDevelop) {
-          const character = CharacterStorage.getCharacterById(guildId, t.characterId);
-          if (character && character.user_id) {
-            if (!themesByUser.has(character.user_id)) {
-              themesByUser.set(character.user_id, []);
-            }
-            themesByUser.get(character.user_id).push(t);
-          }
-        }
-
-        // Build notification with player mentions
-        const userNotifications = [];
-        for (const [userId, themes] of themesByUser.entries()) {
-          const themeList = themes.map(t => `**${t.themeName}** (${t.improvements} improvements)`).join(', ');
-          userNotifications.push(`<@${userId}>: ${themeList}`);
-        }
-        
-        improvementNotification = `\n\n✨ **Theme Development Available!** ✨\n${userNotifications.join('\n')}`;
-      }
-    }
-
-    // Process burned tags - delete backpack/storyTags, mark others as burned
-    if (burnedTags.size > 0) {
-      const character = CharacterStorage.getCharacter(guildId, roll.creatorId, roll.characterId);
-      if (character) {
-        const backpackIdsToRemove = [];
-        const storyTagIdsToRemove = [];
-        const tagsToBurn = [];
-        
-        // Separate burned tags by type
-        for (const tagEntity of burnedTags) {
-          const tagData = tagEntity.getTagData(guildId);
-          if (!tagData) continue;
-          
-          if (tagEntity.parentType === RollTagParentType.CHARACTER_BACKPACK) {
-            // Backpack items get deleted (by ID)
-            backpackIdsToRemove.push(tagEntity.parentId);
-          } else if (tagEntity.parentType === RollTagParentType.CHARACTER_STORY_TAG) {
-            // Story tags get deleted (by ID)
-            storyTagIdsToRemove.push(tagEntity.parentId);
-          } else {
-            // Other tags (themes, theme tags) get marked as burned
-            // Convert TagEntity to tag string for markTagsAsBurned
-            const tagString = tagEntity.toTagString(guildId);
-            if (tagString) {
-              tagsToBurn.push(tagString);
-            }
-          }
-        }
-        
-        // Build update object
-        const updates = {};
-        
-        // Remove backpack items that were burned (by ID)
-        if (backpackIdsToRemove.length > 0) {
-          const updatedBackpack = (character.backpack || []).filter(item => {
-            const itemId = typeof item === 'object' && item.id ? item.id : null;
-            return itemId && !backpackIdsToRemove.includes(itemId);
-          });
-          updates.backpack = updatedBackpack;
-        }
-        
-        // Remove story tags that were burned (by ID)
-        if (storyTagIdsToRemove.length > 0) {
-          const updatedStoryTags = (character.storyTags || []).filter(tag => {
-            const tagId = typeof tag === 'object' && tag.id ? tag.id : null;
-            return tagId && !storyTagIdsToRemove.includes(tagId);
-          });
-          updates.storyTags = updatedStoryTags;
-        }
-        
-        // Mark themes/tags as burned (only for non-backpack/non-storyTag items)
-        if (tagsToBurn.length > 0) {
-          CharacterStorage.markTagsAsBurned(guildId, roll.creatorId, roll.characterId, tagsToBurn);
-        }
-        
-        // Apply all updates (backpack and storyTags)
-        if (Object.keys(updates).length > 0) {
-          CharacterStorage.updateCharacter(guildId, roll.creatorId, roll.characterId, updates);
-        }
-      }
-    }
-
-    // Roll 2d6
-    const die1 = Math.floor(Math.random() * 6) + 1;
-    const die2 = Math.floor(Math.random() * 6) + 1;
-    const baseRoll = die1 + die2;
-    
-    // Apply strategy modifier to the roll result (might is already included in originalPower)
-    const finalResult = baseRoll + totalPower + strategyModifier;
-
-    // Format narrator mention if they confirmed the roll
-    const narratorMention = roll.confirmedBy ? `<@${roll.confirmedBy}>` : null;
-
-    // Check if this is a reaction roll and determine if roll is successful (for power modifications)
-    // For reaction rolls: 10+ is success, for regular rolls: 10+ is success (or 7-9 is partial)
-    const isReactionRoll = roll.isReaction === true;
-    let isSuccessful = false;
-    if (die1 === 6 && die2 === 6) {
-      isSuccessful = true;
-    } 
-    else if (die1 === 1 && die2 === 1) {
-      isSuccessful = false;
-    }
-    else if (isReactionRoll) {
-      isSuccessful = finalResult >= 10;
-    } else {
-      // Regular roll: 10+ is full success, 7-9 is partial (we'll count both as "successful" for power changes)
-      isSuccessful = finalResult >= 7;
-    }
-    
-    // Calculate spending power based on strategy and success
-    // Throw caution to the wind: if successful, can spend original Power + 1
-    // Hedge your risks: if successful, spend original Power - 1
-    let spendingPower = null;
-    if (isSuccessful) {
-      if (strategy === 'throw_caution') {
-        spendingPower = Math.max(originalPower, 1) + 1; // Can spend original Power + 1
-      } else if (strategy === 'hedge_risks') {
-        spendingPower = Math.max(originalPower, 1) - 1; // Spend original Power - 1
-      } else {
-        spendingPower = Math.max(originalPower, 1);
-      }
-    }
+    // Send as a public message (in the roll's thread when it has one)
+    const message = await postRollUpdate(interaction, guildId, rollId, resultData);
     
-    // Format roll result using RollView
-    // Pass totalPower (baseModifier + mightModifier) as the modifier parameter so Power includes might
-    const resultData = RollView.formatRollResult(
-      die1,
-      die2,
-      baseRoll,
-      totalPower, // Total power includes might
-      finalResult,
-      roll.description,
-      narratorMention,
-      isReactionRoll,
-      roll.reactionToRollId,
-      strategyName,
-      strategyModifier,
-      originalPower, // This now includes might
-      spendingPower,
-      mightModifier
-    );
-
-    // Add improvement notification if available
-    if (improvementNotification && resultData.components && resultData.components.length > 0) {
-      const notificationContainer = new ContainerBuilder();
-      notificationContainer.addTextDisplayComponents(
-        new TextDisplayBuilder()
-          .setContent(improvementNotification)
-      );
-      resultData.components.push(notificationContainer);
-    }
-
-    // Send as a public message
-    await interaction.reply(resultData);
+    // Link the stored result to the public message
+    RollStorage.setRollResultMessageLink(guildId, rollId, message.url);
   }
 }
 
@@ -0,0 +1,175 @@
+import { SlashCommandBuilder, MessageFlags, ChannelType } from 'discord.js';
+import { Command } from './Command.js';
+import { RollStorage } from '../utils/RollStorage.js';
+import { RollView } from '../utils/RollView.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { Validation } from '../utils/Validation.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+import { RollStatus, getStatusDisplayName } from '../constants/RollStatus.js';
+import { RollOutcome, getOutcomeDisplayName } from '../constants/RollOutcome.js';
+
+/**
+ * Browse past rolls with optional filters
+ */
+export class RollHistoryCommand extends Command {
+  // Number of rolls shown per history page
+  static PAGE_SIZE = 10;
+
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('roll-history')
+      .setDescription('Browse past rolls')
+      .addStringOption(option =>
+        option
+          .setName('character')
+          .setDescription('Only show rolls made by this character')
+          .setRequired(false)
+          .setAutocomplete(true))
+      .addChannelOption(option =>
+        option
+          .setName('scene')
+          .setDescription('Only show rolls made in this channel')
+          .addChannelTypes(ChannelType.GuildText, ChannelType.PublicThread, ChannelType.PrivateThread)
+          .setRequired(false))
+      .addStringOption(option =>
+        option
+          .setName('status')
+          .setDescription('Only show rolls with this status')
+          .setRequired(false)
+          .addChoices(
+            ...Object.values(RollStatus).map(status => ({ name: getStatusDisplayName(status), value: status }))
+          ))
+      .addStringOption(option =>
+        option
+          .setName('outcome')
+          .setDescription('Only show executed rolls with this outcome')
+          .setRequired(false)
+          .addChoices(
+            ...Object.values(RollOutcome).map(outcome => ({ name: getOutcomeDisplayName(outcome), value: outcome }))
+          ))
+      .addStringOption(option =>
+        option
+          .setName('from')
+          .setDescription('Only show rolls made on or after this date (YYYY-MM-DD)')
+          .setRequired(false))
+      .addStringOption(option =>
+        option
+          .setName('to')
+          .setDescription('Only show rolls made on or before this date (YYYY-MM-DD)')
+          .setRequired(false));
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+    const userId = interaction.user.id;
+    const characterValue = interaction.options.getString('character');
+    const scene = interaction.options.getChannel('scene');
+    const status = interaction.options.getString('status');
+    const outcome = interaction.options.getString('outcome');
+    const from = interaction.options.getString('from');
+    const to = interaction.options.getString('to');
+
+    const filters = {};
+    const filterParts = [];
+
+    // Decode ownerId:characterId from autocomplete value
+    if (characterValue) {
+      const parts = characterValue.split(':');
+      const characterId = parts.length === 2 ? parseInt(parts[1]) : NaN;
+      const character = !isNaN(characterId) ? CharacterStorage.getCharacterById(guildId, characterId) : null;
+      if (!character) {
+        await interaction.reply({
+          content: 'Character not found.',
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+      filters.characterId = character.id;
+      filterParts.push(character.name);
+    }
+
+    if (scene) {
+      filters.sceneId = scene.id;
+      filterParts.push(`<#${scene.id}>`);
+    }
+
+    if (status) {
+      filters.status = status;
+      filterParts.push(getStatusDisplayName(status));
+    }
+
+    if (outcome) {
+      filters.outcome = outcome;
+      filterParts.push(getOutcomeDisplayName(outcome));
+    }
+
+    if (from) {
+      const validation = Validation.validateDate(from);
+      if (!validation.valid) {
+        await interaction.reply({
+          content: `❌ ${validation.error}`,
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+      filters.since = validation.timestamp;
+      filterParts.push(`from ${from.trim()}`);
+    }
+
+    if (to) {
+      const validation = Validation.validateDate(to, true);
+      if (!validation.valid) {
+        await interaction.reply({
+          content: `❌ ${validation.error}`,
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+      filters.until = validation.timestamp;
+      filterParts.push(`to ${to.trim()}`);
+    }
+
+    if (filters.since !== undefined && filters.until !== undefined && filters.since > filters.until) {
+      await interaction.reply({
+        content: '❌ The `from` date must be on or before the `to` date.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const { rolls, total } = RollStorage.getRollHistory(guildId, filters, 0, RollHistoryCommand.PAGE_SIZE);
+    if (total === 0) {
+      await interaction.reply({
+        content: 'No rolls match those filters.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    // Store filters so the page selector can re-run the query
+    if (!interaction.client.rollHistoryStates) {
+      interaction.client.rollHistoryStates = new Map();
+    }
+    const historyKey = `${userId}_${Date.now()}`;
+    const filterSummary = filterParts.length > 0 ? filterParts.join(', ') : null;
+    interaction.client.rollHistoryStates.set(historyKey, {
+      userId,
+      filters,
+      filterSummary,
+      page: 0,
+    });
+
+    const historyData = RollView.buildRollHistory(historyKey, rolls, {
+      page: 0,
+      totalPages: Math.ceil(total / RollHistoryCommand.PAGE_SIZE),
+      total,
+      filterSummary,
+      guildId,
+    });
+
+    await interaction.reply({
+      components: historyData.components,
+      flags: historyData.flags | MessageFlags.Ephemeral,
+    });
+  }
+}
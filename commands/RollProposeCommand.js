@@ -1,12 +1,8 @@
 import { SlashCommandBuilder, MessageFlags, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
 import { Command } from './Command.js';
-import { CharacterStorage } from '../utils/CharacterStorage.js';
-import { StoryTagStorage } from '../utils/StoryTagStorage.js';
 import { RollStorage } from '../utils/RollStorage.js';
-import { RollView } from '../utils/RollView.js';
 import { Validation } from '../utils/Validation.js';
-import { combineRollComponents } from '../handlers/RollHandler.js';
-import { requireGuildId } from '../utils/GuildUtils.js';
+import { openRollProposalEditor, getRollingCharacter } from '../handlers/RollHandler.js';
 
 /**
  * Propose a roll for narrator approval
@@ -25,16 +21,18 @@ export class RollProposeCommand extends Command {
         option
           .setName('narration-link')
           .setDescription('Discord link to narration describing why this roll is being made')
-          .setRequired(true));
+          .setRequired(true))
+      .addStringOption(option =>
+        option
+          .setName('loadout')
+          .setDescription('Start from tags saved with "Save Loadout"')
+          .setRequired(false)
+          .setAutocomplete(true));
   }
 
   async execute(interaction) {
-    const guildId = requireGuildId(interaction);
-    const userId = interaction.user.id;
-    const sceneId = interaction.channelId;
-    
-    // Get active character
-    const character = CharacterStorage.getActiveCharacter(guildId, userId);
+    // Get active character (or the NPC a narrator plays)
+    const { character, asNpc } = getRollingCharacter(interaction);
     if (!character) {
       await interaction.reply({
         content: 'You don\'t have an active character. Use `/char-create` to import from Google Sheets, or `/char-select` to select an active character.',
@@ -63,58 +61,11 @@ export class RollProposeCommand extends Command {
       }
     }
     
-    // Exclude burned tags from roll selection (they can't be used until refreshed)
-    // Collect all available tags for help dropdown (exclude burned tags)
-    const helpOptions = RollView.collectTags(character, sceneId, StoryTagStorage, false, guildId, false);
-    
-    // Collect all available tags + weaknesses for hinder dropdown (exclude burned tags)
-    const hinderOptions = RollView.collectTags(character, sceneId, StoryTagStorage, false, guildId, true);
-    
-    const initialHelpTags = new Set();
-    const initialHinderTags = new Set();
-    const initialBurnedTags = new Set();
-    
-    // Create a temporary roll key for the interaction
-    const tempRollKey = `temp_${userId}_${Date.now()}`;
-    
-    interaction.client.rollStates.set(tempRollKey, {
-      creatorId: userId,
-      characterId: character.id,
-      sceneId: sceneId,
-      helpTags: initialHelpTags,
-      hinderTags: initialHinderTags,
-      burnedTags: initialBurnedTags,
-      helpFromCharacterIdMap: new Map(),
-      hinderFromCharacterIdMap: new Map(),
-      description: description,
-      narrationLink: narrationLink || null,
-      justificationNotes: null,
-      showJustificationButton: true,
-      helpOptions: helpOptions,
-      hinderOptions: hinderOptions,
-      helpPage: 0,
-      hinderPage: 0,
-      buttons: {submit: true, cancel: true},
-      isReaction: false,
-      reactionToRollId: null,
-      mightModifier: 0
-    });
-
-    const interactiveComponents = RollView.buildRollInteractives(tempRollKey, helpOptions, hinderOptions, 0, 0, initialHelpTags, initialHinderTags, {submit: true, cancel: true}, initialBurnedTags, "", true, new Map(), new Map(), 0);
-    const tempRollState = {
-      helpTags: initialHelpTags,
-      hinderTags: initialHinderTags,
-      description: description,
-      burnedTags: initialBurnedTags,
-      characterId: character.id,
-      sceneId: sceneId,
-      mightModifier: 0
-    };
-    const displayData = RollView.buildRollDisplays(tempRollState, { showJustificationPlaceholder: true, guildId: guildId });
-    const allComponents = combineRollComponents(displayData, interactiveComponents);
-    await interaction.reply({
-      components: allComponents,
-      flags: MessageFlags.Ephemeral | MessageFlags.IsComponentsV2,
+    await openRollProposalEditor(interaction, character, {
+      description,
+      narrationLink,
+      loadoutName: interaction.options.getString('loadout'),
+      asNpc,
     });
   }
 }
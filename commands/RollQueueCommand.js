@@ -0,0 +1,37 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { Command } from './Command.js';
+import { RollStorage } from '../utils/RollStorage.js';
+import { RollView } from '../utils/RollView.js';
+import RollStatus from '../constants/RollStatus.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+import { requireNarrator } from '../utils/NarratorUtils.js';
+
+/**
+ * List roll proposals waiting for confirmation across all scenes (narrator only)
+ */
+export class RollQueueCommand extends Command {
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('roll-queue')
+      .setDescription('List roll proposals waiting for confirmation in all scenes (narrator only)');
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+
+    // Check narrator permissions
+    if (!await requireNarrator(interaction, guildId, 'Only narrators can view the roll queue.')) {
+      return;
+    }
+
+    // Oldest first, so the rolls that have waited longest come up first
+    const rolls = RollStorage.getRollsByStatus(guildId, RollStatus.PROPOSED)
+      .sort((a, b) => a.createdAt - b.createdAt || a.id - b.id);
+    const queue = RollView.buildRollQueue(rolls, guildId);
+
+    await interaction.reply({
+      components: queue.components,
+      flags: queue.flags | MessageFlags.Ephemeral,
+    });
+  }
+}
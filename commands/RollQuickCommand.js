@@ -0,0 +1,94 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { Command } from './Command.js';
+import { Validation } from '../utils/Validation.js';
+import { openRollProposalEditor, getRollingCharacter } from '../handlers/RollHandler.js';
+import { getServerEnvBool } from '../utils/ServerConfig.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+import { requireNarrator } from '../utils/NarratorUtils.js';
+import { getAllStrategies } from '../utils/rulesets/index.js';
+
+/**
+ * Pick the tags of a roll and execute it right away, skipping the proposal and confirmation
+ * (narrator only, enabled per server with QUICK_ROLLS)
+ */
+export class RollQuickCommand extends Command {
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('roll-quick')
+      .setDescription('Pick tags and execute a roll immediately, without confirmation (narrator only)')
+      .addStringOption(option =>
+        option
+          .setName('description')
+          .setDescription('What this roll is for')
+          .setRequired(true))
+      .addStringOption(option =>
+        option
+          .setName('strategy')
+          .setDescription('Optional: Throw caution to the wind or Hedge your risks')
+          .setRequired(false)
+          .addChoices(
+            { name: 'None (No modifier)', value: 'none' },
+            ...getAllStrategies().map(strategy => ({ name: strategy.label, value: strategy.value }))
+          ))
+      .addStringOption(option =>
+        option
+          .setName('narration-link')
+          .setDescription('Discord link to narration describing why this roll is being made')
+          .setRequired(false))
+      .addStringOption(option =>
+        option
+          .setName('loadout')
+          .setDescription('Start from tags saved with "Save Loadout"')
+          .setRequired(false)
+          .setAutocomplete(true));
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+
+    if (!getServerEnvBool('QUICK_ROLLS', guildId)) {
+      await interaction.reply({
+        content: 'Quick rolls are not enabled on this server. Please set QUICK_ROLLS=true.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    // Check narrator permissions
+    if (!await requireNarrator(interaction, guildId, 'Only narrators can make quick rolls. Use /roll-propose instead.')) {
+      return;
+    }
+
+    // Get active character (or the NPC a narrator plays)
+    const { character, asNpc } = getRollingCharacter(interaction);
+    if (!character) {
+      await interaction.reply({
+        content: 'You don\'t have an active character. Use `/char-select` to select an active character, or `/npc-play` to roll as an NPC.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const narrationLink = interaction.options.getString('narration-link');
+
+    // Validate narration link if provided
+    if (narrationLink) {
+      const linkValidation = Validation.validateDiscordMessageLink(narrationLink);
+      if (!linkValidation.valid) {
+        await interaction.reply({
+          content: '❌ Invalid narration link\n\nPlease provide a valid Discord message link in the format:\n`https://discord.com/channels/{guild_id}/{channel_id}/{message_id}`',
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+    }
+
+    await openRollProposalEditor(interaction, character, {
+      description: interaction.options.getString('description', true),
+      narrationLink,
+      loadoutName: interaction.options.getString('loadout'),
+      quickStrategy: interaction.options.getString('strategy') || 'none',
+      asNpc,
+    });
+  }
+}
@@ -1,10 +1,9 @@
 import { SlashCommandBuilder, MessageFlags } from 'discord.js';
 import { Command } from './Command.js';
-import { CharacterStorage } from '../utils/CharacterStorage.js';
 import { StoryTagStorage } from '../utils/StoryTagStorage.js';
 import { RollStorage } from '../utils/RollStorage.js';
 import { RollView } from '../utils/RollView.js';
-import { combineRollComponents } from '../handlers/RollHandler.js';
+import { combineRollComponents, getRollingCharacter } from '../handlers/RollHandler.js';
 import RollStatus from '../constants/RollStatus.js';
 import { requireGuildId } from '../utils/GuildUtils.js';
 
@@ -31,10 +30,11 @@ export class RollReactionCommand extends Command {
   async execute(interaction) {
     const guildId = requireGuildId(interaction);
     const userId = interaction.user.id;
-    const sceneId = interaction.channelId;
+    // Reactions made inside a roll thread belong to the thread's scene
+    const sceneId = RollStorage.getThreadSceneId(guildId, interaction.channelId) || interaction.channelId;
     
-    // Get active character
-    const character = CharacterStorage.getActiveCharacter(guildId, userId);
+    // Get active character (or the NPC a narrator plays)
+    const { character, asNpc } = getRollingCharacter(interaction);
     if (!character) {
       await interaction.reply({
         content: 'You don\'t have an active character. Use `/char-create` to import from Google Sheets, or `/char-select` to select an active character.',
@@ -104,7 +104,7 @@ export class RollReactionCommand extends Command {
     interaction.client.rollStates.set(tempRollKey, {
       creatorId: userId,
       characterId: character.id,
-      sceneId: interaction.channelId,
+      sceneId: sceneId,
       helpTags: initialHelpTags,
       hinderTags: initialHinderTags,
       burnedTags: initialBurnedTags,
@@ -121,7 +121,8 @@ export class RollReactionCommand extends Command {
       buttons: {submit: true, cancel: true},
       isReaction: true,
       reactionToRollId: originalRollId || null,
-      mightModifier: 0
+      mightModifier: 0,
+      asNpc: asNpc
     });
 
     const interactiveComponents = RollView.buildRollInteractives(
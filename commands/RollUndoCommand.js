@@ -0,0 +1,107 @@
+import { SlashCommandBuilder, MessageFlags, ContainerBuilder, TextDisplayBuilder } from 'discord.js';
+import { Command } from './Command.js';
+import { RollStorage } from '../utils/RollStorage.js';
+import { RollSpendStorage } from '../utils/RollSpendStorage.js';
+import { RollConsequenceStorage } from '../utils/RollConsequenceStorage.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { CharacterHistoryStorage } from '../utils/CharacterHistoryStorage.js';
+import RollStatus from '../constants/RollStatus.js';
+import { CharacterChange } from '../constants/CharacterChange.js';
+import { DiceService } from '../utils/DiceService.js';
+import { getServerEnvBool } from '../utils/ServerConfig.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+import { requireNarrator } from '../utils/NarratorUtils.js';
+
+/**
+ * Undo an executed roll: revert its side effects and set it back to confirmed (narrator only)
+ */
+export class RollUndoCommand extends Command {
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('roll-undo')
+      .setDescription('Undo an executed roll and revert its burned tags and improvements (narrator only)')
+      .addIntegerOption(option =>
+        option
+          .setName('id')
+          .setDescription('The executed roll ID to undo')
+          .setRequired(true));
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+    const rollId = interaction.options.getInteger('id', true);
+
+    // Check narrator permissions
+    if (!await requireNarrator(interaction, guildId, 'Only narrators can undo rolls.')) {
+      return;
+    }
+
+    const roll = RollStorage.getRoll(guildId, rollId);
+    if (!roll) {
+      await interaction.reply({
+        content: `Roll #${rollId} not found.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    if (roll.status !== RollStatus.EXECUTED) {
+      await interaction.reply({
+        content: `Roll #${rollId} has not been executed. Current status: ${roll.status}`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    // Spent Power and imposed consequences changed the story after the roll and are not journaled
+    if (RollSpendStorage.getSpends(guildId, rollId).length > 0 || RollConsequenceStorage.getConsequences(guildId, rollId).length > 0) {
+      await interaction.reply({
+        content: `Roll #${rollId} can't be undone because Power was already spent or consequences were imposed on it.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    // The revealed seed must not decide the next execution, so commit to new dice
+    const diceCommitment = getServerEnvBool('DICE_COMMIT_REVEAL', guildId) ? DiceService.createCommitment() : null;
+    const summary = RollStorage.undoExecution(guildId, rollId, diceCommitment);
+
+    // Push the restored characters to their sheets
+    for (const characterId of summary.characterIds) {
+      CharacterHistoryStorage.record(guildId, characterId, CharacterChange.ROLL, `Roll #${rollId} undone`, { rollId }, interaction.user.id);
+      const character = CharacterStorage.getCharacterById(guildId, characterId);
+      if (character && character.auto_sync === 1) {
+        CharacterStorage.autoSyncToSheet(guildId, character.user_id, character.id, character);
+      }
+    }
+
+    const reverted = [];
+    if (summary.unburned > 0) {
+      reverted.push(`🔥 ${summary.unburned} tag${summary.unburned !== 1 ? 's' : ''} un-burned`);
+    }
+    if (summary.restored > 0) {
+      reverted.push(`🎒 ${summary.restored} burned item${summary.restored !== 1 ? 's' : ''} restored`);
+    }
+    if (summary.improvements > 0) {
+      reverted.push(`✨ ${summary.improvements} theme improvement${summary.improvements !== 1 ? 's' : ''} removed`);
+    }
+
+    const rollType = roll.isReaction ? 'Reaction Roll' : 'Roll';
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(
+          `### ↩️ ${rollType} #${rollId} Undone\n` +
+          `<@${interaction.user.id}> undid the execution of this roll.\n` +
+          (reverted.length > 0 ? `${reverted.join('\n')}\n` : '') +
+          (diceCommitment ? `🔒 **New dice commitment:** \`${diceCommitment.commitment}\`\n` : '') +
+          `<@${roll.creatorId}> can execute it again with /roll ${rollId}`
+        )
+    );
+
+    await interaction.reply({
+      components: [container],
+      flags: MessageFlags.IsComponentsV2,
+    });
+  }
+}
@@ -0,0 +1,94 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { Command } from './Command.js';
+import { LimitStorage } from '../utils/LimitStorage.js';
+import { LimitView } from '../utils/LimitView.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { announceReachedLimits } from '../handlers/LimitHandler.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+import { requireNarrator } from '../utils/NarratorUtils.js';
+
+/**
+ * Link a scene limit to the statuses that fill it up (narrator only)
+ */
+export class SceneLimitCommand extends Command {
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('scene-limit')
+      .setDescription('Link a scene limit to the statuses that fill it up (narrator only)')
+      .addStringOption(option =>
+        option
+          .setName('limit')
+          .setDescription('A limit on this scene, e.g. harm(4)')
+          .setRequired(true)
+          .setAutocomplete(true))
+      .addStringOption(option =>
+        option
+          .setName('statuses')
+          .setDescription('Comma-separated status names that count towards the limit (leave empty to unlink)')
+          .setRequired(false))
+      .addStringOption(option =>
+        option
+          .setName('character')
+          .setDescription('Watch this character\'s statuses instead of the scene\'s')
+          .setRequired(false)
+          .setAutocomplete(true));
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+    const sceneId = interaction.channelId;
+    const limit = interaction.options.getString('limit', true);
+    const statusesInput = interaction.options.getString('statuses');
+    const characterValue = interaction.options.getString('character');
+
+    // Check narrator permissions
+    if (!await requireNarrator(interaction, guildId, 'Only narrators can link limits.')) {
+      return;
+    }
+
+    if (!statusesInput) {
+      const removed = LimitStorage.unlinkLimit(guildId, sceneId, limit);
+      await interaction.reply({
+        content: removed ? `\`${limit}\` is no longer linked to any statuses.` : `\`${limit}\` is not linked to any statuses.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    let targetType = 'scene';
+    let targetId = sceneId;
+    if (characterValue) {
+      // Decode ownerId:characterId from autocomplete value
+      const parts = characterValue.split(':');
+      const characterId = parts.length === 2 ? parseInt(parts[1]) : NaN;
+      const character = !isNaN(characterId) ? CharacterStorage.getCharacterById(guildId, characterId) : null;
+      if (!character) {
+        await interaction.reply({
+          content: 'Character not found.',
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+      targetType = 'character';
+      targetId = character.id;
+    }
+
+    const statuses = statusesInput.split(',').map(name => name.trim()).filter(name => name.length > 0);
+    const result = LimitStorage.linkLimit(guildId, sceneId, limit, statuses, targetType, targetId, interaction.user.id);
+    if (!result.success) {
+      await interaction.reply({
+        content: result.message,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    await interaction.reply({
+      content: `🔗 ${LimitView.formatLink(result.link, guildId)}.`,
+      flags: MessageFlags.Ephemeral,
+    });
+
+    // The statuses may already meet the limit
+    await announceReachedLimits(interaction.client, guildId, targetType === 'scene' ? { sceneId } : { characterId: targetId });
+  }
+}
@@ -0,0 +1,90 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { Command } from './Command.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { FellowshipStorage } from '../utils/FellowshipStorage.js';
+import { RollStatsStorage } from '../utils/RollStatsStorage.js';
+import { StatsView } from '../utils/StatsView.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+
+/**
+ * Show campaign statistics for a character, a fellowship or the whole guild
+ */
+export class StatsCommand extends Command {
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('stats')
+      .setDescription('Show campaign statistics (whole server unless a character or fellowship is given)')
+      .addStringOption(option =>
+        option
+          .setName('character')
+          .setDescription('Only show statistics for this character')
+          .setRequired(false)
+          .setAutocomplete(true))
+      .addStringOption(option =>
+        option
+          .setName('fellowship')
+          .setDescription('Only show statistics for characters in this fellowship')
+          .setRequired(false)
+          .setAutocomplete(true))
+      .addBooleanOption(option =>
+        option
+          .setName('ephemeral')
+          .setDescription('Only show the response to you (default: true)')
+          .setRequired(false));
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+    const characterValue = interaction.options.getString('character');
+    const fellowshipName = interaction.options.getString('fellowship');
+    const ephemeral = interaction.options.getBoolean('ephemeral') ?? true;
+
+    if (characterValue && fellowshipName) {
+      await interaction.reply({
+        content: 'Please choose either a character or a fellowship, not both.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    let characterIds = null;
+    let scopeLabel = 'Whole Server';
+
+    if (characterValue) {
+      // Decode ownerId:characterId from autocomplete value
+      const parts = characterValue.split(':');
+      const characterId = parts.length === 2 ? parseInt(parts[1]) : NaN;
+      const character = !isNaN(characterId) ? CharacterStorage.getCharacterById(guildId, characterId) : null;
+      if (!character) {
+        await interaction.reply({
+          content: 'Character not found.',
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+      characterIds = [character.id];
+      scopeLabel = character.name;
+    } else if (fellowshipName) {
+      const fellowship = FellowshipStorage.getFellowshipByName(guildId, fellowshipName);
+      if (!fellowship) {
+        await interaction.reply({
+          content: 'Fellowship not found.',
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+      characterIds = CharacterStorage.getAllCharacters(guildId)
+        .filter(character => character.fellowship_id === fellowship.id)
+        .map(character => character.id);
+      scopeLabel = `Fellowship ${fellowship.name}`;
+    }
+
+    const stats = RollStatsStorage.getStats(guildId, characterIds);
+    const statsData = StatsView.buildStatsDisplay(stats, scopeLabel);
+
+    await interaction.reply({
+      components: statsData.components,
+      flags: ephemeral ? statsData.flags | MessageFlags.Ephemeral : statsData.flags,
+    });
+  }
+}
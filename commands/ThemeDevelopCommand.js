@@ -0,0 +1,53 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { Command } from './Command.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { ThemeDevelopView } from '../utils/ThemeDevelopView.js';
+import { getRuleset } from '../utils/rulesets/index.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+
+/**
+ * Spend the improvements of a theme on a development (new power tag, removed weakness...)
+ */
+export class ThemeDevelopCommand extends Command {
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('theme-develop')
+      .setDescription('Develop a theme of your active character once it has enough improvements');
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+    const userId = interaction.user.id;
+
+    // Get active character
+    const character = CharacterStorage.getActiveCharacter(guildId, userId);
+    if (!character) {
+      await interaction.reply({
+        content: 'You don\'t have an active character. Use `/char-create` to import from Google Sheets, or `/char-select` to select an active character.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const ruleset = getRuleset(guildId);
+    const themes = character.themes || [];
+    const readyThemes = themes.filter(theme => theme.improvements >= ruleset.improvementsToDevelop);
+    if (readyThemes.length === 0) {
+      const progress = themes.map(theme => `**${theme.name}**: ${theme.improvements || 0}/${ruleset.improvementsToDevelop}`).join('\n');
+      await interaction.reply({
+        content: `None of ${character.name}'s themes has ${ruleset.improvementsToDevelop} improvements yet. Themes gain an improvement each time one of their weaknesses hinders a roll.\n\n${progress}`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    // Skip the theme picker when only one theme can develop
+    const viewData = readyThemes.length === 1
+      ? ThemeDevelopView.buildImprovementSelect(character, readyThemes[0], ruleset.getThemeImprovements())
+      : ThemeDevelopView.buildThemeSelect(character, readyThemes);
+    await interaction.reply({
+      components: viewData.components,
+      flags: viewData.flags | MessageFlags.Ephemeral,
+    });
+  }
+}
@@ -0,0 +1,89 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { Command } from './Command.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { CharacterView } from '../utils/CharacterView.js';
+import { changeThemeTrack, promptIfFull } from '../handlers/ThemeTrackHandler.js';
+import { getRuleset } from '../utils/rulesets/index.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+
+/**
+ * Mark or erase boxes on a track (Milestone, Abandon, Improve...) of a theme of the active character
+ */
+export class ThemeTrackCommand extends Command {
+  getData() {
+    return new SlashCommandBuilder()
+      .setName('theme-track')
+      .setDescription('Mark or erase boxes on a track of one of your themes (milestone, abandon...)')
+      .addStringOption(option =>
+        option
+          .setName('theme')
+          .setDescription('The theme of your active character')
+          .setRequired(true)
+          .setAutocomplete(true))
+      .addStringOption(option =>
+        option
+          .setName('track')
+          .setDescription('The track to change')
+          .setRequired(true)
+          .setAutocomplete(true))
+      .addIntegerOption(option =>
+        option
+          .setName('amount')
+          .setDescription('Boxes to mark, or to erase if negative (default: 1)')
+          .setRequired(false)
+          .setMinValue(-3)
+          .setMaxValue(3));
+  }
+
+  async execute(interaction) {
+    const guildId = requireGuildId(interaction);
+    const character = CharacterStorage.getActiveCharacter(guildId, interaction.user.id);
+    if (!character) {
+      await interaction.reply({
+        content: 'You don\'t have an active character. Use `/char-create` to import from Google Sheets, or `/char-select` to select an active character.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const themeName = interaction.options.getString('theme', true);
+    const theme = (character.themes || []).find(t => t.name.toLowerCase() === themeName.toLowerCase());
+    if (!theme) {
+      await interaction.reply({
+        content: `${character.name} has no theme named "${themeName}".`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    // Tracks can be typed by name as well as picked from autocomplete
+    const tracks = getRuleset(guildId).getThemeTracks();
+    const trackValue = interaction.options.getString('track', true);
+    const track = tracks.find(t => t.track === trackValue || t.name.toLowerCase() === trackValue.toLowerCase());
+    if (!track) {
+      await interaction.reply({
+        content: `Unknown track "${trackValue}". This server's themes have: ${tracks.map(t => t.name).join(', ')}.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const result = changeThemeTrack(guildId, character, theme, track, interaction.options.getInteger('amount') ?? 1, interaction.user.id);
+    if (!result) {
+      await interaction.reply({
+        content: 'Theme not found.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const boxes = CharacterView.formatTrackBoxes(result.value, track.max);
+    await interaction.reply({
+      content: result.value === result.previous
+        ? `**${theme.name}** ${track.name} is already at ${boxes}.`
+        : `**${theme.name}** ${track.name}: ${boxes}`,
+      flags: MessageFlags.Ephemeral,
+    });
+    await promptIfFull(interaction, result.character, result.character.themes.find(t => t.id === theme.id), track, result);
+  }
+}
@@ -3,6 +3,7 @@ import { Command } from './Command.js';
 import { CharacterStorage } from '../utils/CharacterStorage.js';
 import { EditCharacterCommand } from './EditCharacterCommand.js';
 import { requireGuildId } from '../utils/GuildUtils.js';
+import { isNarrator } from '../utils/NarratorUtils.js';
 
 /**
  * View a character sheet (your own or another player's)
@@ -56,10 +57,9 @@ export class ViewCharacterCommand extends Command {
 
     // Check if this is the user's own character
     const isOwner = character.user_id === userId;
-    const displayOwnerId = character.user_id || null;
-    
-    // Display character (with edit buttons only if owner, and show owner info)
-    await EditCharacterCommand.displayCharacter(interaction, character, isOwner, displayOwnerId);
+
+    // Display character (with edit buttons only if owner; narrators can see and restore the history of any character)
+    await EditCharacterCommand.displayCharacter(interaction, character, isOwner, isNarrator(interaction, guildId));
   }
 }
 
@@ -5,17 +5,34 @@ import { AddTagsCommand } from './AddTagsCommand.js';
 import { RemoveTagsCommand } from './RemoveTagsCommand.js';
 import { ListSceneStatusCommand } from './ListSceneStatusCommand.js';
 import { ClearSceneCommand } from './ClearSceneCommand.js';
+import { SceneLimitCommand } from './SceneLimitCommand.js';
+import { ChallengeCreateCommand } from './ChallengeCreateCommand.js';
+import { ChallengeAddTagCommand } from './ChallengeAddTagCommand.js';
+import { ChallengeViewCommand } from './ChallengeViewCommand.js';
+import { ChallengeRemoveTagCommand } from './ChallengeRemoveTagCommand.js';
+import { ChallengeRemoveCommand } from './ChallengeRemoveCommand.js';
 import { CreateCharacterCommand } from './CreateCharacterCommand.js';
 import { EditCharacterCommand } from './EditCharacterCommand.js';
 import { SelectCharacterCommand } from './SelectCharacterCommand.js';
 import { ViewCharacterCommand } from './ViewCharacterCommand.js';
+import { ExportCharacterCommand } from './ExportCharacterCommand.js';
+import { ImportCharacterFileCommand } from './ImportCharacterFileCommand.js';
+import { ThemeDevelopCommand } from './ThemeDevelopCommand.js';
+import { ThemeTrackCommand } from './ThemeTrackCommand.js';
 import { FellowshipLookupCommand } from './FellowshipLookupCommand.js';
 import { ImportCharacterCommand } from './ImportCharacterCommand.js';
+import { NpcPlayCommand } from './NpcPlayCommand.js';
 import { RollProposeCommand } from './RollProposeCommand.js';
+import { RollQuickCommand } from './RollQuickCommand.js';
 import { RollReactionCommand } from './RollReactionCommand.js';
 import { RollAmendCommand } from './RollAmendCommand.js';
 import { RollConfirmCommand } from './RollConfirmCommand.js';
+import { RollQueueCommand } from './RollQueueCommand.js';
 import { RollExecuteCommand } from './RollExecuteCommand.js';
+import { RollUndoCommand } from './RollUndoCommand.js';
+import { RollHistoryCommand } from './RollHistoryCommand.js';
+import { RollChainCommand } from './RollChainCommand.js';
+import { StatsCommand } from './StatsCommand.js';
 
 /**
  * Array of all command classes
@@ -29,16 +46,33 @@ export const commands = [
   new RemoveTagsCommand(),
   new ListSceneStatusCommand(),
   new ClearSceneCommand(),
+  new SceneLimitCommand(),
+  new ChallengeCreateCommand(),
+  new ChallengeAddTagCommand(),
+  new ChallengeViewCommand(),
+  new ChallengeRemoveTagCommand(),
+  new ChallengeRemoveCommand(),
   new CreateCharacterCommand(),
   new EditCharacterCommand(),
   new SelectCharacterCommand(),
   new ViewCharacterCommand(),
+  new ExportCharacterCommand(),
+  new ImportCharacterFileCommand(),
+  new ThemeDevelopCommand(),
+  new ThemeTrackCommand(),
   new FellowshipLookupCommand(),
   new ImportCharacterCommand(),
+  new NpcPlayCommand(),
   new RollProposeCommand(),
+  new RollQuickCommand(),
   new RollReactionCommand(),
   new RollAmendCommand(),
   new RollConfirmCommand(),
+  new RollQueueCommand(),
   new RollExecuteCommand(),
+  new RollUndoCommand(),
+  new RollHistoryCommand(),
+  new RollChainCommand(),
+  new StatsCommand(),
 ];
 
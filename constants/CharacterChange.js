@@ -0,0 +1,42 @@
+/**
+ * Character change enum
+ * Defines the kinds of changes recorded in a character's history
+ */
+export const CharacterChange = {
+  BASELINE: 'baseline', // The character as it was before its first recorded change
+  EDIT: 'edit', // Edited by hand (modals, statuses editor, burn/refresh, theme tracks)
+  ROLL: 'roll', // Changed by a roll (execution, undo, spent Power, consequences)
+  THEME_DEVELOPMENT: 'theme_development', // A theme spent its improvements on a development
+  SHEET_SYNC: 'sheet_sync', // Synced or imported from its Google Sheet by a player or narrator
+  WEBHOOK_SYNC: 'webhook_sync', // Synced from its Google Sheet when the sheet changed
+  FILE_IMPORT: 'file_import', // Created or replaced by a character file (/char-import-file)
+  RESTORE: 'restore', // Restored to a previous version
+};
+
+/**
+ * Get human-readable character change name
+ */
+export function getCharacterChangeDisplayName(change) {
+  switch (change) {
+  case CharacterChange.BASELINE:
+    return 'Earliest version';
+  case CharacterChange.EDIT:
+    return 'Edit';
+  case CharacterChange.ROLL:
+    return 'Roll';
+  case CharacterChange.THEME_DEVELOPMENT:
+    return 'Theme development';
+  case CharacterChange.SHEET_SYNC:
+    return 'Sheet sync';
+  case CharacterChange.WEBHOOK_SYNC:
+    return 'Automatic sheet sync';
+  case CharacterChange.FILE_IMPORT:
+    return 'File import';
+  case CharacterChange.RESTORE:
+    return 'Restore';
+  default:
+    return change;
+  }
+}
+
+export default CharacterChange;
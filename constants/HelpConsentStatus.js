@@ -0,0 +1,34 @@
+/**
+ * Help consent status enum
+ * Tracks whether a player agreed to let another player's roll use their character's tags
+ */
+export const HelpConsentStatus = {
+  PENDING: 'pending',   // Waiting for the helping character's owner
+  APPROVED: 'approved', // The owner agreed (or owns the rolling character too)
+  DECLINED: 'declined', // The owner refused - the tags must be removed before confirming
+};
+
+/**
+ * Check if a help consent status is valid
+ */
+export function isValidHelpConsentStatus(status) {
+  return Object.values(HelpConsentStatus).includes(status);
+}
+
+/**
+ * Get human-readable help consent status name
+ */
+export function getHelpConsentDisplayName(status) {
+  switch (status) {
+  case HelpConsentStatus.PENDING:
+    return 'Waiting for consent';
+  case HelpConsentStatus.APPROVED:
+    return 'Approved';
+  case HelpConsentStatus.DECLINED:
+    return 'Declined';
+  default:
+    return status;
+  }
+}
+
+export default HelpConsentStatus;
@@ -0,0 +1,37 @@
+/**
+ * Roll consequence enum
+ * Defines the consequences a narrator can impose after a miss or a partial success
+ */
+export const RollConsequence = {
+  INFLICT_STATUS: 'inflict_status', // Inflict a status on the rolling character (stacks)
+  ADD_LIMIT: 'add_limit',           // Add a limit to the roll's scene
+  BURN_TAG: 'burn_tag',             // Burn one of the rolling character's theme tags
+  REMOVE_TAG: 'remove_tag',         // Remove a story tag, backpack item or scene tag
+};
+
+/**
+ * Check if a consequence is valid
+ */
+export function isValidRollConsequence(consequence) {
+  return Object.values(RollConsequence).includes(consequence);
+}
+
+/**
+ * Get human-readable consequence name
+ */
+export function getConsequenceDisplayName(consequence) {
+  switch (consequence) {
+  case RollConsequence.INFLICT_STATUS:
+    return 'Inflict a status';
+  case RollConsequence.ADD_LIMIT:
+    return 'Add a scene limit';
+  case RollConsequence.BURN_TAG:
+    return 'Burn a tag';
+  case RollConsequence.REMOVE_TAG:
+    return 'Remove a tag';
+  default:
+    return consequence;
+  }
+}
+
+export default RollConsequence;
@@ -0,0 +1,53 @@
+/**
+ * Roll outcome enum
+ * Defines the outcome tiers a roll can land on once executed
+ */
+export const RollOutcome = {
+  SUCCESS: 'success',                                     // 10+ (or double 6's)
+  SUCCESS_WITH_CONSEQUENCES: 'success_with_consequences', // 7-9
+  CONSEQUENCES: 'consequences',                           // 6 or less (or double 1's)
+  REACTION_SPEND_POWER_PLUS: 'reaction_spend_power_plus', // Reaction roll 10+
+  REACTION_SPEND_POWER: 'reaction_spend_power',           // Reaction roll 7-9
+  REACTION_SUFFER: 'reaction_suffer',                     // Reaction roll 6 or less
+};
+
+/**
+ * Check if an outcome is valid
+ */
+export function isValidRollOutcome(outcome) {
+  return Object.values(RollOutcome).includes(outcome);
+}
+
+/**
+ * Check if an outcome lets the narrator impose consequences (misses and partial successes)
+ */
+export function hasConsequences(outcome) {
+  return outcome === RollOutcome.SUCCESS_WITH_CONSEQUENCES ||
+    outcome === RollOutcome.CONSEQUENCES ||
+    outcome === RollOutcome.REACTION_SPEND_POWER ||
+    outcome === RollOutcome.REACTION_SUFFER;
+}
+
+/**
+ * Get human-readable outcome name
+ */
+export function getOutcomeDisplayName(outcome) {
+  switch (outcome) {
+  case RollOutcome.SUCCESS:
+    return 'Success';
+  case RollOutcome.SUCCESS_WITH_CONSEQUENCES:
+    return 'Success & Consequences';
+  case RollOutcome.CONSEQUENCES:
+    return 'Consequences';
+  case RollOutcome.REACTION_SPEND_POWER_PLUS:
+    return 'Reaction: Spend Power +1';
+  case RollOutcome.REACTION_SPEND_POWER:
+    return 'Reaction: Spend Power';
+  case RollOutcome.REACTION_SUFFER:
+    return 'Reaction: Suffer Consequences';
+  default:
+    return outcome;
+  }
+}
+
+export default RollOutcome;
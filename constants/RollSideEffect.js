@@ -0,0 +1,13 @@
+/**
+ * Roll side effect enum
+ * Defines the changes executing a roll makes, recorded in the roll journal so /roll-undo can revert them
+ */
+export const RollSideEffect = {
+  BURN_THEME: 'burn_theme',                     // A theme was marked as burned
+  BURN_THEME_TAG: 'burn_theme_tag',             // A theme tag was marked as burned
+  DELETE_BACKPACK_ITEM: 'delete_backpack_item', // A burned backpack item was deleted
+  DELETE_STORY_TAG: 'delete_story_tag',         // A burned character story tag was deleted
+  THEME_IMPROVEMENT: 'theme_improvement',       // A theme gained improvements from weaknesses
+};
+
+export default RollSideEffect;
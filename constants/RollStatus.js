@@ -6,6 +6,9 @@ export const RollStatus = {
   PROPOSED: 'proposed',    // Roll proposed but not yet confirmed
   CONFIRMED: 'confirmed',  // Roll confirmed by editor
   EXECUTED: 'executed',    // Roll has been executed (dice rolled)
+  REJECTED: 'rejected',    // Roll rejected by a narrator (with a reason)
+  CANCELLED: 'cancelled',  // Roll withdrawn by its creator (with a reason)
+  EXPIRED: 'expired',      // Roll left unconfirmed or unexecuted for too long (see ROLL_EXPIRE_DAYS)
 };
 
 /**
@@ -15,6 +18,14 @@ export function isValidRollStatus(status) {
   return Object.values(RollStatus).includes(status);
 }
 
+/**
+ * Check if a roll was rejected, cancelled or expired
+ * These are terminal states: the roll can no longer be amended, confirmed or executed
+ */
+export function isDiscardedRollStatus(status) {
+  return status === RollStatus.REJECTED || status === RollStatus.CANCELLED || status === RollStatus.EXPIRED;
+}
+
 /**
  * Get human-readable status name
  */
@@ -26,6 +37,12 @@ export function getStatusDisplayName(status) {
     return 'confirmed';
   case RollStatus.EXECUTED:
     return 'executed';
+  case RollStatus.REJECTED:
+    return 'rejected';
+  case RollStatus.CANCELLED:
+    return 'cancelled';
+  case RollStatus.EXPIRED:
+    return 'expired';
   default:
     return status;
   }
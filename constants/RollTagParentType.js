@@ -9,5 +9,6 @@ export const RollTagParentType = {
   CHARACTER_STATUS: 'character_status',
   SCENE_TAG: 'scene_tag',
   FELLOWSHIP_TAG: 'fellowship_tag',
+  CHALLENGE_TAG: 'challenge_tag',
 };
 
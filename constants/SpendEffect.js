@@ -0,0 +1,37 @@
+/**
+ * Spend effect enum
+ * Defines the effects a player can buy with the Power of a successful roll
+ */
+export const SpendEffect = {
+  GIVE_STATUS: 'give_status',         // Give a status (or stack it) - costs its tier
+  ADD_STORY_TAG: 'add_story_tag',     // Create a story tag - costs 2
+  REDUCE_STATUS: 'reduce_status',     // Reduce a status by some tiers - costs the tiers removed
+  DISCOVER_DETAIL: 'discover_detail', // Discover a valuable detail - costs 1
+};
+
+/**
+ * Check if a spend effect is valid
+ */
+export function isValidSpendEffect(effect) {
+  return Object.values(SpendEffect).includes(effect);
+}
+
+/**
+ * Get human-readable spend effect name
+ */
+export function getSpendEffectDisplayName(effect) {
+  switch (effect) {
+  case SpendEffect.GIVE_STATUS:
+    return 'Give a status';
+  case SpendEffect.ADD_STORY_TAG:
+    return 'Add a story tag';
+  case SpendEffect.REDUCE_STATUS:
+    return 'Reduce a status';
+  case SpendEffect.DISCOVER_DETAIL:
+    return 'Discover a detail';
+  default:
+    return effect;
+  }
+}
+
+export default SpendEffect;
@@ -0,0 +1,37 @@
+/**
+ * Theme improvement enum
+ * Defines the ways a player can develop a theme once it has gathered enough improvements
+ */
+export const ThemeImprovement = {
+  ADD_TAG: 'add_tag',                 // Add a new power tag
+  REMOVE_WEAKNESS: 'remove_weakness', // Remove a weakness tag
+  REWRITE_TAG: 'rewrite_tag',         // Rename or upgrade an existing tag
+  SPECIAL: 'special',                 // Take a special improvement of the theme (recorded as a note)
+};
+
+/**
+ * Check if a theme improvement is valid
+ */
+export function isValidThemeImprovement(improvement) {
+  return Object.values(ThemeImprovement).includes(improvement);
+}
+
+/**
+ * Get human-readable theme improvement name
+ */
+export function getThemeImprovementDisplayName(improvement) {
+  switch (improvement) {
+  case ThemeImprovement.ADD_TAG:
+    return 'Add a power tag';
+  case ThemeImprovement.REMOVE_WEAKNESS:
+    return 'Remove a weakness';
+  case ThemeImprovement.REWRITE_TAG:
+    return 'Rename or upgrade a tag';
+  case ThemeImprovement.SPECIAL:
+    return 'Special improvement';
+  default:
+    return improvement;
+  }
+}
+
+export default ThemeImprovement;
@@ -0,0 +1,19 @@
+/**
+ * Theme track enum
+ * Defines the tracks a theme can fill; each value is the theme property (and column) holding its marks
+ * Rulesets name the tracks (see Ruleset.getThemeTracks)
+ */
+export const ThemeTrack = {
+  IMPROVEMENTS: 'improvements', // Improve (Attention, Upgrade) - full when the theme can develop
+  MILESTONES: 'milestones',     // Milestone - progress towards the theme's quest
+  ABANDONS: 'abandons',         // Abandon (Fade/Crack, Decay) - full when the theme is lost
+};
+
+/**
+ * Check if a theme track is valid
+ */
+export function isValidThemeTrack(track) {
+  return Object.values(ThemeTrack).includes(track);
+}
+
+export default ThemeTrack;
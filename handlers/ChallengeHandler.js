@@ -0,0 +1,16 @@
+import { ChallengeStorage } from '../utils/ChallengeStorage.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+
+/**
+ * Handle autocomplete for challenge options (challenges in the current scene)
+ */
+export async function handleChallengeAutocomplete(interaction) {
+  const guildId = requireGuildId(interaction);
+  const focusedOption = interaction.options.getFocused(true);
+  const searchValue = focusedOption.value.toLowerCase();
+  const challenges = ChallengeStorage.getChallenges(guildId, interaction.channelId)
+    .filter(challenge => challenge.name.toLowerCase().includes(searchValue))
+    .slice(0, 25); // Discord limit is 25 options
+
+  await interaction.respond(challenges.map(challenge => ({ name: challenge.name, value: challenge.name })));
+}
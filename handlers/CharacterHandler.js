@@ -5,10 +5,14 @@ import { CreateCharacterCommand } from '../commands/CreateCharacterCommand.js';
 import { EditCharacterCommand } from '../commands/EditCharacterCommand.js';
 import { CharacterView } from '../utils/CharacterView.js';
 import { StatusesEditorView } from '../utils/StatusesEditorView.js';
+import { StatusModel } from '../utils/StatusModel.js';
+import { announceReachedLimits } from './LimitHandler.js';
 import { Validation } from '../utils/Validation.js';
 import { requireGuildId } from '../utils/GuildUtils.js';
 import { WebhookSubscriptionStorage } from '../utils/WebhookSubscriptionStorage.js';
 import sheetsService from '../utils/GoogleSheetsService.js';
+import { CharacterHistoryStorage } from '../utils/CharacterHistoryStorage.js';
+import { CharacterChange } from '../constants/CharacterChange.js';
 
 /**
  * Handle modal submissions (character creation/editing)
@@ -73,6 +77,7 @@ export async function handleModalSubmit(interaction, client) {
     }
 
     // Update the character
+    CharacterHistoryStorage.recordBaseline(guildId, characterId);
     const updatedCharacter = CharacterStorage.updateCharacter(guildId, userId, characterId, {
       name: name.trim(),
       themes: themes.map(theme => ({
@@ -89,6 +94,7 @@ export async function handleModalSubmit(interaction, client) {
       });
       return;
     }
+    CharacterHistoryStorage.record(guildId, characterId, CharacterChange.EDIT, 'Edited the name and themes', null, userId);
 
     // Build character displays
     const displayData = await CharacterView.buildCharacterDisplays(updatedCharacter, interaction);
@@ -128,6 +134,7 @@ export async function handleModalSubmit(interaction, client) {
       .filter(item => item.length > 0);
 
     // Update the character's backpack and story tags
+    CharacterHistoryStorage.recordBaseline(guildId, characterId);
     const updatedCharacter = CharacterStorage.updateCharacter(guildId, userId, characterId, {
       backpack: backpack,
       storyTags: storyTags,
@@ -140,6 +147,7 @@ export async function handleModalSubmit(interaction, client) {
       });
       return;
     }
+    CharacterHistoryStorage.record(guildId, characterId, CharacterChange.EDIT, 'Edited the backpack and story tags', null, userId);
 
     // Build character displays using Components V2
     const displayData = await CharacterView.buildCharacterDisplays(updatedCharacter, interaction);
@@ -177,13 +185,20 @@ export async function handleModalSubmit(interaction, client) {
       return;
     }
 
-    // Add new status (as simple string, user can add power levels later)
-    const updatedStatuses = [...(character.tempStatuses || [])];
-    updatedStatuses.push(statusName);
-
-    const updatedCharacter = CharacterStorage.updateCharacter(guildId, userId, characterId, {
-      tempStatuses: updatedStatuses,
-    });
+    // "name-N" stacks tier N onto the status (creating it if needed)
+    // A bare name adds the status as a simple string, user can add power levels later
+    const { name, tier } = StatusModel.parse(statusName);
+    CharacterHistoryStorage.recordBaseline(guildId, characterId);
+    let updatedCharacter;
+    if (tier > 0) {
+      updatedCharacter = CharacterStorage.addStatusTier(guildId, character, name, tier);
+    } else if (StatusModel.find(character.tempStatuses, name)) {
+      updatedCharacter = character;
+    } else {
+      updatedCharacter = CharacterStorage.updateCharacter(guildId, userId, characterId, {
+        tempStatuses: [...(character.tempStatuses || []), statusName],
+      });
+    }
 
     if (!updatedCharacter) {
       await interaction.reply({
@@ -192,6 +207,7 @@ export async function handleModalSubmit(interaction, client) {
       });
       return;
     }
+    CharacterHistoryStorage.record(guildId, characterId, CharacterChange.EDIT, `Added the status **${statusName}**`, null, userId);
 
     // Show updated editor
     const editorData = StatusesEditorView.build(updatedCharacter);
@@ -201,6 +217,7 @@ export async function handleModalSubmit(interaction, client) {
       components: allComponents,
       flags: MessageFlags.Ephemeral | MessageFlags.IsComponentsV2,
     });
+    await announceReachedLimits(client, guildId, { characterId });
   } else if (customId.startsWith('edit_theme_modal_')) {
     // Handle edit single theme modal submission
     // Format: edit_theme_modal_{characterId}_{themeId} or edit_theme_modal_{characterId}_{themeId}_{messageId}
@@ -257,6 +274,7 @@ export async function handleModalSubmit(interaction, client) {
     const quest = interaction.fields.getTextInputValue('quest')?.trim() || null;
 
     // Update the theme using updateSingleTheme
+    CharacterHistoryStorage.recordBaseline(guildId, characterId);
     const updatedTheme = CharacterStorage.updateSingleTheme(guildId, themeId, {
       name: themeName,
       tags: tags,
@@ -271,6 +289,7 @@ export async function handleModalSubmit(interaction, client) {
       });
       return;
     }
+    CharacterHistoryStorage.record(guildId, characterId, CharacterChange.EDIT, `Edited the theme **${themeName}**`, null, userId);
 
     // Reload character to get updated data
     const updatedCharacter = character.user_id 
@@ -675,13 +694,15 @@ export async function handleStatusesRemove(interaction, client) {
   const updatedStatuses = [...(character.tempStatuses || [])];
   
   if (!isNaN(selectedIndex) && selectedIndex >= 0 && selectedIndex < updatedStatuses.length) {
-    updatedStatuses.splice(selectedIndex, 1);
+    const [removedStatus] = updatedStatuses.splice(selectedIndex, 1);
     
+    CharacterHistoryStorage.recordBaseline(guildId, characterId);
     const updatedCharacter = CharacterStorage.updateCharacter(guildId, userId, characterId, {
       tempStatuses: updatedStatuses,
     });
 
     if (updatedCharacter) {
+      CharacterHistoryStorage.record(guildId, characterId, CharacterChange.EDIT, `Removed the status **${StatusModel.fromStatus(removedStatus).toString()}**`, null, userId);
       const editorData = StatusesEditorView.build(updatedCharacter);
       const allComponents = StatusesEditorView.combineComponents(editorData);
 
@@ -689,6 +710,7 @@ export async function handleStatusesRemove(interaction, client) {
         components: allComponents,
         flags: MessageFlags.IsComponentsV2,
       });
+      await announceReachedLimits(client, guildId, { characterId });
     }
   }
 }
@@ -774,7 +796,7 @@ export async function handleStatusesEditor(interaction, client) {
     const nameInput = new TextInputBuilder()
       .setCustomId('status_name')
       .setStyle(TextInputStyle.Short)
-      .setPlaceholder('Enter status name (e.g., "rested", "injured")')
+      .setPlaceholder('Status name, add a tier to stack it (e.g., "rested", "injured-2")')
       .setRequired(true)
       .setMaxLength(100);
 
@@ -812,11 +834,13 @@ export async function handleStatusesEditor(interaction, client) {
         };
       }
 
+      CharacterHistoryStorage.recordBaseline(guildId, characterId);
       const updatedCharacter = CharacterStorage.updateCharacter(guildId, userId, characterId, {
         tempStatuses: updatedStatuses,
       });
 
       if (updatedCharacter) {
+        CharacterHistoryStorage.record(guildId, characterId, CharacterChange.EDIT, `Changed the status **${StatusModel.fromStatus(updatedStatuses[statusIdx]).toString()}**`, null, userId);
         const editorData = StatusesEditorView.build(updatedCharacter, statusIdx);
         const allComponents = StatusesEditorView.combineComponents(editorData);
 
@@ -824,6 +848,7 @@ export async function handleStatusesEditor(interaction, client) {
           components: allComponents,
           flags: MessageFlags.IsComponentsV2,
         });
+        await announceReachedLimits(client, guildId, { characterId });
       }
     }
     return;
@@ -1000,15 +1025,17 @@ export async function handleBurnRefreshSelect(interaction, client) {
     }
   }
   // Update character with burned/refreshed tags
+  CharacterHistoryStorage.recordBaseline(guildId, characterId);
   if (tagsToBurn.length > 0) {
     CharacterStorage.markTagsAsBurned(guildId, userId, characterId, tagsToBurn);
   }
   if (tagsToRefresh.length > 0) {
     CharacterStorage.refreshBurnedTags(guildId, userId, characterId, tagsToRefresh);
   }
+  CharacterHistoryStorage.record(guildId, characterId, CharacterChange.EDIT, 'Burned and refreshed tags', null, userId);
 
   // Refresh character display
-  await EditCharacterCommand.displayCharacter(interaction, CharacterStorage.getCharacter(guildId, userId, characterId), true, userId);
+  await EditCharacterCommand.displayCharacter(interaction, CharacterStorage.getCharacter(guildId, userId, characterId), true);
 }
 
 /**
@@ -1339,7 +1366,11 @@ export async function handleSyncFromSheetButton(interaction, client) {
   await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
   // Perform sync
+  CharacterHistoryStorage.recordBaseline(guildId, characterId);
   const result = await CharacterStorage.syncFromSheet(guildId, userId, characterId);
+  if (result.success) {
+    CharacterHistoryStorage.record(guildId, characterId, CharacterChange.SHEET_SYNC, 'Synced from the Google Sheet', null, userId);
+  }
 
   if (result.success) {
     await interaction.editReply({
@@ -1495,6 +1526,7 @@ export async function handleConfirmEnableAutoSync(interaction, client) {
   }
 
   // First, sync FROM the sheet to ensure sheet is the source of truth
+  CharacterHistoryStorage.recordBaseline(guildId, characterId);
   const syncResult = await CharacterStorage.syncFromSheet(guildId, userId, characterId);
 
   if (!syncResult.success) {
@@ -1510,6 +1542,8 @@ export async function handleConfirmEnableAutoSync(interaction, client) {
     return;
   }
 
+  CharacterHistoryStorage.record(guildId, characterId, CharacterChange.SHEET_SYNC, 'Synced from the Google Sheet when enabling auto-sync', null, userId);
+
   // Get the synced character
   const syncedCharacter = CharacterStorage.getCharacter(guildId, userId, characterId);
 
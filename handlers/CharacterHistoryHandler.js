@@ -0,0 +1,112 @@
+import { MessageFlags } from 'discord.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { CharacterHistoryStorage } from '../utils/CharacterHistoryStorage.js';
+import { CharacterHistoryView } from '../utils/CharacterHistoryView.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+import { isNarrator } from '../utils/NarratorUtils.js';
+
+/**
+ * Get a character whose history the user may see and restore: their own, or any character for narrators
+ * @returns {Promise<Object|null>} The character, or null after replying why the user can't
+ */
+async function getManagedCharacter(interaction, guildId, characterId) {
+  const character = CharacterStorage.getCharacterById(guildId, characterId);
+  if (!character) {
+    await interaction.reply({
+      content: 'Character not found.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return null;
+  }
+
+  if (character.user_id === interaction.user.id) {
+    return character;
+  }
+
+  if (!isNarrator(interaction, guildId)) {
+    await interaction.reply({
+      content: 'Only the owner of this character or a narrator can see its history.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return null;
+  }
+  return character;
+}
+
+/**
+ * Get the versions of a character, newest first
+ * Entries recorded before characters had snapshots can't be compared or restored, so they are left out
+ */
+function getVersions(guildId, characterId) {
+  return CharacterHistoryStorage.getHistory(guildId, characterId).filter(entry => entry.snapshot);
+}
+
+/**
+ * Handle the "History" button of the character view
+ */
+export async function handleCharacterHistoryButton(interaction, client) {
+  const guildId = requireGuildId(interaction);
+  const characterId = parseInt(interaction.customId.replace('character_history_', ''));
+
+  const character = await getManagedCharacter(interaction, guildId, characterId);
+  if (!character) return;
+
+  const historyData = CharacterHistoryView.buildHistory(guildId, character, getVersions(guildId, characterId));
+  await interaction.reply({
+    components: historyData.components,
+    flags: historyData.flags | MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Handle picking a version in the history
+ */
+export async function handleCharacterHistoryVersionSelect(interaction, client) {
+  const guildId = requireGuildId(interaction);
+  const characterId = parseInt(interaction.customId.replace('character_history_version_', ''));
+
+  const character = await getManagedCharacter(interaction, guildId, characterId);
+  if (!character) return;
+
+  const version = CharacterHistoryStorage.getVersion(guildId, characterId, parseInt(interaction.values[0]));
+  if (!version) {
+    await interaction.reply({
+      content: 'This version no longer exists.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.update(CharacterHistoryView.buildHistory(guildId, character, getVersions(guildId, characterId), version));
+}
+
+/**
+ * Handle the "Restore this version" button: put the character back the way it was in that version
+ */
+export async function handleCharacterHistoryRestoreButton(interaction, client) {
+  const guildId = requireGuildId(interaction);
+  const [characterId, entryId] = interaction.customId.replace('character_history_restore_', '').split('_').map(id => parseInt(id));
+
+  const character = await getManagedCharacter(interaction, guildId, characterId);
+  if (!character) return;
+
+  const version = CharacterHistoryStorage.getVersion(guildId, characterId, entryId);
+  if (!version) {
+    await interaction.reply({
+      content: 'This version no longer exists.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const updatedCharacter = CharacterHistoryStorage.restoreVersion(guildId, character, version, interaction.user.id);
+  if (!updatedCharacter) {
+    await interaction.reply({
+      content: 'Failed to restore the character.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+  await interaction.update(CharacterHistoryView.buildHistory(guildId, updatedCharacter, getVersions(guildId, characterId)));
+  await interaction.followUp(CharacterHistoryView.buildRestoreNotice(updatedCharacter, version, interaction.user.id));
+}
@@ -0,0 +1,66 @@
+import { LimitStorage } from '../utils/LimitStorage.js';
+import { LimitView } from '../utils/LimitView.js';
+import { StoryTagStorage } from '../utils/StoryTagStorage.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+
+/**
+ * Check the linked limits affected by a status change and post an alert in each scene whose limit was reached
+ * Call this after changing scene or character statuses
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @param {Object} changed - What changed
+ * @param {string} [changed.sceneId] - Scene whose statuses changed
+ * @param {number} [changed.characterId] - Character whose statuses changed
+ */
+export async function announceReachedLimits(client, guildId, { sceneId = null, characterId = null }) {
+  const links = [];
+  if (sceneId) {
+    links.push(...LimitStorage.getLinks(guildId, sceneId).filter(link => link.targetType === 'scene'));
+  }
+  if (characterId) {
+    links.push(...LimitStorage.getLinksForCharacter(guildId, characterId));
+  }
+  if (links.length === 0) {
+    return;
+  }
+
+  for (const link of LimitStorage.checkLinks(guildId, links)) {
+    try {
+      const channel = await client.channels.fetch(link.sceneId);
+      await channel.send(LimitView.buildLimitAlert(link, guildId));
+    } catch (error) {
+      console.error(`Error posting limit alert in scene ${link.sceneId}:`, error);
+    }
+  }
+}
+
+/**
+ * Post an alert in a challenge's scene for each of its limits a status change reached
+ * @param {Client} client - Discord client
+ * @param {Object} challenge - Challenge from ChallengeStorage
+ * @param {Array<Object>} reached - Limits from ChallengeStorage.getNewlyReachedLimits
+ */
+export async function announceReachedChallengeLimits(client, challenge, reached) {
+  for (const limit of reached) {
+    try {
+      const channel = await client.channels.fetch(challenge.sceneId);
+      await channel.send(LimitView.buildChallengeLimitAlert(challenge, limit));
+    } catch (error) {
+      console.error(`Error posting challenge limit alert in scene ${challenge.sceneId}:`, error);
+    }
+  }
+}
+
+/**
+ * Handle autocomplete for the limit option of /scene-limit (limits on the current scene)
+ */
+export async function handleSceneLimitAutocomplete(interaction) {
+  const focusedOption = interaction.options.getFocused(true);
+  const guildId = requireGuildId(interaction);
+  const searchValue = focusedOption.value.toLowerCase();
+  const limits = StoryTagStorage.getLimits(guildId, interaction.channelId)
+    .filter(limit => limit.toLowerCase().includes(searchValue))
+    .slice(0, 25); // Discord limit is 25 options
+
+  await interaction.respond(limits.map(limit => ({ name: limit, value: limit })));
+}
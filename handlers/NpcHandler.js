@@ -0,0 +1,41 @@
+import { MessageFlags } from 'discord.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { NpcPlayCommand } from '../commands/NpcPlayCommand.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+
+/**
+ * Handle the /npc-play select menu: switch the NPC the narrator rolls as
+ */
+export async function handleNpcPlaySelect(interaction, client) {
+  const guildId = requireGuildId(interaction);
+  const userId = interaction.user.id;
+  const selectedValue = interaction.values[0];
+
+  if (selectedValue === NpcPlayCommand.OWN_CHARACTER) {
+    CharacterStorage.setActiveNpc(guildId, userId, null);
+    const character = CharacterStorage.getActiveCharacter(guildId, userId);
+    await interaction.update({
+      content: character
+        ? `**Playing: ${character.name}**\n\nYou roll as your own character again.`
+        : '**No NPC**\n\nYou no longer roll as an NPC.',
+      components: [],
+    });
+    return;
+  }
+
+  const characterId = parseInt(selectedValue);
+  const npc = CharacterStorage.getCharacterById(guildId, characterId);
+  // A player may have claimed the character since the menu was shown
+  if (!npc || npc.user_id || !CharacterStorage.setActiveNpc(guildId, userId, characterId)) {
+    await interaction.reply({
+      content: 'This NPC no longer exists or has been claimed by a player.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.update({
+    content: `**Playing: ${npc.name} (NPC)**\n\nYour rolls are made as ${npc.name} until you switch with /npc-play.`,
+    components: [],
+  });
+}
@@ -0,0 +1,267 @@
+import { MessageFlags, ContainerBuilder, TextDisplayBuilder } from 'discord.js';
+import { RollStorage } from '../utils/RollStorage.js';
+import { RollConsequenceStorage } from '../utils/RollConsequenceStorage.js';
+import { RollConsequenceView } from '../utils/RollConsequenceView.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { ConsequenceModal } from '../utils/modals/ConsequenceModal.js';
+import { RollConsequence, isValidRollConsequence } from '../constants/RollConsequence.js';
+import { hasConsequences } from '../constants/RollOutcome.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+import { requireNarrator } from '../utils/NarratorUtils.js';
+import { announceReachedLimits } from './LimitHandler.js';
+
+/**
+ * Get the consequence session for a component or modal interaction, replying if it has expired
+ * @returns {Promise<Object|null>} Consequence state or null if the session is gone
+ */
+async function getConsequenceState(interaction, client, consequenceKey) {
+  if (!client.rollConsequenceStates || !client.rollConsequenceStates.has(consequenceKey)) {
+    await interaction.reply({
+      content: 'This consequence session has expired. Press "Impose Consequences" on the roll result again.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return null;
+  }
+  return client.rollConsequenceStates.get(consequenceKey);
+}
+
+/**
+ * Build the consequence view for a session
+ */
+function buildConsequenceDisplay(consequenceKey, consequenceState, guildId) {
+  return RollConsequenceView.buildConsequenceDisplay(consequenceKey, {
+    rollId: consequenceState.rollId,
+    characterName: consequenceState.characterName,
+    imposed: RollConsequenceStorage.getConsequences(guildId, consequenceState.rollId),
+    pending: consequenceState.pending,
+    tagCandidates: consequenceState.tagCandidates,
+    guildId,
+  });
+}
+
+/**
+ * Handle the "Impose Consequences" button on a roll result
+ */
+export async function handleRollConsequenceStart(interaction, client) {
+  const customId = interaction.customId;
+  const rollId = parseInt(customId.replace('roll_consequence_start_', ''));
+  const guildId = requireGuildId(interaction);
+
+  if (!(await requireNarrator(interaction, guildId, 'Only narrators can impose consequences.'))) {
+    return;
+  }
+
+  const roll = RollStorage.getRoll(guildId, rollId);
+  if (!roll || !roll.result) {
+    await interaction.reply({
+      content: `Roll #${rollId} has no recorded result.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (!hasConsequences(roll.result.outcome)) {
+    await interaction.reply({
+      content: `Roll #${rollId} was a full success - there are no consequences to impose.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const character = CharacterStorage.getCharacterById(guildId, roll.characterId);
+  const consequenceKey = `${rollId}_${interaction.user.id}`;
+  const consequenceState = {
+    rollId,
+    characterName: character ? character.name : 'Unknown character',
+    pending: [],
+    selectedConsequence: null,
+    tagCandidates: null,
+  };
+
+  if (!client.rollConsequenceStates) {
+    client.rollConsequenceStates = new Map();
+  }
+  client.rollConsequenceStates.set(consequenceKey, consequenceState);
+
+  const consequenceData = buildConsequenceDisplay(consequenceKey, consequenceState, guildId);
+  await interaction.reply({
+    components: consequenceData.components,
+    flags: consequenceData.flags | MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Handle consequence type selection
+ * Statuses and limits open a modal, tags switch the view to a tag picker
+ */
+export async function handleRollConsequenceTypeSelect(interaction, client) {
+  const customId = interaction.customId;
+  const consequenceKey = customId.replace('roll_consequence_type_', '');
+  const consequenceState = await getConsequenceState(interaction, client, consequenceKey);
+  if (!consequenceState) return;
+
+  const consequence = interaction.values[0];
+  if (!isValidRollConsequence(consequence)) {
+    await interaction.reply({
+      content: 'Unknown consequence.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const guildId = requireGuildId(interaction);
+  consequenceState.selectedConsequence = consequence;
+
+  if (consequence === RollConsequence.INFLICT_STATUS || consequence === RollConsequence.ADD_LIMIT) {
+    client.rollConsequenceStates.set(consequenceKey, consequenceState);
+    await interaction.showModal(ConsequenceModal.build(consequenceKey, consequence));
+    return;
+  }
+
+  const roll = RollStorage.getRoll(guildId, consequenceState.rollId);
+  const pendingKeys = new Set(consequenceState.pending.map(c => c.key));
+  consequenceState.tagCandidates = RollConsequenceStorage.getTagCandidates(guildId, roll, consequence)
+    .filter(candidate => !pendingKeys.has(candidate.key));
+  client.rollConsequenceStates.set(consequenceKey, consequenceState);
+
+  await interaction.update(buildConsequenceDisplay(consequenceKey, consequenceState, guildId));
+}
+
+/**
+ * Handle tag selection for a burn/remove consequence
+ */
+export async function handleRollConsequenceTagSelect(interaction, client) {
+  const customId = interaction.customId;
+  const consequenceKey = customId.replace('roll_consequence_tag_', '');
+  const consequenceState = await getConsequenceState(interaction, client, consequenceKey);
+  if (!consequenceState) return;
+
+  const candidate = (consequenceState.tagCandidates || []).find(c => c.key === interaction.values[0]);
+  if (candidate) {
+    consequenceState.pending.push({
+      consequence: consequenceState.selectedConsequence,
+      targetType: candidate.targetType,
+      targetId: candidate.targetId,
+      value: candidate.name,
+      tier: null,
+      parentType: candidate.parentType,
+      parentId: candidate.parentId,
+      key: candidate.key,
+    });
+  }
+  consequenceState.selectedConsequence = null;
+  consequenceState.tagCandidates = null;
+  client.rollConsequenceStates.set(consequenceKey, consequenceState);
+
+  await interaction.update(buildConsequenceDisplay(consequenceKey, consequenceState, requireGuildId(interaction)));
+}
+
+/**
+ * Handle the status/limit modal submission
+ */
+export async function handleRollConsequenceModal(interaction, client) {
+  const customId = interaction.customId;
+  const consequenceKey = customId.replace('roll_consequence_modal_', '');
+  const consequenceState = await getConsequenceState(interaction, client, consequenceKey);
+  if (!consequenceState) return;
+
+  const parsed = ConsequenceModal.parse(consequenceState.selectedConsequence, interaction.fields);
+  if (!parsed.valid) {
+    await interaction.reply({
+      content: `**Validation Error:** ${parsed.error}`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const guildId = requireGuildId(interaction);
+  const roll = RollStorage.getRoll(guildId, consequenceState.rollId);
+  const isStatus = consequenceState.selectedConsequence === RollConsequence.INFLICT_STATUS;
+  consequenceState.pending.push({
+    consequence: consequenceState.selectedConsequence,
+    // Statuses hit the rolling character, limits go on the roll's scene
+    targetType: isStatus ? 'character' : 'scene',
+    targetId: isStatus ? roll.characterId : roll.sceneId,
+    value: parsed.value,
+    tier: parsed.tier,
+  });
+  consequenceState.selectedConsequence = null;
+  client.rollConsequenceStates.set(consequenceKey, consequenceState);
+
+  await interaction.update(buildConsequenceDisplay(consequenceKey, consequenceState, guildId));
+}
+
+/**
+ * Handle the "Remove Last" / "Back" button
+ */
+export async function handleRollConsequenceUndo(interaction, client) {
+  const customId = interaction.customId;
+  const consequenceKey = customId.replace('roll_consequence_undo_', '');
+  const consequenceState = await getConsequenceState(interaction, client, consequenceKey);
+  if (!consequenceState) return;
+
+  if (consequenceState.tagCandidates) {
+    // Leave the tag picker without adding anything
+    consequenceState.tagCandidates = null;
+    consequenceState.selectedConsequence = null;
+  } else {
+    consequenceState.pending.pop();
+  }
+  client.rollConsequenceStates.set(consequenceKey, consequenceState);
+
+  await interaction.update(buildConsequenceDisplay(consequenceKey, consequenceState, requireGuildId(interaction)));
+}
+
+/**
+ * Handle the "Apply" button (applies the pending consequences and records them against the roll)
+ */
+export async function handleRollConsequenceApply(interaction, client) {
+  const customId = interaction.customId;
+  const consequenceKey = customId.replace('roll_consequence_apply_', '');
+  const consequenceState = await getConsequenceState(interaction, client, consequenceKey);
+  if (!consequenceState) return;
+
+  const guildId = requireGuildId(interaction);
+  RollConsequenceStorage.impose(guildId, consequenceState.rollId, consequenceState.pending, interaction.user.id);
+  client.rollConsequenceStates.delete(consequenceKey);
+
+  const appliedContainer = new ContainerBuilder();
+  appliedContainer.addTextDisplayComponents(
+    new TextDisplayBuilder()
+      .setContent(`**Consequences imposed on Roll #${consequenceState.rollId}.**`)
+  );
+  await interaction.update({
+    components: [appliedContainer],
+    flags: MessageFlags.IsComponentsV2,
+  });
+
+  // Announce the consequences publicly so the table sees what changed
+  await interaction.followUp(RollConsequenceView.buildConsequenceSummary(consequenceState.rollId, interaction.user.id, consequenceState.pending, guildId));
+
+  for (const consequence of consequenceState.pending) {
+    if (consequence.consequence === RollConsequence.INFLICT_STATUS) {
+      await announceReachedLimits(client, guildId, { characterId: parseInt(consequence.targetId) });
+    }
+  }
+}
+
+/**
+ * Handle the "Cancel" button (drops the pending consequences)
+ */
+export async function handleRollConsequenceCancel(interaction, client) {
+  const customId = interaction.customId;
+  const consequenceKey = customId.replace('roll_consequence_cancel_', '');
+  if (client.rollConsequenceStates) {
+    client.rollConsequenceStates.delete(consequenceKey);
+  }
+
+  const cancelContainer = new ContainerBuilder();
+  cancelContainer.addTextDisplayComponents(
+    new TextDisplayBuilder()
+      .setContent('Consequences cancelled. Nothing was applied.')
+  );
+  await interaction.update({
+    components: [cancelContainer],
+    flags: MessageFlags.IsComponentsV2,
+  });
+}
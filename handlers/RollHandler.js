@@ -5,9 +5,20 @@ import { CharacterStorage } from '../utils/CharacterStorage.js';
 import { StoryTagStorage } from '../utils/StoryTagStorage.js';
 import { Validation } from '../utils/Validation.js';
 import { TagEntity } from '../utils/TagEntity.js';
-import RollStatus from '../constants/RollStatus.js';
-import { getServerEnv } from '../utils/ServerConfig.js';
+import RollStatus, { getStatusDisplayName, isDiscardedRollStatus } from '../constants/RollStatus.js';
+import { getServerEnv, getServerEnvBool } from '../utils/ServerConfig.js';
 import { getGuildId, requireGuildId } from '../utils/GuildUtils.js';
+import { isNarrator, requireNarrator } from '../utils/NarratorUtils.js';
+import { RollHistoryCommand } from '../commands/RollHistoryCommand.js';
+import { DiceService } from '../utils/DiceService.js';
+import { RollReasonModal } from '../utils/modals/RollReasonModal.js';
+import { RollExecutor } from '../utils/RollExecutor.js';
+import { RollHelpConsentStorage } from '../utils/RollHelpConsentStorage.js';
+import { RollHelpConsentView } from '../utils/RollHelpConsentView.js';
+import { requestHelpConsents } from './RollHelpConsentHandler.js';
+import { RollLoadoutStorage } from '../utils/RollLoadoutStorage.js';
+import { RollLoadoutModal } from '../utils/modals/RollLoadoutModal.js';
+import { openRollThread, postRollUpdate, sendToRollThread } from './RollThreadHandler.js';
 
 /**
  * Check if a TagEntity already exists in a Set by comparing keys
@@ -86,25 +97,11 @@ export async function canEditRoll(interaction, rollState) {
     return true;
   }
 
-  // Check if user has the editor role
+  // Otherwise only narrators can edit (nobody else if no role ID is configured)
   if (!interaction.member) {
     return false;
   }
-
-  const guildId = getGuildId(interaction);
-  const rollEditorRoleId = getServerEnv('ROLL_EDITOR_ROLE_ID', guildId);
-
-  // If no role ID is configured, only creator can edit
-  if (!rollEditorRoleId) {
-    return false;
-  }
-
-  try {
-    return interaction.member.roles.includes(rollEditorRoleId);
-  } catch (error) {
-    console.error('Error checking user roles:', error);
-    return false;
-  }
+  return isNarrator(interaction, getGuildId(interaction));
 }
 
 /**
@@ -123,6 +120,232 @@ export function combineRollComponents(displayData, interactiveComponents) {
   ];
 }
 
+/**
+ * Start a narrator's confirm editor session for a roll and build its components
+ * Used by /roll-confirm, the re-confirm warning and the /roll-queue buttons
+ * @param {Client} client - Discord client (holds rollStates)
+ * @param {string} guildId - Guild ID
+ * @param {Object} roll - Roll object from RollStorage.getRoll
+ * @returns {Array|null} Components for the editor, or null if the roll's character no longer exists
+ */
+export function buildRollConfirmEditor(client, guildId, roll) {
+  // Get the character to rebuild options (an NPC when a narrator made the roll as one)
+  const character = CharacterStorage.getCharacterById(guildId, roll.characterId);
+  if (!character) {
+    return null;
+  }
+
+  const rollKey = `confirm_${roll.id}`;
+
+  // If this is a reaction roll, exclude tags from the original roll
+  let excludedTags = new Set();
+  if (roll.isReaction && roll.reactionToRollId) {
+    const originalRoll = RollStorage.getRoll(guildId, roll.reactionToRollId);
+    if (originalRoll) {
+      excludedTags = new Set([
+        ...(originalRoll.helpTags || []),
+        ...(originalRoll.hinderTags || [])
+      ]);
+    }
+  }
+
+  // Collect all available tags (exclude burned tags - they can't be used until refreshed)
+  const helpOptions = RollView.collectTags(character, roll.sceneId, StoryTagStorage, false, guildId, false);
+  const filteredHelpOptions = (roll.isReaction && roll.reactionToRollId)
+    ? helpOptions.filter(opt => !excludedTags.has(opt.data.value))
+    : helpOptions;
+
+  const hinderOptions = RollView.collectTags(character, roll.sceneId, StoryTagStorage, false, guildId, true);
+  const filteredHinderOptions = (roll.isReaction && roll.reactionToRollId)
+    ? hinderOptions.filter(opt => !excludedTags.has(opt.data.value))
+    : hinderOptions;
+
+  // Store the roll state for editing
+  const burnedTags = roll.burnedTags || new Set();
+  const isReaction = roll.isReaction === true;
+  const rollState = {
+    rollId: roll.id,
+    creatorId: roll.creatorId,
+    characterId: roll.characterId,
+    sceneId: roll.sceneId,
+    helpTags: roll.helpTags,
+    hinderTags: roll.hinderTags,
+    burnedTags: burnedTags,
+    helpFromCharacterIdMap: roll.helpFromCharacterIdMap || new Map(),
+    hinderFromCharacterIdMap: roll.hinderFromCharacterIdMap || new Map(),
+    description: roll.description,
+    narrationLink: roll.narrationLink,
+    justificationNotes: roll.justificationNotes,
+    showJustificationButton: false,
+    helpOptions: filteredHelpOptions,
+    hinderOptions: filteredHinderOptions,
+    helpPage: 0,
+    hinderPage: 0,
+    buttons: {confirm: true, reject: true, cancel: true},
+    isReaction: isReaction,
+    reactionToRollId: roll.reactionToRollId,
+    mightModifier: roll.mightModifier !== undefined && roll.mightModifier !== null ? roll.mightModifier : 0,
+    asNpc: roll.asNpc
+  };
+  client.rollStates.set(rollKey, rollState);
+
+  // Build components for editing (don't show justification button in confirm view)
+  const interactiveComponents = RollView.buildRollInteractives(rollKey, filteredHelpOptions, filteredHinderOptions, 0, 0, roll.helpTags, roll.hinderTags, rollState.buttons, burnedTags, roll.justificationNotes, false, rollState.helpFromCharacterIdMap, rollState.hinderFromCharacterIdMap, rollState.mightModifier);
+
+  const title = isReaction
+    ? `Reviewing Reaction Roll #${roll.id}${roll.reactionToRollId ? ` (to Roll #${roll.reactionToRollId})` : ''}`
+    : `Reviewing Action Roll #${roll.id}`;
+
+  // Show which helpers agreed to lend their tags (confirming is blocked until all of them have)
+  const consentText = RollHelpConsentView.formatConsents(RollHelpConsentStorage.getConsents(guildId, roll.id), guildId);
+
+  const displayData = RollView.buildRollDisplays(
+    rollState,
+    {
+      title: title,
+      descriptionText: `**Player:** ${RollView.formatRoller(guildId, roll)}${consentText ? `\n${consentText}` : ''}`,
+      guildId: guildId,
+    }
+  );
+
+  // Combine Components V2 display components with interactive components in the right order
+  const allComponents = combineRollComponents(displayData, interactiveComponents);
+
+  // Warn about invalid roll_tags (the form is still displayed)
+  if (roll.invalidTags && roll.invalidTags.length > 0) {
+    const invalidCount = roll.invalidTags.length;
+    const helpCount = roll.invalidTags.filter(t => t.tag_type === 'help').length;
+    const hinderCount = roll.invalidTags.filter(t => t.tag_type === 'hinder').length;
+
+    const warningContainer = new ContainerBuilder();
+    warningContainer.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`⚠️ **Warning: This roll contains ${invalidCount} tag(s) that no longer exist** (${helpCount} help, ${hinderCount} hinder).\n\n` +
+          'These tags were likely removed unintentionally and the roll may not calculate as expected. Invalid tags will be automatically removed when you confirm.')
+    );
+    allComponents.unshift(warningContainer);
+  }
+
+  return allComponents;
+}
+
+/**
+ * Get the character a user rolls as: the NPC a narrator plays (see /npc-play), or else their active character
+ * Used by /roll-propose, /roll-quick and /roll-reaction
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The command interaction
+ * @returns {{ character: Object|null, asNpc: boolean }}
+ */
+export function getRollingCharacter(interaction) {
+  const guildId = requireGuildId(interaction);
+  const userId = interaction.user.id;
+  const npc = isNarrator(interaction, guildId) ? CharacterStorage.getActiveNpc(guildId, userId) : null;
+  if (npc) {
+    return { character: npc, asNpc: true };
+  }
+  return { character: CharacterStorage.getActiveCharacter(guildId, userId), asNpc: false };
+}
+
+/**
+ * Start a player's roll editor session for a new roll and reply with it
+ * Used by /roll-propose and /roll-quick
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The command interaction
+ * @param {Object} character - The rolling character
+ * @param {Object} options
+ * @param {string} options.description - What the roll is for
+ * @param {string|null} options.narrationLink - Link to the narration the roll is for
+ * @param {string|null} options.loadoutName - Saved loadout to prefill the tags from
+ * @param {string|null} options.quickStrategy - Strategy of a quick roll, which is executed on submit (undefined for proposals)
+ * @param {boolean} options.asNpc - Whether a narrator rolls as the character, an NPC (see getRollingCharacter)
+ */
+export async function openRollProposalEditor(interaction, character, { description, narrationLink, loadoutName, quickStrategy, asNpc = false }) {
+  const guildId = requireGuildId(interaction);
+  const userId = interaction.user.id;
+  // Rolls made inside a roll thread belong to the thread's scene
+  const sceneId = RollStorage.getThreadSceneId(guildId, interaction.channelId) || interaction.channelId;
+  const isQuick = quickStrategy !== undefined;
+
+  // Exclude burned tags from roll selection (they can't be used until refreshed)
+  // Collect all available tags for help dropdown (exclude burned tags)
+  const helpOptions = RollView.collectTags(character, sceneId, StoryTagStorage, false, guildId, false);
+
+  // Collect all available tags + weaknesses for hinder dropdown (exclude burned tags)
+  const hinderOptions = RollView.collectTags(character, sceneId, StoryTagStorage, false, guildId, true);
+
+  let initialHelpTags = new Set();
+  let initialHinderTags = new Set();
+  const initialBurnedTags = new Set();
+  let loadoutText = null;
+
+  // Prefill the tags of a saved loadout that can still be used
+  if (loadoutName) {
+    const loadout = RollLoadoutStorage.getLoadout(guildId, character.id, loadoutName);
+    if (!loadout) {
+      await interaction.reply({
+        content: `${character.name} has no loadout named "${loadoutName}".`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+    const { helpTags, hinderTags, dropped } = RollView.applyLoadout(loadout, helpOptions, hinderOptions);
+    initialHelpTags = helpTags;
+    initialHinderTags = hinderTags;
+    loadoutText = `**Loadout:** ${loadout.name}` +
+      (dropped > 0 ? `\n⚠️ ${dropped} saved tag${dropped !== 1 ? 's' : ''} left out (deleted, burned, or not in this scene)` : '');
+  }
+
+  // Create a temporary roll key for the interaction
+  const tempRollKey = `temp_${userId}_${Date.now()}`;
+  const buttons = isQuick
+    ? {submit: true, cancel: true, saveLoadout: true, quick: true}
+    : {submit: true, cancel: true, saveLoadout: true};
+
+  interaction.client.rollStates.set(tempRollKey, {
+    creatorId: userId,
+    characterId: character.id,
+    sceneId: sceneId,
+    helpTags: initialHelpTags,
+    hinderTags: initialHinderTags,
+    burnedTags: initialBurnedTags,
+    helpFromCharacterIdMap: new Map(),
+    hinderFromCharacterIdMap: new Map(),
+    description: description,
+    narrationLink: narrationLink || null,
+    justificationNotes: null,
+    showJustificationButton: true,
+    helpOptions: helpOptions,
+    hinderOptions: hinderOptions,
+    helpPage: 0,
+    hinderPage: 0,
+    buttons: buttons,
+    isReaction: false,
+    reactionToRollId: null,
+    mightModifier: 0,
+    quick: isQuick,
+    strategy: isQuick ? quickStrategy : null,
+    asNpc: asNpc
+  });
+
+  const interactiveComponents = RollView.buildRollInteractives(tempRollKey, helpOptions, hinderOptions, 0, 0, initialHelpTags, initialHinderTags, buttons, initialBurnedTags, '', true, new Map(), new Map(), 0);
+  const tempRollState = {
+    helpTags: initialHelpTags,
+    hinderTags: initialHinderTags,
+    description: description,
+    burnedTags: initialBurnedTags,
+    characterId: character.id,
+    sceneId: sceneId,
+    mightModifier: 0
+  };
+  // Remind narrators which NPC they roll as
+  const npcText = asNpc ? `**Playing as:** ${character.name} (NPC)` : null;
+  const descriptionText = [npcText, loadoutText].filter(Boolean).join('\n') || null;
+  const displayData = RollView.buildRollDisplays(tempRollState, { showJustificationPlaceholder: true, guildId: guildId, descriptionText: descriptionText });
+  const allComponents = combineRollComponents(displayData, interactiveComponents);
+  await interaction.reply({
+    components: allComponents,
+    flags: MessageFlags.Ephemeral | MessageFlags.IsComponentsV2,
+  });
+}
+
 /**
  * Refetch help and hinder tag options from the character and update rollState
  * This ensures options are fresh whenever the roll view is rebuilt
@@ -238,7 +461,7 @@ export async function handleRollPageSelect(interaction, client) {
       {
         //todo need to make sure the description text gets added that is passed in from the command
         title: title,
-        descriptionText: `**Player:** <@${rollState.creatorId}>`,
+        descriptionText: `**Player:** ${RollView.formatRoller(guildId, rollState)}`,
         guildId: requireGuildId(interaction),
       }
     );
@@ -417,7 +640,7 @@ export async function handleRollSelect(interaction, client) {
       rollState,
       {
         title: title,
-        descriptionText: `**Player:** <@${rollState.creatorId}>`,
+        descriptionText: `**Player:** ${RollView.formatRoller(guildId, rollState)}`,
         guildId: guildId,
       }
     );
@@ -526,7 +749,7 @@ export async function handleRollBurn(interaction, client) {
   rollState,
   {
     title: title,
-    descriptionText: `**Player:** <@${rollState.creatorId}>`,
+    descriptionText: `**Player:** ${RollView.formatRoller(guildId, rollState)}`,
     guildId: guildId,
   }
 );
@@ -586,6 +809,106 @@ export async function handleRollCancel(interaction, client) {
   });
 }
 
+/**
+ * Handle the "Save Loadout" button in the roll editor (ask for the loadout name)
+ */
+export async function handleRollLoadoutSave(interaction, client) {
+  const rollKey = interaction.customId.replace('roll_loadout_save_', '');
+  const rollState = client.rollStates.get(rollKey);
+  if (!rollState) {
+    await interaction.reply({
+      content: 'This roll session has expired.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (interaction.user.id !== rollState.creatorId) {
+    await interaction.reply({
+      content: 'Only the creator of this roll can save its tags as a loadout.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.showModal(RollLoadoutModal.build(rollKey));
+}
+
+/**
+ * Handle the loadout name modal: save the editor's help and hinder tags on the rolling character
+ * Tags lent by other characters are left out, since their help has to be agreed for each roll
+ */
+export async function handleRollLoadoutSaveModal(interaction, client) {
+  const rollKey = interaction.customId.replace('roll_loadout_save_modal_', '');
+  const rollState = client.rollStates.get(rollKey);
+  if (!rollState) {
+    await interaction.reply({
+      content: 'This roll session has expired.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const name = RollLoadoutModal.parse(interaction.fields);
+  if (!name) {
+    await interaction.reply({
+      content: 'Please enter a name for the loadout.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const helpFromCharacterIdMap = rollState.helpFromCharacterIdMap || new Map();
+  const hinderFromCharacterIdMap = rollState.hinderFromCharacterIdMap || new Map();
+  const helpTags = [...rollState.helpTags].filter(tag => !findEntityInSet(helpFromCharacterIdMap.keys(), tag));
+  const hinderTags = [...rollState.hinderTags].filter(tag => !findEntityInSet(hinderFromCharacterIdMap.keys(), tag));
+  const lentCount = rollState.helpTags.size + rollState.hinderTags.size - helpTags.length - hinderTags.length;
+
+  if (helpTags.length === 0 && hinderTags.length === 0) {
+    await interaction.reply({
+      content: 'Select some help or hinder tags of your own before saving a loadout.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const guildId = requireGuildId(interaction);
+  const character = CharacterStorage.getCharacterById(guildId, rollState.characterId);
+  const { replaced } = RollLoadoutStorage.saveLoadout(guildId, rollState.characterId, name, helpTags, hinderTags);
+
+  const lentText = lentCount > 0
+    ? `\n${lentCount} tag${lentCount !== 1 ? 's' : ''} lent by other characters ${lentCount !== 1 ? 'were' : 'was'} not saved.`
+    : '';
+  await interaction.reply({
+    content: `${replaced ? 'Replaced' : 'Saved'} loadout **${name}** on ${character ? character.name : 'your character'} ` +
+      `(${helpTags.length} help, ${hinderTags.length} hinder). Use it with \`/roll-propose loadout:${name}\`.${lentText}`,
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Handle autocomplete for the loadout option of /roll-propose (loadouts of the active character)
+ */
+export async function handleRollLoadoutAutocomplete(interaction) {
+  const guildId = requireGuildId(interaction);
+  // Narrators playing an NPC pick from the NPC's loadouts
+  const { character } = getRollingCharacter(interaction);
+  if (!character) {
+    await interaction.respond([]);
+    return;
+  }
+
+  const searchValue = interaction.options.getFocused().toLowerCase();
+  const loadouts = RollLoadoutStorage.getLoadouts(guildId, character.id)
+    .filter(loadout => loadout.name.toLowerCase().includes(searchValue))
+    .slice(0, 25); // Discord limit is 25 options
+
+  await interaction.respond(loadouts.map(loadout => ({
+    name: `${loadout.name} (${loadout.helpCount} help, ${loadout.hinderCount} hinder)`.substring(0, 100),
+    value: loadout.name,
+  })));
+}
+
 /**
  * Handle roll submit button (submit proposal for narrator approval)
  */
@@ -614,12 +937,30 @@ export async function handleRollSubmit(interaction, client) {
   }
 
   const guildId = requireGuildId(interaction);
+
+  // Quick rolls are executed right away instead of waiting for a narrator
+  if (rollState.quick) {
+    await submitQuickRoll(interaction, client, rollKey, rollState, guildId);
+    return;
+  }
+
   let rollId;
   const isAmendment = rollKey.startsWith('amend_');
   
   if (isAmendment) {
     // This is an amendment - update existing roll
     rollId = rollState.rollId;
+
+    // The roll may have been rejected or cancelled while the editor was open
+    const currentRoll = RollStorage.getRoll(guildId, rollId);
+    if (currentRoll && isDiscardedRollStatus(currentRoll.status)) {
+      client.rollStates.delete(rollKey);
+      await interaction.reply({
+        content: RollView.formatDiscardedRoll(currentRoll),
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
     
     // Delete invalid tags before amending
     RollStorage.deleteInvalidTags(guildId, rollId);
@@ -645,7 +986,7 @@ export async function handleRollSubmit(interaction, client) {
     rollId = RollStorage.createRoll(guildId, {
       creatorId: rollState.creatorId,
       characterId: rollState.characterId,
-      sceneId: interaction.channelId,
+      sceneId: rollState.sceneId,
       helpTags: rollState.helpTags,
       hinderTags: rollState.hinderTags,
       burnedTags: rollState.burnedTags || new Set(),
@@ -656,7 +997,14 @@ export async function handleRollSubmit(interaction, client) {
       reactionToRollId: rollState.reactionToRollId || null,
       isReaction: rollState.isReaction || false,
       mightModifier: rollState.mightModifier !== undefined ? rollState.mightModifier : 0,
+      asNpc: rollState.asNpc || false,
     });
+
+    // Reactions are discussed in the thread of the roll they react to
+    const originalRoll = rollState.reactionToRollId ? RollStorage.getRoll(guildId, rollState.reactionToRollId) : null;
+    if (originalRoll && originalRoll.threadId) {
+      RollStorage.setRollThread(guildId, rollId, originalRoll.threadId);
+    }
   }
 
   // Clean up temporary state
@@ -701,16 +1049,19 @@ export async function handleRollSubmit(interaction, client) {
       rollState,
       {
         title: title,
-        descriptionText: `**From:** <@${rollState.creatorId}>`,
+        descriptionText: `**From:** ${RollView.formatRoller(guildId, rollState)}`,
         footer: `${narratorMention} should use /roll-confirm ${rollId} to review and confirm.`,
         guildId: guildId,
       }
     );
 
-    await interaction.followUp({
-      components: [displayData.descriptionContainer, displayData.helpContainer, displayData.hinderContainer, displayData.footerContainer],
+    const proposalMessage = await postRollUpdate(interaction, guildId, rollId, {
+      components: [displayData.descriptionContainer, displayData.helpContainer, displayData.hinderContainer, displayData.footerContainer, RollView.buildProposalActionRow(rollId)],
       flags: MessageFlags.IsComponentsV2,
     });
+
+    // Open a thread for the confirmation, amendments, result and reactions
+    await openRollThread(proposalMessage, guildId, rollId);
   } else {
     // For amendments, post an update message
     const rollEditorRoleId = getServerEnv('ROLL_EDITOR_ROLE_ID', guildId);
@@ -728,17 +1079,103 @@ export async function handleRollSubmit(interaction, client) {
       rollState,
       {
         title: title,
-        descriptionText: `**From:** <@${rollState.creatorId}>${statusNote}`,
+        descriptionText: `**From:** ${RollView.formatRoller(guildId, rollState)}${statusNote}`,
         guildId: guildId,
         footer: `${narratorMention} should use /roll-confirm ${rollId} to review and confirm.`,
       }
     );
 
-    await interaction.followUp({
-      components: [displayData.descriptionContainer, displayData.helpContainer, displayData.hinderContainer, displayData.footerContainer],
+    await postRollUpdate(interaction, guildId, rollId, {
+      components: [displayData.descriptionContainer, displayData.helpContainer, displayData.hinderContainer, displayData.footerContainer, RollView.buildProposalActionRow(rollId)],
       flags: MessageFlags.IsComponentsV2,
     });
   }
+
+  // Ask the players whose characters lend tags to this roll
+  await requestHelpConsents(interaction, guildId, rollId);
+}
+
+/**
+ * Store a quick roll and execute it (see /roll-quick)
+ * @param {import('discord.js').ButtonInteraction} interaction - The submit button interaction
+ * @param {Client} client - Discord client (holds rollStates)
+ * @param {string} rollKey - Roll editor session key
+ * @param {Object} rollState - Roll editor state
+ * @param {string} guildId - Guild ID
+ */
+async function submitQuickRoll(interaction, client, rollKey, rollState, guildId) {
+  // Tags lent by other players' characters need their consent, which a quick roll can't wait for
+  const lentByOthers = RollHelpConsentStorage.getContributedTags(rollState).some(tag => {
+    const helper = CharacterStorage.getCharacterById(guildId, tag.characterId);
+    return helper && helper.user_id !== rollState.creatorId;
+  });
+  if (lentByOthers) {
+    await interaction.reply({
+      content: 'Quick rolls can\'t use tags lent by other players\' characters, since they have to agree first. Remove those tags or use /roll-propose.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  // Check the strategy before storing the roll, so the tags can still be changed
+  const strategyError = RollExecutor.checkStrategy(guildId, rollState, rollState.strategy);
+  if (strategyError) {
+    await interaction.reply({
+      content: `❌ ${strategyError}`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  // Persist the roll like a proposal, confirmed by the narrator who made it
+  const rollId = RollStorage.createRoll(guildId, {
+    creatorId: rollState.creatorId,
+    characterId: rollState.characterId,
+    sceneId: rollState.sceneId,
+    helpTags: rollState.helpTags,
+    hinderTags: rollState.hinderTags,
+    burnedTags: rollState.burnedTags || new Set(),
+    helpFromCharacterIdMap: rollState.helpFromCharacterIdMap || new Map(),
+    description: rollState.description,
+    narrationLink: rollState.narrationLink || null,
+    justificationNotes: rollState.justificationNotes || null,
+    reactionToRollId: null,
+    isReaction: false,
+    mightModifier: rollState.mightModifier !== undefined ? rollState.mightModifier : 0,
+    asNpc: rollState.asNpc || false,
+  });
+  RollStorage.updateRoll(guildId, rollId, {
+    status: RollStatus.CONFIRMED,
+    confirmedBy: rollState.creatorId,
+  });
+
+  // Record the approvals of the creator's own characters lending tags
+  RollHelpConsentStorage.syncConsents(guildId, RollStorage.getRoll(guildId, rollId));
+
+  // Clean up temporary state
+  client.rollStates.delete(rollKey);
+
+  const { error, resultData } = RollExecutor.execute(guildId, RollStorage.getRoll(guildId, rollId), rollState.strategy, interaction.user.id);
+
+  const submitContainer = new ContainerBuilder();
+  submitContainer.addTextDisplayComponents(
+    new TextDisplayBuilder()
+      .setContent(error
+        ? `**Quick Roll #${rollId} Saved**\n\nThe roll could not be executed: ${error}\nUse /roll ${rollId} to execute it.`
+        : `**Quick Roll #${rollId} Executed!**`)
+  );
+
+  await interaction.update({
+    components: [submitContainer],
+    flags: MessageFlags.IsComponentsV2,
+  });
+
+  if (error) {
+    return;
+  }
+
+  const resultMessage = await interaction.followUp(resultData);
+  RollStorage.setRollResultMessageLink(guildId, rollId, resultMessage.url);
 }
 
 /**
@@ -909,12 +1346,22 @@ export async function handleRollConfirm(interaction, client) {
     return;
   }
 
+  // The roll may have been rejected or cancelled while the editor was open
+  const currentRoll = RollStorage.getRoll(guildId, rollState.rollId);
+  if (currentRoll && isDiscardedRollStatus(currentRoll.status)) {
+    client.rollStates.delete(rollKey);
+    await interaction.reply({
+      content: RollView.formatDiscardedRoll(currentRoll),
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
   // Delete invalid tags before confirming
   const deletedCount = RollStorage.deleteInvalidTags(guildId, rollState.rollId);
   
-  // Update the roll with any edits made
-  RollStorage.updateRoll(guildId, rollState.rollId, {
-    status: RollStatus.CONFIRMED,
+  // Save any edits made, then check that every helper agreed to the tags taken from their characters
+  const editedRoll = RollStorage.updateRoll(guildId, rollState.rollId, {
     helpTags: rollState.helpTags,
     hinderTags: rollState.hinderTags,
     burnedTags: rollState.burnedTags || new Set(),
@@ -923,9 +1370,44 @@ export async function handleRollConfirm(interaction, client) {
     narrationLink: rollState.narrationLink,
     justificationNotes: rollState.justificationNotes,
     mightModifier: rollState.mightModifier !== undefined ? rollState.mightModifier : 0,
+  });
+
+  const consents = RollHelpConsentStorage.syncConsents(guildId, editedRoll);
+  if (!RollHelpConsentStorage.allApproved(consents)) {
+    // A re-confirmed roll goes back to proposed until the new helpers agree
+    if (editedRoll.status === RollStatus.CONFIRMED) {
+      RollStorage.updateRoll(guildId, rollState.rollId, { status: RollStatus.PROPOSED, confirmedBy: null });
+    }
+    client.rollStates.delete(rollKey);
+
+    const waitingContainer = new ContainerBuilder();
+    waitingContainer.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`**Roll #${rollState.rollId} can't be confirmed yet.** Your edits were saved, but not every helper agreed to lend their tags.\n\n` +
+          `${RollHelpConsentView.formatConsents(consents, guildId)}\n\n` +
+          `Run /roll-confirm ${rollState.rollId} again once they have, or remove their tags.`)
+    );
+
+    await interaction.update({
+      components: [waitingContainer],
+      flags: MessageFlags.IsComponentsV2,
+    });
+    await requestHelpConsents(interaction, guildId, rollState.rollId);
+    return;
+  }
+
+  RollStorage.updateRoll(guildId, rollState.rollId, {
+    status: RollStatus.CONFIRMED,
     confirmedBy: interaction.user.id,
   });
 
+  // Commit to the dice now so the result can be verified after execution
+  // Keep an existing commitment when re-confirming - it has already been published
+  if (getServerEnvBool('DICE_COMMIT_REVEAL', guildId) && !RollStorage.getDiceSeed(guildId, rollState.rollId)) {
+    const { seed, commitment } = DiceService.createCommitment();
+    RollStorage.setDiceCommitment(guildId, rollState.rollId, seed, commitment);
+  }
+
   // Clean up temporary state
   client.rollStates.delete(rollKey);
 
@@ -951,17 +1433,18 @@ export async function handleRollConfirm(interaction, client) {
     ? `Reaction Roll #${rollState.rollId}${roll.reactionToRollId ? ` (to Roll #${roll.reactionToRollId})` : ''} Confirmed\n${rollState.description}`
     : `Roll #${rollState.rollId} Confirmed\n${rollState.description}`;
   
+  const commitmentText = roll && roll.diceCommitment ? `\n🔒 **Dice commitment:** \`${roll.diceCommitment}\`` : '';
   const displayData = RollView.buildRollDisplays(
     rollState,
     {
       title: title,
-      descriptionText: `**Player:** <@${rollState.creatorId}>\n**Confirmed by:** <@${interaction.user.id}>`,
+      descriptionText: `**Player:** ${RollView.formatRoller(guildId, rollState)}\n**Confirmed by:** <@${interaction.user.id}>${commitmentText}`,
       footer: `<@${rollState.creatorId}> can now execute this roll with /roll ${rollState.rollId}`,
       guildId: guildId
     }
   );
 
-  await interaction.followUp({
+  await postRollUpdate(interaction, guildId, rollState.rollId, {
     components: [displayData.descriptionContainer, displayData.helpContainer, displayData.hinderContainer, displayData.footerContainer],
     flags: MessageFlags.IsComponentsV2,
   });
@@ -979,149 +1462,318 @@ export async function handleRollReconfirm(interaction, client) {
   const rollEditorRoleId = getServerEnv('ROLL_EDITOR_ROLE_ID', guildId);
   if (!rollEditorRoleId) {
     await interaction.reply({
-      content: 'Roll confirmation is not configured.',
+      content: 'Roll confirmation is not configured.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  try {
+    if (!interaction.member.roles.includes(rollEditorRoleId)) {
+      await interaction.reply({
+        content: 'Only narrators can confirm roll proposals.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+  } catch (error) {
+    await interaction.reply({
+      content: 'Error checking permissions.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  // Get the roll
+  const roll = RollStorage.getRoll(guildId, rollId);
+  if (!roll) {
+    await interaction.reply({
+      content: `Roll #${rollId} not found.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (isDiscardedRollStatus(roll.status)) {
+    await interaction.reply({
+      content: RollView.formatDiscardedRoll(roll),
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const allComponents = buildRollConfirmEditor(client, guildId, roll);
+  if (!allComponents) {
+    await interaction.reply({
+      content: 'Character not found for this roll proposal.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.update({
+    components: allComponents,
+    flags: MessageFlags.IsComponentsV2,
+  });
+}
+
+/**
+ * Handle re-confirm cancel button (dismiss the warning)
+ */
+export async function handleRollReconfirmCancel(interaction, client) {
+  const customId = interaction.customId;
+  const rollId = parseInt(customId.replace('roll_reconfirm_cancel_', ''));
+  
+  const cancelContainer = new ContainerBuilder();
+  cancelContainer.addTextDisplayComponents(
+    new TextDisplayBuilder()
+      .setContent('Re-confirmation cancelled.')
+  );
+
+  await interaction.update({
+    components: [cancelContainer],
+    flags: MessageFlags.IsComponentsV2,
+  });
+}
+
+/**
+ * Handle a /roll-queue review button (open the confirm editor for a proposed roll)
+ */
+export async function handleRollQueueOpen(interaction, client) {
+  const customId = interaction.customId;
+  const rollId = parseInt(customId.replace('roll_queue_open_', ''));
+
+  const guildId = getGuildId(interaction);
+  if (!await requireNarrator(interaction, guildId, 'Only narrators can confirm roll proposals.')) {
+    return;
+  }
+
+  // The queue may be out of date - another narrator could have handled the roll
+  const roll = RollStorage.getRoll(guildId, rollId);
+  if (!roll) {
+    await interaction.reply({
+      content: `Roll #${rollId} not found.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+  if (roll.status !== RollStatus.PROPOSED) {
+    await interaction.reply({
+      content: `Roll #${rollId} is no longer waiting for confirmation (it is ${getStatusDisplayName(roll.status)}). Run /roll-queue again for the current queue.`,
       flags: MessageFlags.Ephemeral,
     });
     return;
   }
 
-  try {
-    if (!interaction.member.roles.includes(rollEditorRoleId)) {
-      await interaction.reply({
-        content: 'Only narrators can confirm roll proposals.',
-        flags: MessageFlags.Ephemeral,
-      });
-      return;
-    }
-  } catch (error) {
+  const allComponents = buildRollConfirmEditor(client, guildId, roll);
+  if (!allComponents) {
     await interaction.reply({
-      content: 'Error checking permissions.',
+      content: 'Character not found for this roll proposal.',
       flags: MessageFlags.Ephemeral,
     });
     return;
   }
 
-  // Get the roll
+  // Open the editor in its own message so the queue stays visible
+  await interaction.reply({
+    components: allComponents,
+    flags: MessageFlags.Ephemeral | MessageFlags.IsComponentsV2,
+  });
+}
+
+/**
+ * Get a roll that can still be rejected or cancelled, replying with the reason when it can't
+ * @param {import('discord.js').Interaction} interaction - The interaction
+ * @param {string} guildId - Guild ID
+ * @param {number} rollId - Roll ID
+ * @returns {Promise<Object|null>} The roll, or null if it was not found or can no longer be discarded
+ */
+async function getDiscardableRoll(interaction, guildId, rollId) {
   const roll = RollStorage.getRoll(guildId, rollId);
   if (!roll) {
     await interaction.reply({
       content: `Roll #${rollId} not found.`,
       flags: MessageFlags.Ephemeral,
     });
+    return null;
+  }
+  if (isDiscardedRollStatus(roll.status)) {
+    await interaction.reply({
+      content: RollView.formatDiscardedRoll(roll),
+      flags: MessageFlags.Ephemeral,
+    });
+    return null;
+  }
+  if (roll.status === RollStatus.EXECUTED) {
+    await interaction.reply({
+      content: `Roll #${rollId} has already been executed.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return null;
+  }
+  return roll;
+}
+
+/**
+ * Close open editors of a discarded roll and post the notice in its thread (or its scene when it has none)
+ * @param {import('discord.js').Interaction} interaction - The interaction
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @param {number} rollId - Roll ID
+ */
+async function announceDiscardedRoll(interaction, client, guildId, rollId) {
+  client.rollStates.delete(`confirm_${rollId}`);
+  client.rollStates.delete(`amend_${rollId}`);
+
+  const roll = RollStorage.getRoll(guildId, rollId);
+  try {
+    if (await sendToRollThread(client, roll, RollView.buildDiscardedRollNotice(roll))) {
+      return;
+    }
+    const channel = interaction.channelId === roll.sceneId
+      ? interaction.channel
+      : await client.channels.fetch(roll.sceneId);
+    await channel.send(RollView.buildDiscardedRollNotice(roll));
+  } catch (error) {
+    console.error(`Error posting rejected/cancelled roll ${rollId} in scene ${roll.sceneId}:`, error);
+  }
+}
+
+/**
+ * Handle reject button (narrator rejects a roll), from the confirm editor or the proposal message
+ */
+export async function handleRollReject(interaction, client) {
+  const customId = interaction.customId;
+  // Format is "roll_reject_confirm_{rollId}" from the editor or "roll_reject_{rollId}" from the proposal
+  const source = customId.replace('roll_reject_', '');
+  const rollId = parseInt(source.replace('confirm_', ''));
+  const guildId = requireGuildId(interaction);
+
+  if (!await requireNarrator(interaction, guildId, 'Only narrators can reject roll proposals.')) {
+    return;
+  }
+  if (!await getDiscardableRoll(interaction, guildId, rollId)) {
     return;
   }
 
-  // Get the character to rebuild options
-  const character = CharacterStorage.getCharacter(guildId, roll.creatorId, roll.characterId);
-  if (!character) {
+  await interaction.showModal(RollReasonModal.build(
+    `roll_reject_modal_${source}`,
+    `Reject Roll #${rollId}`,
+    'Tell the player why the roll is rejected...'
+  ));
+}
+
+/**
+ * Handle reject modal submission
+ */
+export async function handleRollRejectModal(interaction, client) {
+  const customId = interaction.customId;
+  const source = customId.replace('roll_reject_modal_', '');
+  const rollId = parseInt(source.replace('confirm_', ''));
+  const guildId = requireGuildId(interaction);
+
+  if (!await requireNarrator(interaction, guildId, 'Only narrators can reject roll proposals.')) {
+    return;
+  }
+
+  const reason = RollReasonModal.parse(interaction.fields);
+  if (!reason) {
     await interaction.reply({
-      content: 'Character not found for this roll proposal.',
+      content: 'Please give a reason for rejecting the roll.',
       flags: MessageFlags.Ephemeral,
     });
     return;
   }
 
-  // Initialize roll state for editing
-  if (!interaction.client.rollStates) {
-    interaction.client.rollStates = new Map();
+  if (!await getDiscardableRoll(interaction, guildId, rollId)) {
+    return;
   }
+  RollStorage.discardRoll(guildId, rollId, RollStatus.REJECTED, reason, interaction.user.id);
 
-  const rollKey = `confirm_${rollId}`;
-  
-  // If this is a reaction roll, exclude tags from the original roll
-  let excludedTags = new Set();
-  if (roll.isReaction && roll.reactionToRollId) {
-    const originalRoll = RollStorage.getRoll(guildId, roll.reactionToRollId);
-    if (originalRoll) {
-      excludedTags = new Set([
-        ...(originalRoll.helpTags || []),
-        ...(originalRoll.hinderTags || [])
-      ]);
-    }
+  if (source.startsWith('confirm_')) {
+    // Close the confirm editor
+    const rejectContainer = new ContainerBuilder();
+    rejectContainer.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`**Roll #${rollId} Rejected.** The player has been notified.`)
+    );
+    await interaction.update({
+      components: [rejectContainer],
+      flags: MessageFlags.IsComponentsV2,
+    });
+  } else {
+    await interaction.reply({
+      content: `Roll #${rollId} rejected. The player has been notified.`,
+      flags: MessageFlags.Ephemeral,
+    });
   }
-  
-  // Collect all available tags (exclude burned tags - they can't be used until refreshed)
-  const helpOptions = RollView.collectTags(character, roll.sceneId, StoryTagStorage, false, guildId, false);
-  const filteredHelpOptions = (roll.isReaction && roll.reactionToRollId)
-    ? helpOptions.filter(opt => !excludedTags.has(opt.data.value))
-    : helpOptions;
-  
-  const hinderOptions = RollView.collectTags(character, roll.sceneId, StoryTagStorage, false, guildId, true);
-  const filteredHinderOptions = (roll.isReaction && roll.reactionToRollId)
-    ? hinderOptions.filter(opt => !excludedTags.has(opt.data.value))
-    : hinderOptions;
-  
-  // Store the roll state for editing
-  const burnedTags = roll.burnedTags || new Set();
-  const isReaction = roll.isReaction === true;
-  
-
-  const rollState = {
-    rollId: rollId,
-    creatorId: roll.creatorId,
-    characterId: roll.characterId,
-    sceneId: roll.sceneId,
-    helpTags: roll.helpTags,
-    hinderTags: roll.hinderTags,
-    burnedTags: burnedTags,
-    description: roll.description,
-    narrationLink: roll.narrationLink,
-    justificationNotes: roll.justificationNotes,
-    showJustificationButton: false,
-    helpOptions: filteredHelpOptions,
-    hinderOptions: filteredHinderOptions,
-    helpPage: 0,
-    hinderPage: 0,
-    buttons: {confirm: true, cancel: true},
-    isReaction: isReaction,
-    reactionToRollId: roll.reactionToRollId,
-    mightModifier: roll.mightModifier !== undefined && roll.mightModifier !== null ? roll.mightModifier : 0
-  };
-  interaction.client.rollStates.set(rollKey, rollState);
 
-  // Build components for editing (don't show justification button in confirm view)
-  // Use helpFromCharacterIdMap from the roll if available
-  const interactiveComponents = RollView.buildRollInteractives(rollKey, filteredHelpOptions, filteredHinderOptions, 0, 0, roll.helpTags, roll.hinderTags, {confirm: true, cancel: true}, burnedTags, roll.justificationNotes, false, roll.helpFromCharacterIdMap || new Map(), roll.hinderFromCharacterIdMap || new Map(), rollState.mightModifier || 0);
+  await announceDiscardedRoll(interaction, client, guildId, rollId);
+}
 
-  const title = isReaction
-    ? `Reviewing Reaction Roll #${rollId}${roll.reactionToRollId ? ` (to Roll #${roll.reactionToRollId})` : ''}`
-    : `Reviewing Action Roll #${rollId}`;
-  
-  const displayData = RollView.buildRollDisplays(
-    rollState,
-    {
-      title: title,
-      descriptionText: `**Player:** <@${roll.creatorId}>`,
-      guildId: guildId
-    }
-  );
+/**
+ * Handle withdraw button on a roll proposal (the creator cancels their roll)
+ */
+export async function handleRollWithdraw(interaction, client) {
+  const customId = interaction.customId;
+  const rollId = parseInt(customId.replace('roll_withdraw_', ''));
+  const guildId = requireGuildId(interaction);
 
-  // Combine Components V2 display components with interactive components in the right order
-  const allComponents = combineRollComponents(displayData, interactiveComponents);
+  const roll = await getDiscardableRoll(interaction, guildId, rollId);
+  if (!roll) {
+    return;
+  }
+  if (interaction.user.id !== roll.creatorId) {
+    await interaction.reply({
+      content: `Only the creator of roll #${rollId} can withdraw it.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
 
-  await interaction.update({
-    components: allComponents,
-    flags: MessageFlags.IsComponentsV2,
-  });
+  await interaction.showModal(RollReasonModal.build(
+    `roll_withdraw_modal_${rollId}`,
+    `Withdraw Roll #${rollId}`,
+    'Why are you withdrawing this roll?'
+  ));
 }
 
 /**
- * Handle re-confirm cancel button (dismiss the warning)
+ * Handle withdraw modal submission
  */
-export async function handleRollReconfirmCancel(interaction, client) {
+export async function handleRollWithdrawModal(interaction, client) {
   const customId = interaction.customId;
-  const rollId = parseInt(customId.replace('roll_reconfirm_cancel_', ''));
-  
-  const cancelContainer = new ContainerBuilder();
-  cancelContainer.addTextDisplayComponents(
-    new TextDisplayBuilder()
-      .setContent('Re-confirmation cancelled.')
-  );
+  const rollId = parseInt(customId.replace('roll_withdraw_modal_', ''));
+  const guildId = requireGuildId(interaction);
 
-  await interaction.update({
-    components: [cancelContainer],
-    flags: MessageFlags.IsComponentsV2,
+  const reason = RollReasonModal.parse(interaction.fields);
+  if (!reason) {
+    await interaction.reply({
+      content: 'Please give a reason for withdrawing the roll.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const roll = await getDiscardableRoll(interaction, guildId, rollId);
+  if (!roll) {
+    return;
+  }
+  if (interaction.user.id !== roll.creatorId) {
+    await interaction.reply({
+      content: `Only the creator of roll #${rollId} can withdraw it.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+  RollStorage.discardRoll(guildId, rollId, RollStatus.CANCELLED, reason, interaction.user.id);
+
+  await interaction.reply({
+    content: `Roll #${rollId} withdrawn.`,
+    flags: MessageFlags.Ephemeral,
   });
+
+  await announceDiscardedRoll(interaction, client, guildId, rollId);
 }
 
 /**
@@ -1163,6 +1815,14 @@ export async function handleRollExecuteConfirm(interaction, client) {
     return;
   }
   
+  if (isDiscardedRollStatus(roll.status)) {
+    await interaction.editReply({
+      content: RollView.formatDiscardedRoll(roll),
+      components: [],
+    });
+    return;
+  }
+
   if (roll.status !== RollStatus.CONFIRMED) {
     await interaction.editReply({
       content: `Roll #${rollId} is not confirmed. Current status: ${roll.status}`,
@@ -1171,166 +1831,16 @@ export async function handleRollExecuteConfirm(interaction, client) {
     return;
   }
   
-  // Import RollTagParentType for burned tag processing
-  const { RollTagParentType } = await import('../constants/RollTagParentType.js');
-  
-  // Validate strategy and calculate modifiers (duplicated from RollExecuteCommand)
-  const burnedTags = roll.burnedTags || new Set();
-  const baseModifier = RollView.calculateModifier(roll.helpTags, roll.hinderTags, burnedTags, guildId);
-  const mightModifier = roll.mightModifier !== undefined && roll.mightModifier !== null ? roll.mightModifier : 0;
-  const totalPower = baseModifier + mightModifier;
-  
-  let strategyModifier = 0;
-  let strategyName = null;
-  let originalPower = totalPower;
-  let strategyError = null;
-  
-  if (strategy === 'throw_caution') {
-    if (totalPower > 2) {
-      strategyError = `Cannot use "Throw caution to the wind" - your Power is ${totalPower}, but it requires Power ≤ 2.`;
-    } else {
-      strategyModifier = -1;
-      strategyName = 'Throw caution to the wind';
-    }
-  } else if (strategy === 'hedge_risks') {
-    if (totalPower < 2) {
-      strategyError = `Cannot use "Hedge your risks" - your Power is ${totalPower}, but it requires Power ≥ 2.`;
-    } else {
-      strategyModifier = +1;
-      strategyName = 'Hedge your risks';
-    }
-  }
-  
-  if (strategyError) {
+  // Apply burns and improvements, roll the dice and store the result
+  const { error, resultData } = RollExecutor.execute(guildId, roll, strategy, userId);
+  if (error) {
     await interaction.editReply({
-      content: `❌ ${strategyError}`,
+      content: `❌ ${error}`,
       components: [],
     });
     return;
   }
   
-  // Mark as executed
-  RollStorage.updateRoll(guildId, rollId, { status: RollStatus.EXECUTED });
-  
-  // Track theme improvements (duplicated from RollExecuteCommand)
-  const hinderTags = roll.hinderTags || new Set();
-  let improvementNotification = null;
-  if (hinderTags.size > 0) {
-    const improvementResult = CharacterStorage.incrementThemeImprovements(guildId, hinderTags);
-    if (improvementResult.readyToDevelop.length > 0) {
-      const themesByUser = new Map();
-      for (const t of improvementResult.readyToDevelop) {
-        const character = CharacterStorage.getCharacterById(guildId, t.characterId);
-        if (character && character.user_id) {
-          if (!themesByUser.has(character.user_id)) {
-            themesByUser.set(character.user_id, []);
-          }
-          themesByUser.get(character.user_id).push(t);
-        }
-      }
-      const userNotifications = [];
-      for (const [userId, themes] of themesByUser.entries()) {
-        const themeList = themes.map(t => `**${t.themeName}** (${t.improvements} improvements)`).join(', ');
-        userNotifications.push(`<@${userId}>: ${themeList}`);
-      }
-      improvementNotification = `\n\n✨ **Theme Development Available!** ✨\n${userNotifications.join('\n')}`;
-    }
-  }
-  
-  // Process burned tags (duplicated from RollExecuteCommand)
-  if (burnedTags.size > 0) {
-    const character = CharacterStorage.getCharacter(guildId, roll.creatorId, roll.characterId);
-    if (character) {
-      const backpackIdsToRemove = [];
-      const storyTagIdsToRemove = [];
-      const tagsToBurn = [];
-      
-      for (const tagEntity of burnedTags) {
-        const tagData = tagEntity.getTagData(guildId);
-        if (!tagData) continue;
-        
-        if (tagEntity.parentType === RollTagParentType.CHARACTER_BACKPACK) {
-          backpackIdsToRemove.push(tagEntity.parentId);
-        } else if (tagEntity.parentType === RollTagParentType.CHARACTER_STORY_TAG) {
-          storyTagIdsToRemove.push(tagEntity.parentId);
-        } else {
-          const tagString = tagEntity.toTagString(guildId);
-          if (tagString) {
-            tagsToBurn.push(tagString);
-          }
-        }
-      }
-      
-      const updates = {};
-      if (backpackIdsToRemove.length > 0) {
-        const updatedBackpack = (character.backpack || []).filter(item => {
-          const itemId = typeof item === 'object' && item.id ? item.id : null;
-          return itemId && !backpackIdsToRemove.includes(itemId);
-        });
-        updates.backpack = updatedBackpack;
-      }
-      if (storyTagIdsToRemove.length > 0) {
-        const updatedStoryTags = (character.storyTags || []).filter(tag => {
-          const tagId = typeof tag === 'object' && tag.id ? tag.id : null;
-          return tagId && !storyTagIdsToRemove.includes(tagId);
-        });
-        updates.storyTags = updatedStoryTags;
-      }
-      if (tagsToBurn.length > 0) {
-        CharacterStorage.markTagsAsBurned(guildId, roll.creatorId, roll.characterId, tagsToBurn);
-      }
-      if (Object.keys(updates).length > 0) {
-        CharacterStorage.updateCharacter(guildId, roll.creatorId, roll.characterId, updates);
-      }
-    }
-  }
-  
-  // Roll dice and calculate result (duplicated from RollExecuteCommand)
-  const die1 = Math.floor(Math.random() * 6) + 1;
-  const die2 = Math.floor(Math.random() * 6) + 1;
-  const baseRoll = die1 + die2;
-  const finalResult = baseRoll + totalPower + strategyModifier;
-  const narratorMention = roll.confirmedBy ? `<@${roll.confirmedBy}>` : null;
-  const isReactionRoll = roll.isReaction === true;
-  
-  let isSuccessful = false;
-  if (die1 === 6 && die2 === 6) {
-    isSuccessful = true;
-  } else if (die1 === 1 && die2 === 1) {
-    isSuccessful = false;
-  } else if (isReactionRoll) {
-    isSuccessful = finalResult >= 10;
-  } else {
-    isSuccessful = finalResult >= 7;
-  }
-  
-  let spendingPower = null;
-  if (isSuccessful) {
-    if (strategy === 'throw_caution') {
-      spendingPower = Math.max(originalPower, 1) + 1;
-    } else if (strategy === 'hedge_risks') {
-      spendingPower = Math.max(originalPower, 1) - 1;
-    } else {
-      spendingPower = Math.max(originalPower, 1);
-    }
-  }
-  
-  // Format and send result
-  const resultData = RollView.formatRollResult(
-    die1, die2, baseRoll, totalPower, finalResult,
-    roll.description, narratorMention, isReactionRoll,
-    roll.reactionToRollId, strategyName, strategyModifier,
-    originalPower, spendingPower, mightModifier
-  );
-  
-  if (improvementNotification && resultData.components && resultData.components.length > 0) {
-    const notificationContainer = new ContainerBuilder();
-    notificationContainer.addTextDisplayComponents(
-      new TextDisplayBuilder().setContent(improvementNotification)
-    );
-    resultData.components.push(notificationContainer);
-  }
-  
   // Clear the warning message and send the result
   // Use Components V2 format since the original message was Components V2
   const executingContainer = new ContainerBuilder();
@@ -1344,7 +1854,8 @@ export async function handleRollExecuteConfirm(interaction, client) {
     flags: MessageFlags.IsComponentsV2,
   });
   
-  await interaction.followUp(resultData);
+  const resultMessage = await postRollUpdate(interaction, guildId, rollId, resultData);
+  RollStorage.setRollResultMessageLink(guildId, rollId, resultMessage.url);
 }
 
 /**
@@ -1393,8 +1904,8 @@ export async function handleHelpAction(interaction, client) {
   // Filter out only the current player's character
   // Multiple help tags from the same character are now allowed
   const otherCharacters = allCharacters.filter(char => {
-    // Exclude current player's character
-    return !(char.user_id === rollState.creatorId && char.id === rollState.characterId);
+    // Exclude the rolling character (a player's, or the NPC a narrator rolls as)
+    return char.id !== rollState.characterId;
   });
   
   // Sort characters alphabetically by name
@@ -1575,6 +2086,7 @@ export async function handleHelpCharacterSelect(interaction, client) {
   const tagPageKey = `${characterId}`;
   if (!rollState.helpTagPageMap.has(tagPageKey)) {
     rollState.helpTagPageMap.set(tagPageKey, 0);
+    client.rollStates.set(rollKey, rollState);
   }
   
   // Calculate pagination
@@ -1791,7 +2303,7 @@ export async function handleHelpCharacterPageSelect(interaction, client) {
   
   // Filter out only the current player's character
   const otherCharacters = allCharacters.filter(char => {
-    return !(char.user_id === rollState.creatorId && char.id === rollState.characterId);
+    return char.id !== rollState.characterId;
   });
   
   // Sort characters alphabetically by name
@@ -2066,9 +2578,16 @@ export async function handleHinderAction(interaction, client) {
     // Filter out only the current player's character
     // Multiple hinder tags from the same character are now allowed
     const otherCharacters = allCharacters.filter(char => {
-      // Exclude current player's character
-      return !(char.user_id === rollState.creatorId && char.id === rollState.characterId);
+      // Exclude the rolling character (a player's, or the NPC a narrator rolls as)
+      return char.id !== rollState.characterId;
     });
+
+    // Narrators hinder players with their NPCs, so list the NPCs first, starting with the one they play
+    if (isNarrator(interaction, guildId)) {
+      const activeNpc = CharacterStorage.getActiveNpc(guildId, interaction.user.id);
+      const rank = char => (activeNpc && char.id === activeNpc.id) ? 0 : (char.user_id ? 2 : 1);
+      otherCharacters.sort((a, b) => rank(a) - rank(b));
+    }
     if (otherCharacters.length === 0) {
       // Refetch tag options from character
       const { helpOptions, hinderOptions } = refetchTagOptions(rollState, guildId);
@@ -2115,9 +2634,13 @@ export async function handleHinderAction(interaction, client) {
 
     // Build character select menu
     const characterOptions = otherCharacters.map(char => {
-      return new StringSelectMenuOptionBuilder()
+      const option = new StringSelectMenuOptionBuilder()
         .setLabel(char.name)
-        .setValue(`${char.id}`)
+        .setValue(`${char.id}`);
+      if (!char.user_id) {
+        option.setDescription('NPC');
+      }
+      return option;
     });
 
     const characterSelect = new StringSelectMenuBuilder()
@@ -2484,7 +3007,7 @@ export async function handleMightButtonClick(interaction, client) {
     rollState,
     {
       title: title,
-      descriptionText: `**Player:** <@${rollState.creatorId}>`,
+      descriptionText: `**Player:** ${RollView.formatRoller(guildId, rollState)}`,
       guildId: guildId,
     }
   );
@@ -2599,7 +3122,7 @@ export async function handleMightModifierSelect(interaction, client) {
     rollState,
     {
       title: title,
-      descriptionText: `**Player:** <@${rollState.creatorId}>`,
+      descriptionText: `**Player:** ${RollView.formatRoller(guildId, rollState)}`,
       guildId: guildId,
     }
   );
@@ -2611,4 +3134,46 @@ export async function handleMightModifierSelect(interaction, client) {
     components: allComponents,
     flags: MessageFlags.IsComponentsV2,
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Handle roll history page selection
+ */
+export async function handleRollHistoryPageSelect(interaction, client) {
+  const customId = interaction.customId;
+  const historyKey = customId.replace('roll_history_page_', '');
+  
+  if (!client.rollHistoryStates || !client.rollHistoryStates.has(historyKey)) {
+    await interaction.reply({
+      content: 'This roll history session has expired. Please run /roll-history again.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const historyState = client.rollHistoryStates.get(historyKey);
+  const guildId = requireGuildId(interaction);
+  const pageSize = RollHistoryCommand.PAGE_SIZE;
+
+  // Re-run the query so rolls executed since the first page are included
+  const requestedPage = parseInt(interaction.values[0]);
+  let { rolls, total } = RollStorage.getRollHistory(guildId, historyState.filters, requestedPage, pageSize);
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const page = Math.min(requestedPage, totalPages - 1);
+  if (page !== requestedPage) {
+    ({ rolls, total } = RollStorage.getRollHistory(guildId, historyState.filters, page, pageSize));
+  }
+
+  historyState.page = page;
+  client.rollHistoryStates.set(historyKey, historyState);
+
+  const historyData = RollView.buildRollHistory(historyKey, rolls, {
+    page,
+    totalPages,
+    total,
+    filterSummary: historyState.filterSummary,
+    guildId,
+  });
+
+  await interaction.update(historyData);
+}
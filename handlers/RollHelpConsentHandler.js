@@ -0,0 +1,137 @@
+import { MessageFlags } from 'discord.js';
+import { RollStorage } from '../utils/RollStorage.js';
+import { RollHelpConsentStorage } from '../utils/RollHelpConsentStorage.js';
+import { RollHelpConsentView } from '../utils/RollHelpConsentView.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { HelpConsentStatus } from '../constants/HelpConsentStatus.js';
+import RollStatus, { getStatusDisplayName } from '../constants/RollStatus.js';
+import { getServerEnv } from '../utils/ServerConfig.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+import { isNarrator } from '../utils/NarratorUtils.js';
+import { postRollUpdate } from './RollThreadHandler.js';
+
+/**
+ * Get the mention used to ask narrators
+ */
+function getNarratorMention(guildId) {
+  const rollEditorRoleId = getServerEnv('ROLL_EDITOR_ROLE_ID', guildId);
+  return rollEditorRoleId ? `<@&${rollEditorRoleId}>` : 'Narrators';
+}
+
+/**
+ * Sync the help consents of a roll with its tags and ask the owners of the helping characters
+ * Posts one request per character that still has pending tags, in the roll's thread or as follow-ups to the interaction
+ * @param {import('discord.js').Interaction} interaction - Interaction that has already been replied to
+ * @param {string} guildId - Guild ID
+ * @param {number} rollId - Roll ID
+ * @returns {Promise<Array<Object>>} The roll's consents after syncing
+ */
+export async function requestHelpConsents(interaction, guildId, rollId) {
+  const roll = RollStorage.getRoll(guildId, rollId);
+  const consents = RollHelpConsentStorage.syncConsents(guildId, roll);
+
+  const pendingByCharacter = new Map();
+  for (const consent of consents) {
+    if (consent.status !== HelpConsentStatus.PENDING) continue;
+    if (!pendingByCharacter.has(consent.characterId)) {
+      pendingByCharacter.set(consent.characterId, []);
+    }
+    pendingByCharacter.get(consent.characterId).push(consent);
+  }
+
+  if (pendingByCharacter.size > 0) {
+    const roller = CharacterStorage.getCharacterById(guildId, roll.characterId);
+    const rollerName = roller ? roller.name : 'Unknown character';
+    const narratorMention = getNarratorMention(guildId);
+    for (const pending of pendingByCharacter.values()) {
+      await postRollUpdate(interaction, guildId, rollId, RollHelpConsentView.buildConsentRequest(roll, pending, rollerName, narratorMention, guildId));
+    }
+  }
+
+  return consents;
+}
+
+/**
+ * Handle the approve and decline buttons of a help consent request
+ * Only the helping character's owner may answer; narrators answer for unassigned characters
+ */
+export async function handleRollConsent(interaction, client) {
+  const customId = interaction.customId;
+  const isApproval = customId.startsWith('roll_consent_approve_');
+  const [rollIdText, characterIdText] = customId
+    .replace(isApproval ? 'roll_consent_approve_' : 'roll_consent_decline_', '')
+    .split('_');
+  const rollId = parseInt(rollIdText);
+  const characterId = parseInt(characterIdText);
+  const guildId = requireGuildId(interaction);
+
+  const roll = RollStorage.getRoll(guildId, rollId);
+  if (!roll) {
+    await interaction.reply({
+      content: `Roll #${rollId} not found.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  // Consent is given before the narrator confirms - amending a confirmed roll sets it back to proposed
+  if (roll.status !== RollStatus.PROPOSED) {
+    await interaction.reply({
+      content: `Roll #${rollId} is ${getStatusDisplayName(roll.status)}, so its help can no longer be approved or declined.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const character = CharacterStorage.getCharacterById(guildId, characterId);
+  if (!character) {
+    await interaction.reply({
+      content: 'The helping character no longer exists.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (character.user_id) {
+    if (interaction.user.id !== character.user_id) {
+      await interaction.reply({
+        content: `Only <@${character.user_id}> can decide whether ${character.name} helps with this roll.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+  } else {
+    if (!isNarrator(interaction, guildId)) {
+      await interaction.reply({
+        content: `${character.name} has no player, so only narrators can decide whether it helps with this roll.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+  }
+
+  // The roll may have been edited since the request was posted
+  const before = RollHelpConsentStorage.syncConsents(guildId, roll);
+  const pendingIds = new Set(before
+    .filter(consent => consent.characterId === characterId && consent.status === HelpConsentStatus.PENDING)
+    .map(consent => consent.id));
+  if (pendingIds.size === 0) {
+    await interaction.reply({
+      content: `Roll #${rollId} has no tags of ${character.name} waiting for consent.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  RollHelpConsentStorage.decide(
+    guildId,
+    rollId,
+    characterId,
+    isApproval ? HelpConsentStatus.APPROVED : HelpConsentStatus.DECLINED,
+    interaction.user.id
+  );
+
+  const consents = RollHelpConsentStorage.getConsents(guildId, rollId);
+  const decided = consents.filter(consent => pendingIds.has(consent.id));
+  await interaction.update(RollHelpConsentView.buildConsentDecision(roll, decided, consents, getNarratorMention(guildId), guildId));
+}
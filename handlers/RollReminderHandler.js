@@ -0,0 +1,101 @@
+import { RollStorage } from '../utils/RollStorage.js';
+import { RollView } from '../utils/RollView.js';
+import RollStatus, { getStatusDisplayName } from '../constants/RollStatus.js';
+import { getServerEnv, getServerEnvNumber, getGuildIdsWithDatabases } from '../utils/ServerConfig.js';
+import { sendToRollThread } from './RollThreadHandler.js';
+
+// How often the rolls of every guild are checked
+const CHECK_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Post a message where a roll is discussed: its thread, or its scene when it has none
+ * @param {Client} client - Discord client
+ * @param {Object} roll - Roll from RollStorage.getRoll
+ * @param {Object} payload - Message to post
+ */
+async function postForRoll(client, roll, payload) {
+  if (await sendToRollThread(client, roll, payload)) {
+    return;
+  }
+  try {
+    const channel = await client.channels.fetch(roll.sceneId);
+    await channel.send(payload);
+  } catch (error) {
+    console.error(`Error posting about roll ${roll.id} in scene ${roll.sceneId}:`, error);
+  }
+}
+
+/**
+ * Expire the abandoned rolls of a guild and remind about the ones waiting too long
+ * Thresholds come from the guild's ROLL_REMINDER_PROPOSED_HOURS, ROLL_REMINDER_CONFIRMED_HOURS
+ * and ROLL_EXPIRE_DAYS settings (0 turns each off)
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ */
+export async function checkGuildRolls(client, guildId) {
+  const now = Math.floor(Date.now() / 1000);
+  const expireDays = getServerEnvNumber('ROLL_EXPIRE_DAYS', guildId, 0);
+  const expireAfter = expireDays > 0 ? expireDays * 24 * 60 * 60 : null;
+
+  // Expire first, so abandoned rolls don't get one last reminder
+  if (expireAfter) {
+    for (const status of [RollStatus.PROPOSED, RollStatus.CONFIRMED]) {
+      for (const roll of RollStorage.getIdleRolls(guildId, status, now - expireAfter, false)) {
+        const reason = `No activity for ${expireDays} day${expireDays !== 1 ? 's' : ''} while ${getStatusDisplayName(status)}`;
+        if (!RollStorage.discardRoll(guildId, roll.id, RollStatus.EXPIRED, reason, null)) {
+          continue;
+        }
+        client.rollStates.delete(`confirm_${roll.id}`);
+        client.rollStates.delete(`amend_${roll.id}`);
+        await postForRoll(client, roll, RollView.buildDiscardedRollNotice(RollStorage.getRoll(guildId, roll.id)));
+      }
+    }
+  }
+
+  const rollEditorRoleId = getServerEnv('ROLL_EDITOR_ROLE_ID', guildId);
+  const narratorMention = rollEditorRoleId ? `<@&${rollEditorRoleId}>` : 'Narrators';
+  const reminderHours = [
+    [RollStatus.PROPOSED, getServerEnvNumber('ROLL_REMINDER_PROPOSED_HOURS', guildId, 24)],
+    [RollStatus.CONFIRMED, getServerEnvNumber('ROLL_REMINDER_CONFIRMED_HOURS', guildId, 48)],
+  ];
+
+  for (const [status, hours] of reminderHours) {
+    if (hours <= 0) {
+      continue;
+    }
+    for (const roll of RollStorage.getIdleRolls(guildId, status, now - hours * 60 * 60)) {
+      const expiresAt = expireAfter ? (roll.updatedAt || roll.createdAt) + expireAfter : null;
+      await postForRoll(client, roll, RollView.buildRollReminder(roll, narratorMention, expiresAt));
+      // Marked even if posting failed, so a deleted scene doesn't get retried every check
+      RollStorage.setRollReminded(guildId, roll.id);
+    }
+  }
+}
+
+/**
+ * Check the rolls of every guild with a database now and every 15 minutes
+ * @param {Client} client - Discord client
+ */
+export function startRollReminders(client) {
+  let checking = false;
+  const checkAllGuilds = async () => {
+    // A slow check (many guilds, unreachable channels) must not overlap the next one
+    if (checking) {
+      return;
+    }
+    checking = true;
+    try {
+      for (const guildId of await getGuildIdsWithDatabases()) {
+        try {
+          await checkGuildRolls(client, guildId);
+        } catch (error) {
+          console.error(`Error checking roll reminders for guild ${guildId}:`, error);
+        }
+      }
+    } finally {
+      checking = false;
+    }
+  };
+  checkAllGuilds();
+  setInterval(checkAllGuilds, CHECK_INTERVAL);
+}
@@ -0,0 +1,300 @@
+import { MessageFlags, ContainerBuilder, TextDisplayBuilder } from 'discord.js';
+import { RollStorage } from '../utils/RollStorage.js';
+import { RollSpendStorage } from '../utils/RollSpendStorage.js';
+import { RollSpendView } from '../utils/RollSpendView.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { StoryTagStorage } from '../utils/StoryTagStorage.js';
+import { StatusModel } from '../utils/StatusModel.js';
+import { SpendEffectModal } from '../utils/modals/SpendEffectModal.js';
+import { SpendEffect, isValidSpendEffect } from '../constants/SpendEffect.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+import { getRuleset } from '../utils/rulesets/index.js';
+import { announceReachedLimits } from './LimitHandler.js';
+
+/**
+ * Get the spend session for a component or modal interaction, replying if it has expired
+ * @returns {Promise<Object|null>} Spend state or null if the session is gone
+ */
+async function getSpendState(interaction, client, spendKey) {
+  if (!client.rollSpendStates || !client.rollSpendStates.has(spendKey)) {
+    await interaction.reply({
+      content: 'This spending session has expired. Press "Spend Power" on the roll result again.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return null;
+  }
+  return client.rollSpendStates.get(spendKey);
+}
+
+/**
+ * Build the spend view for a session
+ */
+function buildSpendDisplay(spendKey, spendState, guildId) {
+  return RollSpendView.buildSpendDisplay(spendKey, {
+    rollId: spendState.rollId,
+    spendingPower: spendState.spendingPower,
+    spent: RollSpendStorage.getSpends(guildId, spendState.rollId),
+    pending: spendState.pending,
+    guildId,
+  });
+}
+
+/**
+ * Power left once the ledger and the pending effects are taken into account
+ */
+function getRemainingPower(spendState, guildId) {
+  const pendingPower = spendState.pending.reduce((sum, effect) => sum + effect.cost, 0);
+  return spendState.spendingPower - RollSpendStorage.getSpentPower(guildId, spendState.rollId) - pendingPower;
+}
+
+/**
+ * Handle the "Spend Power" button on a roll result
+ */
+export async function handleRollSpendStart(interaction, client) {
+  const customId = interaction.customId;
+  const rollId = parseInt(customId.replace('roll_spend_start_', ''));
+  const guildId = requireGuildId(interaction);
+
+  const roll = RollStorage.getRoll(guildId, rollId);
+  if (!roll || !roll.result) {
+    await interaction.reply({
+      content: `Roll #${rollId} has no recorded result.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  // Only the roller spends the Power
+  if (interaction.user.id !== roll.creatorId) {
+    await interaction.reply({
+      content: 'Only the player who made this roll can spend its Power.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (roll.result.spendingPower === null) {
+    await interaction.reply({
+      content: `Roll #${rollId} was not successful - there is no Power to spend.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const spendKey = `${rollId}_${interaction.user.id}`;
+  const spendState = {
+    rollId,
+    sceneId: roll.sceneId,
+    spendingPower: roll.result.spendingPower,
+    pending: [],
+    selectedEffect: null,
+  };
+
+  if (getRemainingPower(spendState, guildId) <= 0) {
+    await interaction.reply({
+      content: `All the Power of Roll #${rollId} has already been spent.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (!client.rollSpendStates) {
+    client.rollSpendStates = new Map();
+  }
+  client.rollSpendStates.set(spendKey, spendState);
+
+  const spendData = buildSpendDisplay(spendKey, spendState, guildId);
+  await interaction.reply({
+    components: spendData.components,
+    flags: spendData.flags | MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Handle effect selection (opens the modal describing the effect)
+ */
+export async function handleRollSpendEffectSelect(interaction, client) {
+  const customId = interaction.customId;
+  const spendKey = customId.replace('roll_spend_effect_', '');
+  const spendState = await getSpendState(interaction, client, spendKey);
+  if (!spendState) return;
+
+  const effect = interaction.values[0];
+  if (!isValidSpendEffect(effect)) {
+    await interaction.reply({
+      content: 'Unknown effect.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  spendState.selectedEffect = effect;
+  client.rollSpendStates.set(spendKey, spendState);
+
+  await interaction.showModal(SpendEffectModal.build(spendKey, effect));
+}
+
+/**
+ * Handle the effect modal submission (adds the effect to the pending list)
+ */
+export async function handleRollSpendModal(interaction, client) {
+  const customId = interaction.customId;
+  const spendKey = customId.replace('roll_spend_modal_', '');
+  const spendState = await getSpendState(interaction, client, spendKey);
+  if (!spendState) return;
+
+  const guildId = requireGuildId(interaction);
+  const effectType = spendState.selectedEffect;
+  const parsed = SpendEffectModal.parse(effectType, interaction.fields);
+  if (!parsed.valid) {
+    await interaction.reply({
+      content: `**Validation Error:** ${parsed.error}`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const effect = {
+    effect: effectType,
+    targetType: null,
+    targetId: null,
+    targetName: null,
+    value: parsed.value,
+    tier: parsed.tier,
+  };
+
+  // Resolve the target: a character by name, or the roll's scene
+  if (effectType !== SpendEffect.DISCOVER_DETAIL) {
+    if (parsed.targetName) {
+      const lowerName = parsed.targetName.toLowerCase();
+      const matches = CharacterStorage.getAllCharacters(guildId)
+        .filter(character => character.name.toLowerCase() === lowerName);
+      if (matches.length !== 1) {
+        await interaction.reply({
+          content: matches.length === 0
+            ? `No character named "${parsed.targetName}" was found.`
+            : `Several characters are named "${parsed.targetName}" - ask a narrator to rename one.`,
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+      effect.targetType = 'character';
+      effect.targetId = matches[0].id;
+      effect.targetName = matches[0].name;
+    } else {
+      effect.targetType = 'scene';
+      effect.targetId = spendState.sceneId;
+    }
+  }
+
+  // Statuses can only be reduced if they exist
+  if (effectType === SpendEffect.REDUCE_STATUS) {
+    const statuses = effect.targetType === 'scene'
+      ? StoryTagStorage.getStatusesWithPowerLevels(guildId, effect.targetId)
+      : CharacterStorage.getCharacterById(guildId, effect.targetId).tempStatuses;
+    const exists = StatusModel.find(statuses, effect.value) !== null;
+    if (!exists) {
+      await interaction.reply({
+        content: `There is no "${effect.value}" status on ${effect.targetType === 'scene' ? 'this scene' : effect.targetName}.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+  }
+
+  effect.cost = getRuleset(guildId).calculateEffectCost(effect);
+  const remaining = getRemainingPower(spendState, guildId);
+  if (effect.cost > remaining) {
+    await interaction.reply({
+      content: `This effect costs ${effect.cost} Power, but only ${remaining} Power is left.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  spendState.pending.push(effect);
+  spendState.selectedEffect = null;
+  client.rollSpendStates.set(spendKey, spendState);
+
+  await interaction.update(buildSpendDisplay(spendKey, spendState, guildId));
+}
+
+/**
+ * Handle the "Remove Last" button (drops the last pending effect)
+ */
+export async function handleRollSpendUndo(interaction, client) {
+  const customId = interaction.customId;
+  const spendKey = customId.replace('roll_spend_undo_', '');
+  const spendState = await getSpendState(interaction, client, spendKey);
+  if (!spendState) return;
+
+  spendState.pending.pop();
+  client.rollSpendStates.set(spendKey, spendState);
+
+  await interaction.update(buildSpendDisplay(spendKey, spendState, requireGuildId(interaction)));
+}
+
+/**
+ * Handle the "Apply" button (applies the pending effects and records them in the ledger)
+ */
+export async function handleRollSpendApply(interaction, client) {
+  const customId = interaction.customId;
+  const spendKey = customId.replace('roll_spend_apply_', '');
+  const spendState = await getSpendState(interaction, client, spendKey);
+  if (!spendState) return;
+
+  const guildId = requireGuildId(interaction);
+  const result = RollSpendStorage.spend(guildId, spendState.rollId, spendState.spendingPower, spendState.pending, interaction.user.id);
+  if (!result.success) {
+    await interaction.reply({
+      content: result.message,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  client.rollSpendStates.delete(spendKey);
+  const remaining = spendState.spendingPower - RollSpendStorage.getSpentPower(guildId, spendState.rollId);
+
+  const appliedContainer = new ContainerBuilder();
+  appliedContainer.addTextDisplayComponents(
+    new TextDisplayBuilder()
+      .setContent(`**Power spent on Roll #${spendState.rollId}.**${remaining > 0 ? ` ${remaining} Power left - press "Spend Power" again to use it.` : ''}`)
+  );
+  await interaction.update({
+    components: [appliedContainer],
+    flags: MessageFlags.IsComponentsV2,
+  });
+
+  // Announce the effects publicly so the table sees what changed
+  await interaction.followUp(RollSpendView.buildSpendSummary(spendState.rollId, interaction.user.id, spendState.pending, remaining, guildId));
+
+  for (const effect of spendState.pending) {
+    if (effect.effect === SpendEffect.GIVE_STATUS || effect.effect === SpendEffect.REDUCE_STATUS) {
+      await announceReachedLimits(client, guildId, effect.targetType === 'scene'
+        ? { sceneId: effect.targetId }
+        : { characterId: parseInt(effect.targetId) });
+    }
+  }
+}
+
+/**
+ * Handle the "Cancel" button (drops the pending effects)
+ */
+export async function handleRollSpendCancel(interaction, client) {
+  const customId = interaction.customId;
+  const spendKey = customId.replace('roll_spend_cancel_', '');
+  if (client.rollSpendStates) {
+    client.rollSpendStates.delete(spendKey);
+  }
+
+  const cancelContainer = new ContainerBuilder();
+  cancelContainer.addTextDisplayComponents(
+    new TextDisplayBuilder()
+      .setContent('Spending cancelled. Nothing was applied.')
+  );
+  await interaction.update({
+    components: [cancelContainer],
+    flags: MessageFlags.IsComponentsV2,
+  });
+}
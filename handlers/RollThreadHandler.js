@@ -0,0 +1,90 @@
+import { MessageFlags } from 'discord.js';
+import { RollStorage } from '../utils/RollStorage.js';
+
+/**
+ * Open the discussion thread of a roll off its proposal message
+ * Reactions to the roll share the thread, so nothing is opened when the roll already has one.
+ * Scenes played inside a thread can't have threads of their own; the roll then stays in the scene.
+ * @param {import('discord.js').Message} message - Public proposal message
+ * @param {string} guildId - Guild ID
+ * @param {number} rollId - Roll ID
+ * @returns {Promise<import('discord.js').ThreadChannel|null>} The thread, or null if none was opened
+ */
+export async function openRollThread(message, guildId, rollId) {
+  const roll = RollStorage.getRoll(guildId, rollId);
+  if (!roll || roll.threadId || !message || message.channel?.isThread()) {
+    return null;
+  }
+
+  // Thread names are limited to 100 characters
+  const name = `${roll.isReaction ? 'Reaction' : 'Roll'} #${rollId} - ${roll.description || 'No description'}`;
+  try {
+    const thread = await message.startThread({
+      name: name.length > 100 ? name.substring(0, 97) + '...' : name,
+    });
+    RollStorage.setRollThread(guildId, rollId, thread.id);
+    return thread;
+  } catch (error) {
+    console.error(`Error opening thread for roll ${rollId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Send a message to the discussion thread of a roll
+ * @param {Client} client - Discord client
+ * @param {Object} roll - Roll from RollStorage.getRoll
+ * @param {Object} payload - Message to send
+ * @returns {Promise<import('discord.js').Message|null>} The sent message, or null if the roll has no reachable thread
+ */
+export async function sendToRollThread(client, roll, payload) {
+  if (!roll || !roll.threadId) {
+    return null;
+  }
+
+  try {
+    const thread = await client.channels.fetch(roll.threadId);
+    // Archived threads are unarchived by sending to them, but locked ones are closed for good
+    if (!thread || thread.locked) {
+      return null;
+    }
+    return await thread.send(payload);
+  } catch (error) {
+    console.error(`Error posting in thread ${roll.threadId} of roll ${roll.id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Post a public roll message (confirmation, amendment, result...) where the roll is discussed
+ * Goes to the roll's thread when it has one; otherwise it answers the interaction in the channel.
+ * When the interaction has not been answered yet, it gets an ephemeral pointer to the thread.
+ * @param {import('discord.js').Interaction} interaction - The interaction
+ * @param {string} guildId - Guild ID
+ * @param {number} rollId - Roll ID
+ * @param {Object} payload - Message to post
+ * @returns {Promise<import('discord.js').Message>} The posted message
+ */
+export async function postRollUpdate(interaction, guildId, rollId, payload) {
+  const roll = RollStorage.getRoll(guildId, rollId);
+
+  // Inside the thread, answering the interaction already posts there
+  if (roll && roll.threadId && roll.threadId !== interaction.channelId) {
+    const message = await sendToRollThread(interaction.client, roll, payload);
+    if (message) {
+      if (!interaction.replied && !interaction.deferred) {
+        await interaction.reply({
+          content: `Posted in the thread of roll #${rollId}: <#${roll.threadId}>`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+      return message;
+    }
+  }
+
+  if (interaction.replied || interaction.deferred) {
+    return interaction.followUp(payload);
+  }
+  await interaction.reply(payload);
+  return interaction.fetchReply();
+}
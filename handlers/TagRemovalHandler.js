@@ -1,6 +1,7 @@
 import { MessageFlags } from 'discord.js';
 import { TagFormatter } from '../utils/TagFormatter.js';
 import { StoryTagStorage } from '../utils/StoryTagStorage.js';
+import { announceReachedLimits } from './LimitHandler.js';
 import { requireGuildId } from '../utils/GuildUtils.js';
 
 /**
@@ -217,6 +218,11 @@ export async function handleTagRemovalButton(interaction, client) {
       content: publicContent,
       flags: undefined, // Public message
     });
+
+    if (statusesToRemove.length > 0) {
+      // Lets limits that drop below their value alert again later
+      await announceReachedLimits(client, guildId, { sceneId });
+    }
   }
   // Handle cancel button
   else if (customId.startsWith('cancel_remove_tags_')) {
@@ -0,0 +1,262 @@
+import { MessageFlags } from 'discord.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { CharacterHistoryStorage } from '../utils/CharacterHistoryStorage.js';
+import { ThemeDevelopView } from '../utils/ThemeDevelopView.js';
+import { ThemeDevelopModal } from '../utils/modals/ThemeDevelopModal.js';
+import { ThemeImprovement, getThemeImprovementDisplayName } from '../constants/ThemeImprovement.js';
+import { CharacterChange } from '../constants/CharacterChange.js';
+import { getRuleset } from '../utils/rulesets/index.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+
+/**
+ * Get the character and theme being developed, replying if the user can't develop it
+ * Re-checked at every step, since the theme may have changed since the flow started
+ * @returns {Promise<{ character: Object, theme: Object }|null>} The character and theme, or null if the flow can't go on
+ */
+async function getDevelopableTheme(interaction, guildId, characterId, themeId) {
+  const character = CharacterStorage.getCharacterById(guildId, characterId);
+  if (!character) {
+    await interaction.reply({
+      content: 'Character not found.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return null;
+  }
+
+  if (character.user_id !== interaction.user.id) {
+    await interaction.reply({
+      content: 'You can only develop your own character\'s themes.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return null;
+  }
+
+  const theme = (character.themes || []).find(t => t.id === themeId);
+  const improvementsToDevelop = getRuleset(guildId).improvementsToDevelop;
+  if (!theme || theme.improvements < improvementsToDevelop) {
+    await interaction.reply({
+      content: theme
+        ? `**${theme.name}** needs ${improvementsToDevelop} improvements to develop (it has ${theme.improvements}).`
+        : 'Theme not found.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return null;
+  }
+
+  return { character, theme };
+}
+
+/**
+ * Apply a development to a theme, reset its improvements and announce it
+ * @param {Object} change - { tags, weaknesses, summary, data } where tags and weaknesses are the new lists for updateSingleTheme
+ */
+async function applyDevelopment(interaction, guildId, character, theme, improvement, change) {
+  CharacterHistoryStorage.recordBaseline(guildId, character.id);
+  const updatedTheme = CharacterStorage.updateSingleTheme(guildId, theme.id, {
+    name: theme.name,
+    tags: change.tags,
+    weaknesses: change.weaknesses,
+    quest: theme.quest,
+    improvements: 0,
+  });
+  if (!updatedTheme) {
+    await interaction.reply({
+      content: 'Failed to update theme.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  CharacterHistoryStorage.record(guildId, character.id, CharacterChange.THEME_DEVELOPMENT, `**${theme.name}**: ${change.summary}`, {
+    themeId: theme.id,
+    improvement,
+    improvementsSpent: theme.improvements,
+    ...change.data,
+  }, interaction.user.id);
+
+  // The sheet write can take longer than Discord waits for a response
+  await interaction.deferUpdate();
+  const updatedCharacter = CharacterStorage.getCharacterById(guildId, character.id);
+  const syncResult = await CharacterStorage.autoSyncToSheet(guildId, character.user_id, character.id, updatedCharacter);
+
+  let content = `**${theme.name}** developed: ${change.summary}`;
+  if (syncResult) {
+    content += `\n${syncResult.success ? '✅' : '⚠️'} ${syncResult.message}`;
+  }
+  await interaction.editReply(ThemeDevelopView.buildNotice(content));
+
+  // Announce the development publicly so the table sees the character grow
+  await interaction.followUp(ThemeDevelopView.buildDevelopmentAnnouncement(updatedCharacter, updatedTheme, change.summary, interaction.user.id));
+}
+
+/**
+ * Handle the theme selection of /theme-develop
+ */
+export async function handleThemeDevelopThemeSelect(interaction, client) {
+  const guildId = requireGuildId(interaction);
+  const characterId = parseInt(interaction.customId.replace('theme_develop_theme_', ''));
+  const themeId = parseInt(interaction.values[0]);
+
+  const developable = await getDevelopableTheme(interaction, guildId, characterId, themeId);
+  if (!developable) return;
+
+  await interaction.update(ThemeDevelopView.buildImprovementSelect(
+    developable.character,
+    developable.theme,
+    getRuleset(guildId).getThemeImprovements()
+  ));
+}
+
+/**
+ * Handle the improvement selection
+ * New tags and special improvements open a modal, the others switch the view to a tag picker
+ */
+export async function handleThemeDevelopChoiceSelect(interaction, client) {
+  const guildId = requireGuildId(interaction);
+  const [characterId, themeId] = interaction.customId.replace('theme_develop_choice_', '').split('_').map(id => parseInt(id));
+  const improvement = interaction.values[0];
+
+  if (!getRuleset(guildId).getThemeImprovements().includes(improvement)) {
+    await interaction.reply({
+      content: 'This improvement is not available with this server\'s ruleset.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const developable = await getDevelopableTheme(interaction, guildId, characterId, themeId);
+  if (!developable) return;
+
+  if (improvement === ThemeImprovement.ADD_TAG || improvement === ThemeImprovement.SPECIAL) {
+    await interaction.showModal(ThemeDevelopModal.build(characterId, themeId, improvement));
+    return;
+  }
+
+  await interaction.update(ThemeDevelopView.buildTagSelect(developable.character, developable.theme, improvement));
+}
+
+/**
+ * Handle the tag selection
+ * A removed weakness is applied right away, a rewritten tag opens a modal for its new wording
+ */
+export async function handleThemeDevelopTagSelect(interaction, client) {
+  const guildId = requireGuildId(interaction);
+  const parts = interaction.customId.replace('theme_develop_tag_', '').split('_');
+  const characterId = parseInt(parts[0]);
+  const themeId = parseInt(parts[1]);
+  const improvement = parts.slice(2).join('_');
+  const tagId = parseInt(interaction.values[0]);
+
+  const developable = await getDevelopableTheme(interaction, guildId, characterId, themeId);
+  if (!developable) return;
+  const { character, theme } = developable;
+
+  const tag = [...theme.tags, ...theme.weaknesses].find(t => t.id === tagId);
+  if (!tag) {
+    await interaction.reply({
+      content: 'That tag is no longer on the theme.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (improvement === ThemeImprovement.REWRITE_TAG) {
+    await interaction.showModal(ThemeDevelopModal.build(characterId, themeId, improvement, tag));
+    return;
+  }
+
+  await applyDevelopment(interaction, guildId, character, theme, improvement, {
+    tags: theme.tags.map(t => t.tag),
+    weaknesses: theme.weaknesses.filter(w => w.id !== tagId).map(w => w.tag),
+    summary: `removed the weakness **${tag.tag}**`,
+    data: { tag: tag.tag },
+  });
+}
+
+/**
+ * Handle the new tag / new wording / special improvement modal submission
+ */
+export async function handleThemeDevelopModal(interaction, client) {
+  const guildId = requireGuildId(interaction);
+  const { characterId, themeId, tagId, improvement } = ThemeDevelopModal.parseCustomId(interaction.customId);
+
+  const parsed = ThemeDevelopModal.parse(improvement, interaction.fields);
+  if (!parsed.valid) {
+    await interaction.reply({
+      content: `**Validation Error:** ${parsed.error}`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const developable = await getDevelopableTheme(interaction, guildId, characterId, themeId);
+  if (!developable) return;
+  const { character, theme } = developable;
+
+  const tags = theme.tags.map(t => t.tag);
+  const weaknesses = theme.weaknesses.map(w => w.tag);
+  const hasTag = name => [...tags, ...weaknesses].some(t => t.toLowerCase() === name.toLowerCase());
+
+  let change;
+  if (improvement === ThemeImprovement.ADD_TAG) {
+    if (hasTag(parsed.value)) {
+      await interaction.reply({
+        content: `**${theme.name}** already has the tag **${parsed.value}**.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+    change = {
+      tags: [...tags, parsed.value],
+      weaknesses,
+      summary: `added the power tag **${parsed.value}**`,
+      data: { tag: parsed.value },
+    };
+  } else if (improvement === ThemeImprovement.REWRITE_TAG) {
+    const tag = [...theme.tags, ...theme.weaknesses].find(t => t.id === tagId);
+    if (!tag) {
+      await interaction.reply({
+        content: 'That tag is no longer on the theme.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+    if (tag.tag === parsed.value) {
+      await interaction.reply({
+        content: 'The new wording is the same as the current one.',
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+    if ([...theme.tags, ...theme.weaknesses].some(t => t.id !== tagId && t.tag.toLowerCase() === parsed.value.toLowerCase())) {
+      await interaction.reply({
+        content: `**${theme.name}** already has the tag **${parsed.value}**.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+    // Renamed in place, so the tag keeps its ID and burned state
+    const rewrite = t => t.id === tagId ? { id: t.id, tag: parsed.value } : t.tag;
+    change = {
+      tags: theme.tags.map(rewrite),
+      weaknesses: theme.weaknesses.map(rewrite),
+      summary: `rewrote **${tag.tag}** as **${parsed.value}**`,
+      data: { tag: tag.tag, newTag: parsed.value },
+    };
+  } else if (improvement === ThemeImprovement.SPECIAL) {
+    change = {
+      tags,
+      weaknesses,
+      summary: `took a special improvement: ${parsed.value}`,
+      data: { description: parsed.value },
+    };
+  } else {
+    await interaction.reply({
+      content: `Unknown improvement: ${getThemeImprovementDisplayName(improvement)}.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await applyDevelopment(interaction, guildId, character, theme, improvement, change);
+}
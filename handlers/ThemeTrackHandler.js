@@ -0,0 +1,170 @@
+import { MessageFlags } from 'discord.js';
+import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { CharacterHistoryStorage } from '../utils/CharacterHistoryStorage.js';
+import { CharacterChange } from '../constants/CharacterChange.js';
+import { ThemeTrackView } from '../utils/ThemeTrackView.js';
+import { getRuleset } from '../utils/rulesets/index.js';
+import { requireGuildId } from '../utils/GuildUtils.js';
+
+/**
+ * Mark or erase boxes on a track of a theme, syncing the sheet when auto-sync is on
+ * The sheet write is started but not awaited, so callers can respond to Discord in time
+ * @param {string} guildId - Guild ID
+ * @param {Object} character - Character owning the theme
+ * @param {Object} theme - Theme to change
+ * @param {Object} track - Track from Ruleset.getThemeTracks
+ * @param {number} change - Boxes to mark (positive) or erase (negative)
+ * @param {string} userId - User making the change (for the character's history)
+ * @returns {{ previous: number, value: number, character: Object }|null} The change and the updated character, or null if the theme is gone
+ */
+export function changeThemeTrack(guildId, character, theme, track, change, userId) {
+  CharacterHistoryStorage.recordBaseline(guildId, character.id);
+  const result = CharacterStorage.changeThemeTrack(guildId, theme.id, track, change);
+  if (!result) {
+    return null;
+  }
+
+  const updatedCharacter = CharacterStorage.getCharacterById(guildId, character.id);
+  if (result.value !== result.previous) {
+    CharacterHistoryStorage.record(guildId, character.id, CharacterChange.EDIT, `**${theme.name}**: ${track.name} ${result.previous} → ${result.value}`, null, userId);
+    updatedCharacter._autoSyncPromise = CharacterStorage.autoSyncToSheet(guildId, updatedCharacter.user_id, updatedCharacter.id, updatedCharacter);
+  }
+
+  return { ...result, character: updatedCharacter };
+}
+
+/**
+ * Post the public prompt of a track the change just filled (what happens to the theme now)
+ * @param {import('discord.js').Interaction} interaction - Interaction already replied to or updated
+ * @param {Object} character - Character owning the theme
+ * @param {Object} theme - Theme whose track changed
+ * @param {Object} track - Track from Ruleset.getThemeTracks
+ * @param {{ previous: number, value: number }} result - Result of changeThemeTrack
+ */
+export async function promptIfFull(interaction, character, theme, track, result) {
+  if (result.previous < track.max && result.value >= track.max) {
+    await interaction.followUp(ThemeTrackView.buildTrackFullPrompt(character, theme, track));
+  }
+}
+
+/**
+ * Get the character for the track editor, replying if the user doesn't own it
+ * @returns {Promise<Object|null>} The character, or null if the user can't change its tracks
+ */
+async function getOwnCharacter(interaction, guildId, characterId) {
+  const character = CharacterStorage.getCharacter(guildId, interaction.user.id, characterId);
+  if (!character) {
+    await interaction.reply({
+      content: 'Character not found.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return null;
+  }
+  if (!character.themes || character.themes.length === 0) {
+    await interaction.reply({
+      content: `${character.name} has no themes.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return null;
+  }
+  return character;
+}
+
+/**
+ * Handle the "Theme Tracks" button of the character view
+ */
+export async function handleThemeTracksButton(interaction, client) {
+  const guildId = requireGuildId(interaction);
+  const characterId = parseInt(interaction.customId.replace('theme_tracks_', ''));
+
+  const character = await getOwnCharacter(interaction, guildId, characterId);
+  if (!character) return;
+
+  const editorData = ThemeTrackView.buildTrackEditor(character, character.themes[0], getRuleset(guildId).getThemeTracks());
+  await interaction.reply({
+    components: editorData.components,
+    flags: editorData.flags | MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Handle the theme selection of the track editor
+ */
+export async function handleThemeTracksThemeSelect(interaction, client) {
+  const guildId = requireGuildId(interaction);
+  const characterId = parseInt(interaction.customId.replace('theme_tracks_theme_', ''));
+
+  const character = await getOwnCharacter(interaction, guildId, characterId);
+  if (!character) return;
+
+  const theme = character.themes.find(t => t.id === parseInt(interaction.values[0])) || character.themes[0];
+  await interaction.update(ThemeTrackView.buildTrackEditor(character, theme, getRuleset(guildId).getThemeTracks()));
+}
+
+/**
+ * Handle the mark / erase buttons of the track editor
+ */
+export async function handleThemeTrackButton(interaction, client) {
+  const guildId = requireGuildId(interaction);
+  const isMark = interaction.customId.startsWith('theme_track_mark_');
+  const [characterId, themeId, trackValue] = interaction.customId
+    .replace(isMark ? 'theme_track_mark_' : 'theme_track_erase_', '')
+    .split('_');
+
+  const character = await getOwnCharacter(interaction, guildId, parseInt(characterId));
+  if (!character) return;
+
+  const tracks = getRuleset(guildId).getThemeTracks();
+  const track = tracks.find(t => t.track === trackValue);
+  const theme = character.themes.find(t => t.id === parseInt(themeId));
+  if (!track || !theme) {
+    await interaction.reply({
+      content: !track ? 'This track is not used with this server\'s ruleset.' : 'Theme not found.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const result = changeThemeTrack(guildId, character, theme, track, isMark ? 1 : -1, interaction.user.id);
+  if (!result) {
+    await interaction.reply({
+      content: 'Theme not found.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const updatedTheme = result.character.themes.find(t => t.id === theme.id);
+  await interaction.update(ThemeTrackView.buildTrackEditor(result.character, updatedTheme, tracks));
+  await promptIfFull(interaction, result.character, updatedTheme, track, result);
+}
+
+/**
+ * Handle autocomplete for /theme-track (themes of the active character, tracks of the server's ruleset)
+ */
+export async function handleThemeTrackAutocomplete(interaction) {
+  const guildId = requireGuildId(interaction);
+  const focused = interaction.options.getFocused(true);
+  const searchValue = focused.value.toLowerCase();
+
+  if (focused.name === 'track') {
+    const tracks = getRuleset(guildId).getThemeTracks()
+      .filter(track => track.name.toLowerCase().includes(searchValue));
+    await interaction.respond(tracks.map(track => ({ name: track.name, value: track.track })));
+    return;
+  }
+
+  const character = CharacterStorage.getActiveCharacter(guildId, interaction.user.id);
+  if (!character) {
+    await interaction.respond([]);
+    return;
+  }
+
+  const themes = (character.themes || [])
+    .filter(theme => theme.name.toLowerCase().includes(searchValue))
+    .slice(0, 25); // Discord limit is 25 options
+  await interaction.respond(themes.map(theme => ({
+    name: theme.name.substring(0, 100),
+    value: theme.name.substring(0, 100),
+  })));
+}
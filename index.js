@@ -7,9 +7,20 @@ import * as CharacterCreateHandler from './handlers/CharacterCreateHandler.js';
 import * as CharacterImportHandler from './handlers/CharacterImportHandler.js';
 import * as FellowshipHandler from './handlers/FellowshipHandler.js';
 import * as RollHandler from './handlers/RollHandler.js';
+import * as RollSpendHandler from './handlers/RollSpendHandler.js';
+import * as RollConsequenceHandler from './handlers/RollConsequenceHandler.js';
+import * as RollHelpConsentHandler from './handlers/RollHelpConsentHandler.js';
 import * as NarratorGuideHandler from './handlers/NarratorGuideHandler.js';
+import * as LimitHandler from './handlers/LimitHandler.js';
+import * as ChallengeHandler from './handlers/ChallengeHandler.js';
+import * as RollReminderHandler from './handlers/RollReminderHandler.js';
+import * as ThemeDevelopHandler from './handlers/ThemeDevelopHandler.js';
+import * as ThemeTrackHandler from './handlers/ThemeTrackHandler.js';
+import * as CharacterHistoryHandler from './handlers/CharacterHistoryHandler.js';
+import * as NpcHandler from './handlers/NpcHandler.js';
 import { initializeEnvs } from './utils/ServerConfig.js';
 import { WebhookServer } from './utils/WebhookServer.js';
+import { SessionStore } from './utils/SessionStore.js';
 
 // Load environment variables (base .env and all guild-specific .env.{guildId} files)
 initializeEnvs();
@@ -96,15 +107,46 @@ commands.forEach(command => {
 // When the client is ready, log in
 client.once(Events.ClientReady, (readyClient) => {
   console.log(`Ready! Logged in as ${readyClient.user.tag}`);
+
+  // Garbage-collect expired interaction sessions now and every hour
+  const purgeSessions = () => {
+    try {
+      const purged = SessionStore.purgeExpired();
+      if (purged > 0) {
+        console.log(`🧹 Removed ${purged} expired interaction session(s)`);
+      }
+    } catch (error) {
+      console.error('Error removing expired interaction sessions:', error);
+    }
+  };
+  purgeSessions();
+  setInterval(purgeSessions, 60 * 60 * 1000);
+
+  // Remind about rolls waiting for a narrator or their creator, and expire abandoned ones
+  RollReminderHandler.startRollReminders(client);
 });
 
-// Initialize tag removal selections and item type maps
-client.tagRemovalSelections = new Map();
-client.tagRemovalItemTypes = new Map();
-// Initialize character creation state map
-client.characterCreation = new Map();
-// Initialize roll states map
-client.rollStates = new Map();
+// Save in-memory interaction sessions before pm2 restarts or stops the bot
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    SessionStore.flushAll();
+    process.exit(0);
+  });
+}
+
+// Initialize tag removal selections and item type maps (persisted so they survive restarts)
+client.tagRemovalSelections = new SessionStore('tagRemovalSelections', 60 * 60 * 1000); // 1 hour
+client.tagRemovalItemTypes = new SessionStore('tagRemovalItemTypes', 60 * 60 * 1000); // 1 hour
+// Initialize character creation state map (persisted)
+client.characterCreation = new SessionStore('characterCreation', 60 * 60 * 1000); // 1 hour
+// Initialize roll states map (persisted, so open proposal/confirm editors survive restarts)
+client.rollStates = new SessionStore('rollStates', 24 * 60 * 60 * 1000); // 24 hours
+// Initialize roll history states map (filters for /roll-history pagination, persisted and expired like the other sessions)
+client.rollHistoryStates = new SessionStore('rollHistoryStates', 60 * 60 * 1000); // 1 hour
+// Initialize roll spend states map (pending effects while spending a roll's Power, persisted)
+client.rollSpendStates = new SessionStore('rollSpendStates', 24 * 60 * 60 * 1000); // 24 hours
+// Initialize roll consequence states map (pending consequences while a narrator imposes them, persisted)
+client.rollConsequenceStates = new SessionStore('rollConsequenceStates', 24 * 60 * 60 * 1000); // 24 hours
 
 // Handle slash command interactions
 client.on(Events.InteractionCreate, async (interaction) => {
@@ -112,7 +154,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
     // Handle autocomplete interactions
     const commandName = interaction.commandName;
     
-    if (commandName === 'char-lookup') {
+    if (commandName === 'char-lookup' || commandName === 'roll-history') {
       await CharacterHandler.handleCharLookupAutocomplete(interaction);
     } else if (commandName === 'char-create') {
       await CharacterCreateHandler.handleCharacterCreateAutocomplete(interaction);
@@ -120,6 +162,27 @@ client.on(Events.InteractionCreate, async (interaction) => {
       await CharacterImportHandler.handleCharacterImportAutocomplete(interaction);
     } else if (commandName === 'fellowship-lookup') {
       await FellowshipHandler.handleFellowshipLookupAutocomplete(interaction);
+    } else if (commandName === 'stats') {
+      // Stats accepts either a character or a fellowship
+      if (interaction.options.getFocused(true).name === 'fellowship') {
+        await FellowshipHandler.handleFellowshipLookupAutocomplete(interaction);
+      } else {
+        await CharacterHandler.handleCharLookupAutocomplete(interaction);
+      }
+    } else if (commandName === 'scene-limit') {
+      // Scene limit accepts a limit on the scene and a character
+      if (interaction.options.getFocused(true).name === 'character') {
+        await CharacterHandler.handleCharLookupAutocomplete(interaction);
+      } else {
+        await LimitHandler.handleSceneLimitAutocomplete(interaction);
+      }
+    } else if (commandName === 'challenge-add-tag' || commandName === 'challenge-view' ||
+      commandName === 'challenge-remove-tag' || commandName === 'challenge-remove') {
+      await ChallengeHandler.handleChallengeAutocomplete(interaction);
+    } else if (commandName === 'roll-propose' || commandName === 'roll-quick') {
+      await RollHandler.handleRollLoadoutAutocomplete(interaction);
+    } else if (commandName === 'theme-track') {
+      await ThemeTrackHandler.handleThemeTrackAutocomplete(interaction);
     }
   } else if (interaction.isChatInputCommand()) {
     const command = commandMap.get(interaction.commandName);
@@ -161,12 +224,38 @@ client.on(Events.InteractionCreate, async (interaction) => {
         await RollHandler.handleRollReconfirmCancel(interaction, client);
       } else if (interaction.customId.startsWith('roll_reconfirm_')) {
         await RollHandler.handleRollReconfirm(interaction, client);
+      } else if (interaction.customId.startsWith('roll_reject_')) {
+        await RollHandler.handleRollReject(interaction, client);
+      } else if (interaction.customId.startsWith('roll_withdraw_')) {
+        await RollHandler.handleRollWithdraw(interaction, client);
+      } else if (interaction.customId.startsWith('roll_loadout_save_')) {
+        await RollHandler.handleRollLoadoutSave(interaction, client);
+      } else if (interaction.customId.startsWith('roll_queue_open_')) {
+        await RollHandler.handleRollQueueOpen(interaction, client);
+      } else if (interaction.customId.startsWith('roll_consent_approve_') || interaction.customId.startsWith('roll_consent_decline_')) {
+        await RollHelpConsentHandler.handleRollConsent(interaction, client);
       } else if (interaction.customId.startsWith('roll_confirm_')) {
         await RollHandler.handleRollConfirm(interaction, client);
       } else if (interaction.customId.startsWith('roll_execute_confirm_')) {
         await RollHandler.handleRollExecuteConfirm(interaction, client);
       } else if (interaction.customId.startsWith('roll_execute_cancel_')) {
         await RollHandler.handleRollExecuteCancel(interaction, client);
+      } else if (interaction.customId.startsWith('roll_spend_start_')) {
+        await RollSpendHandler.handleRollSpendStart(interaction, client);
+      } else if (interaction.customId.startsWith('roll_spend_undo_')) {
+        await RollSpendHandler.handleRollSpendUndo(interaction, client);
+      } else if (interaction.customId.startsWith('roll_spend_apply_')) {
+        await RollSpendHandler.handleRollSpendApply(interaction, client);
+      } else if (interaction.customId.startsWith('roll_spend_cancel_')) {
+        await RollSpendHandler.handleRollSpendCancel(interaction, client);
+      } else if (interaction.customId.startsWith('roll_consequence_start_')) {
+        await RollConsequenceHandler.handleRollConsequenceStart(interaction, client);
+      } else if (interaction.customId.startsWith('roll_consequence_undo_')) {
+        await RollConsequenceHandler.handleRollConsequenceUndo(interaction, client);
+      } else if (interaction.customId.startsWith('roll_consequence_apply_')) {
+        await RollConsequenceHandler.handleRollConsequenceApply(interaction, client);
+      } else if (interaction.customId.startsWith('roll_consequence_cancel_')) {
+        await RollConsequenceHandler.handleRollConsequenceCancel(interaction, client);
       } else if (interaction.customId.startsWith('roll_cancel_')) {
         await RollHandler.handleRollCancel(interaction, client);
       } else if (interaction.customId.startsWith('roll_might_button_')) {
@@ -179,6 +268,10 @@ client.on(Events.InteractionCreate, async (interaction) => {
         await CharacterHandler.handleEditBackpackButton(interaction, client);
       } else if (interaction.customId.startsWith('edit_statuses_')) {
         await CharacterHandler.handleEditStatusesButton(interaction, client);
+      } else if (interaction.customId.startsWith('theme_tracks_')) {
+        await ThemeTrackHandler.handleThemeTracksButton(interaction, client);
+      } else if (interaction.customId.startsWith('theme_track_mark_') || interaction.customId.startsWith('theme_track_erase_')) {
+        await ThemeTrackHandler.handleThemeTrackButton(interaction, client);
       } else if (interaction.customId.startsWith('edit_theme_')) {
         await CharacterHandler.handleEditThemeButton(interaction, client);
       } else if (interaction.customId.startsWith('statuses_')) {
@@ -199,6 +292,10 @@ client.on(Events.InteractionCreate, async (interaction) => {
         await CharacterHandler.handleConfirmEnableAutoSync(interaction, client);
       } else if (interaction.customId.startsWith('cancel_enable_auto_sync_')) {
         await CharacterHandler.handleCancelEnableAutoSync(interaction, client);
+      } else if (interaction.customId.startsWith('character_history_restore_')) {
+        await CharacterHistoryHandler.handleCharacterHistoryRestoreButton(interaction, client);
+      } else if (interaction.customId.startsWith('character_history_')) {
+        await CharacterHistoryHandler.handleCharacterHistoryButton(interaction, client);
       } else if (interaction.customId.startsWith('delete_character_confirm_')) {
         await CharacterHandler.handleDeleteCharacterConfirm(interaction, client);
       } else if (interaction.customId.startsWith('delete_character_cancel_')) {
@@ -229,6 +326,8 @@ client.on(Events.InteractionCreate, async (interaction) => {
       await CharacterHandler.handleThemeSelectMenu(interaction, client);
     } else if (interaction.customId.startsWith('select_active_character_')) {
       await CharacterHandler.handleSelectActiveCharacter(interaction, client);
+    } else if (interaction.customId.startsWith('npc_play_select_')) {
+      await NpcHandler.handleNpcPlaySelect(interaction, client);
     } else if (interaction.customId.startsWith('burn_refresh_select_')) {
       await CharacterHandler.handleBurnRefreshSelect(interaction, client);
     } else if (interaction.customId.startsWith('statuses_remove_')) {
@@ -255,6 +354,24 @@ client.on(Events.InteractionCreate, async (interaction) => {
       await RollHandler.handleRemoveHinderActionSelect(interaction, client);
     } else if (interaction.customId.startsWith('roll_might_modifier_')) {
       await RollHandler.handleMightModifierSelect(interaction, client);
+    } else if (interaction.customId.startsWith('roll_spend_effect_')) {
+      await RollSpendHandler.handleRollSpendEffectSelect(interaction, client);
+    } else if (interaction.customId.startsWith('roll_consequence_type_')) {
+      await RollConsequenceHandler.handleRollConsequenceTypeSelect(interaction, client);
+    } else if (interaction.customId.startsWith('roll_consequence_tag_')) {
+      await RollConsequenceHandler.handleRollConsequenceTagSelect(interaction, client);
+    } else if (interaction.customId.startsWith('theme_tracks_theme_')) {
+      await ThemeTrackHandler.handleThemeTracksThemeSelect(interaction, client);
+    } else if (interaction.customId.startsWith('character_history_version_')) {
+      await CharacterHistoryHandler.handleCharacterHistoryVersionSelect(interaction, client);
+    } else if (interaction.customId.startsWith('theme_develop_theme_')) {
+      await ThemeDevelopHandler.handleThemeDevelopThemeSelect(interaction, client);
+    } else if (interaction.customId.startsWith('theme_develop_choice_')) {
+      await ThemeDevelopHandler.handleThemeDevelopChoiceSelect(interaction, client);
+    } else if (interaction.customId.startsWith('theme_develop_tag_')) {
+      await ThemeDevelopHandler.handleThemeDevelopTagSelect(interaction, client);
+    } else if (interaction.customId.startsWith('roll_history_page_')) {
+      await RollHandler.handleRollHistoryPageSelect(interaction, client);
     } else if (interaction.customId.startsWith('roll_help_page_') || interaction.customId.startsWith('roll_hinder_page_')) {
       await RollHandler.handleRollPageSelect(interaction, client);
     } else if (interaction.customId.startsWith('roll_burn_')) {
@@ -269,6 +386,18 @@ client.on(Events.InteractionCreate, async (interaction) => {
     // Handle modal submissions
     if (interaction.customId.startsWith('roll_justification_modal_')) {
       await RollHandler.handleJustificationModal(interaction, client);
+    } else if (interaction.customId.startsWith('roll_reject_modal_')) {
+      await RollHandler.handleRollRejectModal(interaction, client);
+    } else if (interaction.customId.startsWith('roll_withdraw_modal_')) {
+      await RollHandler.handleRollWithdrawModal(interaction, client);
+    } else if (interaction.customId.startsWith('roll_loadout_save_modal_')) {
+      await RollHandler.handleRollLoadoutSaveModal(interaction, client);
+    } else if (interaction.customId.startsWith('roll_spend_modal_')) {
+      await RollSpendHandler.handleRollSpendModal(interaction, client);
+    } else if (interaction.customId.startsWith('roll_consequence_modal_')) {
+      await RollConsequenceHandler.handleRollConsequenceModal(interaction, client);
+    } else if (interaction.customId.startsWith('theme_develop_modal_')) {
+      await ThemeDevelopHandler.handleThemeDevelopModal(interaction, client);
     } else if (interaction.customId.startsWith('set_sheet_url_')) {
       await CharacterHandler.handleSetSheetUrlModal(interaction);
     } else {
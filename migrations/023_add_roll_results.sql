@@ -0,0 +1,22 @@
+-- Add roll_results table to persist the outcome of executed rolls
+-- Keeps the dice, power breakdown and outcome tier after the Discord message scrolls away
+CREATE TABLE IF NOT EXISTS roll_results (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  roll_id INTEGER NOT NULL UNIQUE,
+  die1 INTEGER NOT NULL,
+  die2 INTEGER NOT NULL,
+  base_power INTEGER NOT NULL, -- Power from tags and statuses (before might)
+  might_modifier INTEGER NOT NULL DEFAULT 0,
+  total_power INTEGER NOT NULL, -- base_power + might_modifier
+  strategy TEXT NOT NULL DEFAULT 'none', -- 'none', 'throw_caution' or 'hedge_risks'
+  strategy_modifier INTEGER NOT NULL DEFAULT 0,
+  final_result INTEGER NOT NULL,
+  outcome TEXT NOT NULL, -- See constants/RollOutcome.js
+  spending_power INTEGER, -- NULL when the roll was not successful
+  executed_by TEXT NOT NULL,
+  executed_at INTEGER DEFAULT (strftime('%s', 'now')),
+  message_link TEXT,
+  FOREIGN KEY (roll_id) REFERENCES rolls(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_roll_results_outcome ON roll_results(outcome);
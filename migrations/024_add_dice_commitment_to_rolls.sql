@@ -0,0 +1,6 @@
+-- Add commit-reveal columns to rolls
+-- dice_commitment is the SHA-256 hash of dice_seed, published when the roll is confirmed
+-- dice_seed stays secret until the roll is executed and the dice are derived from it
+
+ALTER TABLE rolls ADD COLUMN dice_seed TEXT;
+ALTER TABLE rolls ADD COLUMN dice_commitment TEXT;
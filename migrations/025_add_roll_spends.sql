@@ -0,0 +1,17 @@
+-- Add roll_spends table: ledger of the effects bought with the Power of executed rolls
+-- The sum of cost per roll can never exceed roll_results.spending_power
+CREATE TABLE IF NOT EXISTS roll_spends (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  roll_id INTEGER NOT NULL,
+  effect TEXT NOT NULL, -- See constants/SpendEffect.js
+  target_type TEXT, -- 'scene' or 'character' (NULL for discovered details)
+  target_id TEXT, -- Scene ID or character ID
+  value TEXT NOT NULL, -- Status name, story tag or detail text
+  tier INTEGER, -- Status tier given or removed (NULL for tags and details)
+  cost INTEGER NOT NULL,
+  spent_by TEXT NOT NULL,
+  spent_at INTEGER DEFAULT (strftime('%s', 'now')),
+  FOREIGN KEY (roll_id) REFERENCES rolls(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_roll_spends_roll_id ON roll_spends(roll_id);
@@ -0,0 +1,16 @@
+-- Add roll_consequences table: consequences a narrator imposed after a miss or partial success
+-- Kept per roll so the roll history shows what each roll cost
+CREATE TABLE IF NOT EXISTS roll_consequences (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  roll_id INTEGER NOT NULL,
+  consequence TEXT NOT NULL, -- See constants/RollConsequence.js
+  target_type TEXT NOT NULL, -- 'scene' or 'character'
+  target_id TEXT NOT NULL, -- Scene ID or character ID
+  value TEXT NOT NULL, -- Status name, limit or tag name
+  tier INTEGER, -- Status tier inflicted (NULL for other consequences)
+  imposed_by TEXT NOT NULL,
+  imposed_at INTEGER DEFAULT (strftime('%s', 'now')),
+  FOREIGN KEY (roll_id) REFERENCES rolls(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_roll_consequences_roll_id ON roll_consequences(roll_id);
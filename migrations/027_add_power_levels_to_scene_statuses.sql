@@ -0,0 +1,17 @@
+-- Add tier boxes to scene statuses so they stack and reduce like character statuses
+-- The tag column keeps the "name-N" form (N being the highest marked box) for display and rolls
+
+ALTER TABLE scene_tags ADD COLUMN power_1 INTEGER DEFAULT 0;
+ALTER TABLE scene_tags ADD COLUMN power_2 INTEGER DEFAULT 0;
+ALTER TABLE scene_tags ADD COLUMN power_3 INTEGER DEFAULT 0;
+ALTER TABLE scene_tags ADD COLUMN power_4 INTEGER DEFAULT 0;
+ALTER TABLE scene_tags ADD COLUMN power_5 INTEGER DEFAULT 0;
+ALTER TABLE scene_tags ADD COLUMN power_6 INTEGER DEFAULT 0;
+
+-- Existing statuses only know their current tier, so mark that box
+UPDATE scene_tags SET power_1 = 1 WHERE tag_type = 'status' AND tag GLOB '*-1';
+UPDATE scene_tags SET power_2 = 1 WHERE tag_type = 'status' AND tag GLOB '*-2';
+UPDATE scene_tags SET power_3 = 1 WHERE tag_type = 'status' AND tag GLOB '*-3';
+UPDATE scene_tags SET power_4 = 1 WHERE tag_type = 'status' AND tag GLOB '*-4';
+UPDATE scene_tags SET power_5 = 1 WHERE tag_type = 'status' AND tag GLOB '*-5';
+UPDATE scene_tags SET power_6 = 1 WHERE tag_type = 'status' AND tag GLOB '*-6';
@@ -0,0 +1,17 @@
+-- Add limit_links table: links a scene limit like "harm(4)" to the statuses that fill it up
+-- The limit is reached when the highest tier among the linked statuses on the target meets its value
+CREATE TABLE IF NOT EXISTS limit_links (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  limit_tag_id INTEGER NOT NULL UNIQUE, -- scene_tags row of the limit
+  scene_id TEXT NOT NULL, -- Scene the limit belongs to (alerts are posted there)
+  target_type TEXT NOT NULL, -- 'scene' or 'character'
+  target_id TEXT NOT NULL, -- Scene ID or character ID
+  statuses TEXT NOT NULL, -- Comma-separated status names that count towards the limit
+  reached INTEGER DEFAULT 0, -- 1 once the alert was posted, reset when the statuses drop below the limit
+  created_by TEXT NOT NULL,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  FOREIGN KEY (limit_tag_id) REFERENCES scene_tags(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_limit_links_scene_id ON limit_links(scene_id);
+CREATE INDEX IF NOT EXISTS idx_limit_links_target ON limit_links(target_type, target_id);
@@ -0,0 +1,68 @@
+-- Add challenges: NPCs, rivals and obstacles in a scene, each with their own tags, statuses, limits and threats
+-- Challenges are not tied to the scenes row, so /scene-clear leaves them in place
+
+CREATE TABLE IF NOT EXISTS challenges (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  scene_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  created_by TEXT NOT NULL,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  UNIQUE(scene_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_challenges_scene ON challenges(scene_id);
+
+CREATE TABLE IF NOT EXISTS challenge_tags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  challenge_id INTEGER NOT NULL,
+  tag TEXT NOT NULL,
+  tag_type TEXT NOT NULL CHECK(tag_type IN ('tag', 'status', 'limit', 'threat')),
+  -- Tier boxes for statuses (see utils/StatusModel.js)
+  power_1 INTEGER DEFAULT 0,
+  power_2 INTEGER DEFAULT 0,
+  power_3 INTEGER DEFAULT 0,
+  power_4 INTEGER DEFAULT 0,
+  power_5 INTEGER DEFAULT 0,
+  power_6 INTEGER DEFAULT 0,
+  FOREIGN KEY (challenge_id) REFERENCES challenges(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_challenge_tags_challenge ON challenge_tags(challenge_id, tag_type);
+
+-- Allow challenge tags in roll_tags
+-- SQLite doesn't support modifying CHECK constraints, so we need to recreate the table
+CREATE TABLE roll_tags_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  roll_id INTEGER NOT NULL,
+  tag_type TEXT NOT NULL CHECK(tag_type IN ('help', 'hinder')),
+  is_burned INTEGER DEFAULT 0,
+  help_from_character_id INTEGER,
+  
+  -- Polymorphic relationship: single parent_id with parent_type
+  parent_id INTEGER NOT NULL,
+  parent_type TEXT NOT NULL CHECK(parent_type IN (
+    'character_theme',
+    'character_theme_tag',
+    'character_backpack',
+    'character_story_tag',
+    'character_status',
+    'scene_tag',
+    'fellowship_tag',
+    'challenge_tag'
+  )),
+  
+  FOREIGN KEY (roll_id) REFERENCES rolls(id) ON DELETE CASCADE,
+  FOREIGN KEY (help_from_character_id) REFERENCES characters(id) ON DELETE SET NULL
+);
+
+INSERT INTO roll_tags_new (id, roll_id, tag_type, is_burned, help_from_character_id, parent_id, parent_type)
+SELECT id, roll_id, tag_type, is_burned, help_from_character_id, parent_id, parent_type
+FROM roll_tags;
+
+DROP TABLE roll_tags;
+ALTER TABLE roll_tags_new RENAME TO roll_tags;
+
+CREATE INDEX IF NOT EXISTS idx_roll_tags_roll ON roll_tags(roll_id);
+CREATE INDEX IF NOT EXISTS idx_roll_tags_parent ON roll_tags(parent_type, parent_id);
+CREATE INDEX IF NOT EXISTS idx_roll_tags_help_from_character ON roll_tags(help_from_character_id);
@@ -0,0 +1,5 @@
+-- Add the reason for rejecting or cancelling a roll
+-- status_changed_by is the narrator who rejected the roll or the player who cancelled it
+
+ALTER TABLE rolls ADD COLUMN status_reason TEXT;
+ALTER TABLE rolls ADD COLUMN status_changed_by TEXT;
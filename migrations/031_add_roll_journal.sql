@@ -0,0 +1,13 @@
+-- Add roll_journal table: side effects of executing a roll, so /roll-undo can revert them
+-- data holds what is needed to revert the effect (the deleted row, or the improvement count)
+CREATE TABLE IF NOT EXISTS roll_journal (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  roll_id INTEGER NOT NULL,
+  effect TEXT NOT NULL, -- See constants/RollSideEffect.js
+  target_id INTEGER NOT NULL, -- ID of the theme, theme tag, backpack item or story tag
+  data TEXT, -- JSON
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  FOREIGN KEY (roll_id) REFERENCES rolls(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_roll_journal_roll_id ON roll_journal(roll_id);
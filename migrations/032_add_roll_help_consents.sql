@@ -0,0 +1,19 @@
+-- Add roll_help_consents table: consent of the players whose characters contribute help tags to a roll
+-- One row per contributed tag, keyed by the tag's entity so it survives roll_tags being rewritten on edits
+CREATE TABLE IF NOT EXISTS roll_help_consents (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  roll_id INTEGER NOT NULL,
+  parent_type TEXT NOT NULL, -- Same polymorphic reference as roll_tags
+  parent_id INTEGER NOT NULL,
+  character_id INTEGER NOT NULL, -- Helping character
+  is_burned INTEGER NOT NULL DEFAULT 0, -- Whether the consent covers burning the tag
+  status TEXT NOT NULL DEFAULT 'pending', -- See constants/HelpConsentStatus.js
+  decided_by TEXT,
+  decided_at INTEGER,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  FOREIGN KEY (roll_id) REFERENCES rolls(id) ON DELETE CASCADE,
+  FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
+  UNIQUE (roll_id, parent_type, parent_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_roll_help_consents_roll_id ON roll_help_consents(roll_id);
@@ -0,0 +1,22 @@
+-- Add roll loadouts: named help/hinder tag selections a player saves on a character to reuse in /roll-propose
+-- Tags reference their entity like roll_tags, so a deleted or burned tag is dropped when the loadout is used
+CREATE TABLE IF NOT EXISTS roll_loadouts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  character_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+  FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
+  UNIQUE (character_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS roll_loadout_tags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  loadout_id INTEGER NOT NULL,
+  tag_type TEXT NOT NULL CHECK(tag_type IN ('help', 'hinder')),
+  parent_type TEXT NOT NULL, -- Same polymorphic reference as roll_tags
+  parent_id INTEGER NOT NULL,
+  FOREIGN KEY (loadout_id) REFERENCES roll_loadouts(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_roll_loadout_tags_loadout_id ON roll_loadout_tags(loadout_id);
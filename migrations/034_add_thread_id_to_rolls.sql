@@ -0,0 +1,6 @@
+-- Add the discussion thread of a roll
+-- The thread is opened off the proposal message; reactions to the roll are posted in the same thread
+
+ALTER TABLE rolls ADD COLUMN thread_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_rolls_thread_id ON rolls(thread_id);
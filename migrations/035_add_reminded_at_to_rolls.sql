@@ -0,0 +1,4 @@
+-- Add the time of the last reminder about a roll waiting for confirmation or execution
+-- Reminders repeat once the roll has been left alone for another full threshold period
+
+ALTER TABLE rolls ADD COLUMN reminded_at INTEGER;
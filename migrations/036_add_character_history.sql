@@ -0,0 +1,13 @@
+-- Add character_history table: notable changes made to a character, newest last
+CREATE TABLE IF NOT EXISTS character_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  character_id INTEGER NOT NULL,
+  change_type TEXT NOT NULL, -- See constants/CharacterChange.js
+  summary TEXT NOT NULL, -- One line shown in the history
+  data TEXT, -- JSON details of the change
+  changed_by TEXT, -- Discord user ID, NULL for automatic changes
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_character_history_character_id ON character_history(character_id);
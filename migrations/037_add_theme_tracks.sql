@@ -0,0 +1,5 @@
+-- Add milestones and abandons columns to character_themes table
+-- Track progress towards a theme's quest and towards giving the theme up (see constants/ThemeTrack.js)
+-- Rulesets without milestones use abandons for their own loss track (Fade/Crack in City of Mist, Decay in Otherscape)
+ALTER TABLE character_themes ADD COLUMN milestones INTEGER DEFAULT 0;
+ALTER TABLE character_themes ADD COLUMN abandons INTEGER DEFAULT 0;
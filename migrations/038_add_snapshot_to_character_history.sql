@@ -0,0 +1,4 @@
+-- Add snapshot column to character_history table
+-- JSON copy of the character after the change (name, themes, backpack, story tags, statuses),
+-- so versions can be compared and restored (see utils/CharacterHistoryStorage.js)
+ALTER TABLE character_history ADD COLUMN snapshot TEXT;
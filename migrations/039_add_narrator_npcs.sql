@@ -0,0 +1,11 @@
+-- Let narrators play unassigned characters as NPCs
+-- narrator_npcs holds the NPC each narrator currently plays (see /npc-play)
+CREATE TABLE IF NOT EXISTS narrator_npcs (
+  user_id TEXT PRIMARY KEY, -- Discord user ID of the narrator
+  character_id INTEGER NOT NULL,
+  updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+  FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE
+);
+
+-- Rolls a narrator made as an NPC: creator_id is the narrator, character_id the NPC
+ALTER TABLE rolls ADD COLUMN as_npc INTEGER DEFAULT 0;
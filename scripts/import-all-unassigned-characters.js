@@ -3,6 +3,8 @@ import { readdirSync } from 'fs';
 import { join } from 'path';
 import { getDbForGuild } from '../utils/Database.js';
 import { CharacterStorage } from '../utils/CharacterStorage.js';
+import { CharacterHistoryStorage } from '../utils/CharacterHistoryStorage.js';
+import { CharacterChange } from '../constants/CharacterChange.js';
 import { FellowshipStorage } from '../utils/FellowshipStorage.js';
 import sheetsService from '../utils/GoogleSheetsService.js';
 import { getBlacklistedGids } from '../utils/SheetTabBlacklist.js';
@@ -149,6 +151,9 @@ async function importCharacter(guildId, tabTitle, gid, fellowshipSheetUrl) {
       }
     }
 
+    // Record the imported character as its first version
+    CharacterHistoryStorage.record(guildId, character.id, CharacterChange.SHEET_SYNC, 'Imported from the Google Sheet by the bulk import');
+
     return { success: true, characterName: characterData.name };
   } catch (error) {
     return { success: false, error: error.message };
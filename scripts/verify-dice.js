@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+import { DiceService } from '../utils/DiceService.js';
+
+/**
+ * CLI script to verify a commit-reveal roll from the values shown on the result
+ * Usage: npm run dice:verify -- <rollId> <seed> <commitment> [die1] [die2]
+ */
+
+const [rollIdArg, seed, commitment, die1Arg, die2Arg] = process.argv.slice(2);
+const rollId = parseInt(rollIdArg);
+
+if (isNaN(rollId) || !seed || !commitment) {
+  console.error('Usage: npm run dice:verify -- <rollId> <seed> <commitment> [die1] [die2]');
+  process.exit(1);
+}
+
+console.log(`🎲 Verifying Roll #${rollId}\n`);
+
+const hashMatches = DiceService.hashSeed(seed) === commitment;
+console.log(hashMatches ? '✅ Seed matches the commitment' : '❌ Seed does NOT match the commitment');
+
+const { die1, die2 } = DiceService.rollFromSeed(seed, rollId);
+console.log(`🎲 Dice derived from the seed: ${die1} + ${die2}`);
+
+let diceMatch = true;
+if (die1Arg !== undefined && die2Arg !== undefined) {
+  diceMatch = DiceService.verify(seed, commitment, rollId, parseInt(die1Arg), parseInt(die2Arg));
+  console.log(diceMatch ? '✅ Dice match the result' : '❌ Dice do NOT match the result');
+}
+
+process.exit(hashMatches && diceMatch ? 0 : 1);
@@ -0,0 +1,330 @@
+import { getDbForGuild } from './Database.js';
+import { StatusModel } from './StatusModel.js';
+import { LimitStorage } from './LimitStorage.js';
+
+/**
+ * Storage utility for challenges (NPCs, rivals, obstacles) in a scene
+ * Each challenge has its own tags, statuses, limits and threats
+ */
+export class ChallengeStorage {
+  /**
+   * Load the tags, statuses, limits and threats of a challenge row
+   * @param {string} guildId - Guild ID
+   * @param {Object} row - challenges row
+   * @returns {Object} { id, sceneId, name, description, createdBy, createdAt, tags, statuses, limits, threats }
+   */
+  static loadChallengeRelations(guildId, row) {
+    const db = getDbForGuild(guildId);
+    const tagRows = db.prepare(`
+      SELECT id, tag, tag_type, power_1, power_2, power_3, power_4, power_5, power_6
+      FROM challenge_tags
+      WHERE challenge_id = ?
+      ORDER BY id
+    `).all(row.id);
+
+    return {
+      id: row.id,
+      sceneId: row.scene_id,
+      name: row.name,
+      description: row.description,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      tags: tagRows.filter(t => t.tag_type === 'tag').map(t => ({ id: t.id, tag: t.tag })),
+      statuses: tagRows.filter(t => t.tag_type === 'status').map(t => ({ id: t.id, ...this.rowToStatusModel(t).toStatus() })),
+      limits: tagRows.filter(t => t.tag_type === 'limit').map(t => ({ id: t.id, tag: t.tag })),
+      threats: tagRows.filter(t => t.tag_type === 'threat').map(t => ({ id: t.id, tag: t.tag })),
+    };
+  }
+
+  /**
+   * Build the status model for a challenge_tags status row
+   * @param {Object} row - Row with tag and power_1..power_6
+   * @returns {StatusModel}
+   */
+  static rowToStatusModel(row) {
+    return new StatusModel(row.tag, {
+      1: row.power_1,
+      2: row.power_2,
+      3: row.power_3,
+      4: row.power_4,
+      5: row.power_5,
+      6: row.power_6,
+    });
+  }
+
+  /**
+   * Get the challenges of a scene
+   * @param {string} guildId - Guild ID
+   * @param {string} sceneId - Scene ID
+   * @returns {Array<Object>} Challenges (see loadChallengeRelations)
+   */
+  static getChallenges(guildId, sceneId) {
+    const db = getDbForGuild(guildId);
+    const rows = db.prepare(`
+      SELECT id, scene_id, name, description, created_by, created_at
+      FROM challenges
+      WHERE scene_id = ?
+      ORDER BY id
+    `).all(sceneId);
+    return rows.map(row => this.loadChallengeRelations(guildId, row));
+  }
+
+  /**
+   * Get a challenge by ID
+   * @param {string} guildId - Guild ID
+   * @param {number} challengeId - Challenge ID
+   * @returns {Object|null} Challenge or null if not found
+   */
+  static getChallenge(guildId, challengeId) {
+    const db = getDbForGuild(guildId);
+    const row = db.prepare(`
+      SELECT id, scene_id, name, description, created_by, created_at
+      FROM challenges
+      WHERE id = ?
+    `).get(challengeId);
+    return row ? this.loadChallengeRelations(guildId, row) : null;
+  }
+
+  /**
+   * Get a challenge of a scene by name (case-insensitive)
+   * @param {string} guildId - Guild ID
+   * @param {string} sceneId - Scene ID
+   * @param {string} name - Challenge name
+   * @returns {Object|null} Challenge or null if not found
+   */
+  static getChallengeByName(guildId, sceneId, name) {
+    const db = getDbForGuild(guildId);
+    const row = db.prepare(`
+      SELECT id, scene_id, name, description, created_by, created_at
+      FROM challenges
+      WHERE scene_id = ? AND LOWER(name) = LOWER(?)
+    `).get(sceneId, name.trim());
+    return row ? this.loadChallengeRelations(guildId, row) : null;
+  }
+
+  /**
+   * Create a challenge in a scene
+   * @param {string} guildId - Guild ID
+   * @param {string} sceneId - Scene ID
+   * @param {string} name - Challenge name
+   * @param {string|null} description - Optional description
+   * @param {string} createdBy - Discord user ID
+   * @returns {{ success: boolean, message?: string, challenge?: Object }}
+   */
+  static createChallenge(guildId, sceneId, name, description, createdBy) {
+    if (this.getChallengeByName(guildId, sceneId, name)) {
+      return { success: false, message: `This scene already has a challenge named "${name}".` };
+    }
+
+    const db = getDbForGuild(guildId);
+    const result = db.prepare(`
+      INSERT INTO challenges (scene_id, name, description, created_by)
+      VALUES (?, ?, ?, ?)
+    `).run(sceneId, name.trim(), description || null, createdBy);
+
+    return { success: true, challenge: this.getChallenge(guildId, result.lastInsertRowid) };
+  }
+
+  /**
+   * Add tags, limits or threats to a challenge, skipping ones it already has (case-insensitive)
+   * @param {string} guildId - Guild ID
+   * @param {number} challengeId - Challenge ID
+   * @param {string[]} values - Values to add
+   * @param {string} tagType - 'tag', 'limit' or 'threat'
+   * @returns {{ added: string[], duplicates: string[] }}
+   */
+  static addTags(guildId, challengeId, values, tagType) {
+    const db = getDbForGuild(guildId);
+    const existing = new Set(db.prepare(`
+      SELECT LOWER(tag) AS tag FROM challenge_tags WHERE challenge_id = ? AND tag_type = ?
+    `).all(challengeId, tagType).map(row => row.tag));
+    const insertStmt = db.prepare(`
+      INSERT INTO challenge_tags (challenge_id, tag, tag_type)
+      VALUES (?, ?, ?)
+    `);
+
+    const added = [];
+    const duplicates = [];
+    const transaction = db.transaction(() => {
+      for (const value of values) {
+        if (existing.has(value.toLowerCase())) {
+          duplicates.push(value);
+          continue;
+        }
+        insertStmt.run(challengeId, value, tagType);
+        existing.add(value.toLowerCase());
+        added.push(value);
+      }
+    });
+
+    transaction();
+    return { added, duplicates };
+  }
+
+  /**
+   * Remove tags, limits or threats from a challenge by name (case-insensitive)
+   * @param {string} guildId - Guild ID
+   * @param {number} challengeId - Challenge ID
+   * @param {string[]} values - Values to remove
+   * @returns {{ removed: string[], notFound: string[] }}
+   */
+  static removeTags(guildId, challengeId, values) {
+    const db = getDbForGuild(guildId);
+    const rows = db.prepare(`
+      SELECT id, tag FROM challenge_tags WHERE challenge_id = ? AND tag_type != 'status'
+    `).all(challengeId);
+    const deleteStmt = db.prepare('DELETE FROM challenge_tags WHERE id = ?');
+
+    const removed = [];
+    const notFound = [];
+    const transaction = db.transaction(() => {
+      for (const value of values) {
+        const row = rows.find(r => r.tag.toLowerCase() === value.toLowerCase());
+        if (!row) {
+          notFound.push(value);
+          continue;
+        }
+        deleteStmt.run(row.id);
+        rows.splice(rows.indexOf(row), 1);
+        removed.push(row.tag);
+      }
+    });
+
+    transaction();
+    return { removed, notFound };
+  }
+
+  /**
+   * Apply a change to a challenge status, creating, updating or deleting its row as needed
+   * @param {string} guildId - Guild ID
+   * @param {number} challengeId - Challenge ID
+   * @param {string} name - Status name without tier
+   * @param {(model: StatusModel) => StatusModel} change - Change to apply to the status model
+   * @returns {string|null} The resulting status (e.g. "wounded-3") or null if it is gone
+   */
+  static changeStatus(guildId, challengeId, name, change) {
+    const db = getDbForGuild(guildId);
+    const challenge = this.getChallenge(guildId, challengeId);
+    const existing = StatusModel.find(challenge ? challenge.statuses : [], name);
+    const model = change(existing ? StatusModel.fromStatus(existing) : new StatusModel(name.trim()));
+    const powers = [1, 2, 3, 4, 5, 6].map(box => model.powerLevels[box] ? 1 : 0);
+
+    if (existing && model.isEmpty) {
+      db.prepare('DELETE FROM challenge_tags WHERE id = ?').run(existing.id);
+    } else if (existing) {
+      db.prepare(`
+        UPDATE challenge_tags
+        SET power_1 = ?, power_2 = ?, power_3 = ?, power_4 = ?, power_5 = ?, power_6 = ?
+        WHERE id = ?
+      `).run(...powers, existing.id);
+    } else if (!model.isEmpty) {
+      db.prepare(`
+        INSERT INTO challenge_tags (challenge_id, tag, tag_type, power_1, power_2, power_3, power_4, power_5, power_6)
+        VALUES (?, ?, 'status', ?, ?, ?, ?, ?, ?)
+      `).run(challengeId, model.name, ...powers);
+    }
+    return model.isEmpty ? null : model.toString();
+  }
+
+  /**
+   * Give a challenge status a tier, stacking onto the status if it already exists
+   * @param {string} guildId - Guild ID
+   * @param {number} challengeId - Challenge ID
+   * @param {string} name - Status name without tier
+   * @param {number} tier - Tier to add
+   * @returns {string|null} The resulting status (e.g. "wounded-3")
+   */
+  static addStatusTier(guildId, challengeId, name, tier) {
+    return this.changeStatus(guildId, challengeId, name, model => model.addTier(tier));
+  }
+
+  /**
+   * Reduce a challenge status by a number of tiers
+   * @param {string} guildId - Guild ID
+   * @param {number} challengeId - Challenge ID
+   * @param {string} name - Status name without tier
+   * @param {number} tiers - Tiers to remove
+   * @returns {string|null} The resulting status or null if it is gone
+   */
+  static reduceStatus(guildId, challengeId, name, tiers) {
+    return this.changeStatus(guildId, challengeId, name, model => model.reduce(tiers));
+  }
+
+  /**
+   * Remove a challenge status by name, whatever its tier
+   * @param {string} guildId - Guild ID
+   * @param {number} challengeId - Challenge ID
+   * @param {string} name - Status name without tier
+   * @returns {null}
+   */
+  static removeStatus(guildId, challengeId, name) {
+    return this.changeStatus(guildId, challengeId, name, model => model.remove());
+  }
+
+  /**
+   * Delete a challenge with all of its tags, statuses, limits and threats
+   * @param {string} guildId - Guild ID
+   * @param {number} challengeId - Challenge ID
+   */
+  static deleteChallenge(guildId, challengeId) {
+    const db = getDbForGuild(guildId);
+    const transaction = db.transaction(() => {
+      db.prepare('DELETE FROM challenge_tags WHERE challenge_id = ?').run(challengeId);
+      db.prepare('DELETE FROM challenges WHERE id = ?').run(challengeId);
+    });
+
+    transaction();
+  }
+
+  /**
+   * Find the limits of a challenge that a change just reached
+   * A challenge limit like "harm(4)" is reached by the challenge's status of the same name once it meets 4 ("harm-4")
+   * @param {Object} before - The challenge before the change (see loadChallengeRelations)
+   * @param {Object} after - The challenge after the change
+   * @returns {Array<{ limit: string, status: StatusModel }>} Limits reached after the change but not before
+   */
+  static getNewlyReachedLimits(before, after) {
+    const reachedBy = (challenge, limit) => {
+      const parsed = LimitStorage.parseLimit(limit);
+      const status = parsed ? StatusModel.find(challenge.statuses, parsed.name) : null;
+      const model = status ? StatusModel.fromStatus(status) : null;
+      return model && model.tier >= parsed.value ? model : null;
+    };
+
+    const reached = [];
+    for (const { tag: limit } of after.limits) {
+      const status = reachedBy(after, limit);
+      const wasLimit = before.limits.some(t => t.tag.toLowerCase() === limit.toLowerCase());
+      if (status && !(wasLimit && reachedBy(before, limit))) {
+        reached.push({ limit, status });
+      }
+    }
+    return reached;
+  }
+
+  /**
+   * Get tag data by entity ID for roll display/calculation
+   * Limits and threats are not available to rolls
+   * @param {string} guildId - Guild ID
+   * @param {number} tagId - Challenge tag ID
+   * @returns {Object|null} { name: string, type: 'tag'|'status', isWeakness: boolean, characterId: null } or null
+   */
+  static getTagDataByEntity(guildId, tagId) {
+    const db = getDbForGuild(guildId);
+    const row = db.prepare(`
+      SELECT tag, tag_type, power_1, power_2, power_3, power_4, power_5, power_6
+      FROM challenge_tags
+      WHERE id = ?
+    `).get(tagId);
+    if (!row || (row.tag_type !== 'tag' && row.tag_type !== 'status')) {
+      return null;
+    }
+
+    return {
+      name: row.tag_type === 'status' ? this.rowToStatusModel(row).toString() : row.tag,
+      type: row.tag_type,
+      isWeakness: false,
+      characterId: null // Challenge tags don't belong to any character
+    };
+  }
+}
@@ -0,0 +1,41 @@
+import { TagFormatter } from './TagFormatter.js';
+import { StatusModel } from './StatusModel.js';
+
+/**
+ * Shared utilities for displaying challenges
+ */
+export class ChallengeView {
+  /**
+   * Format a challenge with its tags, statuses, limits and threats
+   * @param {Object} challenge - Challenge from ChallengeStorage
+   * @returns {string} Markdown text
+   */
+  static formatChallenge(challenge) {
+    const lines = [`**${challenge.name}**`];
+    if (challenge.description) {
+      lines.push(`*${challenge.description}*`);
+    }
+
+    const tags = challenge.tags.map(t => t.tag);
+    const statuses = challenge.statuses.map(status => StatusModel.fromStatus(status).toString());
+    const limits = challenge.limits.map(t => t.tag);
+    lines.push(TagFormatter.formatSceneStatusInCodeBlock(tags, statuses, limits));
+
+    if (challenge.threats.length > 0) {
+      lines.push(`**Threats:**\n${challenge.threats.map(t => `• ${t.tag}`).join('\n')}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Format all challenges of a scene, grouped by challenge
+   * @param {Array<Object>} challenges - Challenges from ChallengeStorage
+   * @returns {string} Markdown text (empty when there are no challenges)
+   */
+  static formatChallenges(challenges) {
+    if (challenges.length === 0) {
+      return '';
+    }
+    return `**Challenges (${challenges.length})**\n${challenges.map(challenge => this.formatChallenge(challenge)).join('\n\n')}`;
+  }
+}
@@ -0,0 +1,239 @@
+import { StatusModel } from './StatusModel.js';
+
+/**
+ * Portable JSON files of characters, for /char-export and /char-import-file
+ *
+ * A file is { format, version, exportedAt, character } where character is
+ * { name, themes, backpack, storyTags, statuses, fellowship }:
+ * - themes: [{ name, isBurned, improvements, milestones, abandons, quest, tags, weaknesses }]
+ *   with tags and weaknesses as [{ tag, isBurned }]
+ * - backpack and storyTags: arrays of names
+ * - statuses: [{ status, marked }] where marked lists the marked tier boxes (1-6)
+ * - fellowship: name of the fellowship, or null
+ */
+export class CharacterFile {
+  static FORMAT = 'mistbot-character';
+  static VERSION = 1;
+  static MAX_THEMES = 4;
+  static MAX_NAME_LENGTH = 100;
+
+  /**
+   * Build the file contents of a character
+   * @param {Object} character - Character object
+   * @returns {Object} File contents, ready for JSON.stringify
+   */
+  static build(character) {
+    const tagEntry = tag => ({ tag: tag.tag, isBurned: !!tag.isBurned });
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      exportedAt: new Date().toISOString(),
+      character: {
+        name: character.name,
+        themes: (character.themes || []).map(theme => ({
+          name: theme.name,
+          isBurned: !!theme.isBurned,
+          improvements: theme.improvements || 0,
+          milestones: theme.milestones || 0,
+          abandons: theme.abandons || 0,
+          quest: theme.quest || null,
+          tags: (theme.tags || []).map(tagEntry),
+          weaknesses: (theme.weaknesses || []).map(tagEntry),
+        })),
+        backpack: (character.backpack || []).map(item => item.item),
+        storyTags: (character.storyTags || []).map(tag => tag.tag),
+        statuses: (character.tempStatuses || []).map(status => {
+          const model = StatusModel.fromStatus(status);
+          return {
+            status: model.name,
+            marked: Object.keys(model.powerLevels).filter(tier => model.powerLevels[tier]).map(Number).sort((a, b) => a - b),
+          };
+        }),
+        fellowship: character.fellowship ? character.fellowship.name : null,
+      },
+    };
+  }
+
+  /**
+   * Get a file name for a character's export
+   * @param {Object} character - Character object
+   * @returns {string}
+   */
+  static getFileName(character) {
+    const slug = character.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'character'}.json`;
+  }
+
+  /**
+   * Parse and validate the contents of a character file
+   * @param {string} text - File contents
+   * @returns {{ valid: boolean, errors?: string[], character?: Object }} On success, the character as
+   *   { name, themes, backpack, storyTags, tempStatuses, fellowshipName } in the shapes CharacterStorage accepts
+   */
+  static parse(text) {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch (error) {
+      return { valid: false, errors: [`The file is not valid JSON: ${error.message}`] };
+    }
+
+    if (!this.isObject(file) || file.format !== this.FORMAT) {
+      return { valid: false, errors: [`The file is not a character export (expected "format": "${this.FORMAT}").`] };
+    }
+    if (!Number.isInteger(file.version) || file.version < 1) {
+      return { valid: false, errors: ['"version" must be a positive whole number.'] };
+    }
+    if (file.version > this.VERSION) {
+      return { valid: false, errors: [`The file is version ${file.version}, but this bot reads up to version ${this.VERSION}.`] };
+    }
+    if (!this.isObject(file.character)) {
+      return { valid: false, errors: ['"character" must be an object.'] };
+    }
+
+    const errors = [];
+    const data = file.character;
+
+    this.checkName(data.name, 'character.name', errors, true);
+
+    if (!Array.isArray(data.themes) || data.themes.length === 0 || data.themes.length > this.MAX_THEMES) {
+      errors.push(`character.themes: must be a list of 1 to ${this.MAX_THEMES} themes.`);
+    } else {
+      data.themes.forEach((theme, index) => this.checkTheme(theme, `character.themes[${index}]`, errors));
+    }
+
+    for (const key of ['backpack', 'storyTags']) {
+      if (data[key] === undefined) continue;
+      if (!Array.isArray(data[key])) {
+        errors.push(`character.${key}: must be a list of names.`);
+      } else {
+        data[key].forEach((name, index) => this.checkName(name, `character.${key}[${index}]`, errors));
+      }
+    }
+
+    if (data.statuses !== undefined) {
+      if (!Array.isArray(data.statuses)) {
+        errors.push('character.statuses: must be a list.');
+      } else {
+        data.statuses.forEach((status, index) => this.checkStatus(status, `character.statuses[${index}]`, errors));
+      }
+    }
+
+    if (data.fellowship !== undefined && data.fellowship !== null && (typeof data.fellowship !== 'string' || !data.fellowship.trim())) {
+      errors.push('character.fellowship: must be a fellowship name or null.');
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    const tagEntry = tag => (typeof tag === 'string'
+      ? { tag: tag.trim(), isBurned: false }
+      : { tag: tag.tag.trim(), isBurned: !!tag.isBurned });
+
+    return {
+      valid: true,
+      character: {
+        name: data.name.trim(),
+        themes: data.themes.map(theme => ({
+          name: theme.name.trim(),
+          isBurned: !!theme.isBurned,
+          improvements: theme.improvements || 0,
+          milestones: theme.milestones || 0,
+          abandons: theme.abandons || 0,
+          quest: theme.quest ? theme.quest.trim() : null,
+          tags: (theme.tags || []).map(tagEntry),
+          weaknesses: (theme.weaknesses || []).map(tagEntry),
+        })),
+        backpack: (data.backpack || []).map(item => item.trim()),
+        storyTags: (data.storyTags || []).map(tag => tag.trim()),
+        tempStatuses: (data.statuses || []).map(status => ({
+          status: status.status.trim(),
+          powerLevels: Object.fromEntries((status.marked || []).map(tier => [tier, true])),
+        })),
+        fellowshipName: data.fellowship ? data.fellowship.trim() : null,
+      },
+    };
+  }
+
+  /**
+   * Check that a value is a plain object (not an array or null)
+   */
+  static isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  /**
+   * Check a name (character, theme, tag, item...): a non-empty string, without commas unless allowed,
+   * since commas separate tags on sheets and in the edit modals
+   */
+  static checkName(value, path, errors, allowCommas = false) {
+    if (typeof value !== 'string' || !value.trim()) {
+      errors.push(`${path}: must be a non-empty text.`);
+    } else if (value.length > this.MAX_NAME_LENGTH) {
+      errors.push(`${path}: must be at most ${this.MAX_NAME_LENGTH} characters.`);
+    } else if (!allowCommas && value.includes(',')) {
+      errors.push(`${path}: can't contain commas.`);
+    }
+  }
+
+  /**
+   * Check a theme: its name, burned flag, tracks, quest, tags and weaknesses
+   */
+  static checkTheme(theme, path, errors) {
+    if (!this.isObject(theme)) {
+      errors.push(`${path}: must be an object.`);
+      return;
+    }
+
+    this.checkName(theme.name, `${path}.name`, errors);
+    if (theme.isBurned !== undefined && typeof theme.isBurned !== 'boolean') {
+      errors.push(`${path}.isBurned: must be true or false.`);
+    }
+    for (const key of ['improvements', 'milestones', 'abandons']) {
+      if (theme[key] !== undefined && (!Number.isInteger(theme[key]) || theme[key] < 0)) {
+        errors.push(`${path}.${key}: must be a whole number of 0 or more.`);
+      }
+    }
+    if (theme.quest !== undefined && theme.quest !== null && typeof theme.quest !== 'string') {
+      errors.push(`${path}.quest: must be a text or null.`);
+    }
+
+    for (const key of ['tags', 'weaknesses']) {
+      if (theme[key] === undefined) continue;
+      if (!Array.isArray(theme[key])) {
+        errors.push(`${path}.${key}: must be a list.`);
+        continue;
+      }
+      theme[key].forEach((tag, index) => {
+        const tagPath = `${path}.${key}[${index}]`;
+        if (typeof tag === 'string') {
+          this.checkName(tag, tagPath, errors);
+        } else if (!this.isObject(tag)) {
+          errors.push(`${tagPath}: must be a name or { "tag", "isBurned" }.`);
+        } else {
+          this.checkName(tag.tag, `${tagPath}.tag`, errors);
+          if (tag.isBurned !== undefined && typeof tag.isBurned !== 'boolean') {
+            errors.push(`${tagPath}.isBurned: must be true or false.`);
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * Check a status: its name and marked tier boxes
+   */
+  static checkStatus(status, path, errors) {
+    if (!this.isObject(status)) {
+      errors.push(`${path}: must be { "status", "marked" }.`);
+      return;
+    }
+
+    this.checkName(status.status, `${path}.status`, errors);
+    if (status.marked !== undefined && (!Array.isArray(status.marked) ||
+        !status.marked.every(tier => Number.isInteger(tier) && tier >= 1 && tier <= StatusModel.MAX_TIER))) {
+      errors.push(`${path}.marked: must be a list of tiers from 1 to ${StatusModel.MAX_TIER}.`);
+    }
+  }
+}
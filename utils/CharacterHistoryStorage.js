@@ -0,0 +1,322 @@
+import { getDbForGuild } from './Database.js';
+import { CharacterStorage } from './CharacterStorage.js';
+import { StatusModel } from './StatusModel.js';
+import { getRuleset } from './rulesets/index.js';
+import { CharacterChange } from '../constants/CharacterChange.js';
+
+/**
+ * Storage utility for the history of a character: versions of the character, who changed it, how and when
+ *
+ * Every change records a snapshot of the character afterwards, so any two versions can be compared
+ * and a previous version restored. Callers record the baseline before their first change
+ * (recordBaseline), then the change itself (record).
+ */
+export class CharacterHistoryStorage {
+  /**
+   * Take a snapshot of a character, in the shape CharacterStorage.updateCharacter accepts
+   * @param {Object} character - Character object
+   * @returns {Object} { name, themes, backpack, storyTags, tempStatuses }
+   */
+  static buildSnapshot(character) {
+    const tagSnapshot = tag => ({ tag: tag.tag, isBurned: !!tag.isBurned });
+    return {
+      name: character.name,
+      themes: (character.themes || []).map(theme => ({
+        name: theme.name,
+        isBurned: !!theme.isBurned,
+        improvements: theme.improvements || 0,
+        milestones: theme.milestones || 0,
+        abandons: theme.abandons || 0,
+        quest: theme.quest || null,
+        tags: (theme.tags || []).map(tagSnapshot),
+        weaknesses: (theme.weaknesses || []).map(tagSnapshot),
+      })),
+      backpack: (character.backpack || []).map(item => item.item),
+      storyTags: (character.storyTags || []).map(tag => tag.tag),
+      tempStatuses: (character.tempStatuses || []).map(status => StatusModel.fromStatus(status).toStatus()),
+    };
+  }
+
+  /**
+   * Get the newest snapshot recorded for a character
+   * @param {Object} db - Database instance
+   * @param {number} characterId - Character ID
+   * @returns {string|null} Snapshot JSON, or null if none was recorded
+   */
+  static getLatestSnapshot(db, characterId) {
+    const row = db.prepare(`
+      SELECT snapshot
+      FROM character_history
+      WHERE character_id = ? AND snapshot IS NOT NULL
+      ORDER BY id DESC
+      LIMIT 1
+    `).get(characterId);
+    return row ? row.snapshot : null;
+  }
+
+  /**
+   * Record the character as it is now if its history has no version yet
+   * Call this before changing a character, so its first change can be compared and undone
+   * @param {string} guildId - Guild ID
+   * @param {number} characterId - Character ID
+   */
+  static recordBaseline(guildId, characterId) {
+    const db = getDbForGuild(guildId);
+    if (this.getLatestSnapshot(db, characterId)) {
+      return;
+    }
+    const character = CharacterStorage.getCharacterById(guildId, characterId);
+    if (!character) {
+      return;
+    }
+    db.prepare(`
+      INSERT INTO character_history (character_id, change_type, summary, snapshot)
+      VALUES (?, ?, ?, ?)
+    `).run(characterId, CharacterChange.BASELINE, 'Before the first recorded change', JSON.stringify(this.buildSnapshot(character)));
+  }
+
+  /**
+   * Record a change to a character, with a snapshot of the character after it
+   * Nothing is recorded when the character is unchanged since its last version (e.g. a sync without changes)
+   * @param {string} guildId - Guild ID
+   * @param {number} characterId - Character ID
+   * @param {string} changeType - CharacterChange value
+   * @param {string} summary - One line describing the change
+   * @param {Object|null} data - Details of the change
+   * @param {string|null} changedBy - User who made the change, or null for automatic changes
+   * @returns {number|null} ID of the history entry, or null if nothing changed
+   */
+  static record(guildId, characterId, changeType, summary, data = null, changedBy = null) {
+    const db = getDbForGuild(guildId);
+    const character = CharacterStorage.getCharacterById(guildId, characterId);
+    if (!character) {
+      return null;
+    }
+
+    const snapshot = JSON.stringify(this.buildSnapshot(character));
+    if (snapshot === this.getLatestSnapshot(db, characterId)) {
+      return null;
+    }
+
+    const result = db.prepare(`
+      INSERT INTO character_history (character_id, change_type, summary, data, changed_by, snapshot)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(characterId, changeType, summary, data ? JSON.stringify(data) : null, changedBy, snapshot);
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Convert a history row
+   * @param {Object} row - Row from character_history
+   * @returns {Object} { id, characterId, changeType, summary, data, changedBy, createdAt, snapshot }
+   */
+  static fromRow(row) {
+    return {
+      id: row.id,
+      characterId: row.character_id,
+      changeType: row.change_type,
+      summary: row.summary,
+      data: row.data ? JSON.parse(row.data) : null,
+      changedBy: row.changed_by,
+      createdAt: row.created_at,
+      snapshot: row.snapshot ? JSON.parse(row.snapshot) : null,
+    };
+  }
+
+  /**
+   * Get the history of a character, newest first
+   * @param {string} guildId - Guild ID
+   * @param {number} characterId - Character ID
+   * @param {number} limit - Maximum number of entries
+   * @returns {Array<Object>} Entries with { id, characterId, changeType, summary, data, changedBy, createdAt, snapshot }
+   */
+  static getHistory(guildId, characterId, limit = 25) {
+    const db = getDbForGuild(guildId);
+    return db.prepare(`
+      SELECT id, character_id, change_type, summary, data, changed_by, created_at, snapshot
+      FROM character_history
+      WHERE character_id = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(characterId, limit).map(row => this.fromRow(row));
+  }
+
+  /**
+   * Get one version of a character
+   * @param {string} guildId - Guild ID
+   * @param {number} characterId - Character ID
+   * @param {number} entryId - History entry ID
+   * @returns {Object|null} The entry, or null if the character has no such version
+   */
+  static getVersion(guildId, characterId, entryId) {
+    const db = getDbForGuild(guildId);
+    const row = db.prepare(`
+      SELECT id, character_id, change_type, summary, data, changed_by, created_at, snapshot
+      FROM character_history
+      WHERE id = ? AND character_id = ? AND snapshot IS NOT NULL
+    `).get(entryId, characterId);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * Get the version a version was made from
+   * @param {string} guildId - Guild ID
+   * @param {number} characterId - Character ID
+   * @param {number} entryId - History entry ID
+   * @returns {Object|null} The previous entry with a snapshot, or null for the earliest version
+   */
+  static getPreviousVersion(guildId, characterId, entryId) {
+    const db = getDbForGuild(guildId);
+    const row = db.prepare(`
+      SELECT id, character_id, change_type, summary, data, changed_by, created_at, snapshot
+      FROM character_history
+      WHERE character_id = ? AND id < ? AND snapshot IS NOT NULL
+      ORDER BY id DESC
+      LIMIT 1
+    `).get(characterId, entryId);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * Put a character back the way it was in one of its versions, and record the restore
+   * Tags, items and statuses that still match keep their IDs, so rolls pointing at them stay valid.
+   * @param {string} guildId - Guild ID
+   * @param {Object} character - Character object (with user_id)
+   * @param {Object} version - Entry from getVersion
+   * @param {string} restoredBy - Discord user ID of who restores it
+   * @returns {Object|null} Updated character (with _autoSyncPromise when it syncs to its sheet)
+   */
+  static restoreVersion(guildId, character, version, restoredBy) {
+    this.recordBaseline(guildId, character.id);
+    const updatedCharacter = character.user_id
+      ? CharacterStorage.updateCharacter(guildId, character.user_id, character.id, version.snapshot)
+      : CharacterStorage.updateUnassignedCharacter(guildId, character.id, version.snapshot);
+    if (updatedCharacter) {
+      this.record(guildId, character.id, CharacterChange.RESTORE, `Restored an earlier version (${version.summary})`, { entryId: version.id }, restoredBy);
+    }
+    return updatedCharacter;
+  }
+
+  /**
+   * Describe the differences between two snapshots, one line per difference
+   * Tags are compared by name, so a renamed tag shows as one removed and one added tag.
+   * @param {Object} before - Older snapshot
+   * @param {Object} after - Newer snapshot
+   * @param {string|null} guildId - Guild ID (for the names of the ruleset's theme tracks)
+   * @returns {Array<string>} Lines, empty when the snapshots match
+   */
+  static diffSnapshots(before, after, guildId = null) {
+    const lines = [];
+
+    if (before.name !== after.name) {
+      lines.push(`✏️ Name: **${before.name}** → **${after.name}**`);
+    }
+
+    const beforeThemes = new Map(before.themes.map(theme => [theme.name, theme]));
+    const afterThemes = new Map(after.themes.map(theme => [theme.name, theme]));
+    for (const theme of before.themes) {
+      if (!afterThemes.has(theme.name)) {
+        lines.push(`➖ Theme **${theme.name}** removed`);
+      }
+    }
+    for (const theme of after.themes) {
+      const previous = beforeThemes.get(theme.name);
+      if (!previous) {
+        lines.push(`➕ Theme **${theme.name}** added`);
+        continue;
+      }
+      for (const line of this.diffTheme(previous, theme, guildId)) {
+        lines.push(`**${theme.name}**: ${line}`);
+      }
+    }
+
+    lines.push(...this.diffList(before.backpack, after.backpack, 'Backpack item'));
+    lines.push(...this.diffList(before.storyTags, after.storyTags, 'Story tag'));
+
+    const formatStatus = status => StatusModel.fromStatus(status).toString();
+    const beforeStatuses = new Map(before.tempStatuses.map(status => [status.status, formatStatus(status)]));
+    const afterStatuses = new Map(after.tempStatuses.map(status => [status.status, formatStatus(status)]));
+    for (const [name, text] of beforeStatuses) {
+      if (!afterStatuses.has(name)) {
+        lines.push(`➖ Status **${text}** removed`);
+      }
+    }
+    for (const [name, text] of afterStatuses) {
+      const previous = beforeStatuses.get(name);
+      if (previous === undefined) {
+        lines.push(`➕ Status **${text}** added`);
+      } else if (previous !== text) {
+        lines.push(`✏️ Status **${previous}** → **${text}**`);
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Describe the differences between two versions of a theme
+   * @param {Object} before - Theme from the older snapshot
+   * @param {Object} after - Theme from the newer snapshot
+   * @param {string|null} guildId - Guild ID
+   * @returns {Array<string>} Lines
+   */
+  static diffTheme(before, after, guildId) {
+    const lines = [];
+
+    if (before.isBurned !== after.isBurned) {
+      lines.push(after.isBurned ? '🔥 burned' : '✨ refreshed');
+    }
+    if ((before.quest || null) !== (after.quest || null)) {
+      lines.push(`✏️ quest: ${before.quest || '*none*'} → ${after.quest || '*none*'}`);
+    }
+    for (const track of getRuleset(guildId).getThemeTracks()) {
+      const previous = before[track.track] || 0;
+      const value = after[track.track] || 0;
+      if (previous !== value) {
+        lines.push(`✏️ ${track.name} ${previous} → ${value}`);
+      }
+    }
+
+    for (const [key, label] of [['tags', 'tag'], ['weaknesses', 'weakness']]) {
+      const previousTags = new Map(before[key].map(tag => [tag.tag, tag]));
+      const tags = new Map(after[key].map(tag => [tag.tag, tag]));
+      for (const tag of before[key]) {
+        if (!tags.has(tag.tag)) {
+          lines.push(`➖ ${label} **${tag.tag}** removed`);
+        }
+      }
+      for (const tag of after[key]) {
+        const previous = previousTags.get(tag.tag);
+        if (!previous) {
+          lines.push(`➕ ${label} **${tag.tag}** added`);
+        } else if (previous.isBurned !== tag.isBurned) {
+          lines.push(tag.isBurned ? `🔥 ${label} **${tag.tag}** burned` : `✨ ${label} **${tag.tag}** refreshed`);
+        }
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Describe the items added to and removed from a list of names
+   * @param {Array<string>} before - Older list
+   * @param {Array<string>} after - Newer list
+   * @param {string} label - What an item is called
+   * @returns {Array<string>} Lines
+   */
+  static diffList(before, after, label) {
+    const lines = [];
+    for (const item of before) {
+      if (!after.includes(item)) {
+        lines.push(`➖ ${label} **${item}** removed`);
+      }
+    }
+    for (const item of after) {
+      if (!before.includes(item)) {
+        lines.push(`➕ ${label} **${item}** added`);
+      }
+    }
+    return lines;
+  }
+}
@@ -0,0 +1,113 @@
+import { ActionRowBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, ButtonBuilder, ButtonStyle, MessageFlags, ContainerBuilder, TextDisplayBuilder } from 'discord.js';
+import { CharacterHistoryStorage } from './CharacterHistoryStorage.js';
+import { CharacterChange, getCharacterChangeDisplayName } from '../constants/CharacterChange.js';
+
+// Keeps the view under Discord's text limit however large a change is
+const MAX_DIFF_LINES = 30;
+
+/**
+ * Shared utilities for displaying the history of a character
+ */
+export class CharacterHistoryView {
+  /**
+   * Format one line of the history
+   * @param {Object} entry - Entry from CharacterHistoryStorage.getHistory
+   * @returns {string}
+   */
+  static formatEntry(entry) {
+    const changedBy = entry.changedBy ? ` by <@${entry.changedBy}>` : '';
+    return `<t:${entry.createdAt}:f> · **${getCharacterChangeDisplayName(entry.changeType)}**${changedBy}\n${entry.summary}`;
+  }
+
+  /**
+   * Build the history of a character, showing what one version changed
+   * @param {string} guildId - Guild ID
+   * @param {Object} character - Character object
+   * @param {Array<Object>} history - Versions from CharacterHistoryStorage.getHistory, newest first
+   * @param {Object|null} selected - Version to show, or null for the newest one
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildHistory(guildId, character, history, selected = null) {
+    const container = new ContainerBuilder();
+
+    if (history.length === 0) {
+      container.addTextDisplayComponents(
+        new TextDisplayBuilder()
+          .setContent(`## History · ${character.name}\nNo changes have been recorded yet.`)
+      );
+      return {
+        components: [container],
+        flags: MessageFlags.IsComponentsV2,
+      };
+    }
+
+    const version = selected || history[0];
+    const previous = CharacterHistoryStorage.getPreviousVersion(guildId, character.id, version.id);
+    let diffText;
+    if (version.changeType === CharacterChange.BASELINE || !previous) {
+      diffText = '*The earliest recorded version: nothing to compare it with.*';
+    } else {
+      const lines = CharacterHistoryStorage.diffSnapshots(previous.snapshot, version.snapshot, guildId);
+      if (lines.length > MAX_DIFF_LINES) {
+        const hidden = lines.length - MAX_DIFF_LINES;
+        lines.splice(MAX_DIFF_LINES, hidden, `*...and ${hidden} more change${hidden !== 1 ? 's' : ''}*`);
+      }
+      diffText = lines.length > 0 ? lines.join('\n') : '*No visible difference with the version before.*';
+    }
+
+    const isLatest = version.id === history[0].id;
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`## History · ${character.name}\n${this.formatEntry(version)}${isLatest ? ' *(current version)*' : ''}\n\n${diffText}`)
+    );
+
+    const versionSelect = new StringSelectMenuBuilder()
+      .setCustomId(`character_history_version_${character.id}`)
+      .setPlaceholder('Pick a version...')
+      .setMinValues(1)
+      .setMaxValues(1)
+      .addOptions(history.slice(0, 25).map(entry => {
+        const date = new Date(entry.createdAt * 1000).toISOString().replace('T', ' ').substring(0, 16);
+        return new StringSelectMenuOptionBuilder()
+          .setLabel(`${date} UTC · ${getCharacterChangeDisplayName(entry.changeType)}`.substring(0, 100))
+          .setDescription(entry.summary.replace(/\*/g, '').substring(0, 100))
+          .setValue(entry.id.toString())
+          .setDefault(entry.id === version.id);
+      }));
+
+    // Restoring the current version would change nothing
+    const restoreButton = new ButtonBuilder()
+      .setCustomId(`character_history_restore_${character.id}_${version.id}`)
+      .setLabel('Restore this version')
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(isLatest);
+
+    return {
+      components: [
+        container,
+        new ActionRowBuilder().setComponents([versionSelect]),
+        new ActionRowBuilder().setComponents([restoreButton]),
+      ],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+
+  /**
+   * Build the public notice posted when a character is restored to a previous version
+   * @param {Object} character - Restored character
+   * @param {Object} version - Version it was restored to
+   * @param {string} userId - Who restored it
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildRestoreNotice(character, version, userId) {
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`⏪ <@${userId}> restored **${character.name}** to its version of <t:${version.createdAt}:f>.`)
+    );
+    return {
+      components: [container],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+}
@@ -3,6 +3,9 @@ import sheetsService from './GoogleSheetsService.js';
 import { FellowshipStorage } from './FellowshipStorage.js';
 import { RollTagParentType } from '../constants/RollTagParentType.js';
 import { Validation } from './Validation.js';
+import { StatusModel } from './StatusModel.js';
+import { getRuleset } from './rulesets/index.js';
+import { isValidThemeTrack } from '../constants/ThemeTrack.js';
 
 /**
  * Storage utility for managing characters per user
@@ -59,7 +62,7 @@ export class CharacterStorage {
     const db = getDbForGuild(guildId);
     // Load themes
     const themesStmt = db.prepare(`
-      SELECT id, name, theme_order, is_burned, improvements, quest
+      SELECT id, name, theme_order, is_burned, improvements, milestones, abandons, quest
       FROM character_themes
       WHERE character_id = ?
       ORDER BY theme_order
@@ -80,6 +83,8 @@ export class CharacterStorage {
         name: theme.name,
         isBurned: Boolean(theme.is_burned),
         improvements: theme.improvements || 0,
+        milestones: theme.milestones || 0,
+        abandons: theme.abandons || 0,
         quest: theme.quest || null,
         tags: allTags.filter(t => !t.is_weakness).map(t => ({ 
           id: t.id,
@@ -316,6 +321,70 @@ export class CharacterStorage {
     return character ? this.loadCharacterRelations(guildId, character) : null;
   }
 
+  /**
+   * Get the NPCs narrators can play: the unassigned characters
+   * @param {string} guildId - Guild ID
+   * @returns {Array} Array of character objects, by name
+   */
+  static getNpcs(guildId) {
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare(`
+      SELECT id, user_id, name, is_active, created_at, updated_at, google_sheet_url, fellowship_id, auto_sync
+      FROM characters
+      WHERE user_id IS NULL
+      ORDER BY name COLLATE NOCASE, id
+    `);
+
+    return stmt.all().map(char => this.loadCharacterRelations(guildId, char));
+  }
+
+  /**
+   * Get the NPC a narrator currently plays
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - Discord user ID of the narrator
+   * @returns {Object|null} Character object, or null if they play none (or a player claimed it since)
+   */
+  static getActiveNpc(guildId, userId) {
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare(`
+      SELECT c.id, c.user_id, c.name, c.is_active, c.created_at, c.updated_at, c.google_sheet_url, c.fellowship_id, c.auto_sync
+      FROM narrator_npcs n
+      JOIN characters c ON c.id = n.character_id
+      WHERE n.user_id = ? AND c.user_id IS NULL
+    `);
+
+    const character = stmt.get(userId);
+    return character ? this.loadCharacterRelations(guildId, character) : null;
+  }
+
+  /**
+   * Set the NPC a narrator plays, or stop playing one
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - Discord user ID of the narrator
+   * @param {number|null} characterId - ID of an unassigned character, or null to play their own character again
+   * @returns {boolean} True if set successfully, false if the character is not unassigned
+   */
+  static setActiveNpc(guildId, userId, characterId) {
+    const db = getDbForGuild(guildId);
+    if (characterId === null) {
+      db.prepare('DELETE FROM narrator_npcs WHERE user_id = ?').run(userId);
+      return true;
+    }
+
+    // Verify character exists and is unassigned
+    const verifyStmt = db.prepare('SELECT id FROM characters WHERE id = ? AND user_id IS NULL');
+    if (!verifyStmt.get(characterId)) {
+      return false;
+    }
+
+    db.prepare(`
+      INSERT INTO narrator_npcs (user_id, character_id, updated_at)
+      VALUES (?, ?, strftime('%s', 'now'))
+      ON CONFLICT(user_id) DO UPDATE SET character_id = excluded.character_id, updated_at = excluded.updated_at
+    `).run(userId, characterId);
+    return true;
+  }
+
   /**
    * Get a specific character by ID
    * @param {string} userId - Discord user ID (for verification)
@@ -444,15 +513,15 @@ export class CharacterStorage {
 
   /**
    * Mark themes/tags as burned based on tagValue strings
-   * @param {string} userId - Discord user ID
+   * @param {string|null} userId - Discord user ID, or null for an unassigned character (an NPC)
    * @param {number} characterId - Character ID
    * @param {string[]} tagValues - Array of tagValue strings (e.g., ["theme:ThemeName", "tag:TagName"])
    * @returns {Object|null} Updated character or null if not found
    */
   static markTagsAsBurned(guildId, userId, characterId, tagValues) {
     const db = getDbForGuild(guildId);
-    // Verify character exists and belongs to user
-    const verifyStmt = db.prepare('SELECT id FROM characters WHERE id = ? AND user_id = ?');
+    // Verify character exists and belongs to user (IS also matches NULL for unassigned characters)
+    const verifyStmt = db.prepare('SELECT id FROM characters WHERE id = ? AND user_id IS ?');
     if (!verifyStmt.get(characterId, userId)) {
       return null;
     }
@@ -484,6 +553,11 @@ export class CharacterStorage {
     
     transaction();
     
+    // Unassigned characters don't sync to their sheet, like updateUnassignedCharacter
+    if (!userId) {
+      return this.getCharacterById(guildId, characterId);
+    }
+
     // Get updated character
     const updatedCharacter = this.getCharacter(guildId, userId, characterId);
     
@@ -552,9 +626,10 @@ export class CharacterStorage {
    * @param {string} userId - Discord user ID
    * @param {string} name - Character name
    * @param {Array} themes - Array of theme objects { name, tags, weaknesses }
+   * @param {Object} [details] - Optional backpack, storyTags and tempStatuses, created in the same transaction
    * @returns {Object} The created character
    */
-  static createCharacter(guildId, userId, name, themes) {
+  static createCharacter(guildId, userId, name, themes, details = {}) {
     const db = getDbForGuild(guildId);
     const transaction = db.transaction(() => {
       // Insert character
@@ -586,9 +661,9 @@ export class CharacterStorage {
         const improvements = theme.improvements !== undefined ? theme.improvements : 0;
         const quest = theme.quest || null;
         const themeResult = db.prepare(`
-          INSERT INTO character_themes (character_id, name, theme_order, is_burned, improvements, quest)
-          VALUES (?, ?, ?, ?, ?, ?)
-        `).run(characterId, theme.name, index, themeBurned, improvements, quest);
+          INSERT INTO character_themes (character_id, name, theme_order, is_burned, improvements, milestones, abandons, quest)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(characterId, theme.name, index, themeBurned, improvements, theme.milestones || 0, theme.abandons || 0, quest);
         const themeId = themeResult.lastInsertRowid;
         
         // Insert tags
@@ -609,6 +684,16 @@ export class CharacterStorage {
           });
         }
       });
+
+      if (details.backpack !== undefined) {
+        this.updateBackpackPreservingIds(db, characterId, details.backpack);
+      }
+      if (details.storyTags !== undefined) {
+        this.updateStoryTagsPreservingIds(db, characterId, details.storyTags);
+      }
+      if (details.tempStatuses !== undefined) {
+        this.updateStatusesPreservingIds(db, characterId, details.tempStatuses);
+      }
       
       return characterId;
     });
@@ -647,9 +732,9 @@ export class CharacterStorage {
         const improvements = theme.improvements !== undefined ? theme.improvements : 0;
         const quest = theme.quest || null;
         const themeResult = db.prepare(`
-          INSERT INTO character_themes (character_id, name, theme_order, is_burned, improvements, quest)
-          VALUES (?, ?, ?, ?, ?, ?)
-        `).run(characterId, theme.name, index, themeBurned, improvements, quest);
+          INSERT INTO character_themes (character_id, name, theme_order, is_burned, improvements, milestones, abandons, quest)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(characterId, theme.name, index, themeBurned, improvements, theme.milestones || 0, theme.abandons || 0, quest);
         const themeId = themeResult.lastInsertRowid;
         
         // Insert tags
@@ -688,7 +773,7 @@ export class CharacterStorage {
   static updateThemesPreservingIds(db, characterId, newThemes) {
     // Load existing themes and tags before making changes
     const existingThemesStmt = db.prepare(`
-      SELECT id, name, theme_order, is_burned, improvements, quest
+      SELECT id, name, theme_order, is_burned, improvements, milestones, abandons, quest
       FROM character_themes
       WHERE character_id = ?
       ORDER BY theme_order
@@ -721,13 +806,13 @@ export class CharacterStorage {
     // Prepare statements
     const updateTheme = db.prepare(`
       UPDATE character_themes
-      SET name = ?, theme_order = ?, is_burned = ?, improvements = ?, quest = ?
+      SET name = ?, theme_order = ?, is_burned = ?, improvements = ?, milestones = ?, abandons = ?, quest = ?
       WHERE id = ?
     `);
     
     const insertTheme = db.prepare(`
-      INSERT INTO character_themes (character_id, name, theme_order, is_burned, improvements, quest)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO character_themes (character_id, name, theme_order, is_burned, improvements, milestones, abandons, quest)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
     const updateTag = db.prepare(`
@@ -759,13 +844,15 @@ export class CharacterStorage {
       const existingTheme = existingThemeMap.get(index);
       
       if (existingTheme && existingTheme.name === newTheme.name) {
-        // Update existing theme
+        // Update existing theme (tracks the new theme doesn't mention are kept)
         themeId = existingTheme.id;
         usedThemeIds.add(themeId);
-        updateTheme.run(newTheme.name, index, themeBurned, improvements, quest, themeId);
+        const milestones = newTheme.milestones !== undefined ? newTheme.milestones : existingTheme.milestones;
+        const abandons = newTheme.abandons !== undefined ? newTheme.abandons : existingTheme.abandons;
+        updateTheme.run(newTheme.name, index, themeBurned, improvements, milestones || 0, abandons || 0, quest, themeId);
       } else {
         // Create new theme
-        const result = insertTheme.run(characterId, newTheme.name, index, themeBurned, improvements, quest);
+        const result = insertTheme.run(characterId, newTheme.name, index, themeBurned, improvements, newTheme.milestones || 0, newTheme.abandons || 0, quest);
         themeId = result.lastInsertRowid;
       }
       
@@ -1180,6 +1267,69 @@ export class CharacterStorage {
     return updatedCharacter;
   }
 
+  /**
+   * Change a character status by name (case-insensitive), creating it if needed
+   * The status is dropped once no box is left
+   * @param {string} guildId - Guild ID
+   * @param {Object} character - Character object (with user_id and tempStatuses)
+   * @param {string} name - Status name without tier
+   * @param {function(StatusModel): StatusModel} change - Change to apply to the status
+   * @returns {Object|null} Updated character or null if not found
+   */
+  static changeStatus(guildId, character, name, change) {
+    const statuses = character.tempStatuses || [];
+    const existing = StatusModel.find(statuses, name);
+    const model = change(existing ? StatusModel.fromStatus(existing) : new StatusModel(name.trim()));
+
+    let tempStatuses;
+    if (existing) {
+      tempStatuses = model.isEmpty
+        ? statuses.filter(status => status !== existing)
+        : statuses.map(status => status === existing ? model.toStatus() : status);
+    } else {
+      tempStatuses = model.isEmpty ? statuses : [...statuses, model.toStatus()];
+    }
+
+    return character.user_id
+      ? this.updateCharacter(guildId, character.user_id, character.id, { tempStatuses })
+      : this.updateUnassignedCharacter(guildId, character.id, { tempStatuses });
+  }
+
+  /**
+   * Give a character status a tier, stacking onto the status if it already exists
+   * @param {string} guildId - Guild ID
+   * @param {Object} character - Character object
+   * @param {string} name - Status name without tier
+   * @param {number} tier - Tier to add
+   * @returns {Object|null} Updated character or null if not found
+   */
+  static addStatusTier(guildId, character, name, tier) {
+    return this.changeStatus(guildId, character, name, model => model.addTier(tier));
+  }
+
+  /**
+   * Reduce a character status by a number of tiers
+   * @param {string} guildId - Guild ID
+   * @param {Object} character - Character object
+   * @param {string} name - Status name without tier
+   * @param {number} tiers - Tiers to remove
+   * @returns {Object|null} Updated character or null if not found
+   */
+  static reduceStatus(guildId, character, name, tiers) {
+    return this.changeStatus(guildId, character, name, model => model.reduce(tiers));
+  }
+
+  /**
+   * Remove a character status by name, whatever its tier
+   * @param {string} guildId - Guild ID
+   * @param {Object} character - Character object
+   * @param {string} name - Status name without tier
+   * @returns {Object|null} Updated character or null if not found
+   */
+  static removeStatus(guildId, character, name) {
+    return this.changeStatus(guildId, character, name, model => model.remove());
+  }
+
   /**
    * Get auto-sync note for confirmation messages (if auto-sync occurred)
    * @param {Object} character - Character object (may have _autoSyncPromise)
@@ -1262,9 +1412,11 @@ export class CharacterStorage {
 
   /**
    * Update a single theme by theme ID
+   * Tags that keep their name keep their row (ID and burned state), so rolls and loadouts referencing them survive
    * @param {string} guildId - Guild ID
    * @param {number} themeId - Theme ID to update
-   * @param {Object} themeData - Theme data to update { name, tags: string[], weaknesses: string[], quest?: string }
+   * @param {Object} themeData - Theme data to update { name, tags, weaknesses, quest?: string, improvements?: number }
+   *   where tags and weaknesses are strings, or { id, tag } to rename an existing tag in place
    * @returns {Object|null} Updated theme object or null if not found
    */
   static updateSingleTheme(guildId, themeId, themeData) {
@@ -1287,31 +1439,52 @@ export class CharacterStorage {
       const quest = themeData.quest || null;
       updateThemeStmt.run(themeData.name, quest, themeId);
       
-      // Delete existing tags and weaknesses for this theme
-      db.prepare('DELETE FROM character_theme_tags WHERE theme_id = ?').run(themeId);
+      if (themeData.improvements !== undefined) {
+        db.prepare('UPDATE character_themes SET improvements = ? WHERE id = ?').run(themeData.improvements, themeId);
+      }
+      
+      const existingTags = db.prepare(`
+        SELECT id, tag, is_weakness FROM character_theme_tags WHERE theme_id = ?
+      `).all(themeId);
+      const usedTagIds = new Set();
       
-      // Insert new tags
       const insertTag = db.prepare(`
         INSERT INTO character_theme_tags (theme_id, tag, is_weakness, is_burned)
         VALUES (?, ?, ?, ?)
       `);
+      const renameTag = db.prepare('UPDATE character_theme_tags SET tag = ? WHERE id = ?');
       
-      if (themeData.tags) {
-        themeData.tags.forEach(tag => {
-          if (tag && tag.trim()) {
-            insertTag.run(themeId, tag.trim(), 0, 0);
+      const saveTags = (tags, isWeakness) => {
+        (tags || []).forEach(entry => {
+          const tag = (typeof entry === 'object' && entry !== null ? entry.tag : entry)?.trim();
+          if (!tag) {
+            return;
           }
-        });
-      }
-      
-      // Insert new weaknesses
-      if (themeData.weaknesses) {
-        themeData.weaknesses.forEach(weakness => {
-          if (weakness && weakness.trim()) {
-            insertTag.run(themeId, weakness.trim(), 1, 0);
+          // Keep the row of a renamed tag, or of a tag with the same name
+          const existing = typeof entry === 'object' && entry !== null && entry.id
+            ? existingTags.find(t => t.id === entry.id && t.is_weakness === isWeakness && !usedTagIds.has(t.id))
+            : existingTags.find(t => t.tag === tag && t.is_weakness === isWeakness && !usedTagIds.has(t.id));
+          if (existing) {
+            usedTagIds.add(existing.id);
+            if (existing.tag !== tag) {
+              renameTag.run(tag, existing.id);
+            }
+          } else {
+            insertTag.run(themeId, tag, isWeakness, 0);
           }
         });
-      }
+      };
+      
+      saveTags(themeData.tags, 0);
+      saveTags(themeData.weaknesses, 1);
+      
+      // Delete the tags and weaknesses that are gone
+      const deleteTag = db.prepare('DELETE FROM character_theme_tags WHERE id = ?');
+      existingTags.forEach(tag => {
+        if (!usedTagIds.has(tag.id)) {
+          deleteTag.run(tag.id);
+        }
+      });
     });
     
     transaction();
@@ -1593,11 +1766,37 @@ export class CharacterStorage {
     }
   }
 
+  /**
+   * Mark or erase boxes on a track of a theme
+   * Marks stop at the track's max, but a track already above it (improvements from rolls) is never raised further
+   * @param {string} guildId - Guild ID
+   * @param {number} themeId - Theme ID
+   * @param {Object} track - Track from Ruleset.getThemeTracks
+   * @param {number} change - Boxes to mark (positive) or erase (negative)
+   * @returns {{ previous: number, value: number }|null} Track value before and after the change, or null if the theme was not found
+   */
+  static changeThemeTrack(guildId, themeId, track, change) {
+    if (!isValidThemeTrack(track.track)) {
+      throw new Error(`Unknown theme track: ${track.track}`);
+    }
+
+    const db = getDbForGuild(guildId);
+    const theme = db.prepare(`SELECT ${track.track} AS value FROM character_themes WHERE id = ?`).get(themeId);
+    if (!theme) {
+      return null;
+    }
+
+    const previous = theme.value || 0;
+    const value = Math.max(0, Math.min(previous + change, Math.max(track.max, previous)));
+    db.prepare(`UPDATE character_themes SET ${track.track} = ? WHERE id = ?`).run(value, themeId);
+    return { previous, value };
+  }
+
   /**
    * Increment improvements for themes based on weakness tags used in a roll
    * @param {string} guildId - Guild ID
    * @param {Set<TagEntity>} hinderTags - Set of hinder tags (may include weaknesses)
-   * @returns {Object} { improvedThemes: Array<{characterId: number, themeId: number, themeName: string, improvements: number}>, readyToDevelop: Array<{characterId: number, themeId: number, themeName: string, improvements: number}> }
+   * @returns {Object} { improvedThemes: Array<{characterId: number, themeId: number, themeName: string, improvements: number, increment: number}>, readyToDevelop: Array<{characterId: number, themeId: number, themeName: string, improvements: number}> }
    */
   static incrementThemeImprovements(guildId, hinderTags) {
     const db = getDbForGuild(guildId);
@@ -1673,11 +1872,12 @@ export class CharacterStorage {
             characterId: characterId,
             themeId: themeId,
             themeName: theme.name,
-            improvements: newImprovements
+            improvements: newImprovements,
+            increment: increment
           });
           
-          // Check if ready to develop (>= 3)
-          if (newImprovements >= 3) {
+          // Check if ready to develop
+          if (newImprovements >= getRuleset(guildId).improvementsToDevelop) {
             readyToDevelop.push({
               characterId: characterId,
               themeId: themeId,
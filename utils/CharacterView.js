@@ -1,6 +1,7 @@
 import { ActionRowBuilder, ButtonBuilder, ButtonStyle, ContainerBuilder, TextDisplayBuilder } from 'discord.js';
 import { DiscordUtils } from './DiscordUtils.js';
 import { TagFormatter } from './TagFormatter.js';
+import { getRuleset } from './rulesets/index.js';
 
 /**
  * Shared utilities for displaying and formatting character information
@@ -57,8 +58,8 @@ export class CharacterView {
       character.themes.forEach((theme) => {
         // Wrap burned theme names with fire emojis on both sides
         const themeName = theme.isBurned ? `🔥${theme.name}🔥` : theme.name;
-        // Add improvement count if > 0
-        const improvementsText = theme.improvements > 0 ? ` (${theme.improvements} improvements)` : '';
+        // Add the tracks with marks (improvements, milestones...)
+        const tracksText = this.formatThemeTracks(theme, interaction?.guildId);
         
         // Build tag lines (one per line with colored circle)
         const tagLines = [];
@@ -86,7 +87,7 @@ export class CharacterView {
         }
         
         // Build theme display
-        let themeDisplay = `**${themeName}:**${improvementsText}`;
+        let themeDisplay = `**${themeName}:**${tracksText}`;
         
         if (tagLines.length > 0) {
           // Format tags in ANSI code block (like roll view)
@@ -146,6 +147,32 @@ export class CharacterView {
     };
   }
 
+  /**
+   * Format the tracks of a theme that have marks, e.g. " (Improve ■■□ · Milestone ■□□)"
+   * @param {Object} theme - Theme object
+   * @param {string|null} guildId - Guild ID (for the ruleset's tracks)
+   * @returns {string} Track summary, or an empty string if no track has marks
+   */
+  static formatThemeTracks(theme, guildId) {
+    const markedTracks = getRuleset(guildId).getThemeTracks().filter(track => (theme[track.track] || 0) > 0);
+    if (markedTracks.length === 0) {
+      return '';
+    }
+    return ` (${markedTracks.map(track => `${track.name} ${this.formatTrackBoxes(theme[track.track], track.max)}`).join(' · ')})`;
+  }
+
+  /**
+   * Format a track as boxes, e.g. "■■□" (marks beyond the track's boxes are added as "+N")
+   * @param {number} value - Marked boxes
+   * @param {number} max - Boxes on the track
+   * @returns {string} Boxes
+   */
+  static formatTrackBoxes(value, max) {
+    const marked = Math.min(value || 0, max);
+    const extra = (value || 0) - marked;
+    return '■'.repeat(marked) + '□'.repeat(max - marked) + (extra > 0 ? ` +${extra}` : '');
+  }
+
   /**
    * Format character content for display (legacy method, kept for backwards compatibility)
    * @param {Object} character - The character object
@@ -260,7 +287,12 @@ export class CharacterView {
       .setLabel('Edit Statuses')
       .setStyle(ButtonStyle.Primary);
 
-    const row1Components = [themesButton, backpackButton, statusesButton];
+    const tracksButton = new ButtonBuilder()
+      .setCustomId(`theme_tracks_${character.id}`)
+      .setLabel('Theme Tracks')
+      .setStyle(ButtonStyle.Primary);
+
+    const row1Components = [themesButton, backpackButton, statusesButton, tracksButton];
 
     const burnRefreshButton = new ButtonBuilder()
     .setCustomId(`burn_refresh_${character.id}`)
@@ -298,13 +330,13 @@ export class CharacterView {
 
     rows.push(new ActionRowBuilder().setComponents([syncToButton, syncFromButton, autoSyncButton]));
 
-    // Row 4: Delete button
+    // Row 4: History and Delete buttons
     const deleteButton = new ButtonBuilder()
     .setCustomId(`delete_character_${character.id}`)
     .setLabel('🗑️ Delete Character')
     .setStyle(ButtonStyle.Danger);
 
-    rows.push(new ActionRowBuilder().setComponents([deleteButton]));
+    rows.push(new ActionRowBuilder().setComponents([this.buildHistoryButton(character), deleteButton]));
 
     return {
       buttonRows: rows
@@ -312,6 +344,18 @@ export class CharacterView {
     };
   }
 
+  /**
+   * Build the button opening the history of a character
+   * @param {Object} character - Character object
+   * @returns {ButtonBuilder}
+   */
+  static buildHistoryButton(character) {
+    return new ButtonBuilder()
+      .setCustomId(`character_history_${character.id}`)
+      .setLabel('📜 History')
+      .setStyle(ButtonStyle.Secondary);
+  }
+
   /**
    * Combine character display containers and interactive buttons
    * @param {Object} displayData - Object with container builders from buildCharacterDisplays
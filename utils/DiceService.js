@@ -0,0 +1,161 @@
+import { randomInt, randomBytes, createHash, createHmac } from 'crypto';
+
+/**
+ * Default generator: cryptographically secure integer in [0, max)
+ * @param {number} max - Exclusive upper bound
+ * @returns {number}
+ */
+function cryptoGenerator(max) {
+  return randomInt(max);
+}
+
+/**
+ * Create a deterministic generator from a numeric seed (mulberry32)
+ * Only meant for tests and simulations - not for real rolls
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning an integer in [0, max)
+ */
+export function createSeededGenerator(seed) {
+  let state = seed >>> 0;
+  return (max) => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    const value = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    return Math.floor(value * max);
+  };
+}
+
+/**
+ * Dice service used to roll the dice for executed rolls
+ *
+ * Supports two modes:
+ * - Generator mode: dice come from a generator (crypto-secure by default, injectable for tests)
+ * - Commit-reveal mode: a secret seed is committed to (SHA-256 hash published) when a roll is confirmed,
+ *   and the dice are derived from that seed when the roll is executed. Revealing the seed on the result
+ *   lets players check that the hash matches and that the dice follow from the seed.
+ */
+export class DiceService {
+  /**
+   * @param {Function} generator - Function returning an integer in [0, max)
+   */
+  constructor(generator = cryptoGenerator) {
+    this.generator = generator;
+  }
+
+  /**
+   * Create a dice service with a deterministic seeded generator (for tests)
+   * @param {number} seed - Integer seed
+   * @returns {DiceService}
+   */
+  static createSeeded(seed) {
+    return new DiceService(createSeededGenerator(seed));
+  }
+
+  /**
+   * Replace the generator (e.g. inject a seeded generator in tests)
+   * @param {Function} generator - Function returning an integer in [0, max)
+   */
+  setGenerator(generator) {
+    this.generator = generator;
+  }
+
+  /**
+   * Restore the crypto-secure default generator
+   */
+  resetGenerator() {
+    this.generator = cryptoGenerator;
+  }
+
+  /**
+   * Roll a single die
+   * @param {number} sides - Number of sides (default 6)
+   * @returns {number} Value from 1 to sides
+   */
+  rollDie(sides = 6) {
+    return this.generator(sides) + 1;
+  }
+
+  /**
+   * Roll 2d6
+   * @returns {{ die1: number, die2: number }}
+   */
+  roll2d6() {
+    return { die1: this.rollDie(), die2: this.rollDie() };
+  }
+
+  /**
+   * Roll 2d6 for a roll, using its committed seed when there is one
+   * @param {number} rollId - Roll ID
+   * @param {string|null} seed - Committed seed, or null to use the generator
+   * @returns {{ die1: number, die2: number }}
+   */
+  rollForRoll(rollId, seed = null) {
+    return seed ? DiceService.rollFromSeed(seed, rollId) : this.roll2d6();
+  }
+
+  /**
+   * Create a new secret seed and its public commitment
+   * @returns {{ seed: string, commitment: string }} Hex seed and its SHA-256 hash
+   */
+  static createCommitment() {
+    const seed = randomBytes(32).toString('hex');
+    return { seed, commitment: DiceService.hashSeed(seed) };
+  }
+
+  /**
+   * Hash a seed into its public commitment
+   * @param {string} seed - Hex seed
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashSeed(seed) {
+    return createHash('sha256').update(seed).digest('hex');
+  }
+
+  /**
+   * Derive 2d6 from a seed
+   * Dice are read from HMAC-SHA256(key = seed, message = "roll-{rollId}"), one byte per die,
+   * skipping bytes >= 252 so every face is equally likely
+   * @param {string} seed - Hex seed
+   * @param {number} rollId - Roll ID
+   * @returns {{ die1: number, die2: number }}
+   */
+  static rollFromSeed(seed, rollId) {
+    const dice = [];
+    let counter = 0;
+    while (dice.length < 2) {
+      const message = counter === 0 ? `roll-${rollId}` : `roll-${rollId}-${counter}`;
+      const bytes = createHmac('sha256', seed).update(message).digest();
+      for (const byte of bytes) {
+        if (byte < 252) {
+          dice.push((byte % 6) + 1);
+          if (dice.length === 2) break;
+        }
+      }
+      counter++;
+    }
+    return { die1: dice[0], die2: dice[1] };
+  }
+
+  /**
+   * Verify a revealed seed against its commitment and the dice shown on the result
+   * @param {string} seed - Revealed hex seed
+   * @param {string} commitment - Published commitment
+   * @param {number} rollId - Roll ID
+   * @param {number} die1 - First die shown
+   * @param {number} die2 - Second die shown
+   * @returns {boolean} True if the seed matches the commitment and produces the same dice
+   */
+  static verify(seed, commitment, rollId, die1, die2) {
+    if (DiceService.hashSeed(seed) !== commitment) {
+      return false;
+    }
+    const dice = DiceService.rollFromSeed(seed, rollId);
+    return dice.die1 === die1 && dice.die2 === die2;
+  }
+}
+
+// Export singleton instance
+const diceService = new DiceService();
+export default diceService;
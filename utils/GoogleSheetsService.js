@@ -374,13 +374,9 @@ export class GoogleSheetsService {
         cellsToRead.push(weaknessCell, `${config.burnedCol}${row}`);
       }
       
-      // Improvements (3 checkboxes per theme at row 28)
-      // First checkbox is one column after nameCell, then +1, +2
-      const nameCol = config.nameCell.match(/^[A-Z]+/)[0];
-      const improvementStartCol = this.incrementColumn(nameCol, 1);
-      for (let i = 0; i < 3; i++) {
-        const improvementCol = this.incrementColumn(improvementStartCol, i);
-        cellsToRead.push(`${improvementCol}28`);
+      // Abandon, Improve and Milestone tracks (3 checkboxes each at row 28)
+      for (const trackCells of Object.values(this.getThemeTrackCells(config))) {
+        cellsToRead.push(...trackCells);
       }
       
       // Quest text (row 20, same column as tag start)
@@ -466,18 +462,11 @@ export class GoogleSheetsService {
         }
       }
 
-      // Parse improvements (3 checkboxes at row 28)
-      // Count how many checkboxes are checked (max 3)
-      const nameCol = config.nameCell.match(/^[A-Z]+/)[0];
-      const improvementStartCol = this.incrementColumn(nameCol, 1);
-      let improvementsFromSheet = 0;
-      for (let i = 0; i < 3; i++) {
-        const improvementCol = this.incrementColumn(improvementStartCol, i);
-        if (this.isTruthy(cellValues[`${improvementCol}28`])) {
-          improvementsFromSheet++;
-        }
+      // Parse tracks (3 checkboxes each at row 28)
+      // Count how many checkboxes are checked (max 3) into improvements, milestones and abandons
+      for (const [track, trackCells] of Object.entries(this.getThemeTrackCells(config))) {
+        theme[track] = trackCells.filter(cell => this.isTruthy(cellValues[cell])).length;
       }
-      theme.improvements = improvementsFromSheet;
       
       // Parse quest text (row 20, same column as tag start)
       const questCell = `${config.tagStartCol}20`;
@@ -611,15 +600,14 @@ export class GoogleSheetsService {
         }
       }
 
-      // Improvements (3 checkboxes at row 28, cap at 3)
-      const nameCol = config.nameCell.match(/^[A-Z]+/)[0];
-      const improvementStartCol = this.incrementColumn(nameCol, 1);
-      const improvements = Math.min(theme.improvements || 0, 3); // Cap at 3
-      for (let i = 0; i < 3; i++) {
-        const improvementCol = this.incrementColumn(improvementStartCol, i);
-        batchUpdates.push({ 
-          cell: `${improvementCol}28`, 
-          value: i < improvements ? 'TRUE' : '' 
+      // Improvements, milestones and abandons (3 checkboxes each at row 28, cap at 3)
+      for (const [track, trackCells] of Object.entries(this.getThemeTrackCells(config))) {
+        const marks = Math.min(theme[track] || 0, 3); // Cap at 3
+        trackCells.forEach((cell, j) => {
+          batchUpdates.push({ 
+            cell, 
+            value: j < marks ? 'TRUE' : '' 
+          });
         });
       }
       
@@ -677,6 +665,22 @@ export class GoogleSheetsService {
     return true;
   }
 
+  /**
+   * Get the checkbox cells of the tracks of a theme (3 checkboxes each, in row 28)
+   * Abandon starts under the tags, Improve one column after the theme name and Milestone ends on the burned column
+   * @param {Object} config - Theme cell configuration
+   * @returns {Object} Cells by theme property: { abandons, improvements, milestones }
+   */
+  getThemeTrackCells(config) {
+    const nameCol = config.nameCell.match(/^[A-Z]+/)[0];
+    const trackCells = startCol => [0, 1, 2].map(i => `${this.incrementColumn(startCol, i)}28`);
+    return {
+      abandons: trackCells(config.tagStartCol),
+      improvements: trackCells(this.incrementColumn(nameCol, 1)),
+      milestones: trackCells(this.incrementColumn(nameCol, 5)),
+    };
+  }
+
   /**
    * Increment a column letter by a given amount
    * @param {string} col - Column letter (e.g., 'A', 'BF', 'Z')
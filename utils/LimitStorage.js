@@ -0,0 +1,189 @@
+import { getDbForGuild } from './Database.js';
+import { CharacterStorage } from './CharacterStorage.js';
+import { StoryTagStorage } from './StoryTagStorage.js';
+import { StatusModel } from './StatusModel.js';
+
+/**
+ * Storage utility for scene limits linked to status categories
+ * A linked limit like "harm(4)" is reached once the highest tier among its statuses on the scene or a character meets 4
+ */
+export class LimitStorage {
+  /**
+   * Split a limit like "harm(4)" into its name and value
+   * @param {string} limit - Limit text
+   * @returns {{ name: string, value: number }|null} Null when the text is not a limit
+   */
+  static parseLimit(limit) {
+    const match = limit.trim().match(/^(.+)\((\d+)\)$/);
+    if (!match) {
+      return null;
+    }
+    return { name: match[1], value: parseInt(match[2]) };
+  }
+
+  /**
+   * Map a limit_links row (joined with its scene_tags limit) to a link object
+   * @param {Object} row - Database row
+   * @returns {Object} { id, limitTagId, limit, value, sceneId, targetType, targetId, statuses, reached, createdBy, createdAt }
+   */
+  static rowToLink(row) {
+    return {
+      id: row.id,
+      limitTagId: row.limit_tag_id,
+      limit: row.tag,
+      value: this.parseLimit(row.tag).value,
+      sceneId: row.scene_id,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      statuses: row.statuses.split(',').filter(name => name.length > 0),
+      reached: row.reached === 1,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+    };
+  }
+
+  /**
+   * Get the linked limits of a scene
+   * @param {string} guildId - Guild ID
+   * @param {string} sceneId - Scene ID
+   * @returns {Array<Object>} Links (see rowToLink)
+   */
+  static getLinks(guildId, sceneId) {
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare(`
+      SELECT ll.*, st.tag
+      FROM limit_links ll
+      JOIN scene_tags st ON st.id = ll.limit_tag_id
+      WHERE ll.scene_id = ?
+      ORDER BY ll.id
+    `);
+    return stmt.all(sceneId).map(row => this.rowToLink(row));
+  }
+
+  /**
+   * Get the linked limits that watch a character's statuses, across all scenes
+   * @param {string} guildId - Guild ID
+   * @param {number} characterId - Character ID
+   * @returns {Array<Object>} Links (see rowToLink)
+   */
+  static getLinksForCharacter(guildId, characterId) {
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare(`
+      SELECT ll.*, st.tag
+      FROM limit_links ll
+      JOIN scene_tags st ON st.id = ll.limit_tag_id
+      WHERE ll.target_type = 'character' AND ll.target_id = ?
+      ORDER BY ll.id
+    `);
+    return stmt.all(String(characterId)).map(row => this.rowToLink(row));
+  }
+
+  /**
+   * Link a scene limit to a status category, replacing any earlier link of that limit
+   * @param {string} guildId - Guild ID
+   * @param {string} sceneId - Scene ID
+   * @param {string} limit - Limit text, e.g. "harm(4)" (must already be on the scene)
+   * @param {string[]} statuses - Status names (without tier) that count towards the limit
+   * @param {string} targetType - 'scene' or 'character'
+   * @param {string|number} targetId - Scene ID or character ID
+   * @param {string} createdBy - Discord user ID of the narrator
+   * @returns {{ success: boolean, message?: string, link?: Object }}
+   */
+  static linkLimit(guildId, sceneId, limit, statuses, targetType, targetId, createdBy) {
+    const lowerLimit = limit.trim().toLowerCase();
+    const limitTag = StoryTagStorage.getLimitsWithIds(guildId, sceneId)
+      .find(row => row.tag.toLowerCase() === lowerLimit);
+    if (!limitTag) {
+      return { success: false, message: `There is no "${limit}" limit on this scene.` };
+    }
+
+    const names = [...new Set(statuses.map(name => StatusModel.parse(name).name.toLowerCase()).filter(name => name.length > 0))];
+    if (names.length === 0) {
+      return { success: false, message: 'Please name at least one status that counts towards the limit.' };
+    }
+
+    const db = getDbForGuild(guildId);
+    db.prepare(`
+      INSERT INTO limit_links (limit_tag_id, scene_id, target_type, target_id, statuses, created_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(limit_tag_id) DO UPDATE SET
+        target_type = excluded.target_type,
+        target_id = excluded.target_id,
+        statuses = excluded.statuses,
+        reached = 0,
+        created_by = excluded.created_by,
+        created_at = strftime('%s', 'now')
+    `).run(limitTag.id, sceneId, targetType, String(targetId), names.join(','), createdBy);
+
+    const link = this.getLinks(guildId, sceneId).find(l => l.limitTagId === limitTag.id);
+    return { success: true, link };
+  }
+
+  /**
+   * Remove the link of a scene limit (the limit itself stays)
+   * @param {string} guildId - Guild ID
+   * @param {string} sceneId - Scene ID
+   * @param {string} limit - Limit text
+   * @returns {boolean} True if a link was removed
+   */
+  static unlinkLimit(guildId, sceneId, limit) {
+    const lowerLimit = limit.trim().toLowerCase();
+    const link = this.getLinks(guildId, sceneId).find(l => l.limit.toLowerCase() === lowerLimit);
+    if (!link) {
+      return false;
+    }
+    const db = getDbForGuild(guildId);
+    db.prepare('DELETE FROM limit_links WHERE id = ?').run(link.id);
+    return true;
+  }
+
+  /**
+   * Find the highest-tier status counting towards a link
+   * @param {string} guildId - Guild ID
+   * @param {Object} link - Link (see rowToLink)
+   * @returns {StatusModel|null} The highest matching status or null if none is on the target
+   */
+  static getHighestStatus(guildId, link) {
+    let statuses;
+    if (link.targetType === 'scene') {
+      statuses = StoryTagStorage.getStatusesWithPowerLevels(guildId, link.targetId);
+    } else {
+      const character = CharacterStorage.getCharacterById(guildId, parseInt(link.targetId));
+      statuses = character ? character.tempStatuses : [];
+    }
+
+    let highest = null;
+    for (const status of statuses) {
+      const model = StatusModel.fromStatus(status);
+      if (link.statuses.includes(model.name.toLowerCase()) && (!highest || model.tier > highest.tier)) {
+        highest = model;
+      }
+    }
+    return highest;
+  }
+
+  /**
+   * Compare links to their statuses and record which ones are reached
+   * A link only reports once; it can report again after its statuses drop below the limit
+   * @param {string} guildId - Guild ID
+   * @param {Array<Object>} links - Links to check
+   * @returns {Array<Object>} Newly reached links, each with the status that reached it as `status`
+   */
+  static checkLinks(guildId, links) {
+    const db = getDbForGuild(guildId);
+    const setReachedStmt = db.prepare('UPDATE limit_links SET reached = ? WHERE id = ?');
+    const newlyReached = [];
+
+    for (const link of links) {
+      const status = this.getHighestStatus(guildId, link);
+      const isReached = status !== null && status.tier >= link.value;
+      if (isReached && !link.reached) {
+        newlyReached.push({ ...link, reached: true, status });
+      }
+      if (isReached !== link.reached) {
+        setReachedStmt.run(isReached ? 1 : 0, link.id);
+      }
+    }
+    return newlyReached;
+  }
+}
@@ -0,0 +1,67 @@
+import { MessageFlags, ContainerBuilder, TextDisplayBuilder } from 'discord.js';
+import { CharacterStorage } from './CharacterStorage.js';
+
+/**
+ * Shared utilities for displaying linked scene limits and their alerts
+ */
+export class LimitView {
+  /**
+   * Format what a link watches, e.g. "wounded, bleeding on Ana"
+   * @param {Object} link - Link from LimitStorage
+   * @param {string} guildId - Guild ID for database access
+   * @returns {string} Markdown text
+   */
+  static formatLink(link, guildId) {
+    const statuses = link.statuses.map(name => `**${name}**`).join(', ');
+    if (link.targetType === 'scene') {
+      return `\`${link.limit}\` fills up from ${statuses} statuses on this scene`;
+    }
+    const character = CharacterStorage.getCharacterById(guildId, parseInt(link.targetId));
+    return `\`${link.limit}\` fills up from ${statuses} statuses on ${character ? character.name : 'Unknown character'}`;
+  }
+
+  /**
+   * Build the alert posted in the scene channel when a linked limit is reached
+   * A limit on scene statuses means the challenge is overcome, a limit on a character means they are taken out
+   * @param {Object} link - Newly reached link from LimitStorage.checkLinks (with `status`)
+   * @param {string} guildId - Guild ID for database access
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildLimitAlert(link, guildId) {
+    let title;
+    if (link.targetType === 'scene') {
+      title = '### 🏁 Challenge overcome!';
+    } else {
+      const character = CharacterStorage.getCharacterById(guildId, parseInt(link.targetId));
+      title = `### 💀 ${character ? character.name : 'Unknown character'} is taken out!`;
+    }
+
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`${title}\n**${link.status.toString()}** meets the limit \`${link.limit}\`.`)
+    );
+    return {
+      components: [container],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+
+  /**
+   * Build the alert posted in the scene channel when a challenge status reaches one of the challenge's limits
+   * @param {Object} challenge - Challenge from ChallengeStorage
+   * @param {{ limit: string, status: StatusModel }} reached - Limit reached (see ChallengeStorage.getNewlyReachedLimits)
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildChallengeLimitAlert(challenge, reached) {
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`### 🏁 ${challenge.name} is overcome!\n**${reached.status.toString()}** meets the limit \`${reached.limit}\`.`)
+    );
+    return {
+      components: [container],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+}
@@ -0,0 +1,50 @@
+import { MessageFlags } from 'discord.js';
+import { getServerEnv } from './ServerConfig.js';
+
+/**
+ * Utility functions for narrator-only actions (users with the roll editor role)
+ */
+
+/**
+ * Check if the user of an interaction is a narrator (has the roll editor role)
+ * @param {import('discord.js').Interaction} interaction - The interaction
+ * @param {string} guildId - Guild ID
+ * @returns {boolean} False when no roll editor role is configured
+ */
+export function isNarrator(interaction, guildId) {
+  const rollEditorRoleId = getServerEnv('ROLL_EDITOR_ROLE_ID', guildId);
+  try {
+    return Boolean(rollEditorRoleId) && interaction.member.roles.includes(rollEditorRoleId);
+  } catch (error) {
+    console.error('Error checking user roles:', error);
+    return false;
+  }
+}
+
+/**
+ * Check that the user of an interaction is a narrator (has the roll editor role)
+ * Replies with the reason when they are not
+ * @param {import('discord.js').Interaction} interaction - The interaction
+ * @param {string} guildId - Guild ID
+ * @param {string} deniedMessage - Reply for users without the role
+ * @returns {Promise<boolean>} True if the user is a narrator
+ */
+export async function requireNarrator(interaction, guildId, deniedMessage) {
+  const rollEditorRoleId = getServerEnv('ROLL_EDITOR_ROLE_ID', guildId);
+  if (!rollEditorRoleId) {
+    await interaction.reply({
+      content: 'Narrator commands are not configured. Please set ROLL_EDITOR_ROLE_ID.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return false;
+  }
+
+  if (!isNarrator(interaction, guildId)) {
+    await interaction.reply({
+      content: deniedMessage,
+      flags: MessageFlags.Ephemeral,
+    });
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,173 @@
+import { getDbForGuild } from './Database.js';
+import { CharacterStorage } from './CharacterStorage.js';
+import { StoryTagStorage } from './StoryTagStorage.js';
+import { RollSpendStorage } from './RollSpendStorage.js';
+import { CharacterHistoryStorage } from './CharacterHistoryStorage.js';
+import { RollConsequence } from '../constants/RollConsequence.js';
+import { CharacterChange } from '../constants/CharacterChange.js';
+import { RollTagParentType } from '../constants/RollTagParentType.js';
+
+/**
+ * Storage utility for consequences imposed on executed rolls
+ * Applies them to the rolling character or the roll's scene and records them against the roll
+ */
+export class RollConsequenceStorage {
+  /**
+   * Get the consequences imposed on a roll
+   * @param {string} guildId - Guild ID
+   * @param {number} rollId - Roll ID
+   * @returns {Array<Object>} [{ id, consequence, targetType, targetId, value, tier, imposedBy, imposedAt }]
+   */
+  static getConsequences(guildId, rollId) {
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare(`
+      SELECT id, consequence, target_type, target_id, value, tier, imposed_by, imposed_at
+      FROM roll_consequences
+      WHERE roll_id = ?
+      ORDER BY id
+    `);
+    return stmt.all(rollId).map(row => ({
+      id: row.id,
+      consequence: row.consequence,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      value: row.value,
+      tier: row.tier,
+      imposedBy: row.imposed_by,
+      imposedAt: row.imposed_at,
+    }));
+  }
+
+  /**
+   * Get the tags a consequence can burn or remove
+   * Burning targets the rolling character's themes and theme tags that are not burned yet;
+   * removing targets their story tags and backpack items, and the scene's tags
+   * @param {string} guildId - Guild ID
+   * @param {Object} roll - Roll from RollStorage.getRoll
+   * @param {string} consequence - RollConsequence.BURN_TAG or RollConsequence.REMOVE_TAG
+   * @returns {Array<Object>} [{ key, name, targetType, targetId, parentType, parentId }]
+   */
+  static getTagCandidates(guildId, roll, consequence) {
+    const character = CharacterStorage.getCharacterById(guildId, roll.characterId);
+    const candidates = [];
+    const characterTarget = { targetType: 'character', targetId: roll.characterId };
+
+    if (consequence === RollConsequence.BURN_TAG) {
+      if (!character) return candidates;
+      for (const theme of character.themes) {
+        if (!theme.isBurned) {
+          candidates.push({ ...characterTarget, name: theme.name, parentType: RollTagParentType.CHARACTER_THEME, parentId: theme.id });
+        }
+        for (const tag of theme.tags) {
+          if (!tag.isBurned) {
+            candidates.push({ ...characterTarget, name: tag.tag, parentType: RollTagParentType.CHARACTER_THEME_TAG, parentId: tag.id });
+          }
+        }
+      }
+    } else {
+      if (character) {
+        for (const tag of character.storyTags) {
+          candidates.push({ ...characterTarget, name: tag.tag, parentType: RollTagParentType.CHARACTER_STORY_TAG, parentId: tag.id });
+        }
+        for (const item of character.backpack) {
+          candidates.push({ ...characterTarget, name: item.item, parentType: RollTagParentType.CHARACTER_BACKPACK, parentId: item.id });
+        }
+      }
+      for (const tag of StoryTagStorage.getTagsWithIds(guildId, roll.sceneId)) {
+        candidates.push({ targetType: 'scene', targetId: roll.sceneId, name: tag.tag, parentType: RollTagParentType.SCENE_TAG, parentId: tag.id });
+      }
+    }
+
+    return candidates.map(candidate => ({ ...candidate, key: `${candidate.parentType}:${candidate.parentId}` }));
+  }
+
+  /**
+   * Apply one consequence to the rolling character or the roll's scene
+   * @param {string} guildId - Guild ID
+   * @param {Object} consequence - { consequence, targetType, targetId, value, tier, parentType, parentId }
+   */
+  static applyConsequence(guildId, consequence) {
+    if (consequence.consequence === RollConsequence.ADD_LIMIT) {
+      const exists = StoryTagStorage.getLimits(guildId, consequence.targetId)
+        .some(limit => limit.toLowerCase() === consequence.value.toLowerCase());
+      if (!exists) {
+        StoryTagStorage.addLimits(guildId, consequence.targetId, [consequence.value]);
+      }
+      return;
+    }
+
+    if (consequence.parentType === RollTagParentType.SCENE_TAG) {
+      StoryTagStorage.removeTags(guildId, consequence.targetId, [consequence.value]);
+      return;
+    }
+
+    const character = CharacterStorage.getCharacterById(guildId, parseInt(consequence.targetId));
+    if (!character) {
+      return;
+    }
+
+    switch (consequence.consequence) {
+    case RollConsequence.INFLICT_STATUS:
+      CharacterStorage.addStatusTier(guildId, character, consequence.value, consequence.tier);
+      break;
+    case RollConsequence.BURN_TAG: {
+      const prefix = consequence.parentType === RollTagParentType.CHARACTER_THEME ? 'theme' : 'tag';
+      CharacterStorage.markTagsAsBurned(guildId, character.user_id, character.id, [`${prefix}:${consequence.value}`]);
+      break;
+    }
+    case RollConsequence.REMOVE_TAG:
+      if (consequence.parentType === RollTagParentType.CHARACTER_STORY_TAG) {
+        RollSpendStorage.updateCharacter(guildId, character, {
+          storyTags: character.storyTags.filter(tag => tag.id !== consequence.parentId),
+        });
+      } else if (consequence.parentType === RollTagParentType.CHARACTER_BACKPACK) {
+        RollSpendStorage.updateCharacter(guildId, character, {
+          backpack: character.backpack.filter(item => item.id !== consequence.parentId),
+        });
+      }
+      break;
+    default:
+      throw new Error(`Unknown roll consequence: ${consequence.consequence}`);
+    }
+  }
+
+  /**
+   * Apply consequences to a roll and record them
+   * @param {string} guildId - Guild ID
+   * @param {number} rollId - Roll ID
+   * @param {Array<Object>} consequences - [{ consequence, targetType, targetId, value, tier, parentType, parentId }]
+   * @param {string} imposedBy - Discord user ID of the narrator
+   * @returns {Array<Object>} All consequences recorded for the roll
+   */
+  static impose(guildId, rollId, consequences, imposedBy) {
+    const db = getDbForGuild(guildId);
+    const insertStmt = db.prepare(`
+      INSERT INTO roll_consequences (roll_id, consequence, target_type, target_id, value, tier, imposed_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const characterIds = new Set(consequences.filter(consequence => consequence.targetType === 'character').map(consequence => parseInt(consequence.targetId)));
+    characterIds.forEach(characterId => CharacterHistoryStorage.recordBaseline(guildId, characterId));
+
+    const transaction = db.transaction(() => {
+      for (const consequence of consequences) {
+        this.applyConsequence(guildId, consequence);
+        insertStmt.run(
+          rollId,
+          consequence.consequence,
+          consequence.targetType,
+          String(consequence.targetId),
+          consequence.value,
+          consequence.tier || null,
+          imposedBy
+        );
+      }
+      for (const characterId of characterIds) {
+        CharacterHistoryStorage.record(guildId, characterId, CharacterChange.ROLL, `Consequences of roll #${rollId} imposed`, { rollId }, imposedBy);
+      }
+    });
+
+    transaction();
+    return this.getConsequences(guildId, rollId);
+  }
+}
@@ -0,0 +1,166 @@
+import { ActionRowBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, ButtonBuilder, ButtonStyle, MessageFlags, ContainerBuilder, TextDisplayBuilder } from 'discord.js';
+import { TagFormatter } from './TagFormatter.js';
+import { CharacterStorage } from './CharacterStorage.js';
+import { RollConsequence, getConsequenceDisplayName } from '../constants/RollConsequence.js';
+
+/**
+ * Shared utilities for displaying the consequences imposed on executed rolls
+ */
+export class RollConsequenceView {
+  /**
+   * Build the button shown on a miss or partial success for the narrator to impose consequences
+   * @param {number} rollId - Roll ID
+   * @returns {ButtonBuilder} The consequence button
+   */
+  static buildConsequenceButton(rollId) {
+    return new ButtonBuilder()
+      .setCustomId(`roll_consequence_start_${rollId}`)
+      .setLabel('Impose Consequences')
+      .setEmoji('⚠️')
+      .setStyle(ButtonStyle.Secondary);
+  }
+
+  /**
+   * Format one consequence as a single line
+   * @param {Object} consequence - { consequence, targetType, targetId, value, tier }
+   * @param {string} guildId - Guild ID for database access
+   * @returns {string} Markdown line
+   */
+  static formatConsequence(consequence, guildId) {
+    let target;
+    if (consequence.targetType === 'scene') {
+      target = `<#${consequence.targetId}>`;
+    } else {
+      const character = CharacterStorage.getCharacterById(guildId, parseInt(consequence.targetId));
+      target = character ? character.name : 'Unknown character';
+    }
+
+    switch (consequence.consequence) {
+    case RollConsequence.INFLICT_STATUS:
+      return `${TagFormatter.GREEN_CIRCLE} Inflict **${consequence.value}-${consequence.tier}** on ${target}`;
+    case RollConsequence.ADD_LIMIT:
+      return `${TagFormatter.RED_CIRCLE} Add limit **${consequence.value}** to ${target}`;
+    case RollConsequence.BURN_TAG:
+      return `🔥 Burn **${consequence.value}** (${target})`;
+    case RollConsequence.REMOVE_TAG:
+      return `${TagFormatter.YELLOW_CIRCLE} Remove **${consequence.value}** from ${target}`;
+    default:
+      return `${getConsequenceDisplayName(consequence.consequence)}: ${consequence.value} (${target})`;
+    }
+  }
+
+  /**
+   * Build the consequence view where the narrator picks consequences before applying them
+   * @param {string} consequenceKey - Unique identifier for this consequence session
+   * @param {Object} options - Display options
+   * @param {number} options.rollId - Roll ID
+   * @param {string} options.characterName - Name of the rolling character
+   * @param {Array<Object>} options.imposed - Consequences already applied
+   * @param {Array<Object>} options.pending - Consequences picked but not applied yet
+   * @param {Array<Object>|null} options.tagCandidates - Tags to pick from when burning or removing a tag
+   * @param {string} options.guildId - Guild ID for database access
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildConsequenceDisplay(consequenceKey, options) {
+    const { rollId, characterName, imposed = [], pending = [], tagCandidates = null, guildId } = options;
+
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`## Consequences · Roll #${rollId}\n**Character:** ${characterName}`)
+    );
+
+    if (imposed.length > 0) {
+      container.addTextDisplayComponents(
+        new TextDisplayBuilder()
+          .setContent(`### Already Imposed\n${imposed.map(c => this.formatConsequence(c, guildId)).join('\n')}`)
+      );
+    }
+
+    const pendingText = pending.length > 0
+      ? pending.map(c => this.formatConsequence(c, guildId)).join('\n')
+      : '*Pick a consequence below.*';
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`### To Apply\n${pendingText}`)
+    );
+
+    const components = [container];
+
+    if (tagCandidates) {
+      // Picking the tag for a burn/remove consequence - Discord allows 25 options
+      if (tagCandidates.length === 0) {
+        container.addTextDisplayComponents(
+          new TextDisplayBuilder()
+            .setContent('*There are no tags to pick from.*')
+        );
+      } else {
+        const tagOptions = tagCandidates.slice(0, 25).map(candidate =>
+          new StringSelectMenuOptionBuilder()
+            .setLabel(candidate.name.substring(0, 100))
+            .setDescription(candidate.targetType === 'scene' ? 'Scene' : characterName.substring(0, 100))
+            .setValue(candidate.key));
+        const tagSelect = new StringSelectMenuBuilder()
+          .setCustomId(`roll_consequence_tag_${consequenceKey}`)
+          .setPlaceholder('Pick a tag...')
+          .setMinValues(1)
+          .setMaxValues(1)
+          .addOptions(tagOptions);
+        components.push(new ActionRowBuilder().setComponents([tagSelect]));
+      }
+    } else {
+      const consequenceOptions = Object.values(RollConsequence).map(consequence =>
+        new StringSelectMenuOptionBuilder()
+          .setLabel(getConsequenceDisplayName(consequence))
+          .setValue(consequence));
+      const consequenceSelect = new StringSelectMenuBuilder()
+        .setCustomId(`roll_consequence_type_${consequenceKey}`)
+        .setPlaceholder('Add a consequence...')
+        .setMinValues(1)
+        .setMaxValues(1)
+        .addOptions(consequenceOptions);
+      components.push(new ActionRowBuilder().setComponents([consequenceSelect]));
+    }
+
+    const applyButton = new ButtonBuilder()
+      .setCustomId(`roll_consequence_apply_${consequenceKey}`)
+      .setLabel('Apply')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(pending.length === 0);
+    const undoButton = new ButtonBuilder()
+      .setCustomId(`roll_consequence_undo_${consequenceKey}`)
+      .setLabel(tagCandidates ? 'Back' : 'Remove Last')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(!tagCandidates && pending.length === 0);
+    const cancelButton = new ButtonBuilder()
+      .setCustomId(`roll_consequence_cancel_${consequenceKey}`)
+      .setLabel('Cancel')
+      .setStyle(ButtonStyle.Danger);
+    components.push(new ActionRowBuilder().setComponents([applyButton, undoButton, cancelButton]));
+
+    return {
+      components,
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+
+  /**
+   * Build the public summary posted after consequences are applied
+   * @param {number} rollId - Roll ID
+   * @param {string} narratorId - Discord user ID of the narrator
+   * @param {Array<Object>} consequences - Consequences applied
+   * @param {string} guildId - Guild ID for database access
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildConsequenceSummary(rollId, narratorId, consequences, guildId) {
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`### ⚠️ Roll #${rollId}: Consequences imposed by <@${narratorId}>\n${consequences.map(c => this.formatConsequence(c, guildId)).join('\n')}`)
+    );
+    return {
+      components: [container],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+}
@@ -0,0 +1,301 @@
+import { ContainerBuilder, TextDisplayBuilder } from 'discord.js';
+import { RollStorage } from './RollStorage.js';
+import { RollView } from './RollView.js';
+import { CharacterStorage } from './CharacterStorage.js';
+import { RollJournalStorage } from './RollJournalStorage.js';
+import { CharacterHistoryStorage } from './CharacterHistoryStorage.js';
+import { CharacterChange } from '../constants/CharacterChange.js';
+import { RollTagParentType } from '../constants/RollTagParentType.js';
+import RollStatus from '../constants/RollStatus.js';
+import { getRuleset } from './rulesets/index.js';
+import diceService from './DiceService.js';
+
+/**
+ * Executes rolls: applies burns and improvements, rolls the dice, stores the result and renders it
+ * Shared by /roll, the "Execute Anyway" warning button and /roll-quick
+ */
+export class RollExecutor {
+  /**
+   * Execute a roll
+   * The caller checks who may execute the roll and its status, and posts the result message
+   * (then links it with RollStorage.setRollResultMessageLink)
+   * @param {string} guildId - Guild ID
+   * @param {Object} roll - Roll from RollStorage.getRoll
+   * @param {string|null} strategy - Strategy value ('none' or one of the ruleset's strategies)
+   * @param {string} userId - User executing the roll
+   * @returns {{ error: string|null, resultData: Object|null }} The result message, or why the roll can't be executed
+   */
+  static execute(guildId, roll, strategy, userId) {
+    const rollId = roll.id;
+
+    // Validate strategy before making any changes
+    const { baseModifier, mightModifier, totalPower } = this.calculatePower(guildId, roll);
+
+    // Strategy limits and modifiers come from the server's ruleset
+    const ruleset = getRuleset(guildId);
+    const { strategyModifier, strategyName, error: strategyError } = ruleset.applyStrategy(strategy, totalPower);
+    const originalPower = totalPower; // Include might in original power
+
+    if (strategyError) {
+      return { error: strategyError, resultData: null };
+    }
+
+    // Burns change the rolling character, improvements the characters whose weaknesses hindered the roll
+    const characterIds = new Set([roll.characterId]);
+    for (const tagEntity of roll.hinderTags || []) {
+      if (tagEntity.characterId) {
+        characterIds.add(tagEntity.characterId);
+      }
+    }
+    characterIds.forEach(characterId => CharacterHistoryStorage.recordBaseline(guildId, characterId));
+
+    // Mark as executed
+    RollStorage.updateRoll(guildId, rollId, { status: RollStatus.EXECUTED });
+
+    // Track theme improvements from weakness tags in hinderTags
+    const improvementNotification = this.applyImprovements(guildId, roll);
+
+    // Process burned tags - delete backpack/storyTags, mark others as burned
+    this.applyBurns(guildId, roll);
+
+    for (const characterId of characterIds) {
+      CharacterHistoryStorage.record(guildId, characterId, CharacterChange.ROLL, `Roll #${rollId} executed: ${roll.description || 'No description'}`, { rollId }, userId);
+    }
+
+    // Roll 2d6 (from the committed seed if the roll has one)
+    const diceSeed = RollStorage.getDiceSeed(guildId, rollId);
+    const { die1, die2 } = diceService.rollForRoll(rollId, diceSeed);
+    const baseRoll = die1 + die2;
+
+    // Apply strategy modifier to the roll result (might is already included in originalPower)
+    const finalResult = baseRoll + totalPower + strategyModifier;
+
+    // Format narrator mention if they confirmed the roll
+    const narratorMention = roll.confirmedBy ? `<@${roll.confirmedBy}>` : null;
+
+    // Check if this is a reaction roll and determine if roll is successful (for power modifications)
+    const isReactionRoll = roll.isReaction === true;
+    const isSuccessful = ruleset.canSpendPower(die1, die2, finalResult, isReactionRoll);
+
+    // Calculate spending power based on strategy and success
+    const spendingPower = ruleset.calculateSpendingPower(isSuccessful, originalPower, strategy);
+    const outcome = ruleset.determineOutcome(die1, die2, finalResult, isReactionRoll);
+
+    // Persist the result so it can be referenced after the message scrolls away
+    RollStorage.saveRollResult(guildId, rollId, {
+      die1,
+      die2,
+      basePower: baseModifier,
+      mightModifier,
+      totalPower,
+      strategy: strategy || 'none',
+      strategyModifier,
+      finalResult,
+      outcome,
+      spendingPower,
+      executedBy: userId,
+    });
+
+    // Format roll result using RollView
+    // Pass totalPower (baseModifier + mightModifier) as the modifier parameter so Power includes might
+    const resultData = RollView.formatRollResult(
+      die1,
+      die2,
+      baseRoll,
+      totalPower, // Total power includes might
+      finalResult,
+      roll.description,
+      narratorMention,
+      isReactionRoll,
+      roll.reactionToRollId,
+      strategyName,
+      strategyModifier,
+      originalPower, // This now includes might
+      spendingPower,
+      mightModifier,
+      guildId
+    );
+
+    // Add improvement notification if available
+    if (improvementNotification && resultData.components && resultData.components.length > 0) {
+      const notificationContainer = new ContainerBuilder();
+      notificationContainer.addTextDisplayComponents(
+        new TextDisplayBuilder()
+          .setContent(improvementNotification)
+      );
+      resultData.components.push(notificationContainer);
+    }
+
+    // Reveal the seed so players can check the dice against the published commitment
+    if (diceSeed && roll.diceCommitment) {
+      resultData.components.push(RollView.buildDiceProofContainer(rollId, diceSeed, roll.diceCommitment));
+    }
+
+    // Let the roller spend Power on a success and the narrator impose consequences on a miss
+    const resultActionRow = RollView.buildResultActionRow(rollId, outcome, spendingPower);
+    if (resultActionRow) {
+      resultData.components.push(resultActionRow);
+    }
+
+    return { error: null, resultData };
+  }
+
+  /**
+   * Calculate the Power of a roll from its tags and might
+   * @param {string} guildId - Guild ID
+   * @param {Object} roll - Roll from RollStorage.getRoll, or a roll editor state
+   * @returns {{ baseModifier: number, mightModifier: number, totalPower: number }}
+   */
+  static calculatePower(guildId, roll) {
+    // Calculate base modifier to check strategy conditions
+    const burnedTags = roll.burnedTags || new Set();
+    const baseModifier = RollView.calculateModifier(roll.helpTags, roll.hinderTags, burnedTags, guildId);
+
+    // Get might modifier from roll (default to 0 if not set)
+    const mightModifier = roll.mightModifier !== undefined && roll.mightModifier !== null ? roll.mightModifier : 0;
+
+    // Calculate total power (base modifier + might modifier)
+    return { baseModifier, mightModifier, totalPower: baseModifier + mightModifier };
+  }
+
+  /**
+   * Check that a strategy can be used with a roll's Power
+   * @param {string} guildId - Guild ID
+   * @param {Object} roll - Roll from RollStorage.getRoll, or a roll editor state
+   * @param {string|null} strategy - Strategy value ('none' or one of the ruleset's strategies)
+   * @returns {string|null} Why the strategy can't be used, or null if it can
+   */
+  static checkStrategy(guildId, roll, strategy) {
+    const { totalPower } = this.calculatePower(guildId, roll);
+    return getRuleset(guildId).applyStrategy(strategy, totalPower).error;
+  }
+
+  /**
+   * Add theme improvements for the weaknesses that hindered a roll
+   * @param {string} guildId - Guild ID
+   * @param {Object} roll - Roll from RollStorage.getRoll
+   * @returns {string|null} Notification pinging the players whose themes can be developed
+   */
+  static applyImprovements(guildId, roll) {
+    const hinderTags = roll.hinderTags || new Set();
+    if (hinderTags.size === 0) {
+      return null;
+    }
+
+    const improvementResult = CharacterStorage.incrementThemeImprovements(
+      guildId,
+      hinderTags
+    );
+    RollJournalStorage.recordImprovements(guildId, roll.id, improvementResult.improvedThemes);
+
+    // Build notification if any themes are ready to develop
+    // Group by character to show which player can develop
+    if (improvementResult.readyToDevelop.length === 0) {
+      return null;
+    }
+
+    // Group themes by user_id to avoid duplicate mentions
+    const themesByUser = new Map();
+    for (const t of improvementResult.readyToDevelop) {
+      const character = CharacterStorage.getCharacterById(guildId, t.characterId);
+      if (character && character.user_id) {
+        if (!themesByUser.has(character.user_id)) {
+          themesByUser.set(character.user_id, []);
+        }
+        themesByUser.get(character.user_id).push(t);
+      }
+    }
+
+    // Build notification with player mentions
+    const userNotifications = [];
+    for (const [userId, themes] of themesByUser.entries()) {
+      const themeList = themes.map(t => `**${t.themeName}** (${t.improvements} improvements)`).join(', ');
+      userNotifications.push(`<@${userId}>: ${themeList}`);
+    }
+
+    return `\n\n✨ **Theme Development Available!** ✨\n${userNotifications.join('\n')}\nUse \`/theme-develop\` to develop them.`;
+  }
+
+  /**
+   * Apply the burned tags of a roll: delete burned backpack items and story tags, mark other tags as burned
+   * Every change is journaled so /roll-undo can revert it
+   * @param {string} guildId - Guild ID
+   * @param {Object} roll - Roll from RollStorage.getRoll
+   */
+  static applyBurns(guildId, roll) {
+    const burnedTags = roll.burnedTags || new Set();
+    if (burnedTags.size === 0) {
+      return;
+    }
+
+    // The character may be an NPC (unassigned) that a narrator rolled as
+    const character = CharacterStorage.getCharacterById(guildId, roll.characterId);
+    if (!character) {
+      return;
+    }
+
+    const backpackIdsToRemove = [];
+    const storyTagIdsToRemove = [];
+    const tagsToBurn = [];
+
+    // Separate burned tags by type
+    for (const tagEntity of burnedTags) {
+      const tagData = tagEntity.getTagData(guildId);
+      if (!tagData) continue;
+
+      if (tagEntity.parentType === RollTagParentType.CHARACTER_BACKPACK) {
+        // Backpack items get deleted (by ID)
+        backpackIdsToRemove.push(tagEntity.parentId);
+      } else if (tagEntity.parentType === RollTagParentType.CHARACTER_STORY_TAG) {
+        // Story tags get deleted (by ID)
+        storyTagIdsToRemove.push(tagEntity.parentId);
+      } else {
+        // Other tags (themes, theme tags) get marked as burned
+        // Convert TagEntity to tag string for markTagsAsBurned
+        const tagString = tagEntity.toTagString(guildId);
+        if (tagString) {
+          tagsToBurn.push(tagString);
+        }
+      }
+    }
+
+    // Journal the items about to be deleted so /roll-undo can restore them
+    RollJournalStorage.recordDeletedItems(guildId, roll.id, backpackIdsToRemove, storyTagIdsToRemove);
+
+    // Build update object
+    const updates = {};
+
+    // Remove backpack items that were burned (by ID)
+    if (backpackIdsToRemove.length > 0) {
+      const updatedBackpack = (character.backpack || []).filter(item => {
+        const itemId = typeof item === 'object' && item.id ? item.id : null;
+        return itemId && !backpackIdsToRemove.includes(itemId);
+      });
+      updates.backpack = updatedBackpack;
+    }
+
+    // Remove story tags that were burned (by ID)
+    if (storyTagIdsToRemove.length > 0) {
+      const updatedStoryTags = (character.storyTags || []).filter(tag => {
+        const tagId = typeof tag === 'object' && tag.id ? tag.id : null;
+        return tagId && !storyTagIdsToRemove.includes(tagId);
+      });
+      updates.storyTags = updatedStoryTags;
+    }
+
+    // Mark themes/tags as burned (only for non-backpack/non-storyTag items)
+    if (tagsToBurn.length > 0) {
+      RollJournalStorage.recordBurnedTags(guildId, roll.id, roll.characterId, tagsToBurn);
+      CharacterStorage.markTagsAsBurned(guildId, character.user_id, roll.characterId, tagsToBurn);
+    }
+
+    // Apply all updates (backpack and storyTags)
+    if (Object.keys(updates).length > 0) {
+      if (character.user_id) {
+        CharacterStorage.updateCharacter(guildId, character.user_id, roll.characterId, updates);
+      } else {
+        CharacterStorage.updateUnassignedCharacter(guildId, roll.characterId, updates);
+      }
+    }
+  }
+}
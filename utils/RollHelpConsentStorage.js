@@ -0,0 +1,157 @@
+import { getDbForGuild } from './Database.js';
+import { HelpConsentStatus } from '../constants/HelpConsentStatus.js';
+
+/**
+ * Storage utility for help consents: the agreement of players whose characters contribute help tags to someone else's roll
+ * Consents are kept per contributed tag, so the roll records who approved what
+ */
+export class RollHelpConsentStorage {
+  /**
+   * Get the help consents of a roll
+   * @param {string} guildId - Guild ID
+   * @param {number} rollId - Roll ID
+   * @returns {Array<Object>} [{ id, parentType, parentId, characterId, characterName, ownerId, isBurned, status, decidedBy, decidedAt }]
+   */
+  static getConsents(guildId, rollId) {
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare(`
+      SELECT rhc.id, rhc.parent_type, rhc.parent_id, rhc.character_id, rhc.is_burned, rhc.status,
+             rhc.decided_by, rhc.decided_at, c.name AS character_name, c.user_id AS owner_id
+      FROM roll_help_consents rhc
+      JOIN characters c ON rhc.character_id = c.id
+      WHERE rhc.roll_id = ?
+      ORDER BY rhc.character_id, rhc.id
+    `);
+    return stmt.all(rollId).map(row => ({
+      id: row.id,
+      parentType: row.parent_type,
+      parentId: row.parent_id,
+      characterId: row.character_id,
+      characterName: row.character_name,
+      ownerId: row.owner_id, // Null for unassigned characters - a narrator decides for them
+      isBurned: row.is_burned === 1,
+      status: row.status,
+      decidedBy: row.decided_by,
+      decidedAt: row.decided_at,
+    }));
+  }
+
+  /**
+   * Get the help tags of a roll that another character contributes
+   * A help tag is contributed when it comes from a character other than the rolling one
+   * (the help action's source character, or the character owning the tag)
+   * @param {Object} roll - Roll from RollStorage.getRoll
+   * @returns {Array<Object>} [{ parentType, parentId, characterId, isBurned }]
+   */
+  static getContributedTags(roll) {
+    const contributed = [];
+    const helpFromCharacterIdMap = roll.helpFromCharacterIdMap || new Map();
+    for (const tagEntity of roll.helpTags || []) {
+      const characterId = helpFromCharacterIdMap.get(tagEntity) || tagEntity.characterId;
+      if (!characterId || characterId === roll.characterId) {
+        continue;
+      }
+      contributed.push({
+        parentType: tagEntity.parentType,
+        parentId: tagEntity.parentId,
+        characterId,
+        isBurned: tagEntity.isBurned(roll.burnedTags || new Set()),
+      });
+    }
+    return contributed;
+  }
+
+  /**
+   * Bring the consents of a roll in line with its current help tags
+   * Consents for removed tags are dropped and new tags start pending. A decision is kept while the tag
+   * stays with the same character, except that burning a tag needs a new approval.
+   * Tags of characters owned by the roll's creator are approved right away.
+   * @param {string} guildId - Guild ID
+   * @param {Object} roll - Roll from RollStorage.getRoll
+   * @returns {Array<Object>} The roll's consents after syncing (see getConsents)
+   */
+  static syncConsents(guildId, roll) {
+    const db = getDbForGuild(guildId);
+    const contributed = this.getContributedTags(roll);
+    const existing = new Map(
+      db.prepare('SELECT * FROM roll_help_consents WHERE roll_id = ?').all(roll.id)
+        .map(row => [`${row.parent_type}:${row.parent_id}`, row])
+    );
+    const ownerStmt = db.prepare('SELECT user_id FROM characters WHERE id = ?');
+
+    const transaction = db.transaction(() => {
+      const keep = new Set();
+      for (const tag of contributed) {
+        const key = `${tag.parentType}:${tag.parentId}`;
+        keep.add(key);
+        const row = existing.get(key);
+
+        if (row && row.character_id === tag.characterId && !(tag.isBurned && row.is_burned === 0)) {
+          if (row.is_burned !== (tag.isBurned ? 1 : 0)) {
+            db.prepare('UPDATE roll_help_consents SET is_burned = ? WHERE id = ?').run(tag.isBurned ? 1 : 0, row.id);
+          }
+          continue;
+        }
+
+        const owner = ownerStmt.get(tag.characterId);
+        const ownedByCreator = owner && owner.user_id === roll.creatorId;
+        db.prepare(`
+          INSERT INTO roll_help_consents (roll_id, parent_type, parent_id, character_id, is_burned, status, decided_by, decided_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE strftime('%s', 'now') END)
+          ON CONFLICT (roll_id, parent_type, parent_id) DO UPDATE SET
+            character_id = excluded.character_id,
+            is_burned = excluded.is_burned,
+            status = excluded.status,
+            decided_by = excluded.decided_by,
+            decided_at = excluded.decided_at
+        `).run(
+          roll.id,
+          tag.parentType,
+          tag.parentId,
+          tag.characterId,
+          tag.isBurned ? 1 : 0,
+          ownedByCreator ? HelpConsentStatus.APPROVED : HelpConsentStatus.PENDING,
+          ownedByCreator ? roll.creatorId : null,
+          ownedByCreator ? roll.creatorId : null
+        );
+      }
+
+      for (const [key, row] of existing) {
+        if (!keep.has(key)) {
+          db.prepare('DELETE FROM roll_help_consents WHERE id = ?').run(row.id);
+        }
+      }
+    });
+
+    transaction();
+    return this.getConsents(guildId, roll.id);
+  }
+
+  /**
+   * Approve or decline the pending consents of one helping character on a roll
+   * @param {string} guildId - Guild ID
+   * @param {number} rollId - Roll ID
+   * @param {number} characterId - Helping character ID
+   * @param {string} status - HelpConsentStatus.APPROVED or HelpConsentStatus.DECLINED
+   * @param {string} userId - User who decided
+   * @returns {number} Number of tags decided
+   */
+  static decide(guildId, rollId, characterId, status, userId) {
+    const db = getDbForGuild(guildId);
+    const result = db.prepare(`
+      UPDATE roll_help_consents
+      SET status = ?, decided_by = ?, decided_at = strftime('%s', 'now')
+      WHERE roll_id = ? AND character_id = ? AND status = ?
+    `).run(status, userId, rollId, characterId, HelpConsentStatus.PENDING);
+    return result.changes;
+  }
+
+  /**
+   * Whether every contributed tag in a list of consents is approved
+   * @param {Array<Object>} consents - Consents from getConsents or syncConsents
+   * @returns {boolean}
+   */
+  static allApproved(consents) {
+    return consents.every(consent => consent.status === HelpConsentStatus.APPROVED);
+  }
+}
@@ -0,0 +1,128 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags, ContainerBuilder, TextDisplayBuilder } from 'discord.js';
+import { TagEntity } from './TagEntity.js';
+import { HelpConsentStatus, getHelpConsentDisplayName } from '../constants/HelpConsentStatus.js';
+
+/**
+ * Shared utilities for displaying the consent of helping players on a roll
+ */
+export class RollHelpConsentView {
+  /**
+   * Get the display name of a contributed tag
+   * @param {Object} consent - Consent from RollHelpConsentStorage
+   * @param {string} guildId - Guild ID for database access
+   * @returns {string} Tag name, with fire emojis if it will be burned
+   */
+  static formatTagName(consent, guildId) {
+    const tagData = new TagEntity(consent.parentType, consent.parentId, consent.characterId).getTagData(guildId);
+    const name = tagData ? tagData.name : 'Unknown tag';
+    return consent.isBurned ? `🔥 ${name} 🔥` : name;
+  }
+
+  /**
+   * Format one consent as a single line
+   * @param {Object} consent - Consent from RollHelpConsentStorage
+   * @param {string} guildId - Guild ID for database access
+   * @returns {string} Markdown line
+   */
+  static formatConsent(consent, guildId) {
+    const tagText = `**${this.formatTagName(consent, guildId)}** (${consent.characterName})`;
+    switch (consent.status) {
+    case HelpConsentStatus.APPROVED:
+      return `✅ ${tagText} · approved by <@${consent.decidedBy}>`;
+    case HelpConsentStatus.DECLINED:
+      return `❌ ${tagText} · declined by <@${consent.decidedBy}>`;
+    default:
+      return `⏳ ${tagText} · ${getHelpConsentDisplayName(consent.status).toLowerCase()}`;
+    }
+  }
+
+  /**
+   * Format the consents of a roll as a block for the roll editor and summaries
+   * @param {Array<Object>} consents - Consents from RollHelpConsentStorage
+   * @param {string} guildId - Guild ID for database access
+   * @returns {string|null} Markdown block, or null if no other character contributes tags
+   */
+  static formatConsents(consents, guildId) {
+    if (consents.length === 0) {
+      return null;
+    }
+    return `**Helper consent:**\n${consents.map(consent => this.formatConsent(consent, guildId)).join('\n')}`;
+  }
+
+  /**
+   * Build the message asking a helping character's owner to approve the use of their tags
+   * Unassigned characters have no owner, so narrators are asked instead
+   * @param {Object} roll - Roll from RollStorage.getRoll
+   * @param {Array<Object>} consents - Pending consents of one helping character
+   * @param {string} rollerName - Name of the rolling character
+   * @param {string} narratorMention - Mention of the narrator role
+   * @param {string} guildId - Guild ID for database access
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildConsentRequest(roll, consents, rollerName, narratorMention, guildId) {
+    const { characterId, characterName, ownerId } = consents[0];
+    const asked = ownerId ? `<@${ownerId}>` : `${narratorMention} (${characterName} has no player)`;
+    const rollType = roll.isReaction ? 'Reaction Roll' : 'Roll';
+
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(
+          `### 🤝 Help Requested for ${rollType} #${roll.id}\n` +
+          `${asked}, <@${roll.creatorId}> wants **${rollerName}** to use these tags of **${characterName}**:\n` +
+          consents.map(consent => `• ${this.formatTagName(consent, guildId)}`).join('\n') +
+          `\n> ${roll.description || 'No description'}`
+        )
+    );
+
+    const buttons = new ActionRowBuilder().setComponents([
+      new ButtonBuilder()
+        .setCustomId(`roll_consent_approve_${roll.id}_${characterId}`)
+        .setLabel('Approve')
+        .setEmoji('✅')
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`roll_consent_decline_${roll.id}_${characterId}`)
+        .setLabel('Decline')
+        .setEmoji('❌')
+        .setStyle(ButtonStyle.Danger),
+    ]);
+
+    return {
+      components: [container, buttons],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+
+  /**
+   * Build the consent request message once it has been answered (replaces the buttons)
+   * @param {Object} roll - Roll from RollStorage.getRoll
+   * @param {Array<Object>} decided - Consents that were just decided
+   * @param {Array<Object>} consents - All consents of the roll after the decision
+   * @param {string} narratorMention - Mention of the narrator role
+   * @param {string} guildId - Guild ID for database access
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildConsentDecision(roll, decided, consents, narratorMention, guildId) {
+    const rollType = roll.isReaction ? 'Reaction Roll' : 'Roll';
+    const lines = [`### 🤝 Help for ${rollType} #${roll.id}`, ...decided.map(consent => this.formatConsent(consent, guildId))];
+
+    if (consents.some(consent => consent.status === HelpConsentStatus.DECLINED)) {
+      lines.push(`<@${roll.creatorId}>, remove the declined tags with /roll-amend ${roll.id} before the roll can be confirmed.`);
+    } else if (consents.every(consent => consent.status === HelpConsentStatus.APPROVED)) {
+      lines.push(`All helpers agreed. ${narratorMention} can confirm with /roll-confirm ${roll.id}.`);
+    } else {
+      lines.push('Still waiting for the other helpers.');
+    }
+
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(lines.join('\n'))
+    );
+    return {
+      components: [container],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+}
@@ -0,0 +1,208 @@
+import { getDbForGuild } from './Database.js';
+import { RollSideEffect } from '../constants/RollSideEffect.js';
+
+/**
+ * Storage utility for the roll journal: the side effects of executing a roll
+ * Each entry records what is needed to revert one change, so /roll-undo can put the characters back
+ */
+export class RollJournalStorage {
+  /**
+   * Record a side effect of executing a roll
+   * @param {string} guildId - Guild ID
+   * @param {number} rollId - Roll ID
+   * @param {string} effect - RollSideEffect value
+   * @param {number} targetId - ID of the changed theme, theme tag, backpack item or story tag
+   * @param {Object|null} data - Data needed to revert the effect
+   */
+  static record(guildId, rollId, effect, targetId, data = null) {
+    const db = getDbForGuild(guildId);
+    db.prepare(`
+      INSERT INTO roll_journal (roll_id, effect, target_id, data)
+      VALUES (?, ?, ?, ?)
+    `).run(rollId, effect, targetId, data ? JSON.stringify(data) : null);
+  }
+
+  /**
+   * Get the journal of a roll, oldest first
+   * @param {string} guildId - Guild ID
+   * @param {number} rollId - Roll ID
+   * @returns {Array<Object>} Entries with { id, effect, targetId, data }
+   */
+  static getEntries(guildId, rollId) {
+    const db = getDbForGuild(guildId);
+    return db.prepare(`
+      SELECT id, effect, target_id, data
+      FROM roll_journal
+      WHERE roll_id = ?
+      ORDER BY id
+    `).all(rollId).map(row => ({
+      id: row.id,
+      effect: row.effect,
+      targetId: row.target_id,
+      data: row.data ? JSON.parse(row.data) : null,
+    }));
+  }
+
+  /**
+   * Record the themes and theme tags that CharacterStorage.markTagsAsBurned is about to burn
+   * Call this before burning, since tags that were already burned must stay burned on undo
+   * @param {string} guildId - Guild ID
+   * @param {number} rollId - Roll ID
+   * @param {number} characterId - Character ID
+   * @param {string[]} tagValues - Tag strings passed to markTagsAsBurned (e.g. "theme:Tinkerer", "tag:quick")
+   */
+  static recordBurnedTags(guildId, rollId, characterId, tagValues) {
+    const db = getDbForGuild(guildId);
+    const themeStmt = db.prepare(`
+      SELECT id FROM character_themes
+      WHERE character_id = ? AND name = ? AND is_burned = 0
+    `);
+    const themeTagStmt = db.prepare(`
+      SELECT id FROM character_theme_tags
+      WHERE theme_id IN (
+        SELECT id FROM character_themes WHERE character_id = ?
+      ) AND tag = ? AND is_weakness = 0 AND is_burned = 0
+    `);
+
+    for (const tagValue of tagValues) {
+      if (tagValue.startsWith('theme:')) {
+        for (const row of themeStmt.all(characterId, tagValue.replace('theme:', ''))) {
+          this.record(guildId, rollId, RollSideEffect.BURN_THEME, row.id);
+        }
+      } else if (tagValue.startsWith('tag:')) {
+        for (const row of themeTagStmt.all(characterId, tagValue.replace('tag:', ''))) {
+          this.record(guildId, rollId, RollSideEffect.BURN_THEME_TAG, row.id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Record the backpack items and story tags about to be deleted because they were burned
+   * Call this before deleting, so the rows can be restored with their original IDs
+   * @param {string} guildId - Guild ID
+   * @param {number} rollId - Roll ID
+   * @param {number[]} backpackIds - Backpack item IDs
+   * @param {number[]} storyTagIds - Character story tag IDs
+   */
+  static recordDeletedItems(guildId, rollId, backpackIds, storyTagIds) {
+    const db = getDbForGuild(guildId);
+    const backpackStmt = db.prepare('SELECT id, character_id, item FROM character_backpack WHERE id = ?');
+    const storyTagStmt = db.prepare('SELECT id, character_id, tag FROM character_story_tags WHERE id = ?');
+
+    for (const id of backpackIds) {
+      const row = backpackStmt.get(id);
+      if (row) {
+        this.record(guildId, rollId, RollSideEffect.DELETE_BACKPACK_ITEM, id, { characterId: row.character_id, item: row.item });
+      }
+    }
+    for (const id of storyTagIds) {
+      const row = storyTagStmt.get(id);
+      if (row) {
+        this.record(guildId, rollId, RollSideEffect.DELETE_STORY_TAG, id, { characterId: row.character_id, tag: row.tag });
+      }
+    }
+  }
+
+  /**
+   * Record the theme improvements gained by a roll
+   * @param {string} guildId - Guild ID
+   * @param {number} rollId - Roll ID
+   * @param {Array<Object>} improvedThemes - improvedThemes from CharacterStorage.incrementThemeImprovements
+   */
+  static recordImprovements(guildId, rollId, improvedThemes) {
+    for (const theme of improvedThemes) {
+      this.record(guildId, rollId, RollSideEffect.THEME_IMPROVEMENT, theme.themeId, {
+        characterId: theme.characterId,
+        increment: theme.increment,
+      });
+    }
+  }
+
+  /**
+   * Revert every side effect in a roll's journal and clear the journal
+   * Runs inside the caller's transaction when there is one
+   * @param {string} guildId - Guild ID
+   * @param {number} rollId - Roll ID
+   * @returns {{ unburned: number, restored: number, improvements: number, characterIds: number[] }} What was reverted
+   */
+  static revert(guildId, rollId) {
+    const db = getDbForGuild(guildId);
+    const summary = { unburned: 0, restored: 0, improvements: 0, characterIds: [] };
+    const characterIds = new Set();
+
+    const transaction = db.transaction(() => {
+      // Revert newest first
+      for (const entry of this.getEntries(guildId, rollId).reverse()) {
+        switch (entry.effect) {
+        case RollSideEffect.BURN_THEME: {
+          const theme = db.prepare('SELECT character_id FROM character_themes WHERE id = ?').get(entry.targetId);
+          if (theme) {
+            db.prepare('UPDATE character_themes SET is_burned = 0 WHERE id = ?').run(entry.targetId);
+            characterIds.add(theme.character_id);
+            summary.unburned++;
+          }
+          break;
+        }
+        case RollSideEffect.BURN_THEME_TAG: {
+          const tag = db.prepare(`
+            SELECT ct.character_id
+            FROM character_theme_tags ctt
+            JOIN character_themes ct ON ctt.theme_id = ct.id
+            WHERE ctt.id = ?
+          `).get(entry.targetId);
+          if (tag) {
+            db.prepare('UPDATE character_theme_tags SET is_burned = 0 WHERE id = ?').run(entry.targetId);
+            characterIds.add(tag.character_id);
+            summary.unburned++;
+          }
+          break;
+        }
+        case RollSideEffect.DELETE_BACKPACK_ITEM: {
+          // Restore with the original ID so roll_tags pointing at the item stay valid
+          const result = db.prepare(`
+            INSERT OR IGNORE INTO character_backpack (id, character_id, item)
+            SELECT ?, id, ? FROM characters WHERE id = ?
+          `).run(entry.targetId, entry.data.item, entry.data.characterId);
+          if (result.changes > 0) {
+            characterIds.add(entry.data.characterId);
+            summary.restored++;
+          }
+          break;
+        }
+        case RollSideEffect.DELETE_STORY_TAG: {
+          const result = db.prepare(`
+            INSERT OR IGNORE INTO character_story_tags (id, character_id, tag)
+            SELECT ?, id, ? FROM characters WHERE id = ?
+          `).run(entry.targetId, entry.data.tag, entry.data.characterId);
+          if (result.changes > 0) {
+            characterIds.add(entry.data.characterId);
+            summary.restored++;
+          }
+          break;
+        }
+        case RollSideEffect.THEME_IMPROVEMENT: {
+          const result = db.prepare(`
+            UPDATE character_themes
+            SET improvements = MAX(0, COALESCE(improvements, 0) - ?)
+            WHERE id = ?
+          `).run(entry.data.increment, entry.targetId);
+          if (result.changes > 0) {
+            characterIds.add(entry.data.characterId);
+            summary.improvements += entry.data.increment;
+          }
+          break;
+        }
+        default:
+          console.warn(`Unknown roll journal effect "${entry.effect}" for roll #${rollId}`);
+        }
+      }
+
+      db.prepare('DELETE FROM roll_journal WHERE roll_id = ?').run(rollId);
+    });
+
+    transaction();
+    summary.characterIds = [...characterIds];
+    return summary;
+  }
+}
@@ -0,0 +1,113 @@
+import { getDbForGuild } from './Database.js';
+
+/**
+ * Storage utility for roll loadouts: named help/hinder tag selections saved on a character
+ */
+export class RollLoadoutStorage {
+  /**
+   * Get the loadouts of a character, by name
+   * @param {string} guildId - Guild ID
+   * @param {number} characterId - Character ID
+   * @returns {Array<Object>} [{ id, name, helpCount, hinderCount }]
+   */
+  static getLoadouts(guildId, characterId) {
+    const db = getDbForGuild(guildId);
+    return db.prepare(`
+      SELECT rl.id, rl.name,
+             SUM(CASE WHEN rlt.tag_type = 'help' THEN 1 ELSE 0 END) AS help_count,
+             SUM(CASE WHEN rlt.tag_type = 'hinder' THEN 1 ELSE 0 END) AS hinder_count
+      FROM roll_loadouts rl
+      LEFT JOIN roll_loadout_tags rlt ON rlt.loadout_id = rl.id
+      WHERE rl.character_id = ?
+      GROUP BY rl.id
+      ORDER BY rl.name COLLATE NOCASE
+    `).all(characterId).map(row => ({
+      id: row.id,
+      name: row.name,
+      helpCount: row.help_count || 0,
+      hinderCount: row.hinder_count || 0,
+    }));
+  }
+
+  /**
+   * Get a loadout of a character by name (case-insensitive)
+   * @param {string} guildId - Guild ID
+   * @param {number} characterId - Character ID
+   * @param {string} name - Loadout name
+   * @returns {Object|null} { id, name, helpTags, hinderTags } where tags are [{ parentType, parentId }], or null if not found
+   */
+  static getLoadout(guildId, characterId, name) {
+    const db = getDbForGuild(guildId);
+    const loadout = db.prepare(`
+      SELECT id, name FROM roll_loadouts
+      WHERE character_id = ? AND name = ? COLLATE NOCASE
+    `).get(characterId, name);
+    if (!loadout) {
+      return null;
+    }
+
+    const tags = db.prepare(`
+      SELECT tag_type, parent_type, parent_id
+      FROM roll_loadout_tags
+      WHERE loadout_id = ?
+      ORDER BY id
+    `).all(loadout.id);
+
+    const toTag = row => ({ parentType: row.parent_type, parentId: row.parent_id });
+    return {
+      id: loadout.id,
+      name: loadout.name,
+      helpTags: tags.filter(row => row.tag_type === 'help').map(toTag),
+      hinderTags: tags.filter(row => row.tag_type === 'hinder').map(toTag),
+    };
+  }
+
+  /**
+   * Save a loadout on a character, replacing the tags of an existing loadout with the same name
+   * @param {string} guildId - Guild ID
+   * @param {number} characterId - Character ID
+   * @param {string} name - Loadout name
+   * @param {Iterable<TagEntity>} helpTags - Help tags to save
+   * @param {Iterable<TagEntity>} hinderTags - Hinder tags to save
+   * @returns {{ replaced: boolean }} Whether an existing loadout was replaced
+   */
+  static saveLoadout(guildId, characterId, name, helpTags, hinderTags) {
+    const db = getDbForGuild(guildId);
+    let replaced = false;
+
+    const transaction = db.transaction(() => {
+      const existing = db.prepare(`
+        SELECT id FROM roll_loadouts
+        WHERE character_id = ? AND name = ? COLLATE NOCASE
+      `).get(characterId, name);
+
+      let loadoutId;
+      if (existing) {
+        replaced = true;
+        loadoutId = existing.id;
+        db.prepare(`
+          UPDATE roll_loadouts SET name = ?, updated_at = strftime('%s', 'now') WHERE id = ?
+        `).run(name, loadoutId);
+        db.prepare('DELETE FROM roll_loadout_tags WHERE loadout_id = ?').run(loadoutId);
+      } else {
+        loadoutId = db.prepare(`
+          INSERT INTO roll_loadouts (character_id, name) VALUES (?, ?)
+        `).run(characterId, name).lastInsertRowid;
+      }
+
+      const insertTag = db.prepare(`
+        INSERT INTO roll_loadout_tags (loadout_id, tag_type, parent_type, parent_id)
+        VALUES (?, ?, ?, ?)
+      `);
+      for (const tagEntity of helpTags) {
+        insertTag.run(loadoutId, 'help', tagEntity.parentType, tagEntity.parentId);
+      }
+      for (const tagEntity of hinderTags) {
+        insertTag.run(loadoutId, 'hinder', tagEntity.parentType, tagEntity.parentId);
+      }
+    });
+
+    transaction();
+    return { replaced };
+  }
+}
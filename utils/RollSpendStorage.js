@@ -0,0 +1,162 @@
+import { getDbForGuild } from './Database.js';
+import { CharacterStorage } from './CharacterStorage.js';
+import { StoryTagStorage } from './StoryTagStorage.js';
+import { CharacterHistoryStorage } from './CharacterHistoryStorage.js';
+import { SpendEffect } from '../constants/SpendEffect.js';
+import { CharacterChange } from '../constants/CharacterChange.js';
+
+/**
+ * Storage utility for the spending-power ledger of executed rolls
+ * Applies bought effects to scenes and characters and records what each roll's Power was spent on
+ */
+export class RollSpendStorage {
+  /**
+   * Get the effects already bought with a roll's Power
+   * @param {string} guildId - Guild ID
+   * @param {number} rollId - Roll ID
+   * @returns {Array<Object>} [{ id, effect, targetType, targetId, value, tier, cost, spentBy, spentAt }]
+   */
+  static getSpends(guildId, rollId) {
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare(`
+      SELECT id, effect, target_type, target_id, value, tier, cost, spent_by, spent_at
+      FROM roll_spends
+      WHERE roll_id = ?
+      ORDER BY id
+    `);
+    return stmt.all(rollId).map(row => ({
+      id: row.id,
+      effect: row.effect,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      value: row.value,
+      tier: row.tier,
+      cost: row.cost,
+      spentBy: row.spent_by,
+      spentAt: row.spent_at,
+    }));
+  }
+
+  /**
+   * Get how much of a roll's Power has already been spent
+   * @param {string} guildId - Guild ID
+   * @param {number} rollId - Roll ID
+   * @returns {number} Power spent
+   */
+  static getSpentPower(guildId, rollId) {
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare('SELECT COALESCE(SUM(cost), 0) AS spent FROM roll_spends WHERE roll_id = ?');
+    return stmt.get(rollId).spent;
+  }
+
+  /**
+   * Update a character whether it belongs to a player or is unassigned
+   * @param {string} guildId - Guild ID
+   * @param {Object} character - Character object (with user_id)
+   * @param {Object} updates - Updates to apply
+   * @returns {Object|null} Updated character
+   */
+  static updateCharacter(guildId, character, updates) {
+    return character.user_id
+      ? CharacterStorage.updateCharacter(guildId, character.user_id, character.id, updates)
+      : CharacterStorage.updateUnassignedCharacter(guildId, character.id, updates);
+  }
+
+  /**
+   * Apply one effect to its scene or character
+   * @param {string} guildId - Guild ID
+   * @param {Object} effect - { effect, targetType, targetId, value, tier }
+   */
+  static applyEffect(guildId, effect) {
+    if (effect.effect === SpendEffect.DISCOVER_DETAIL) {
+      // Details are narrated, there is nothing to store besides the ledger entry
+      return;
+    }
+
+    if (effect.targetType === 'scene') {
+      const sceneId = effect.targetId;
+      if (effect.effect === SpendEffect.ADD_STORY_TAG) {
+        const exists = StoryTagStorage.getTags(guildId, sceneId).some(tag => tag.toLowerCase() === effect.value.toLowerCase());
+        if (!exists) {
+          StoryTagStorage.addTags(guildId, sceneId, [effect.value]);
+        }
+        return;
+      }
+
+      if (effect.effect === SpendEffect.GIVE_STATUS) {
+        StoryTagStorage.addStatusTier(guildId, sceneId, effect.value, effect.tier);
+      } else {
+        StoryTagStorage.reduceStatus(guildId, sceneId, effect.value, effect.tier);
+      }
+      return;
+    }
+
+    const character = CharacterStorage.getCharacterById(guildId, parseInt(effect.targetId));
+    if (!character) {
+      return;
+    }
+
+    if (effect.effect === SpendEffect.ADD_STORY_TAG) {
+      const exists = character.storyTags.some(tag => tag.tag.toLowerCase() === effect.value.toLowerCase());
+      if (!exists) {
+        this.updateCharacter(guildId, character, { storyTags: [...character.storyTags, { tag: effect.value }] });
+      }
+      return;
+    }
+
+    if (effect.effect === SpendEffect.GIVE_STATUS) {
+      CharacterStorage.addStatusTier(guildId, character, effect.value, effect.tier);
+    } else {
+      CharacterStorage.reduceStatus(guildId, character, effect.value, effect.tier);
+    }
+  }
+
+  /**
+   * Apply effects bought with a roll's Power and record them in the ledger
+   * @param {string} guildId - Guild ID
+   * @param {number} rollId - Roll ID
+   * @param {number} spendingPower - Power the roll gave (from the roll result)
+   * @param {Array<Object>} effects - [{ effect, targetType, targetId, value, tier, cost }]
+   * @param {string} spentBy - Discord user ID of the player spending
+   * @returns {{ success: boolean, message?: string }}
+   */
+  static spend(guildId, rollId, spendingPower, effects, spentBy) {
+    const db = getDbForGuild(guildId);
+    const insertStmt = db.prepare(`
+      INSERT INTO roll_spends (roll_id, effect, target_type, target_id, value, tier, cost, spent_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const characterIds = new Set(effects.filter(effect => effect.targetType === 'character').map(effect => parseInt(effect.targetId)));
+    characterIds.forEach(characterId => CharacterHistoryStorage.recordBaseline(guildId, characterId));
+
+    const transaction = db.transaction(() => {
+      // Check the total inside the transaction so two spends can't both pass
+      const remaining = spendingPower - this.getSpentPower(guildId, rollId);
+      const total = effects.reduce((sum, effect) => sum + effect.cost, 0);
+      if (total > remaining) {
+        return { success: false, message: `These effects cost ${total} Power, but only ${remaining} Power is left to spend.` };
+      }
+
+      for (const effect of effects) {
+        this.applyEffect(guildId, effect);
+        insertStmt.run(
+          rollId,
+          effect.effect,
+          effect.targetType || null,
+          effect.targetId !== null && effect.targetId !== undefined ? String(effect.targetId) : null,
+          effect.value,
+          effect.tier || null,
+          effect.cost,
+          spentBy
+        );
+      }
+      for (const characterId of characterIds) {
+        CharacterHistoryStorage.record(guildId, characterId, CharacterChange.ROLL, `Power of roll #${rollId} spent`, { rollId }, spentBy);
+      }
+      return { success: true };
+    });
+
+    return transaction();
+  }
+}
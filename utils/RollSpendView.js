@@ -0,0 +1,165 @@
+import { ActionRowBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, ButtonBuilder, ButtonStyle, MessageFlags, ContainerBuilder, TextDisplayBuilder } from 'discord.js';
+import { TagFormatter } from './TagFormatter.js';
+import { CharacterStorage } from './CharacterStorage.js';
+import { SpendEffect, getSpendEffectDisplayName } from '../constants/SpendEffect.js';
+
+/**
+ * Shared utilities for displaying the spending-power step of executed rolls
+ */
+export class RollSpendView {
+  /**
+   * Build the button shown on a successful roll result to start spending its Power
+   * @param {number} rollId - Roll ID
+   * @returns {ButtonBuilder} The spend button
+   */
+  static buildSpendButton(rollId) {
+    return new ButtonBuilder()
+      .setCustomId(`roll_spend_start_${rollId}`)
+      .setLabel('Spend Power')
+      .setEmoji('✨')
+      .setStyle(ButtonStyle.Primary);
+  }
+
+  /**
+   * Format the target of an effect
+   * @param {Object} effect - { targetType, targetId, targetName }
+   * @param {string} guildId - Guild ID for database access
+   * @returns {string} Human-readable target
+   */
+  static formatTarget(effect, guildId) {
+    if (effect.targetType === 'scene') {
+      return `<#${effect.targetId}>`;
+    }
+    if (effect.targetName) {
+      return effect.targetName;
+    }
+    const character = CharacterStorage.getCharacterById(guildId, parseInt(effect.targetId));
+    return character ? character.name : 'Unknown character';
+  }
+
+  /**
+   * Format one effect as a single line
+   * @param {Object} effect - { effect, targetType, targetId, targetName, value, tier, cost }
+   * @param {string} guildId - Guild ID for database access
+   * @returns {string} Markdown line
+   */
+  static formatEffect(effect, guildId) {
+    const costText = `${effect.cost} Power`;
+    switch (effect.effect) {
+    case SpendEffect.GIVE_STATUS:
+      return `${TagFormatter.GREEN_CIRCLE} Give **${effect.value}-${effect.tier}** to ${this.formatTarget(effect, guildId)} · ${costText}`;
+    case SpendEffect.REDUCE_STATUS:
+      return `${TagFormatter.GREEN_CIRCLE} Reduce **${effect.value}** by ${effect.tier} on ${this.formatTarget(effect, guildId)} · ${costText}`;
+    case SpendEffect.ADD_STORY_TAG:
+      return `${TagFormatter.YELLOW_CIRCLE} Add **${effect.value}** to ${this.formatTarget(effect, guildId)} · ${costText}`;
+    case SpendEffect.DISCOVER_DETAIL:
+      return `🔍 Discover: ${effect.value} · ${costText}`;
+    default:
+      return `${getSpendEffectDisplayName(effect.effect)}: ${effect.value} · ${costText}`;
+    }
+  }
+
+  /**
+   * Build the spend view where the roller picks effects before applying them
+   * @param {string} spendKey - Unique identifier for this spend session
+   * @param {Object} options - Display options
+   * @param {number} options.rollId - Roll ID
+   * @param {number} options.spendingPower - Power the roll gave
+   * @param {Array<Object>} options.spent - Effects already applied (from the ledger)
+   * @param {Array<Object>} options.pending - Effects picked but not applied yet
+   * @param {string} options.guildId - Guild ID for database access
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildSpendDisplay(spendKey, options) {
+    const { rollId, spendingPower, spent = [], pending = [], guildId } = options;
+    const spentPower = spent.reduce((sum, effect) => sum + effect.cost, 0);
+    const pendingPower = pending.reduce((sum, effect) => sum + effect.cost, 0);
+    const remaining = spendingPower - spentPower - pendingPower;
+
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`## Spend Power · Roll #${rollId}\n**${remaining}** of ${spendingPower} Power left`)
+    );
+
+    if (spent.length > 0) {
+      container.addTextDisplayComponents(
+        new TextDisplayBuilder()
+          .setContent(`### Already Spent\n${spent.map(effect => this.formatEffect(effect, guildId)).join('\n')}`)
+      );
+    }
+
+    const pendingText = pending.length > 0
+      ? pending.map(effect => this.formatEffect(effect, guildId)).join('\n')
+      : '*Pick an effect below. Statuses cost 1 Power per tier, story tags cost 2 and details cost 1.*';
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`### To Apply\n${pendingText}`)
+    );
+
+    const components = [container];
+
+    if (remaining > 0) {
+      const effectOptions = Object.values(SpendEffect).map(effect =>
+        new StringSelectMenuOptionBuilder()
+          .setLabel(getSpendEffectDisplayName(effect))
+          .setValue(effect));
+      const effectSelect = new StringSelectMenuBuilder()
+        .setCustomId(`roll_spend_effect_${spendKey}`)
+        .setPlaceholder('Add an effect...')
+        .setMinValues(1)
+        .setMaxValues(1)
+        .addOptions(effectOptions);
+      components.push(new ActionRowBuilder().setComponents([effectSelect]));
+    }
+
+    const applyButton = new ButtonBuilder()
+      .setCustomId(`roll_spend_apply_${spendKey}`)
+      .setLabel(`Apply (${pendingPower} Power)`)
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(pending.length === 0);
+    const undoButton = new ButtonBuilder()
+      .setCustomId(`roll_spend_undo_${spendKey}`)
+      .setLabel('Remove Last')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(pending.length === 0);
+    const cancelButton = new ButtonBuilder()
+      .setCustomId(`roll_spend_cancel_${spendKey}`)
+      .setLabel('Cancel')
+      .setStyle(ButtonStyle.Danger);
+    components.push(new ActionRowBuilder().setComponents([applyButton, undoButton, cancelButton]));
+
+    return {
+      components,
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+
+  /**
+   * Build the public summary posted after effects are applied
+   * @param {number} rollId - Roll ID
+   * @param {string} userId - Discord user ID of the player who spent
+   * @param {Array<Object>} effects - Effects applied
+   * @param {number} remaining - Power left after applying
+   * @param {string} guildId - Guild ID for database access
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildSpendSummary(rollId, userId, effects, remaining, guildId) {
+    const container = new ContainerBuilder();
+    const total = effects.reduce((sum, effect) => sum + effect.cost, 0);
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`### ✨ Roll #${rollId}: <@${userId}> spent ${total} Power\n${effects.map(effect => this.formatEffect(effect, guildId)).join('\n')}`)
+    );
+    if (remaining > 0) {
+      container.addTextDisplayComponents(
+        new TextDisplayBuilder()
+          .setContent(`*${remaining} Power left to spend*`)
+      );
+    }
+    return {
+      components: [container],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+}
@@ -0,0 +1,216 @@
+import { getDbForGuild } from './Database.js';
+import RollStatus from '../constants/RollStatus.js';
+import { RollOutcome } from '../constants/RollOutcome.js';
+import { RollTagParentType } from '../constants/RollTagParentType.js';
+import { TagEntity } from './TagEntity.js';
+
+/**
+ * Outcome tiers grouped into success / partial / miss buckets
+ * Reaction outcomes are mapped onto the same buckets so they can be compared with regular rolls
+ */
+const OUTCOME_BUCKETS = {
+  [RollOutcome.SUCCESS]: 'success',
+  [RollOutcome.REACTION_SPEND_POWER_PLUS]: 'success',
+  [RollOutcome.SUCCESS_WITH_CONSEQUENCES]: 'partial',
+  [RollOutcome.REACTION_SPEND_POWER]: 'partial',
+  [RollOutcome.CONSEQUENCES]: 'miss',
+  [RollOutcome.REACTION_SUFFER]: 'miss',
+};
+
+/**
+ * Storage utility for computing campaign statistics from executed rolls
+ */
+export class RollStatsStorage {
+  /**
+   * Build a SQL filter restricting rows to a set of characters
+   * @param {string} column - Column holding the character ID
+   * @param {Array<number>|null} characterIds - Character IDs in scope, or null for the whole guild
+   * @returns {{ sql: string, params: Array<number> }} SQL fragment (starting with AND) and its parameters
+   */
+  static buildCharacterFilter(column, characterIds) {
+    if (characterIds === null) {
+      return { sql: '', params: [] };
+    }
+    if (characterIds.length === 0) {
+      // Nothing in scope - match no rows
+      return { sql: 'AND 0', params: [] };
+    }
+    return {
+      sql: `AND ${column} IN (${characterIds.map(() => '?').join(', ')})`,
+      params: characterIds,
+    };
+  }
+
+  /**
+   * Get success/partial/miss rates and average power per character
+   * @param {string} guildId - Guild ID
+   * @param {Array<number>|null} characterIds - Character IDs in scope, or null for the whole guild
+   * @returns {Array<Object>} [{ characterId, characterName, total, success, partial, miss, averagePower }] sorted by total desc
+   */
+  static getOutcomeStats(guildId, characterIds) {
+    const db = getDbForGuild(guildId);
+    const filter = this.buildCharacterFilter('r.character_id', characterIds);
+    const stmt = db.prepare(`
+      SELECT r.character_id, c.name AS character_name, rr.outcome, COUNT(*) AS count, SUM(rr.total_power) AS power_sum
+      FROM rolls r
+      JOIN roll_results rr ON rr.roll_id = r.id
+      LEFT JOIN characters c ON c.id = r.character_id
+      WHERE r.status = ? ${filter.sql}
+      GROUP BY r.character_id, rr.outcome
+    `);
+    const rows = stmt.all(RollStatus.EXECUTED, ...filter.params);
+
+    const statsByCharacter = new Map();
+    for (const row of rows) {
+      if (!statsByCharacter.has(row.character_id)) {
+        statsByCharacter.set(row.character_id, {
+          characterId: row.character_id,
+          characterName: row.character_name || 'Unknown character',
+          total: 0,
+          success: 0,
+          partial: 0,
+          miss: 0,
+          powerSum: 0,
+        });
+      }
+      const stats = statsByCharacter.get(row.character_id);
+      const bucket = OUTCOME_BUCKETS[row.outcome];
+      if (bucket) {
+        stats[bucket] += row.count;
+      }
+      stats.total += row.count;
+      stats.powerSum += row.power_sum || 0;
+    }
+
+    return Array.from(statsByCharacter.values())
+      .map(({ powerSum, ...stats }) => ({
+        ...stats,
+        averagePower: stats.total > 0 ? powerSum / stats.total : 0,
+      }))
+      .sort((a, b) => b.total - a.total || a.characterName.localeCompare(b.characterName));
+  }
+
+  /**
+   * Count executed rolls that were made before results were recorded
+   * @param {string} guildId - Guild ID
+   * @param {Array<number>|null} characterIds - Character IDs in scope, or null for the whole guild
+   * @returns {number} Number of executed rolls without a stored result
+   */
+  static getUnrecordedRollCount(guildId, characterIds) {
+    const db = getDbForGuild(guildId);
+    const filter = this.buildCharacterFilter('r.character_id', characterIds);
+    const stmt = db.prepare(`
+      SELECT COUNT(*) AS count
+      FROM rolls r
+      LEFT JOIN roll_results rr ON rr.roll_id = r.id
+      WHERE r.status = ? AND rr.id IS NULL ${filter.sql}
+    `);
+    return stmt.get(RollStatus.EXECUTED, ...filter.params).count;
+  }
+
+  /**
+   * Get the tags used most often as help in executed rolls
+   * @param {string} guildId - Guild ID
+   * @param {Array<number>|null} characterIds - Character IDs in scope (rolls made by them), or null for the whole guild
+   * @param {Object} options - Query options
+   * @param {boolean} options.burnedOnly - Only count tags that were burned
+   * @param {number} options.limit - Maximum number of tags to return
+   * @returns {Array<Object>} [{ name, type, count }] sorted by count desc
+   */
+  static getTopTags(guildId, characterIds, { burnedOnly = false, limit = 5 } = {}) {
+    const db = getDbForGuild(guildId);
+    const filter = this.buildCharacterFilter('r.character_id', characterIds);
+    const stmt = db.prepare(`
+      SELECT rt.parent_type, rt.parent_id, COUNT(*) AS count
+      FROM roll_tags rt
+      JOIN rolls r ON r.id = rt.roll_id
+      WHERE r.status = ? AND rt.tag_type = 'help' ${burnedOnly ? 'AND rt.is_burned = 1' : ''} ${filter.sql}
+      GROUP BY rt.parent_type, rt.parent_id
+      ORDER BY count DESC
+    `);
+    const rows = stmt.all(RollStatus.EXECUTED, ...filter.params);
+
+    // Resolve names, skipping tags that no longer exist
+    const tags = [];
+    for (const row of rows) {
+      const tagData = new TagEntity(row.parent_type, row.parent_id).getTagData(guildId);
+      if (!tagData) continue;
+      tags.push({ name: tagData.name, type: tagData.type, count: row.count });
+      if (tags.length >= limit) break;
+    }
+    return tags;
+  }
+
+  /**
+   * Get how often each weakness has been invoked against executed rolls
+   * @param {string} guildId - Guild ID
+   * @param {Array<number>|null} characterIds - Character IDs owning the weaknesses, or null for the whole guild
+   * @param {number} limit - Maximum number of weaknesses to return
+   * @returns {Array<Object>} [{ name, themeName, characterName, count }] sorted by count desc
+   */
+  static getWeaknessInvocations(guildId, characterIds, limit = 5) {
+    const db = getDbForGuild(guildId);
+    const filter = this.buildCharacterFilter('ct.character_id', characterIds);
+    const stmt = db.prepare(`
+      SELECT ctt.tag AS name, ct.name AS theme_name, c.name AS character_name, COUNT(*) AS count
+      FROM roll_tags rt
+      JOIN rolls r ON r.id = rt.roll_id
+      JOIN character_theme_tags ctt ON ctt.id = rt.parent_id
+      JOIN character_themes ct ON ct.id = ctt.theme_id
+      JOIN characters c ON c.id = ct.character_id
+      WHERE r.status = ? AND rt.tag_type = 'hinder' AND rt.parent_type = ? AND ctt.is_weakness = 1 ${filter.sql}
+      GROUP BY ctt.id
+      ORDER BY count DESC, ctt.tag
+      LIMIT ?
+    `);
+    return stmt.all(RollStatus.EXECUTED, RollTagParentType.CHARACTER_THEME_TAG, ...filter.params, limit)
+      .map(row => ({
+        name: row.name,
+        themeName: row.theme_name,
+        characterName: row.character_name,
+        count: row.count,
+      }));
+  }
+
+  /**
+   * Get the themes with the most improvements (closest to development)
+   * @param {string} guildId - Guild ID
+   * @param {Array<number>|null} characterIds - Character IDs in scope, or null for the whole guild
+   * @param {number} limit - Maximum number of themes to return
+   * @returns {Array<Object>} [{ themeName, characterName, improvements }] sorted by improvements desc
+   */
+  static getThemesClosestToDevelopment(guildId, characterIds, limit = 5) {
+    const db = getDbForGuild(guildId);
+    const filter = this.buildCharacterFilter('ct.character_id', characterIds);
+    const stmt = db.prepare(`
+      SELECT ct.name AS theme_name, c.name AS character_name, ct.improvements
+      FROM character_themes ct
+      JOIN characters c ON c.id = ct.character_id
+      WHERE ct.improvements > 0 ${filter.sql}
+      ORDER BY ct.improvements DESC, c.name, ct.theme_order
+      LIMIT ?
+    `);
+    return stmt.all(...filter.params, limit).map(row => ({
+      themeName: row.theme_name,
+      characterName: row.character_name,
+      improvements: row.improvements,
+    }));
+  }
+
+  /**
+   * Compute all statistics for a scope
+   * @param {string} guildId - Guild ID
+   * @param {Array<number>|null} characterIds - Character IDs in scope, or null for the whole guild
+   * @returns {Object} { outcomes, unrecordedRolls, topTags, topBurnedTags, weaknesses, themes }
+   */
+  static getStats(guildId, characterIds = null) {
+    return {
+      outcomes: this.getOutcomeStats(guildId, characterIds),
+      unrecordedRolls: this.getUnrecordedRollCount(guildId, characterIds),
+      topTags: this.getTopTags(guildId, characterIds),
+      topBurnedTags: this.getTopTags(guildId, characterIds, { burnedOnly: true }),
+      weaknesses: this.getWeaknessInvocations(guildId, characterIds),
+      themes: this.getThemesClosestToDevelopment(guildId, characterIds),
+    };
+  }
+}
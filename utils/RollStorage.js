@@ -2,6 +2,7 @@ import { getDbForGuild } from './Database.js';
 import RollStatus from '../constants/RollStatus.js';
 import { RollTagEntityConverter } from './RollTagEntityConverter.js';
 import { TagEntity } from './TagEntity.js';
+import { RollJournalStorage } from './RollJournalStorage.js';
 
 /**
  * Storage utility for managing roll proposals
@@ -31,8 +32,8 @@ export class RollStorage {
     const transaction = db.transaction(() => {
       // Insert roll
       const insertRoll = db.prepare(`
-        INSERT INTO rolls (creator_id, character_id, scene_id, description, narration_link, justification_notes, status, reaction_to_roll_id, is_reaction, might_modifier)
-        VALUES (?, ?, ?, ?, ?, ?, 'proposed', ?, ?, ?)
+        INSERT INTO rolls (creator_id, character_id, scene_id, description, narration_link, justification_notes, status, reaction_to_roll_id, is_reaction, might_modifier, as_npc)
+        VALUES (?, ?, ?, ?, ?, ?, 'proposed', ?, ?, ?, ?)
       `);
       
       const result = insertRoll.run(
@@ -44,7 +45,8 @@ export class RollStorage {
         rollData.justificationNotes || null,
         rollData.reactionToRollId || null,
         rollData.isReaction ? 1 : 0,
-        rollData.mightModifier !== undefined ? rollData.mightModifier : 0
+        rollData.mightModifier !== undefined ? rollData.mightModifier : 0,
+        rollData.asNpc ? 1 : 0
       );
       
       const rollId = result.lastInsertRowid;
@@ -124,7 +126,7 @@ export class RollStorage {
   static getRoll(guildId, rollId) {
     const db = getDbForGuild(guildId);
     const stmt = db.prepare(`
-      SELECT id, creator_id, character_id, scene_id, description, narration_link, justification_notes, status, confirmed_by, created_at, updated_at, reaction_to_roll_id, is_reaction, might_modifier
+      SELECT id, creator_id, character_id, scene_id, description, narration_link, justification_notes, status, confirmed_by, created_at, updated_at, reaction_to_roll_id, is_reaction, might_modifier, dice_commitment, status_reason, status_changed_by, thread_id, as_npc
       FROM rolls
       WHERE id = ?
     `);
@@ -200,16 +202,22 @@ export class RollStorage {
       justificationNotes: roll.justification_notes,
       status: roll.status,
       confirmedBy: roll.confirmed_by,
+      statusReason: roll.status_reason, // Why the roll was rejected or cancelled
+      statusChangedBy: roll.status_changed_by,
       createdAt: roll.created_at,
       updatedAt: roll.updated_at,
       reactionToRollId: roll.reaction_to_roll_id,
       isReaction: Boolean(roll.is_reaction),
+      asNpc: Boolean(roll.as_npc), // Made by a narrator (creatorId) as an NPC (characterId)
       mightModifier: roll.might_modifier !== undefined && roll.might_modifier !== null ? roll.might_modifier : 0,
+      diceCommitment: roll.dice_commitment, // The seed itself is only revealed in the result
+      threadId: roll.thread_id, // Discussion thread opened off the proposal (shared by its reactions)
       helpTags: helpTags,
       hinderTags: hinderTags,
       burnedTags: burnedTags,
       helpFromCharacterIdMap: helpFromCharacterIdMap,
       invalidTags: invalidTags, // Include invalid tags for alerting
+      result: this.getRollResult(guildId, rollId), // Null until the roll is executed
     };
   }
 
@@ -351,6 +359,289 @@ export class RollStorage {
     return this.getRoll(guildId, rollId);
   }
 
+  /**
+   * Reject, cancel or expire a roll that has not been executed yet
+   * Only proposed and confirmed rolls can be discarded, so a roll that was executed
+   * (or discarded) in the meantime is left alone
+   * @param {string} guildId - Discord guild ID
+   * @param {number} rollId - Roll ID
+   * @param {string} status - RollStatus.REJECTED, RollStatus.CANCELLED or RollStatus.EXPIRED
+   * @param {string} reason - Why the roll is discarded
+   * @param {string|null} userId - Narrator who rejects or player who cancels the roll (null when it expires)
+   * @returns {boolean} True if the roll was discarded
+   */
+  static discardRoll(guildId, rollId, status, reason, userId) {
+    const db = getDbForGuild(guildId);
+    const result = db.prepare(`
+      UPDATE rolls
+      SET status = ?, status_reason = ?, status_changed_by = ?, updated_at = strftime('%s', 'now')
+      WHERE id = ? AND status IN (?, ?)
+    `).run(status, reason, userId, rollId, RollStatus.PROPOSED, RollStatus.CONFIRMED);
+    return result.changes > 0;
+  }
+
+  /**
+   * Undo the execution of a roll: revert the side effects in its journal, delete its result
+   * and set it back to confirmed so it can be executed again
+   * The old dice seed was revealed with the result, so it is replaced: otherwise everyone would
+   * know the dice of the next execution
+   * @param {string} guildId - Discord guild ID
+   * @param {number} rollId - Roll ID
+   * @param {{ seed: string, commitment: string }|null} diceCommitment - New commitment (see DiceService.createCommitment), or null for no commitment
+   * @returns {Object} What was reverted (see RollJournalStorage.revert)
+   */
+  static undoExecution(guildId, rollId, diceCommitment = null) {
+    const db = getDbForGuild(guildId);
+    let summary;
+    const transaction = db.transaction(() => {
+      summary = RollJournalStorage.revert(guildId, rollId);
+      db.prepare('DELETE FROM roll_results WHERE roll_id = ?').run(rollId);
+      db.prepare(`
+        UPDATE rolls
+        SET status = ?, dice_seed = ?, dice_commitment = ?, updated_at = strftime('%s', 'now')
+        WHERE id = ?
+      `).run(RollStatus.CONFIRMED, diceCommitment ? diceCommitment.seed : null, diceCommitment ? diceCommitment.commitment : null, rollId);
+    });
+
+    transaction();
+    return summary;
+  }
+
+  /**
+   * Store the commit-reveal seed and its public commitment for a roll
+   * @param {string} guildId - Discord guild ID
+   * @param {number} rollId - Roll ID
+   * @param {string} seed - Secret hex seed
+   * @param {string} commitment - SHA-256 hash of the seed
+   * @returns {boolean} True if updated, false if the roll was not found
+   */
+  static setDiceCommitment(guildId, rollId, seed, commitment) {
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare('UPDATE rolls SET dice_seed = ?, dice_commitment = ? WHERE id = ?');
+    const result = stmt.run(seed, commitment, rollId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Get the rolls with a status that were left alone since a given time
+   * A roll counts as left alone when neither the roll itself nor its last reminder changed since then
+   * @param {string} guildId - Discord guild ID
+   * @param {string} status - RollStatus.PROPOSED or RollStatus.CONFIRMED
+   * @param {number} before - Unix timestamp
+   * @param {boolean} countReminders - Whether a reminder counts as a change (false to find abandoned rolls)
+   * @returns {Array} Array of roll objects, oldest first
+   */
+  static getIdleRolls(guildId, status, before, countReminders = true) {
+    const db = getDbForGuild(guildId);
+    const lastChange = countReminders
+      ? 'MAX(COALESCE(updated_at, created_at), COALESCE(reminded_at, 0))'
+      : 'COALESCE(updated_at, created_at)';
+    const stmt = db.prepare(`
+      SELECT id
+      FROM rolls
+      WHERE status = ? AND ${lastChange} <= ?
+      ORDER BY id
+    `);
+
+    const rollIds = stmt.all(status, before);
+    return rollIds.map(row => this.getRoll(guildId, row.id));
+  }
+
+  /**
+   * Record that a reminder was sent about a roll
+   * Leaves updated_at alone, so reminders don't keep a roll from expiring
+   * @param {string} guildId - Discord guild ID
+   * @param {number} rollId - Roll ID
+   */
+  static setRollReminded(guildId, rollId) {
+    const db = getDbForGuild(guildId);
+    db.prepare('UPDATE rolls SET reminded_at = strftime(\'%s\', \'now\') WHERE id = ?').run(rollId);
+  }
+
+  /**
+   * Set the discussion thread of a roll
+   * @param {string} guildId - Discord guild ID
+   * @param {number} rollId - Roll ID
+   * @param {string} threadId - Discord thread channel ID
+   * @returns {boolean} True if updated, false if the roll was not found
+   */
+  static setRollThread(guildId, rollId, threadId) {
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare('UPDATE rolls SET thread_id = ? WHERE id = ?');
+    const result = stmt.run(threadId, rollId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Get the scene of the rolls discussed in a thread
+   * Rolls made from inside a roll thread belong to the scene the thread was opened in
+   * @param {string} guildId - Discord guild ID
+   * @param {string} threadId - Discord channel ID that may be a roll thread
+   * @returns {string|null} Scene ID, or null if the channel is not a roll thread
+   */
+  static getThreadSceneId(guildId, threadId) {
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare('SELECT scene_id FROM rolls WHERE thread_id = ? ORDER BY id LIMIT 1');
+    const row = stmt.get(threadId);
+    return row ? row.scene_id : null;
+  }
+
+  /**
+   * Get a roll's reaction chain: the action roll it started from and every reaction below it
+   * Reactions can react to other reactions, so the chain is walked depth first
+   * @param {string} guildId - Discord guild ID
+   * @param {number} rollId - ID of any roll in the chain
+   * @returns {Array<{ roll: Object, depth: number }>} Rolls in chain order (the root has depth 0), empty if not found
+   */
+  static getRollChain(guildId, rollId) {
+    const db = getDbForGuild(guildId);
+    const parentStmt = db.prepare('SELECT reaction_to_roll_id FROM rolls WHERE id = ?');
+    const reactionsStmt = db.prepare('SELECT id FROM rolls WHERE reaction_to_roll_id = ? ORDER BY id');
+
+    const row = parentStmt.get(rollId);
+    if (!row) {
+      return [];
+    }
+
+    // Walk up to the root, guarding against cycles
+    const visited = new Set([rollId]);
+    let rootId = rollId;
+    let parentId = row.reaction_to_roll_id;
+    while (parentId && !visited.has(parentId)) {
+      const parent = parentStmt.get(parentId);
+      if (!parent) {
+        break;
+      }
+      visited.add(parentId);
+      rootId = parentId;
+      parentId = parent.reaction_to_roll_id;
+    }
+
+    const chain = [];
+    const seen = new Set();
+    const addWithReactions = (id, depth) => {
+      if (seen.has(id)) {
+        return;
+      }
+      seen.add(id);
+      const roll = this.getRoll(guildId, id);
+      if (!roll) {
+        return;
+      }
+      chain.push({ roll, depth });
+      for (const reaction of reactionsStmt.all(id)) {
+        addWithReactions(reaction.id, depth + 1);
+      }
+    };
+    addWithReactions(rootId, 0);
+    return chain;
+  }
+
+  /**
+   * Get the secret commit-reveal seed of a roll
+   * Only used when executing the roll - the seed must not be shown before that
+   * @param {string} guildId - Discord guild ID
+   * @param {number} rollId - Roll ID
+   * @returns {string|null} Hex seed or null if the roll has no commitment
+   */
+  static getDiceSeed(guildId, rollId) {
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare('SELECT dice_seed FROM rolls WHERE id = ?');
+    const row = stmt.get(rollId);
+    return row ? row.dice_seed : null;
+  }
+
+  /**
+   * Save the result of an executed roll
+   * @param {string} guildId - Discord guild ID
+   * @param {number} rollId - Roll ID
+   * @param {Object} resultData - Result data (dice, power breakdown, outcome, executedBy)
+   * @returns {Object} The saved result
+   */
+  static saveRollResult(guildId, rollId, resultData) {
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare(`
+      INSERT INTO roll_results (
+        roll_id, die1, die2, base_power, might_modifier, total_power, strategy,
+        strategy_modifier, final_result, outcome, spending_power, executed_by, message_link
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    
+    stmt.run(
+      rollId,
+      resultData.die1,
+      resultData.die2,
+      resultData.basePower,
+      resultData.mightModifier || 0,
+      resultData.totalPower,
+      resultData.strategy || 'none',
+      resultData.strategyModifier || 0,
+      resultData.finalResult,
+      resultData.outcome,
+      resultData.spendingPower !== undefined ? resultData.spendingPower : null,
+      resultData.executedBy,
+      resultData.messageLink || null
+    );
+    
+    return this.getRollResult(guildId, rollId);
+  }
+
+  /**
+   * Set the link to the Discord message that announced a roll result
+   * @param {string} guildId - Discord guild ID
+   * @param {number} rollId - Roll ID
+   * @param {string} messageLink - Discord message URL
+   * @returns {boolean} True if updated, false if the roll has no result
+   */
+  static setRollResultMessageLink(guildId, rollId, messageLink) {
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare('UPDATE roll_results SET message_link = ? WHERE roll_id = ?');
+    const result = stmt.run(messageLink, rollId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Get the result of an executed roll
+   * @param {string} guildId - Discord guild ID
+   * @param {number} rollId - Roll ID
+   * @returns {Object|null} Result data or null if the roll has not been executed
+   */
+  static getRollResult(guildId, rollId) {
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare(`
+      SELECT rr.die1, rr.die2, rr.base_power, rr.might_modifier, rr.total_power, rr.strategy, rr.strategy_modifier,
+        rr.final_result, rr.outcome, rr.spending_power, rr.executed_by, rr.executed_at, rr.message_link,
+        r.dice_seed, r.dice_commitment
+      FROM roll_results rr
+      JOIN rolls r ON r.id = rr.roll_id
+      WHERE rr.roll_id = ?
+    `);
+    
+    const row = stmt.get(rollId);
+    if (!row) {
+      return null;
+    }
+    
+    return {
+      die1: row.die1,
+      die2: row.die2,
+      basePower: row.base_power,
+      mightModifier: row.might_modifier,
+      totalPower: row.total_power,
+      strategy: row.strategy,
+      strategyModifier: row.strategy_modifier,
+      finalResult: row.final_result,
+      outcome: row.outcome,
+      spendingPower: row.spending_power,
+      executedBy: row.executed_by,
+      executedAt: row.executed_at,
+      messageLink: row.message_link,
+      diceSeed: row.dice_seed, // Revealed once the roll is executed
+      diceCommitment: row.dice_commitment,
+    };
+  }
+
   /**
    * Delete a roll
    * @param {string} guildId - Discord guild ID
@@ -383,6 +674,76 @@ export class RollStorage {
     return rollIds.map(row => this.getRoll(guildId, row.id));
   }
 
+  /**
+   * Get a page of rolls matching the given filters, newest first
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} filters - Optional filters
+   * @param {number} [filters.characterId] - Only rolls made by this character
+   * @param {string} [filters.sceneId] - Only rolls made in this scene/channel
+   * @param {string} [filters.status] - Only rolls with this status
+   * @param {string} [filters.outcome] - Only executed rolls with this outcome tier
+   * @param {number} [filters.since] - Only rolls created at or after this Unix timestamp
+   * @param {number} [filters.until] - Only rolls created at or before this Unix timestamp
+   * @param {number} page - Page number (0-indexed)
+   * @param {number} pageSize - Number of rolls per page
+   * @returns {{ rolls: Array, total: number }} Roll objects for the page and total matching count
+   */
+  static getRollHistory(guildId, filters = {}, page = 0, pageSize = 10) {
+    const db = getDbForGuild(guildId);
+    const whereClauses = [];
+    const params = [];
+    
+    if (filters.characterId !== undefined && filters.characterId !== null) {
+      whereClauses.push('r.character_id = ?');
+      params.push(filters.characterId);
+    }
+    if (filters.sceneId) {
+      whereClauses.push('r.scene_id = ?');
+      params.push(filters.sceneId);
+    }
+    if (filters.status) {
+      whereClauses.push('r.status = ?');
+      params.push(filters.status);
+    }
+    if (filters.outcome) {
+      whereClauses.push('rr.outcome = ?');
+      params.push(filters.outcome);
+    }
+    if (filters.since !== undefined && filters.since !== null) {
+      whereClauses.push('r.created_at >= ?');
+      params.push(filters.since);
+    }
+    if (filters.until !== undefined && filters.until !== null) {
+      whereClauses.push('r.created_at <= ?');
+      params.push(filters.until);
+    }
+    
+    const whereSql = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+    
+    const countStmt = db.prepare(`
+      SELECT COUNT(*) as count
+      FROM rolls r
+      LEFT JOIN roll_results rr ON rr.roll_id = r.id
+      ${whereSql}
+    `);
+    const total = countStmt.get(...params).count;
+    
+    const stmt = db.prepare(`
+      SELECT r.id
+      FROM rolls r
+      LEFT JOIN roll_results rr ON rr.roll_id = r.id
+      ${whereSql}
+      ORDER BY r.created_at DESC, r.id DESC
+      LIMIT ? OFFSET ?
+    `);
+    const rollIds = stmt.all(...params, pageSize, page * pageSize);
+    
+    return {
+      rolls: rollIds.map(row => this.getRoll(guildId, row.id)),
+      total,
+    };
+  }
+
   /**
    * Validate roll_tags to check if referenced entities still exist
    * @param {string} guildId - Guild ID
@@ -432,6 +793,11 @@ export class RollStorage {
           exists = !!stmt.get(tag.parent_id);
           break;
         }
+        case 'challenge_tag': {
+          const stmt = db.prepare('SELECT id FROM challenge_tags WHERE id = ?');
+          exists = !!stmt.get(tag.parent_id);
+          break;
+        }
         default:
           // Unknown parent type
           invalidTags.push({
@@ -1,5 +1,7 @@
 import { getDbForGuild } from './Database.js';
 import { RollTagParentType } from '../constants/RollTagParentType.js';
+import { ChallengeStorage } from './ChallengeStorage.js';
+import { StatusModel } from './StatusModel.js';
 
 /**
  * Utility for converting between tag strings (e.g., "theme:Tinkerer") and entity IDs
@@ -127,6 +129,21 @@ export class RollTagEntityConverter {
       return result ? { parent_type: RollTagParentType.FELLOWSHIP_TAG, parent_id: result.id } : null;
     }
     
+    if (tagString.startsWith('challengeTag:') || tagString.startsWith('challengeStatus:')) {
+      const isStatus = tagString.startsWith('challengeStatus:');
+      const tagName = isStatus ? tagString.replace('challengeStatus:', '') : tagString.replace('challengeTag:', '');
+      // Statuses are stored without their tier
+      const stmt = db.prepare(`
+        SELECT ctg.id FROM challenge_tags ctg
+        JOIN challenges ch ON ctg.challenge_id = ch.id
+        WHERE ch.scene_id = ? AND ctg.tag = ? AND ctg.tag_type = ?
+      `);
+      const result = isStatus
+        ? stmt.get(sceneId, StatusModel.parse(tagName).name, 'status')
+        : stmt.get(sceneId, tagName, 'tag');
+      return result ? { parent_type: RollTagParentType.CHALLENGE_TAG, parent_id: result.id } : null;
+    }
+    
     return null;
   }
   
@@ -216,6 +233,14 @@ export class RollTagEntityConverter {
           : `fellowship:${result.tag}`;
       }
       
+      case RollTagParentType.CHALLENGE_TAG: {
+        const tagData = ChallengeStorage.getTagDataByEntity(guildId, entityInfo.parent_id);
+        if (!tagData) return null;
+        return tagData.type === 'status'
+          ? `challengeStatus:${tagData.name}`
+          : `challengeTag:${tagData.name}`;
+      }
+      
       default:
         return null;
     }
@@ -309,10 +334,11 @@ export class RollTagEntityConverter {
         return result ? result.character_id : null;
       }
       
-      // Scene tags, fellowship tags don't have character_id
+      // Scene tags, fellowship tags and challenge tags don't have character_id
       case RollTagParentType.SCENE_TAG:
       case RollTagParentType.SCENE_STATUS:
       case RollTagParentType.FELLOWSHIP_TAG:
+      case RollTagParentType.CHALLENGE_TAG:
         return null;
       
       default:
@@ -5,8 +5,16 @@ import { RollTagEntityConverter } from './RollTagEntityConverter.js';
 import { CharacterStorage } from './CharacterStorage.js';
 import { StoryTagStorage } from './StoryTagStorage.js';
 import { FellowshipStorage } from './FellowshipStorage.js';
+import { ChallengeStorage } from './ChallengeStorage.js';
+import { StatusModel } from './StatusModel.js';
 import { TagEntity } from './TagEntity.js';
 import { RollTagParentType } from '../constants/RollTagParentType.js';
+import { RollOutcome, getOutcomeDisplayName, hasConsequences } from '../constants/RollOutcome.js';
+import { RollStatus, getStatusDisplayName, isDiscardedRollStatus } from '../constants/RollStatus.js';
+import { getRuleset } from './rulesets/index.js';
+import { RollSpendView } from './RollSpendView.js';
+import { RollConsequenceView } from './RollConsequenceView.js';
+import { RollConsequenceStorage } from './RollConsequenceStorage.js';
 
 /**
  * Shared utilities for displaying and formatting roll information
@@ -20,6 +28,7 @@ export class RollView {
    * @param {string|null} rollState.description - Optional description of what the roll is for
    * @param {Set<string>} rollState.burnedTags - Set of burned tag values (with prefixes)
    * @param {number} rollState.characterId - Character ID for the roll
+   * @param {boolean} rollState.isReaction - Whether this is a reaction roll (for the outcome odds)
    * @param {Object} options - Additional display options
    * @param {string} options.title - Custom title
    * @param {string} options.footer - Footer text
@@ -28,7 +37,7 @@ export class RollView {
    * @param {string|null} rollState.justificationNotes - Justification notes
    * @param {boolean} options.showJustificationPlaceholder - Whether to show justification placeholder (defaults to !justificationNotes)
    * @param {string} options.guildId - Guild ID for database access (used to fetch allCharacters if not provided)
-   * @param {boolean} options.showPower - Whether to show the power modifier (default: true)
+   * @param {boolean} options.showPower - Whether to show the power modifier and outcome odds (default: true)
    * @returns {Object} Object with components array and IsComponentsV2 flag
    */
   static buildRollDisplays(rollState, options = {}) {
@@ -40,7 +49,8 @@ export class RollView {
       characterId = null,
       narrationLink = null,
       justificationNotes = null,
-      mightModifier = 0
+      mightModifier = 0,
+      isReaction = false
     } = rollState;
     
     const { 
@@ -140,11 +150,11 @@ export class RollView {
     );
     
     // Add power text display if requested (moved to top, before narration)
-    // Show total power (modifier + might) as a single value
+    // Show total power (modifier + might) as a single value, with the outcome odds it gives
     if (showPower) {
       descriptionContainer.addTextDisplayComponents(
         new TextDisplayBuilder()
-          .setContent(`### Power **${totalPowerText}**`)
+          .setContent(`### Power **${totalPowerText}**\n${this.formatOutcomeOdds(totalPower, isReaction, guildId)}`)
       );
     }
     
@@ -221,7 +231,10 @@ export class RollView {
    * @param {object} buttons - Array of which buttons to add to the submit rows
    * @param {boolean} buttons.submit
    * @param {boolean} buttons.confirm
+   * @param {boolean} buttons.reject
    * @param {boolean} buttons.cancel
+   * @param {boolean} buttons.saveLoadout
+   * @param {boolean} buttons.quick - Label the submit button "Roll" (quick rolls execute on submit)
    * @param {Set<string>} burnedTags - Currently selected tags to burn
    * @param {number} mightModifier - Current might modifier value (default 0)
    * @returns {Array} Array of ActionRowBuilder components
@@ -316,8 +329,8 @@ export class RollView {
         if (helpFromCharacterIdMap.has(tag)) {
           continue;
         }
-        // Fellowship tags cannot be burned
-        if (tag.parentType === RollTagParentType.FELLOWSHIP_TAG) {
+        // Fellowship tags and challenge tags cannot be burned
+        if (tag.parentType === RollTagParentType.FELLOWSHIP_TAG || tag.parentType === RollTagParentType.CHALLENGE_TAG) {
           continue;
         }
         // Only non-status tags can be burned - need to check if it's a status
@@ -466,7 +479,7 @@ export class RollView {
     if (buttons?.submit) {
       const button = new ButtonBuilder()
         .setCustomId(`roll_submit_${rollKey}`)
-        .setLabel('Submit')
+        .setLabel(buttons.quick ? 'Roll' : 'Submit')
         .setStyle(ButtonStyle.Primary);
       buttonsArray.push(button);
     }
@@ -477,6 +490,13 @@ export class RollView {
         .setStyle(ButtonStyle.Success);
       buttonsArray.push(button);
     }
+    if (buttons?.reject) {
+      const button = new ButtonBuilder()
+        .setCustomId(`roll_reject_${rollKey}`)
+        .setLabel('Reject')
+        .setStyle(ButtonStyle.Danger);
+      buttonsArray.push(button);
+    }
     if (buttons?.cancel) {
       const button = new ButtonBuilder()
         .setCustomId(`roll_cancel_${rollKey}`)
@@ -484,6 +504,13 @@ export class RollView {
         .setStyle(ButtonStyle.Primary);
       buttonsArray.push(button);
     } 
+    if (buttons?.saveLoadout) {
+      const button = new ButtonBuilder()
+        .setCustomId(`roll_loadout_save_${rollKey}`)
+        .setLabel('Save Loadout')
+        .setStyle(ButtonStyle.Secondary);
+      buttonsArray.push(button);
+    }
     
     submitRows.push(new ActionRowBuilder().setComponents(buttonsArray));
     
@@ -552,6 +579,42 @@ export class RollView {
     }
   }
 
+  /**
+   * Pick the tags of a saved loadout that can still be selected
+   * Loadout tags that are not among the options (deleted, burned, or from another scene) are dropped
+   * @param {Object} loadout - Loadout from RollLoadoutStorage.getLoadout
+   * @param {Array} helpOptions - Help tag options from collectTags
+   * @param {Array} hinderOptions - Hinder tag options from collectTags
+   * @returns {{ helpTags: Set<TagEntity>, hinderTags: Set<TagEntity>, dropped: number }}
+   */
+  static applyLoadout(loadout, helpOptions, hinderOptions) {
+    let dropped = 0;
+    const pick = (tags, options) => {
+      const available = new Map();
+      for (const opt of options) {
+        const tagEntity = this.decodeEntityValue(opt.data.value);
+        if (tagEntity) {
+          available.set(tagEntity.getKey(), tagEntity);
+        }
+      }
+
+      const picked = new Set();
+      for (const tag of tags) {
+        const tagEntity = available.get(`${tag.parentType}:${tag.parentId}`);
+        if (tagEntity) {
+          picked.add(tagEntity);
+        } else {
+          dropped++;
+        }
+      }
+      return picked;
+    };
+
+    const helpTags = pick(loadout.helpTags, helpOptions);
+    const hinderTags = pick(loadout.hinderTags, hinderOptions);
+    return { helpTags, hinderTags, dropped };
+  }
+
   static collectTags(character, sceneId, StoryTagStorage, includeBurned = false, guildId = null, includeWeaknesses = false) {
     const options = [];
 
@@ -660,6 +723,24 @@ export class RollView {
           .setValue(entityValue)
           .setDescription('Scene Status'));
       });
+
+      // Challenge tags and statuses - limits and threats can't be used in rolls
+      ChallengeStorage.getChallenges(guildId, sceneId).forEach(challenge => {
+        challenge.tags.forEach(tagObj => {
+          const entityValue = this.encodeEntityValue(RollTagParentType.CHALLENGE_TAG, tagObj.id, null);
+          options.push(new StringSelectMenuOptionBuilder()
+            .setLabel(`🟡 ${tagObj.tag}`)
+            .setValue(entityValue)
+            .setDescription(`Challenge: ${challenge.name}`));
+        });
+        challenge.statuses.forEach(statusObj => {
+          const entityValue = this.encodeEntityValue(RollTagParentType.CHALLENGE_TAG, statusObj.id, null);
+          options.push(new StringSelectMenuOptionBuilder()
+            .setLabel(`🟢 ${StatusModel.fromStatus(statusObj).toString()}`)
+            .setValue(entityValue)
+            .setDescription(`Challenge: ${challenge.name}`));
+        });
+      });
     }
 
     // Fellowship tags - yellow tag icon (cannot be burned)
@@ -756,8 +837,7 @@ export class RollView {
 
   /**
    * Calculate modifier from selected tags
-   * Only the highest status value is used per side, plus all non-status tags count as ±1
-   * Burned tags give +3 instead of +1
+   * The power rules (status stacking, burned tag bonus) come from the server's ruleset
    * @param {Set<TagEntity>} helpTags - Set of help tag entities
    * @param {Set<TagEntity>} hinderTags - Set of hinder tag entities
    * @param {Set<TagEntity>} burnedTags - Set of burned tag entities
@@ -768,64 +848,54 @@ export class RollView {
     if (!guildId) {
       throw new Error('guildId is required for calculateModifier');
     }
-    // Calculate help modifier
-    const helpStatuses = [];
-    let helpTagCount = 0;
-    let burnedHelpCount = 0;
 
-    for (const tagEntity of helpTags) {
-      const tagInfo = tagEntity.getTagInfo(guildId);
-      if (!tagInfo) continue;
+    // Resolve each tag into the facts the ruleset needs
+    const toRulesetTags = (tagEntities, checkBurned) => {
+      const tags = [];
+      for (const tagEntity of tagEntities) {
+        const tagInfo = tagEntity.getTagInfo(guildId);
+        if (!tagInfo) continue;
 
-      const burned = tagEntity.isBurned(burnedTags);
-      
-      if (tagInfo.isStatus) {
-        // It's a status, extract its value
-        // Note: Statuses can't be burned (only tags can be burned)
-        helpStatuses.push(this.extractStatusValue(tagInfo.tagName));
-      } else {
-        // It's a non-status tag
-        if (burned) {
-          burnedHelpCount++;
-        } else {
-          helpTagCount++;
-        }
+        tags.push({
+          isStatus: tagInfo.isStatus,
+          isWeakness: Boolean(tagInfo.isWeakness),
+          isBurned: checkBurned ? tagEntity.isBurned(burnedTags) : false,
+          statusValue: tagInfo.isStatus ? this.extractStatusValue(tagInfo.tagName) : 0,
+        });
       }
-    }
-
-    // Use only the highest status value (or 0 if no statuses)
-    const highestHelpStatus = helpStatuses.length > 0 ? Math.max(...helpStatuses) : 0;
-    // Burned tags give +3 each, regular tags give +1 each
-    const helpModifier = highestHelpStatus + helpTagCount + (burnedHelpCount * 3);
+      return tags;
+    };
 
-    // Calculate hinder modifier
-    const hinderStatuses = [];
-    let hinderTagCount = 0;
+    return getRuleset(guildId).calculatePower(
+      toRulesetTags(helpTags, true),
+      toRulesetTags(hinderTags, false)
+    );
+  }
 
-    for (const tagEntity of hinderTags) {
-      const tagInfo = tagEntity.getTagInfo(guildId);
-      if (!tagInfo) continue;
+  /**
+   * Format the odds of a miss, partial and full success for a roll's Power
+   * Adds one line per strategy the ruleset allows at this Power
+   * @param {number} totalPower - Power of the roll (including might)
+   * @param {boolean} isReaction - Whether this is a reaction roll
+   * @param {string} guildId - Guild ID (for the ruleset)
+   * @returns {string} Odds lines
+   */
+  static formatOutcomeOdds(totalPower, isReaction, guildId) {
+    const ruleset = getRuleset(guildId);
+    const formatOdds = (modifier) => {
+      const odds = ruleset.calculateOutcomeOdds(modifier, isReaction);
+      const percent = (count) => `${Math.round(count * 100 / 36)}%`;
+      return `Miss ${percent(odds.miss)} · Partial ${percent(odds.partial)} · Full ${percent(odds.full)}`;
+    };
 
-      // Weaknesses count as regular tags
-      if (tagInfo.isWeakness) {
-        hinderTagCount++;
-        continue;
-      }
-      
-      if (tagInfo.isStatus) {
-        // It's a status, extract its value
-        hinderStatuses.push(this.extractStatusValue(tagInfo.tagName));
-      } else {
-        // It's a non-status tag, count it
-        hinderTagCount++;
+    const lines = [`**Odds:** ${formatOdds(totalPower)}`];
+    for (const strategy of ruleset.getStrategies()) {
+      if (strategy.isAllowed(totalPower)) {
+        lines.push(`*${strategy.name}:* ${formatOdds(totalPower + strategy.rollModifier)}`);
       }
     }
 
-    // Use only the highest status value (or 0 if no statuses)
-    const highestHinderStatus = hinderStatuses.length > 0 ? Math.max(...hinderStatuses) : 0;
-    const hinderModifier = highestHinderStatus + hinderTagCount;
-
-    return helpModifier - hinderModifier;
+    return lines.join('\n');
   }
 
   /**
@@ -960,9 +1030,10 @@ export class RollView {
    * @param {boolean} isReaction - Whether this is a reaction roll
    * @param {number|null} reactionToRollId - Original roll ID if this is a reaction
    * @param {number} mightModifier - Might modifier (default 0)
+   * @param {string|null} guildId - Guild ID used to look up the ruleset
    * @returns {Object} Object with components array and IsComponentsV2 flag
    */
-  static formatRollResult(die1, die2, baseRoll, modifier, finalResult, description, narratorMention = null, isReaction = false, reactionToRollId = null, strategyName = null, strategyModifier = 0, originalPower = null, spendingPower = null, mightModifier = 0) {
+  static formatRollResult(die1, die2, baseRoll, modifier, finalResult, description, narratorMention = null, isReaction = false, reactionToRollId = null, strategyName = null, strategyModifier = 0, originalPower = null, spendingPower = null, mightModifier = 0, guildId = null) {
     const modifierText = modifier >= 0 ? `+${modifier}` : `${modifier}`;
     
     // Build roll calculation text with strategy modifier
@@ -977,38 +1048,18 @@ export class RollView {
 
     // Determine result classification
     // For reaction rolls, use different thresholds
-    let resultType;
-    let isAutomatic = false;
+    const ruleset = getRuleset(guildId);
+    const outcome = ruleset.determineOutcome(die1, die2, finalResult, isReaction);
+    const resultType = getOutcomeDisplayName(outcome);
+    const isAutomatic = ruleset.isAutomaticOutcome(die1, die2, isReaction);
     let reactionOutcome = null;
     
-    if (isReaction) {
-      // Reaction roll outcomes
-      if (finalResult >= 10) {
-        resultType = 'Reaction: Spend Power +1';
-        reactionOutcome = 'Spend your Power plus 1, on any Effect';
-      } else if (finalResult >= 7) {
-        resultType = 'Reaction: Spend Power';
-        reactionOutcome = 'Spend your Power, only to lessen the Consequences';
-      } else {
-        resultType = 'Reaction: Suffer Consequences';
-        reactionOutcome = 'Suffer the Consequences as-is';
-      }
-    } else {
-      // Regular roll outcomes
-      // Special cases: double 1's = automatic failure, double 6's = automatic success
-      if (die1 === 1 && die2 === 1) {
-        resultType = 'Consequences';
-        isAutomatic = true;
-      } else if (die1 === 6 && die2 === 6) {
-        resultType = 'Success';
-        isAutomatic = true;
-      } else if (finalResult >= 10) {
-        resultType = 'Success';
-      } else if (finalResult >= 7) {
-        resultType = 'Success & Consequences';
-      } else {
-        resultType = 'Consequences';
-      }
+    if (outcome === RollOutcome.REACTION_SPEND_POWER_PLUS) {
+      reactionOutcome = 'Spend your Power plus 1, on any Effect';
+    } else if (outcome === RollOutcome.REACTION_SPEND_POWER) {
+      reactionOutcome = 'Spend your Power, only to lessen the Consequences';
+    } else if (outcome === RollOutcome.REACTION_SUFFER) {
+      reactionOutcome = 'Suffer the Consequences as-is';
     }
 
     // Build Components V2 structure for roll result
@@ -1064,5 +1115,446 @@ export class RollView {
       flags: MessageFlags.IsComponentsV2
     };
   }
-}
 
+  /**
+   * Build the buttons shown under a roll proposal
+   * The creator can withdraw the proposal, a narrator can reject it
+   * @param {number} rollId - Roll ID
+   * @returns {ActionRowBuilder} Action row with the buttons
+   */
+  static buildProposalActionRow(rollId) {
+    return new ActionRowBuilder().setComponents(
+      new ButtonBuilder()
+        .setCustomId(`roll_withdraw_${rollId}`)
+        .setLabel('Withdraw')
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId(`roll_reject_${rollId}`)
+        .setLabel('Reject')
+        .setStyle(ButtonStyle.Danger)
+    );
+  }
+
+  /**
+   * Explain why a rejected, cancelled or expired roll can no longer be used
+   * @param {Object} roll - Rejected, cancelled or expired roll from RollStorage.getRoll
+   * @returns {string} Message text
+   */
+  static formatDiscardedRoll(roll) {
+    const byText = roll.statusChangedBy ? ` by <@${roll.statusChangedBy}>` : '';
+    const reasonText = roll.statusReason ? `\n**Reason:** ${roll.statusReason}` : '';
+    return `Roll #${roll.id} was ${getStatusDisplayName(roll.status)}${byText} and can no longer be used.${reasonText}`;
+  }
+
+  /**
+   * Build the notice posted in the scene when a roll is rejected, cancelled or expired
+   * A rejection or expiry pings the roll's creator
+   * @param {Object} roll - Rejected, cancelled or expired roll from RollStorage.getRoll
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildDiscardedRollNotice(roll) {
+    const rollType = roll.isReaction ? 'Reaction Roll' : 'Roll';
+    let title;
+    if (roll.status === RollStatus.REJECTED) {
+      title = `### ❌ ${rollType} #${roll.id} Rejected\n<@${roll.creatorId}>, your roll was rejected by <@${roll.statusChangedBy}>.`;
+    } else if (roll.status === RollStatus.EXPIRED) {
+      title = `### ⌛ ${rollType} #${roll.id} Expired\n<@${roll.creatorId}>, your roll expired before it was executed.`;
+    } else {
+      title = `### ↩️ ${rollType} #${roll.id} Withdrawn\n<@${roll.statusChangedBy}> withdrew this roll.`;
+    }
+
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`${title}\n> ${roll.description || 'No description'}\n**Reason:** ${roll.statusReason}`)
+    );
+    return {
+      components: [container],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+
+  /**
+   * Build the reminder about a roll waiting for a narrator or for its creator
+   * Proposals ping the narrators and get a button to review them, confirmed rolls ping their creator
+   * @param {Object} roll - Proposed or confirmed roll from RollStorage.getRoll
+   * @param {string} narratorMention - Mention of the narrator role
+   * @param {number|null} expiresAt - Unix timestamp the roll expires at (null if rolls don't expire)
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildRollReminder(roll, narratorMention, expiresAt = null) {
+    const rollType = roll.isReaction ? 'Reaction Roll' : 'Roll';
+    let description = roll.description || 'No description';
+    if (description.length > 100) {
+      description = description.substring(0, 97) + '...';
+    }
+
+    const lines = roll.status === RollStatus.PROPOSED
+      ? [`### ⏰ ${rollType} #${roll.id} Waiting for Confirmation`,
+        `${narratorMention}, <@${roll.creatorId}> proposed this roll <t:${roll.createdAt}:R>.`]
+      : [`### ⏰ ${rollType} #${roll.id} Waiting to Be Executed`,
+        `<@${roll.creatorId}>, this roll was confirmed <t:${roll.updatedAt}:R>. Execute it with /roll ${roll.id}.`];
+    lines.push(`> ${description}`);
+    if (expiresAt) {
+      lines.push(`It expires <t:${expiresAt}:R> if nothing happens.`);
+    }
+
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(lines.join('\n'))
+    );
+    if (roll.status === RollStatus.PROPOSED) {
+      container.addActionRowComponents(
+        new ActionRowBuilder().setComponents(
+          new ButtonBuilder()
+            .setCustomId(`roll_queue_open_${roll.id}`)
+            .setLabel(`Review #${roll.id}`)
+            .setStyle(ButtonStyle.Primary)
+        )
+      );
+    }
+    return {
+      components: [container],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+
+  /**
+   * Build the buttons shown under a roll result
+   * The roller can spend the Power of a success, the narrator can impose consequences on a miss or partial success
+   * @param {number} rollId - Roll ID
+   * @param {string} outcome - RollOutcome value
+   * @param {number|null} spendingPower - Power to spend, or null if the roll was not successful
+   * @returns {ActionRowBuilder|null} Action row with the buttons, or null if there are none
+   */
+  static buildResultActionRow(rollId, outcome, spendingPower) {
+    const buttons = [];
+    if (spendingPower !== null) {
+      buttons.push(RollSpendView.buildSpendButton(rollId));
+    }
+    if (hasConsequences(outcome)) {
+      buttons.push(RollConsequenceView.buildConsequenceButton(rollId));
+    }
+    return buttons.length > 0 ? new ActionRowBuilder().setComponents(buttons) : null;
+  }
+
+  /**
+   * Build the commit-reveal proof shown under a roll result
+   * The commitment was published when the roll was confirmed; revealing the seed lets anyone
+   * check that sha256(seed) matches it and re-derive the dice (see DiceService.rollFromSeed)
+   * @param {number} rollId - Roll ID
+   * @param {string} seed - Revealed hex seed
+   * @param {string} commitment - Commitment published at confirmation
+   * @returns {ContainerBuilder} Container with the proof
+   */
+  static buildDiceProofContainer(rollId, seed, commitment) {
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(
+          '### 🔒 Dice Proof\n' +
+          `**Commitment:** \`${commitment}\`\n` +
+          `**Seed:** \`${seed}\`\n` +
+          `*sha256(seed) equals the commitment posted when Roll #${rollId} was confirmed. ` +
+          `Dice come from HMAC-SHA256(seed, "roll-${rollId}"): each byte below 252 gives (byte % 6) + 1.*`
+        )
+    );
+    return container;
+  }
+
+  /**
+   * Format a one-entry summary of a stored roll (used by roll history)
+   * @param {Object} roll - Roll object from RollStorage.getRoll
+   * @param {string} guildId - Guild ID for database access
+   * @returns {string} Markdown summary of the roll
+   */
+  static formatRollSummary(roll, guildId) {
+    const character = roll.characterId ? CharacterStorage.getCharacterById(guildId, roll.characterId) : null;
+    const characterName = character ? character.name : 'Unknown character';
+    const rollType = roll.isReaction ? 'Reaction' : 'Roll';
+    
+    let description = roll.description || 'No description';
+    if (description.length > 100) {
+      description = description.substring(0, 97) + '...';
+    }
+    
+    const lines = [
+      `**${rollType} #${roll.id}** · ${roll.asNpc ? `${characterName} (NPC, played by <@${roll.creatorId}>)` : characterName} · ${getStatusDisplayName(roll.status)} · <t:${roll.createdAt}:d>`,
+      `> ${description}`,
+    ];
+
+    if (isDiscardedRollStatus(roll.status) && roll.statusReason) {
+      lines.push(`**Reason:** ${roll.statusReason}`);
+    }
+    
+    if (roll.result) {
+      const result = roll.result;
+      const powerText = result.totalPower >= 0 ? `+${result.totalPower}` : `${result.totalPower}`;
+      let resultLine = `🎲 ${result.die1} + ${result.die2} ${powerText} Power`;
+      if (result.strategyModifier !== 0) {
+        const strategyText = result.strategyModifier >= 0 ? `+${result.strategyModifier}` : `${result.strategyModifier}`;
+        resultLine += ` ${strategyText} Strategy`;
+      }
+      resultLine += ` = **${result.finalResult}** (${getOutcomeDisplayName(result.outcome)})`;
+      if (result.messageLink) {
+        resultLine += ` · [Jump to result](${result.messageLink})`;
+      }
+      lines.push(resultLine);
+
+      const consequences = RollConsequenceStorage.getConsequences(guildId, roll.id);
+      if (consequences.length > 0) {
+        lines.push(`⚠️ ${consequences.map(c => RollConsequenceView.formatConsequence(c, guildId)).join(' · ')}`);
+      }
+    }
+    
+    return lines.join('\n');
+  }
+
+  /**
+   * Build the roll history view with a page selector
+   * @param {string} historyKey - Unique identifier for this history session
+   * @param {Array} rolls - Roll objects for the current page
+   * @param {Object} options - Display options
+   * @param {number} options.page - Current page (0-indexed)
+   * @param {number} options.totalPages - Total number of pages
+   * @param {number} options.total - Total number of matching rolls
+   * @param {string|null} options.filterSummary - Human-readable description of active filters
+   * @param {string} options.guildId - Guild ID for database access
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildRollHistory(historyKey, rolls, options) {
+    const { page, totalPages, total, filterSummary = null, guildId } = options;
+    
+    const container = new ContainerBuilder();
+    let header = `## Roll History\n${total} roll${total !== 1 ? 's' : ''} found`;
+    if (filterSummary) {
+      header += ` · ${filterSummary}`;
+    }
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(header)
+    );
+    
+    for (const roll of rolls) {
+      container.addTextDisplayComponents(
+        new TextDisplayBuilder()
+          .setContent(this.formatRollSummary(roll, guildId))
+      );
+    }
+    
+    const components = [container];
+    
+    // Page selector if needed - Discord allows 25 options, so show a window around the current page
+    if (totalPages > 1) {
+      const windowStart = Math.max(0, Math.min(page - 12, totalPages - 25));
+      const windowEnd = Math.min(totalPages, windowStart + 25);
+      const pageOptions = [];
+      for (let i = windowStart; i < windowEnd; i++) {
+        pageOptions.push(new StringSelectMenuOptionBuilder()
+          .setLabel(`Page ${i + 1} of ${totalPages}`)
+          .setValue(`${i}`)
+          .setDefault(i === page));
+      }
+      const pageSelect = new StringSelectMenuBuilder()
+        .setCustomId(`roll_history_page_${historyKey}`)
+        .setPlaceholder(`Page ${page + 1} of ${totalPages}`)
+        .setMinValues(1)
+        .setMaxValues(1)
+        .addOptions(pageOptions);
+      components.push(new ActionRowBuilder().setComponents([pageSelect]));
+    }
+    
+    return {
+      components,
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+
+  /**
+   * Format who made a roll, noting when a narrator made it as an NPC
+   * @param {string} guildId - Guild ID for database access
+   * @param {Object} roll - Roll object or roll editor state (creatorId, characterId, asNpc)
+   * @returns {string} Mention of the creator, e.g. "@Narrator as **Guard Captain** (NPC)"
+   */
+  static formatRoller(guildId, roll) {
+    if (!roll.asNpc) {
+      return `<@${roll.creatorId}>`;
+    }
+    const character = roll.characterId ? CharacterStorage.getCharacterById(guildId, roll.characterId) : null;
+    return `<@${roll.creatorId}> as **${character ? character.name : 'an NPC'}** (NPC)`;
+  }
+
+  /**
+   * Format a roll waiting in the narrator queue
+   * @param {Object} roll - Roll object from RollStorage.getRoll
+   * @param {string} guildId - Guild ID for database access
+   * @returns {string} Markdown summary of the roll
+   */
+  static formatQueuedRoll(roll, guildId) {
+    const character = roll.characterId ? CharacterStorage.getCharacterById(guildId, roll.characterId) : null;
+    const characterName = character ? character.name : 'Unknown character';
+    const rollType = roll.isReaction ? 'Reaction' : 'Roll';
+
+    let description = roll.description || 'No description';
+    if (description.length > 100) {
+      description = description.substring(0, 97) + '...';
+    }
+
+    let header = `**${rollType} #${roll.id}** · ${characterName}${roll.asNpc ? ' (NPC)' : ''} · <@${roll.creatorId}> · proposed <t:${roll.createdAt}:R>`;
+    if (roll.narrationLink) {
+      header += ` · [Narration](${roll.narrationLink})`;
+    }
+    return `${header}\n> ${description}`;
+  }
+
+  /**
+   * Build the narrator roll queue: proposed rolls grouped by scene, each with a button to review it
+   * @param {Array} rolls - Proposed roll objects, oldest first
+   * @param {string} guildId - Guild ID for database access
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildRollQueue(rolls, guildId) {
+    // Discord allows at most 40 components and 4000 characters of text in a message
+    const maxComponents = 40;
+    const maxTextLength = 4000;
+
+    const header = rolls.length > 0
+      ? `## Roll Queue\n${rolls.length} roll${rolls.length !== 1 ? 's' : ''} waiting for confirmation`
+      : '## Roll Queue\nNo rolls are waiting for confirmation.';
+    const headerContainer = new ContainerBuilder();
+    headerContainer.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(header)
+    );
+    const components = [headerContainer];
+    let componentCount = 2;
+    let textLength = header.length;
+
+    // Group by scene, keeping scenes in the order of their oldest roll
+    const rollsByScene = new Map();
+    for (const roll of rolls) {
+      if (!rollsByScene.has(roll.sceneId)) {
+        rollsByScene.set(roll.sceneId, []);
+      }
+      rollsByScene.get(roll.sceneId).push(roll);
+    }
+
+    let shown = 0;
+    for (const [sceneId, sceneRolls] of rollsByScene) {
+      // Take the scene's rolls one by one while they fit: container + text, then a button per roll
+      // and a row per 5 buttons, leaving room for the "more" note
+      let sceneText = `### <#${sceneId}>`;
+      let cost = 2;
+      const shownRolls = [];
+      for (const roll of sceneRolls) {
+        const rollText = `${shownRolls.length > 0 ? '\n\n' : '\n'}${this.formatQueuedRoll(roll, guildId)}`;
+        const rollCost = shownRolls.length % 5 === 0 ? 2 : 1;
+        if (componentCount + cost + rollCost > maxComponents - 2 || textLength + sceneText.length + rollText.length > maxTextLength - 100) {
+          break;
+        }
+        sceneText += rollText;
+        cost += rollCost;
+        shownRolls.push(roll);
+      }
+      if (shownRolls.length === 0) {
+        break;
+      }
+
+      const container = new ContainerBuilder();
+      container.addTextDisplayComponents(
+        new TextDisplayBuilder()
+          .setContent(sceneText)
+      );
+      for (let i = 0; i < shownRolls.length; i += 5) {
+        container.addActionRowComponents(
+          new ActionRowBuilder().setComponents(
+            shownRolls.slice(i, i + 5).map(roll => new ButtonBuilder()
+              .setCustomId(`roll_queue_open_${roll.id}`)
+              .setLabel(`Review #${roll.id}`)
+              .setStyle(ButtonStyle.Primary))
+          )
+        );
+      }
+      components.push(container);
+      componentCount += cost;
+      textLength += sceneText.length;
+      shown += shownRolls.length;
+      if (shownRolls.length < sceneRolls.length) {
+        break;
+      }
+    }
+
+    if (shown < rolls.length) {
+      const remaining = rolls.length - shown;
+      const moreContainer = new ContainerBuilder();
+      moreContainer.addTextDisplayComponents(
+        new TextDisplayBuilder()
+          .setContent(`*…and ${remaining} more roll${remaining !== 1 ? 's' : ''}. Confirm the ones above or use /roll-confirm.*`)
+      );
+      components.push(moreContainer);
+    }
+
+    return {
+      components,
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+
+  /**
+   * Build the reaction chain view: an action roll with all its reactions and their outcomes
+   * Reactions are indented under the roll they react to
+   * @param {Array<{ roll: Object, depth: number }>} chain - Rolls from RollStorage.getRollChain
+   * @param {string} guildId - Guild ID for database access
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildRollChain(chain, guildId) {
+    // Discord allows at most 40 components and 4000 characters of text in a message
+    const maxEntries = 30;
+    const maxTextLength = 4000;
+
+    const root = chain[0].roll;
+    const reactionCount = chain.length - 1;
+    let header = `## Roll Chain #${root.id}\n${reactionCount} reaction${reactionCount !== 1 ? 's' : ''}`;
+    if (root.threadId) {
+      header += ` · Discussed in <#${root.threadId}>`;
+    }
+
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(header)
+    );
+
+    let textLength = header.length;
+    let shown = 0;
+    for (const { roll, depth } of chain) {
+      // Mark reactions with an arrow, indented by how deep they are in the chain
+      const summary = depth === 0
+        ? this.formatRollSummary(roll, guildId)
+        : `${'\u2003'.repeat(depth - 1)}↳ ${this.formatRollSummary(roll, guildId)}`;
+      if (shown >= maxEntries || textLength + summary.length > maxTextLength - 100) {
+        break;
+      }
+      container.addTextDisplayComponents(
+        new TextDisplayBuilder()
+          .setContent(summary)
+      );
+      textLength += summary.length;
+      shown++;
+    }
+
+    if (shown < chain.length) {
+      const remaining = chain.length - shown;
+      container.addTextDisplayComponents(
+        new TextDisplayBuilder()
+          .setContent(`*…and ${remaining} more reaction${remaining !== 1 ? 's' : ''}. Use /roll-history to browse them.*`)
+      );
+    }
+
+    return {
+      components: [container],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+}
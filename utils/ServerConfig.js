@@ -133,6 +133,22 @@ export function getServerEnvBool(varName, guildId, defaultValue = false) {
   return value === 'true' || value === '1' || value === 'yes';
 }
 
+/**
+ * Get a server-specific environment variable as a number
+ * @param {string} varName - Base environment variable name
+ * @param {string} guildId - Discord guild ID
+ * @param {number} defaultValue - Default value if not found or not a number
+ * @returns {number} The number value
+ */
+export function getServerEnvNumber(varName, guildId, defaultValue = 0) {
+  const value = getServerEnv(varName, guildId);
+  if (value === null || value === undefined || value.trim() === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : defaultValue;
+}
+
 /**
  * Get a server-specific environment variable as an array (comma-separated)
  * @param {string} varName - Base environment variable name
@@ -0,0 +1,247 @@
+import Database from 'better-sqlite3';
+import { dirname } from 'path';
+import { existsSync, mkdirSync } from 'fs';
+import { StringSelectMenuOptionBuilder } from 'discord.js';
+import dbManager from './Database.js';
+import { TagEntity } from './TagEntity.js';
+
+// Session keys (e.g. confirm_12, userId-sceneId) carry no guild, so all sessions share one database
+const SESSIONS_DB_NAME = 'sessions';
+
+let sessionsDb = null;
+
+/**
+ * Get the sessions database connection, creating its table on first use
+ * @returns {Database} The database connection
+ */
+function getSessionsDb() {
+  if (sessionsDb) {
+    return sessionsDb;
+  }
+
+  const dbPath = dbManager.getDbPath(SESSIONS_DB_NAME);
+  if (!existsSync(dirname(dbPath))) {
+    mkdirSync(dirname(dbPath), { recursive: true });
+  }
+  sessionsDb = new Database(dbPath);
+  sessionsDb.pragma('journal_mode = WAL');
+  sessionsDb.exec(`
+    CREATE TABLE IF NOT EXISTS interaction_sessions (
+      namespace TEXT NOT NULL,
+      session_key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      expires_at INTEGER NOT NULL,
+      PRIMARY KEY (namespace, session_key)
+    );
+    CREATE INDEX IF NOT EXISTS idx_interaction_sessions_expires_at ON interaction_sessions(expires_at);
+  `);
+  return sessionsDb;
+}
+
+/**
+ * Encode a session value into JSON-safe data, keeping the types the handlers rely on
+ * (Sets, Maps, TagEntity and select menu options)
+ * @param {*} value - Value to encode
+ * @returns {*} JSON-safe data
+ */
+function encode(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof TagEntity) {
+    return { $type: 'TagEntity', parentType: value.parentType, parentId: value.parentId, characterId: value.characterId };
+  }
+  if (value instanceof StringSelectMenuOptionBuilder) {
+    return { $type: 'SelectOption', data: value.toJSON() };
+  }
+  if (value instanceof Set) {
+    return { $type: 'Set', values: [...value].map(encode) };
+  }
+  if (value instanceof Map) {
+    return { $type: 'Map', entries: [...value].map(([key, entryValue]) => [encode(key), encode(entryValue)]) };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encode);
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, entryValue]) => [key, encode(entryValue)]));
+}
+
+/**
+ * Decode data produced by encode
+ * Tag entities with the same key are decoded to the same instance, so a tag in helpTags
+ * is still found as a key of helpFromCharacterIdMap
+ * @param {*} data - Encoded data
+ * @param {Map<string, TagEntity>} entities - Decoded entities by key
+ * @returns {*} Decoded value
+ */
+function decode(data, entities) {
+  if (data === null || typeof data !== 'object') {
+    return data;
+  }
+  if (Array.isArray(data)) {
+    return data.map(item => decode(item, entities));
+  }
+  switch (data.$type) {
+  case 'TagEntity': {
+    const entity = new TagEntity(data.parentType, data.parentId, data.characterId);
+    if (!entities.has(entity.getKey())) {
+      entities.set(entity.getKey(), entity);
+    }
+    return entities.get(entity.getKey());
+  }
+  case 'SelectOption':
+    return new StringSelectMenuOptionBuilder(data.data);
+  case 'Set':
+    return new Set(data.values.map(item => decode(item, entities)));
+  case 'Map':
+    return new Map(data.entries.map(([key, value]) => [decode(key, entities), decode(value, entities)]));
+  default:
+    return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, decode(value, entities)]));
+  }
+}
+
+/**
+ * Map-like store for in-flight interaction sessions (roll editors, tag removal selections...)
+ * Values are kept in memory and written through to SQLite so they survive restarts.
+ * Each write pushes the session's expiry forward by the store's TTL; expired sessions are
+ * treated as missing and removed by purgeExpired.
+ */
+export class SessionStore {
+  /** @type {Set<SessionStore>} All stores, for flushAll */
+  static stores = new Set();
+
+  /**
+   * @param {string} namespace - Name that keeps this store's keys apart from other stores
+   * @param {number} ttl - Time to live in milliseconds since the last write
+   */
+  constructor(namespace, ttl) {
+    this.namespace = namespace;
+    this.ttl = ttl;
+    // Map of key -> { value, expiresAt }
+    this.cache = new Map();
+    SessionStore.stores.add(this);
+  }
+
+  /**
+   * Get a session, loading it from the database if it is not in memory
+   * @param {string} key - Session key
+   * @returns {*} Session value or undefined if missing or expired
+   */
+  get(key) {
+    const now = Date.now();
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > now) {
+      return cached.value;
+    }
+    this.cache.delete(key);
+
+    const row = getSessionsDb().prepare(`
+      SELECT value, expires_at FROM interaction_sessions
+      WHERE namespace = ? AND session_key = ? AND expires_at > ?
+    `).get(this.namespace, key, now);
+    if (!row) {
+      return undefined;
+    }
+
+    try {
+      const value = decode(JSON.parse(row.value), new Map());
+      this.cache.set(key, { value, expiresAt: row.expires_at });
+      return value;
+    } catch (error) {
+      console.error(`Error loading ${this.namespace} session ${key}:`, error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Check whether a session exists and has not expired
+   * @param {string} key - Session key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  /**
+   * Store a session and push its expiry forward
+   * @param {string} key - Session key
+   * @param {*} value - Session value
+   * @returns {SessionStore} This store (like Map.prototype.set)
+   */
+  set(key, value) {
+    const expiresAt = Date.now() + this.ttl;
+    this.cache.set(key, { value, expiresAt });
+    this.write(key, value, expiresAt);
+    return this;
+  }
+
+  /**
+   * Delete a session
+   * @param {string} key - Session key
+   * @returns {boolean} True if a session was deleted
+   */
+  delete(key) {
+    const inCache = this.cache.delete(key);
+    const result = getSessionsDb().prepare(`
+      DELETE FROM interaction_sessions WHERE namespace = ? AND session_key = ?
+    `).run(this.namespace, key);
+    return inCache || result.changes > 0;
+  }
+
+  /**
+   * Write a session to the database
+   * Errors are logged rather than thrown, so the in-memory session keeps working
+   * @param {string} key - Session key
+   * @param {*} value - Session value
+   * @param {number} expiresAt - Expiry timestamp in milliseconds
+   */
+  write(key, value, expiresAt) {
+    try {
+      getSessionsDb().prepare(`
+        INSERT INTO interaction_sessions (namespace, session_key, value, expires_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(namespace, session_key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+      `).run(this.namespace, key, JSON.stringify(encode(value)), expiresAt);
+    } catch (error) {
+      console.error(`Error saving ${this.namespace} session ${key}:`, error);
+    }
+  }
+
+  /**
+   * Write every unexpired in-memory session to the database
+   * Handlers may change a session object after get() without calling set() again
+   */
+  flush() {
+    const now = Date.now();
+    for (const [key, { value, expiresAt }] of this.cache) {
+      if (expiresAt > now) {
+        this.write(key, value, expiresAt);
+      }
+    }
+  }
+
+  /**
+   * Flush all stores (call before shutting down)
+   */
+  static flushAll() {
+    for (const store of this.stores) {
+      store.flush();
+    }
+  }
+
+  /**
+   * Remove expired sessions from memory and from the database
+   * @returns {number} Number of sessions removed from the database
+   */
+  static purgeExpired() {
+    const now = Date.now();
+    for (const store of this.stores) {
+      for (const [key, { expiresAt }] of store.cache) {
+        if (expiresAt <= now) {
+          store.cache.delete(key);
+        }
+      }
+    }
+    return getSessionsDb().prepare('DELETE FROM interaction_sessions WHERE expires_at <= ?').run(now).changes;
+  }
+}
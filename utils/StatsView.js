@@ -0,0 +1,113 @@
+import { ContainerBuilder, TextDisplayBuilder, MessageFlags } from 'discord.js';
+import { TagFormatter } from './TagFormatter.js';
+
+/**
+ * Shared utilities for displaying campaign statistics
+ */
+export class StatsView {
+  /**
+   * Format a count as a percentage of a total
+   * @param {number} count - Count
+   * @param {number} total - Total
+   * @returns {string} Percentage like "42%"
+   */
+  static formatPercent(count, total) {
+    if (total === 0) return '0%';
+    return `${Math.round((count / total) * 100)}%`;
+  }
+
+  /**
+   * Format the outcome table (one line per character)
+   * @param {Array<Object>} outcomes - Outcome stats from RollStatsStorage.getOutcomeStats
+   * @returns {string} Markdown text
+   */
+  static formatOutcomes(outcomes) {
+    if (outcomes.length === 0) {
+      return '*No executed rolls with recorded results yet.*';
+    }
+
+    return outcomes.map(stats => {
+      const averagePower = stats.averagePower >= 0 ? `+${stats.averagePower.toFixed(1)}` : stats.averagePower.toFixed(1);
+      return `**${stats.characterName}** · ${stats.total} roll${stats.total !== 1 ? 's' : ''} · ` +
+        `✅ ${this.formatPercent(stats.success, stats.total)} · ` +
+        `⚖️ ${this.formatPercent(stats.partial, stats.total)} · ` +
+        `❌ ${this.formatPercent(stats.miss, stats.total)} · ` +
+        `Avg Power ${averagePower}`;
+    }).join('\n');
+  }
+
+  /**
+   * Format a ranked list of tags
+   * @param {Array<Object>} tags - [{ name, type, count }]
+   * @returns {string} Markdown text
+   */
+  static formatTagList(tags) {
+    if (tags.length === 0) {
+      return '*None yet.*';
+    }
+
+    const lines = tags.map(tag => {
+      const formatted = tag.type === 'status' ? TagFormatter.formatStatus(tag.name) : TagFormatter.formatStoryTag(tag.name);
+      return `${TagFormatter.formatTagWithCircle(formatted, tag.type)} ×${tag.count}`;
+    });
+    return `\`\`\`ansi\n${lines.join('\n')}\n\`\`\``;
+  }
+
+  /**
+   * Build the statistics display using Components V2
+   * @param {Object} stats - Stats from RollStatsStorage.getStats
+   * @param {string} scopeLabel - Human-readable scope (e.g. "Guild", character or fellowship name)
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildStatsDisplay(stats, scopeLabel) {
+    const totalRolls = stats.outcomes.reduce((sum, s) => sum + s.total, 0);
+
+    // Outcomes container
+    const outcomesContainer = new ContainerBuilder();
+    let header = `## Campaign Statistics: ${scopeLabel}\n${totalRolls} executed roll${totalRolls !== 1 ? 's' : ''} with recorded results`;
+    if (stats.unrecordedRolls > 0) {
+      header += ` (${stats.unrecordedRolls} older roll${stats.unrecordedRolls !== 1 ? 's' : ''} without recorded results not counted)`;
+    }
+    outcomesContainer.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(header)
+    );
+    outcomesContainer.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`### Outcomes\n✅ Success · ⚖️ Success & Consequences · ❌ Consequences\n${this.formatOutcomes(stats.outcomes)}`)
+    );
+
+    // Tags container
+    const tagsContainer = new ContainerBuilder();
+    tagsContainer.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`### Most-Used Tags\n${this.formatTagList(stats.topTags)}`)
+    );
+    tagsContainer.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`### Most-Burned Tags\n${this.formatTagList(stats.topBurnedTags)}`)
+    );
+
+    // Weaknesses and theme development container
+    const themesContainer = new ContainerBuilder();
+    const weaknessText = stats.weaknesses.length > 0
+      ? stats.weaknesses.map(w => `${TagFormatter.ORANGE_CIRCLE} **${w.name}** (${w.characterName} · ${w.themeName}) ×${w.count}`).join('\n')
+      : '*No weaknesses invoked yet.*';
+    themesContainer.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`### Weakness Invocations\n${weaknessText}`)
+    );
+    const themeText = stats.themes.length > 0
+      ? stats.themes.map(t => `**${t.themeName}** (${t.characterName}) · ${t.improvements} improvement${t.improvements !== 1 ? 's' : ''}${t.improvements >= 3 ? ' ✨' : ''}`).join('\n')
+      : '*No theme improvements yet.*';
+    themesContainer.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`### Closest to Development\n${themeText}`)
+    );
+
+    return {
+      components: [outcomesContainer, tagsContainer, themesContainer],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * A status with its six tier boxes, following the stacking and reduction rules
+ * Shared by scene statuses (StoryTagStorage) and character statuses (CharacterStorage)
+ *
+ * - Adding tier N marks box N; if box N is already marked, the next free box above it is marked instead
+ * - Reducing by N shifts every marked box down N places; boxes shifted below 1 are lost
+ * - The status' tier is its highest marked box, and the status is gone once no box is marked
+ */
+export class StatusModel {
+  static MAX_TIER = 6;
+
+  /**
+   * @param {string} name - Status name without tier
+   * @param {Object} powerLevels - { 1: boolean, ..., 6: boolean }
+   */
+  constructor(name, powerLevels = {}) {
+    this.name = name;
+    this.powerLevels = {};
+    for (let box = 1; box <= StatusModel.MAX_TIER; box++) {
+      this.powerLevels[box] = Boolean(powerLevels[box]);
+    }
+  }
+
+  /**
+   * Split a status like "wounded-3" into its name and tier
+   * @param {string} text - Status text
+   * @returns {{ name: string, tier: number }} Tier is 0 when the text has no tier
+   */
+  static parse(text) {
+    const match = text.trim().match(/^(.*)-(\d+)$/);
+    if (!match) {
+      return { name: text.trim(), tier: 0 };
+    }
+    return { name: match[1], tier: parseInt(match[2]) };
+  }
+
+  /**
+   * Create a model from a status like "wounded-3" (only its tier box is marked)
+   * @param {string} text - Status text
+   * @returns {StatusModel}
+   */
+  static fromString(text) {
+    const { name, tier } = this.parse(text);
+    return new StatusModel(name).addTier(tier);
+  }
+
+  /**
+   * Create a model from a stored status
+   * @param {Object|string} status - { status, powerLevels } object or "name-N" string
+   * @returns {StatusModel}
+   */
+  static fromStatus(status) {
+    if (typeof status === 'string') {
+      return this.fromString(status);
+    }
+    return new StatusModel(status.status, status.powerLevels || {});
+  }
+
+  /**
+   * Find a status by name (case-insensitive)
+   * @param {Array<Object|string>} statuses - Statuses as { status, powerLevels } objects or strings
+   * @param {string} name - Status name without tier
+   * @returns {Object|string|null} The matching status or null
+   */
+  static find(statuses, name) {
+    const lowerName = name.trim().toLowerCase();
+    return (statuses || []).find(status => this.fromStatus(status).name.toLowerCase() === lowerName) || null;
+  }
+
+  /**
+   * Highest marked box (0 when the status is gone)
+   * @returns {number}
+   */
+  get tier() {
+    for (let box = StatusModel.MAX_TIER; box >= 1; box--) {
+      if (this.powerLevels[box]) {
+        return box;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Whether no box is marked any more
+   * @returns {boolean}
+   */
+  get isEmpty() {
+    return this.tier === 0;
+  }
+
+  /**
+   * Add a tier, moving up to the next free box if it is already marked
+   * Tiers above 6 mark box 6; adding to a status with every box from N up marked changes nothing
+   * @param {number} tier - Tier to add
+   * @returns {StatusModel} This model
+   */
+  addTier(tier) {
+    if (tier < 1) {
+      return this;
+    }
+    for (let box = Math.min(tier, StatusModel.MAX_TIER); box <= StatusModel.MAX_TIER; box++) {
+      if (!this.powerLevels[box]) {
+        this.powerLevels[box] = true;
+        break;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Reduce by a number of tiers, shifting every marked box down
+   * @param {number} tiers - Tiers to remove
+   * @returns {StatusModel} This model
+   */
+  reduce(tiers) {
+    const shifted = {};
+    for (let box = 1; box <= StatusModel.MAX_TIER; box++) {
+      shifted[box] = Boolean(this.powerLevels[box + tiers]);
+    }
+    this.powerLevels = shifted;
+    return this;
+  }
+
+  /**
+   * Remove the status entirely
+   * @returns {StatusModel} This model
+   */
+  remove() {
+    return this.reduce(StatusModel.MAX_TIER);
+  }
+
+  /**
+   * Format as "name-N", or just the name when no box is marked
+   * @returns {string}
+   */
+  toString() {
+    return this.tier > 0 ? `${this.name}-${this.tier}` : this.name;
+  }
+
+  /**
+   * Convert to the { status, powerLevels } shape used by character statuses
+   * @returns {Object}
+   */
+  toStatus() {
+    return { status: this.name, powerLevels: { ...this.powerLevels } };
+  }
+}
@@ -1,4 +1,5 @@
 import { ActionRowBuilder, ButtonBuilder, ButtonStyle, ContainerBuilder, TextDisplayBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder } from 'discord.js';
+import { StatusModel } from './StatusModel.js';
 
 /**
  * View for editing character statuses with interactive Components V2
@@ -15,19 +16,7 @@ export class StatusesEditorView {
       return status;
     }
     
-    const statusName = status.status;
-    const powerLevels = status.powerLevels || {};
-    
-    // Find highest power level
-    let highestLevel = 0;
-    for (let p = 6; p >= 1; p--) {
-      if (powerLevels[p]) {
-        highestLevel = p;
-        break;
-      }
-    }
-    
-    return highestLevel > 0 ? `${statusName}-${highestLevel}` : statusName;
+    return StatusModel.fromStatus(status).toString();
   }
 
   /**
@@ -1,4 +1,5 @@
 import { getDbForGuild } from './Database.js';
+import { StatusModel } from './StatusModel.js';
 
 /**
  * Storage utility for managing story tags, statuses, and limits per scene (channel/thread)
@@ -80,6 +81,140 @@ export class StoryTagStorage {
     return stmt.all(sceneId);
   }
 
+  /**
+   * Get scene limits with IDs
+   * @param {string} guildId - Guild ID
+   * @param {string} sceneId - Scene ID
+   * @returns {Array} Array of objects with { id, tag }
+   */
+  static getLimitsWithIds(guildId, sceneId) {
+    this.ensureScene(guildId, sceneId);
+    
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare(`
+      SELECT id, tag
+      FROM scene_tags
+      WHERE scene_id = ? AND tag_type = 'limit'
+    `);
+    
+    return stmt.all(sceneId);
+  }
+
+  /**
+   * Get scene statuses with their tier boxes
+   * @param {string} guildId - Guild ID
+   * @param {string} sceneId - Scene ID
+   * @returns {Array} Array of objects with { id, status, powerLevels } (status is the name without tier)
+   */
+  static getStatusesWithPowerLevels(guildId, sceneId) {
+    this.ensureScene(guildId, sceneId);
+    
+    const db = getDbForGuild(guildId);
+    const stmt = db.prepare(`
+      SELECT id, tag, power_1, power_2, power_3, power_4, power_5, power_6
+      FROM scene_tags
+      WHERE scene_id = ? AND tag_type = 'status'
+    `);
+    
+    return stmt.all(sceneId).map(row => ({ id: row.id, ...this.rowToStatusModel(row).toStatus() }));
+  }
+
+  /**
+   * Build the status model for a scene_tags row
+   * Rows without marked boxes (tiers above 6) fall back to the tier in the tag text
+   * @param {Object} row - Row with tag and power_1..power_6
+   * @returns {StatusModel}
+   */
+  static rowToStatusModel(row) {
+    const model = new StatusModel(StatusModel.parse(row.tag).name, {
+      1: row.power_1,
+      2: row.power_2,
+      3: row.power_3,
+      4: row.power_4,
+      5: row.power_5,
+      6: row.power_6,
+    });
+    return model.isEmpty ? StatusModel.fromString(row.tag) : model;
+  }
+
+  /**
+   * Change a scene status by name (case-insensitive), creating it if needed
+   * The stored tag is rewritten as "name-N" from the highest marked box, and the status is deleted once no box is left
+   * @param {string} guildId - Guild ID
+   * @param {string} sceneId - Scene ID
+   * @param {string} name - Status name without tier
+   * @param {function(StatusModel): StatusModel} change - Change to apply to the status
+   * @returns {string|null} The resulting status (e.g. "wounded-3") or null if it is gone
+   */
+  static changeStatus(guildId, sceneId, name, change) {
+    const db = getDbForGuild(guildId);
+    this.ensureScene(guildId, sceneId);
+
+    const existing = StatusModel.find(this.getStatusesWithPowerLevels(guildId, sceneId), name);
+    const model = change(existing ? StatusModel.fromStatus(existing) : new StatusModel(name.trim()));
+    const powers = [1, 2, 3, 4, 5, 6].map(box => model.powerLevels[box] ? 1 : 0);
+
+    const transaction = db.transaction(() => {
+      if (existing && model.isEmpty) {
+        db.prepare('DELETE FROM scene_tags WHERE id = ?').run(existing.id);
+      } else if (existing) {
+        db.prepare(`
+          UPDATE scene_tags
+          SET tag = ?, power_1 = ?, power_2 = ?, power_3 = ?, power_4 = ?, power_5 = ?, power_6 = ?
+          WHERE id = ?
+        `).run(model.toString(), ...powers, existing.id);
+      } else if (!model.isEmpty) {
+        db.prepare(`
+          INSERT INTO scene_tags (scene_id, tag, tag_type, power_1, power_2, power_3, power_4, power_5, power_6)
+          VALUES (?, ?, 'status', ?, ?, ?, ?, ?, ?)
+        `).run(sceneId, model.toString(), ...powers);
+      }
+      db.prepare(`
+        UPDATE scenes
+        SET updated_at = strftime('%s', 'now')
+        WHERE id = ?
+      `).run(sceneId);
+    });
+
+    transaction();
+    return model.isEmpty ? null : model.toString();
+  }
+
+  /**
+   * Give a scene status a tier, stacking onto the status if it already exists
+   * @param {string} guildId - Guild ID
+   * @param {string} sceneId - Scene ID
+   * @param {string} name - Status name without tier
+   * @param {number} tier - Tier to add
+   * @returns {string|null} The resulting status (e.g. "wounded-3")
+   */
+  static addStatusTier(guildId, sceneId, name, tier) {
+    return this.changeStatus(guildId, sceneId, name, model => model.addTier(tier));
+  }
+
+  /**
+   * Reduce a scene status by a number of tiers
+   * @param {string} guildId - Guild ID
+   * @param {string} sceneId - Scene ID
+   * @param {string} name - Status name without tier
+   * @param {number} tiers - Tiers to remove
+   * @returns {string|null} The resulting status or null if it is gone
+   */
+  static reduceStatus(guildId, sceneId, name, tiers) {
+    return this.changeStatus(guildId, sceneId, name, model => model.reduce(tiers));
+  }
+
+  /**
+   * Remove a scene status by name, whatever its tier
+   * @param {string} guildId - Guild ID
+   * @param {string} sceneId - Scene ID
+   * @param {string} name - Status name without tier
+   * @returns {null}
+   */
+  static removeStatus(guildId, sceneId, name) {
+    return this.changeStatus(guildId, sceneId, name, model => model.remove());
+  }
+
   /**
    * Get tag data by entity ID for roll display/calculation
    * Blocked tags are excluded from rolls
@@ -180,30 +315,19 @@ export class StoryTagStorage {
 
   /**
    * Add statuses to a scene
+   * Statuses given as "name-N" stack onto an existing status of the same name
    * @param {string} sceneId - Channel or thread ID
    * @param {string[]} statuses - Statuses to add
    * @returns {string[]} Updated array of statuses
    */
   static addStatuses(guildId, sceneId, statuses) {
     const db = getDbForGuild(guildId);
-    this.ensureScene(guildId, sceneId);
-    
-    const insertStmt = db.prepare(`
-      INSERT INTO scene_tags (scene_id, tag, tag_type)
-      VALUES (?, ?, 'status')
-    `);
-    
-    const updateStmt = db.prepare(`
-      UPDATE scenes
-      SET updated_at = strftime('%s', 'now')
-      WHERE id = ?
-    `);
     
     const transaction = db.transaction(() => {
       statuses.forEach(status => {
-        insertStmt.run(sceneId, status);
+        const { name, tier } = StatusModel.parse(status);
+        this.addStatusTier(guildId, sceneId, name, tier);
       });
-      updateStmt.run(sceneId);
     });
     
     transaction();
@@ -3,6 +3,7 @@ import { RollTagEntityConverter } from './RollTagEntityConverter.js';
 import { CharacterStorage } from './CharacterStorage.js';
 import { StoryTagStorage } from './StoryTagStorage.js';
 import { FellowshipStorage } from './FellowshipStorage.js';
+import { ChallengeStorage } from './ChallengeStorage.js';
 
 /**
  * Represents a tag entity in the roll system
@@ -126,6 +127,9 @@ export class TagEntity {
       case RollTagParentType.FELLOWSHIP_TAG:
         return FellowshipStorage.getTagDataByEntity(guildId, this.parentId);
       
+      case RollTagParentType.CHALLENGE_TAG:
+        return ChallengeStorage.getTagDataByEntity(guildId, this.parentId);
+      
       default:
         return null;
     }
@@ -1,3 +1,5 @@
+import { StatusModel } from './StatusModel.js';
+
 /**
  * Utility for formatting story tags with ANSI color codes
  */
@@ -241,19 +243,7 @@ export class TagFormatter {
       return status;
     }
     
-    const statusName = status.status;
-    const powerLevels = status.powerLevels || {};
-    
-    // Find highest power level
-    let highestLevel = 0;
-    for (let p = 6; p >= 1; p--) {
-      if (powerLevels[p]) {
-        highestLevel = p;
-        break;
-      }
-    }
-    
-    return highestLevel > 0 ? `${statusName}-${highestLevel}` : statusName;
+    return StatusModel.fromStatus(status).toString();
   }
 
   /**
@@ -0,0 +1,163 @@
+import { ActionRowBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, MessageFlags, ContainerBuilder, TextDisplayBuilder } from 'discord.js';
+import { TagFormatter } from './TagFormatter.js';
+import { ThemeImprovement, getThemeImprovementDisplayName } from '../constants/ThemeImprovement.js';
+
+/**
+ * Shared utilities for displaying the /theme-develop flow
+ */
+export class ThemeDevelopView {
+  /**
+   * Build the header shared by every step of the flow
+   * @param {Object} character - Character object
+   * @param {Object|null} theme - Theme being developed, if picked
+   * @param {string} prompt - What to do next
+   * @returns {ContainerBuilder} The container
+   */
+  static buildHeader(character, theme, prompt) {
+    let content = `## Develop a Theme · ${character.name}`;
+    if (theme) {
+      content += `\n**Theme:** ${theme.name} (${theme.improvements} improvements)`;
+      if (theme.tags.length > 0) {
+        content += `\n${theme.tags.map(t => `${TagFormatter.YELLOW_CIRCLE} ${t.tag}`).join('  ')}`;
+      }
+      if (theme.weaknesses.length > 0) {
+        content += `\n${theme.weaknesses.map(w => `${TagFormatter.ORANGE_CIRCLE} ${w.tag}`).join('  ')}`;
+      }
+    }
+    content += `\n\n${prompt}`;
+
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(content)
+    );
+    return container;
+  }
+
+  /**
+   * Build the first step: pick which of the themes ready to develop to develop
+   * @param {Object} character - Character object
+   * @param {Array<Object>} readyThemes - Themes with enough improvements
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildThemeSelect(character, readyThemes) {
+    const themeOptions = readyThemes.slice(0, 25).map(theme =>
+      new StringSelectMenuOptionBuilder()
+        .setLabel(theme.name.substring(0, 100))
+        .setDescription(`${theme.improvements} improvements`)
+        .setValue(theme.id.toString()));
+    const themeSelect = new StringSelectMenuBuilder()
+      .setCustomId(`theme_develop_theme_${character.id}`)
+      .setPlaceholder('Pick a theme...')
+      .setMinValues(1)
+      .setMaxValues(1)
+      .addOptions(themeOptions);
+
+    return {
+      components: [
+        this.buildHeader(character, null, 'Which theme do you want to develop?'),
+        new ActionRowBuilder().setComponents([themeSelect]),
+      ],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+
+  /**
+   * Build the second step: pick an improvement for the theme
+   * Choices that need a tag the theme doesn't have are left out
+   * @param {Object} character - Character object
+   * @param {Object} theme - Theme to develop
+   * @param {Array<string>} improvements - ThemeImprovement values offered by the ruleset
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildImprovementSelect(character, theme, improvements) {
+    const available = improvements.filter(improvement => {
+      if (improvement === ThemeImprovement.REMOVE_WEAKNESS) {
+        return theme.weaknesses.length > 0;
+      }
+      if (improvement === ThemeImprovement.REWRITE_TAG) {
+        return theme.tags.length + theme.weaknesses.length > 0;
+      }
+      return true;
+    });
+    const improvementSelect = new StringSelectMenuBuilder()
+      .setCustomId(`theme_develop_choice_${character.id}_${theme.id}`)
+      .setPlaceholder('Pick an improvement...')
+      .setMinValues(1)
+      .setMaxValues(1)
+      .addOptions(available.map(improvement =>
+        new StringSelectMenuOptionBuilder()
+          .setLabel(getThemeImprovementDisplayName(improvement))
+          .setValue(improvement)));
+
+    return {
+      components: [
+        this.buildHeader(character, theme, 'How does this theme develop? Its improvements are reset once the development is applied.'),
+        new ActionRowBuilder().setComponents([improvementSelect]),
+      ],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+
+  /**
+   * Build the tag step: pick the weakness to remove, or the tag to rename or upgrade
+   * @param {Object} character - Character object
+   * @param {Object} theme - Theme to develop
+   * @param {string} improvement - ThemeImprovement.REMOVE_WEAKNESS or ThemeImprovement.REWRITE_TAG
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildTagSelect(character, theme, improvement) {
+    const isRemoval = improvement === ThemeImprovement.REMOVE_WEAKNESS;
+    const candidates = isRemoval
+      ? theme.weaknesses.map(w => ({ ...w, isWeakness: true }))
+      : [...theme.tags.map(t => ({ ...t, isWeakness: false })), ...theme.weaknesses.map(w => ({ ...w, isWeakness: true }))];
+
+    const tagSelect = new StringSelectMenuBuilder()
+      .setCustomId(`theme_develop_tag_${character.id}_${theme.id}_${improvement}`)
+      .setPlaceholder(isRemoval ? 'Pick a weakness...' : 'Pick a tag...')
+      .setMinValues(1)
+      .setMaxValues(1)
+      .addOptions(candidates.slice(0, 25).map(tag =>
+        new StringSelectMenuOptionBuilder()
+          .setLabel(tag.tag.substring(0, 100))
+          .setDescription(tag.isWeakness ? 'Weakness' : 'Power tag')
+          .setValue(tag.id.toString())));
+
+    return {
+      components: [
+        this.buildHeader(character, theme, isRemoval ? 'Which weakness do you remove?' : 'Which tag do you rename or upgrade?'),
+        new ActionRowBuilder().setComponents([tagSelect]),
+      ],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+
+  /**
+   * Build the message shown once the flow ends
+   * @param {string} content - Markdown content
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildNotice(content) {
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(content)
+    );
+    return {
+      components: [container],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+
+  /**
+   * Build the public announcement of a theme development
+   * @param {Object} character - Character object
+   * @param {Object} theme - Developed theme
+   * @param {string} summary - What changed
+   * @param {string} userId - Player who developed the theme
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildDevelopmentAnnouncement(character, theme, summary, userId) {
+    return this.buildNotice(`✨ **Theme Developed** ✨\n<@${userId}> developed **${theme.name}** of **${character.name}**: ${summary}`);
+  }
+}
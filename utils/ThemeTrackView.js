@@ -0,0 +1,83 @@
+import { ActionRowBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, ButtonBuilder, ButtonStyle, MessageFlags, ContainerBuilder, TextDisplayBuilder } from 'discord.js';
+import { CharacterView } from './CharacterView.js';
+
+/**
+ * Shared utilities for displaying the tracks of themes (improvements, milestones, abandons...)
+ */
+export class ThemeTrackView {
+  /**
+   * Build the track editor of a character, with buttons to mark and erase the tracks of one theme
+   * @param {Object} character - Character object
+   * @param {Object} theme - Theme whose tracks the buttons change
+   * @param {Array<Object>} tracks - Tracks from Ruleset.getThemeTracks
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildTrackEditor(character, theme, tracks) {
+    const themeLines = character.themes.map(t => {
+      const trackText = tracks.map(track => `${track.name} ${CharacterView.formatTrackBoxes(t[track.track], track.max)}`).join('  ');
+      const quest = t.id === theme.id && t.quest ? `\n*${t.quest}*` : '';
+      return `${t.id === theme.id ? '▶ ' : ''}**${t.name}**\n${trackText}${quest}`;
+    });
+
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`## Theme Tracks · ${character.name}\n${themeLines.join('\n\n')}`)
+    );
+
+    const themeSelect = new StringSelectMenuBuilder()
+      .setCustomId(`theme_tracks_theme_${character.id}`)
+      .setPlaceholder('Pick a theme...')
+      .setMinValues(1)
+      .setMaxValues(1)
+      .addOptions(character.themes.slice(0, 25).map(t =>
+        new StringSelectMenuOptionBuilder()
+          .setLabel(t.name.substring(0, 100))
+          .setValue(t.id.toString())
+          .setDefault(t.id === theme.id)));
+
+    // One row to mark boxes and one to erase them, a button per track
+    const markButtons = tracks.map(track =>
+      new ButtonBuilder()
+        .setCustomId(`theme_track_mark_${character.id}_${theme.id}_${track.track}`)
+        .setLabel(`+ ${track.name}`)
+        .setStyle(ButtonStyle.Success)
+        .setDisabled((theme[track.track] || 0) >= track.max));
+    const eraseButtons = tracks.map(track =>
+      new ButtonBuilder()
+        .setCustomId(`theme_track_erase_${character.id}_${theme.id}_${track.track}`)
+        .setLabel(`- ${track.name}`)
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled((theme[track.track] || 0) === 0));
+
+    return {
+      components: [
+        container,
+        new ActionRowBuilder().setComponents([themeSelect]),
+        new ActionRowBuilder().setComponents(markButtons),
+        new ActionRowBuilder().setComponents(eraseButtons),
+      ],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+
+  /**
+   * Build the public prompt posted when a track of a theme fills up
+   * @param {Object} character - Character object
+   * @param {Object} theme - Theme whose track is full
+   * @param {Object} track - Track from Ruleset.getThemeTracks
+   * @returns {Object} Object with components array and IsComponentsV2 flag
+   */
+  static buildTrackFullPrompt(character, theme, track) {
+    const owner = character.user_id ? `<@${character.user_id}> ` : '';
+    const container = new ContainerBuilder();
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder()
+        .setContent(`📜 **${track.name} track full** 📜\n${owner}**${theme.name}** of **${character.name}** ${track.fullPrompt}`)
+    );
+    return {
+      components: [container],
+      flags: MessageFlags.IsComponentsV2,
+    };
+  }
+}
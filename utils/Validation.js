@@ -41,9 +41,28 @@ export class Validation {
       };
     }
 
+    // A tier of 0 would add nothing to the scene
+    const tier = parseInt(trimmed.slice(lastDashIndex + 1), 10);
+    if (tier < 1) {
+      return { 
+        valid: false, 
+        error: 'Status tier must be at least 1 (e.g., "concerned-1")' 
+      };
+    }
+
     return { valid: true };
   }
 
+  /**
+   * Check whether an item is written as a status (ends in a dash-number), valid or not.
+   * Used to sort input into statuses so that malformed ones are reported instead of becoming tags.
+   * @param {string} item - The item to check
+   * @returns {boolean}
+   */
+  static looksLikeStatus(item) {
+    return typeof item === 'string' && /-\d+$/.test(item.trim());
+  }
+
   /**
    * Validate multiple statuses
    * @param {string[]} statuses - Array of statuses to validate
@@ -221,5 +240,36 @@ export class Validation {
 
     return { valid: true };
   }
-}
 
+  /**
+   * Validate a calendar date in YYYY-MM-DD format
+   * @param {string} date - The date to validate
+   * @param {boolean} endOfDay - Resolve to the last second of the day instead of the first
+   * @returns {{ valid: boolean, timestamp?: number, error?: string }} Unix timestamp (UTC) when valid
+   */
+  static validateDate(date, endOfDay = false) {
+    if (!date || typeof date !== 'string') {
+      return { valid: false, error: 'Date cannot be empty' };
+    }
+
+    const trimmed = date.trim();
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(trimmed);
+    if (!match) {
+      return { valid: false, error: `Invalid date "${trimmed}". Expected format: YYYY-MM-DD` };
+    }
+
+    const year = parseInt(match[1]);
+    const month = parseInt(match[2]);
+    const day = parseInt(match[3]);
+    const millis = Date.UTC(year, month - 1, day);
+    const parsed = new Date(millis);
+
+    // Reject dates that roll over (e.g. 2024-02-31)
+    if (parsed.getUTCFullYear() !== year || parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) {
+      return { valid: false, error: `Invalid date "${trimmed}".` };
+    }
+
+    const timestamp = Math.floor(millis / 1000) + (endOfDay ? 86399 : 0);
+    return { valid: true, timestamp };
+  }
+}
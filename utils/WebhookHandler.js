@@ -1,7 +1,9 @@
 import { WebhookSubscriptionStorage } from './WebhookSubscriptionStorage.js';
 import { CharacterStorage } from './CharacterStorage.js';
+import { CharacterHistoryStorage } from './CharacterHistoryStorage.js';
 import * as FellowshipStorage from './FellowshipStorage.js';
 import sheetsService from './GoogleSheetsService.js';
+import { CharacterChange } from '../constants/CharacterChange.js';
 
 /**
  * Handler for webhook notifications from Google Drive API and Google Apps Script
@@ -269,8 +271,12 @@ export class WebhookHandler {
         // Use the character's stored sheet URL (which includes gid if present)
         // This ensures we sync from the correct tab
         console.log(`Syncing character ${character.name} from sheet ${character.google_sheet_url}`);
+        CharacterHistoryStorage.recordBaseline(guild_id, character.id);
         const result = await CharacterStorage.syncFromSheet(guild_id, character.user_id, resource_id);
         console.log(`Sync result: ${JSON.stringify(result, null, 2)}`);
+        if (result.success) {
+          CharacterHistoryStorage.record(guild_id, character.id, CharacterChange.WEBHOOK_SYNC, 'Synced from the Google Sheet after it changed');
+        }
         return result;
       } else if (resource_type === 'fellowship') {
         // Sync fellowship from sheet
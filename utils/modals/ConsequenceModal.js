@@ -0,0 +1,63 @@
+import { ModalBuilder, TextInputBuilder, TextInputStyle, LabelBuilder } from 'discord.js';
+import { Validation } from '../Validation.js';
+import { RollConsequence, getConsequenceDisplayName } from '../../constants/RollConsequence.js';
+
+/**
+ * Modal for describing a status or limit consequence
+ * Uses Discord.js Components V2 (LabelBuilder)
+ */
+export class ConsequenceModal {
+  /**
+   * Build the modal for a consequence type
+   * @param {string} consequenceKey - Consequence session key
+   * @param {string} consequence - RollConsequence.INFLICT_STATUS or RollConsequence.ADD_LIMIT
+   * @returns {ModalBuilder} The modal builder with Components V2 structure
+   */
+  static build(consequenceKey, consequence) {
+    const modal = new ModalBuilder()
+      .setCustomId(`roll_consequence_modal_${consequenceKey}`)
+      .setTitle(getConsequenceDisplayName(consequence));
+
+    const isStatus = consequence === RollConsequence.INFLICT_STATUS;
+    const valueInput = new TextInputBuilder()
+      .setCustomId('value')
+      .setStyle(TextInputStyle.Short)
+      .setPlaceholder(isStatus ? 'e.g. wounded-2' : 'e.g. harm(4)')
+      .setRequired(true)
+      .setMaxLength(100);
+    modal.addLabelComponents(new LabelBuilder()
+      .setLabel(isStatus ? 'Status and tier' : 'Limit')
+      .setTextInputComponent(valueInput));
+
+    return modal;
+  }
+
+  /**
+   * Parse the modal input for a consequence type
+   * @param {string} consequence - RollConsequence value
+   * @param {Object} fields - interaction.fields from the modal submission
+   * @returns {{ valid: boolean, error?: string, value?: string, tier?: number|null }}
+   */
+  static parse(consequence, fields) {
+    const rawValue = (fields.getTextInputValue('value') || '').trim();
+
+    if (consequence === RollConsequence.ADD_LIMIT) {
+      const limitValidation = Validation.validateLimit(rawValue);
+      if (!limitValidation.valid) {
+        return { valid: false, error: limitValidation.error };
+      }
+      return { valid: true, value: rawValue, tier: null };
+    }
+
+    const statusValidation = Validation.validateStatus(rawValue);
+    if (!statusValidation.valid) {
+      return { valid: false, error: statusValidation.error };
+    }
+    const lastDashIndex = rawValue.lastIndexOf('-');
+    const tier = parseInt(rawValue.substring(lastDashIndex + 1));
+    if (tier < 1 || tier > 6) {
+      return { valid: false, error: 'Status tiers go from 1 to 6.' };
+    }
+    return { valid: true, value: rawValue.substring(0, lastDashIndex), tier };
+  }
+}
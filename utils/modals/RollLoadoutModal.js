@@ -0,0 +1,40 @@
+import { ModalBuilder, TextInputBuilder, TextInputStyle, LabelBuilder } from 'discord.js';
+
+/**
+ * Modal asking for the name of a roll loadout to save
+ * Uses Discord.js Components V2 (LabelBuilder)
+ */
+export class RollLoadoutModal {
+  /**
+   * Build the modal
+   * @param {string} rollKey - Roll editor session key
+   * @returns {ModalBuilder} The modal builder with Components V2 structure
+   */
+  static build(rollKey) {
+    const modal = new ModalBuilder()
+      .setCustomId(`roll_loadout_save_modal_${rollKey}`)
+      .setTitle('Save Loadout');
+
+    const nameInput = new TextInputBuilder()
+      .setCustomId('name')
+      .setStyle(TextInputStyle.Short)
+      .setPlaceholder('e.g. Sneak past guards')
+      .setRequired(true)
+      .setMaxLength(50);
+    modal.addLabelComponents(new LabelBuilder()
+      .setLabel('Loadout name')
+      .setDescription('Saving with the name of an existing loadout replaces it')
+      .setTextInputComponent(nameInput));
+
+    return modal;
+  }
+
+  /**
+   * Get the loadout name from the modal submission
+   * @param {Object} fields - interaction.fields from the modal submission
+   * @returns {string} Trimmed name (empty if only whitespace was entered)
+   */
+  static parse(fields) {
+    return (fields.getTextInputValue('name') || '').trim();
+  }
+}
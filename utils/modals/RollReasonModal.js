@@ -0,0 +1,41 @@
+import { ModalBuilder, TextInputBuilder, TextInputStyle, LabelBuilder } from 'discord.js';
+
+/**
+ * Modal asking why a roll is rejected (narrator) or withdrawn (player)
+ * Uses Discord.js Components V2 (LabelBuilder)
+ */
+export class RollReasonModal {
+  /**
+   * Build the modal
+   * @param {string} customId - Modal custom ID
+   * @param {string} title - Modal title, e.g. "Reject Roll #12"
+   * @param {string} placeholder - Placeholder for the reason
+   * @returns {ModalBuilder} The modal builder with Components V2 structure
+   */
+  static build(customId, title, placeholder) {
+    const modal = new ModalBuilder()
+      .setCustomId(customId)
+      .setTitle(title);
+
+    const reasonInput = new TextInputBuilder()
+      .setCustomId('reason')
+      .setStyle(TextInputStyle.Paragraph)
+      .setPlaceholder(placeholder)
+      .setRequired(true)
+      .setMaxLength(500);
+    modal.addLabelComponents(new LabelBuilder()
+      .setLabel('Reason')
+      .setTextInputComponent(reasonInput));
+
+    return modal;
+  }
+
+  /**
+   * Get the reason from the modal submission
+   * @param {Object} fields - interaction.fields from the modal submission
+   * @returns {string} Trimmed reason (empty if only whitespace was entered)
+   */
+  static parse(fields) {
+    return (fields.getTextInputValue('reason') || '').trim();
+  }
+}
@@ -0,0 +1,103 @@
+import { ModalBuilder, TextInputBuilder, TextInputStyle, LabelBuilder } from 'discord.js';
+import { Validation } from '../Validation.js';
+import { SpendEffect, getSpendEffectDisplayName } from '../../constants/SpendEffect.js';
+
+/**
+ * Modal for describing one effect bought with a roll's Power
+ * Uses Discord.js Components V2 (LabelBuilder)
+ */
+export class SpendEffectModal {
+  /**
+   * Build the modal for an effect type
+   * @param {string} spendKey - Spend session key
+   * @param {string} effect - SpendEffect value
+   * @returns {ModalBuilder} The modal builder with Components V2 structure
+   */
+  static build(spendKey, effect) {
+    const modal = new ModalBuilder()
+      .setCustomId(`roll_spend_modal_${spendKey}`)
+      .setTitle(getSpendEffectDisplayName(effect));
+
+    if (effect === SpendEffect.DISCOVER_DETAIL) {
+      const detailInput = new TextInputBuilder()
+        .setCustomId('value')
+        .setStyle(TextInputStyle.Paragraph)
+        .setPlaceholder('What do you want to learn?')
+        .setRequired(true)
+        .setMaxLength(500);
+      modal.addLabelComponents(new LabelBuilder()
+        .setLabel('Detail')
+        .setTextInputComponent(detailInput));
+      return modal;
+    }
+
+    let valueLabel;
+    let valuePlaceholder;
+    if (effect === SpendEffect.GIVE_STATUS) {
+      valueLabel = 'Status and tier';
+      valuePlaceholder = 'e.g. wounded-2';
+    } else if (effect === SpendEffect.REDUCE_STATUS) {
+      valueLabel = 'Status and tiers to remove';
+      valuePlaceholder = 'e.g. wounded-2 removes 2 tiers of wounded';
+    } else {
+      valueLabel = 'Story tag';
+      valuePlaceholder = 'e.g. hidden passage';
+    }
+
+    const valueInput = new TextInputBuilder()
+      .setCustomId('value')
+      .setStyle(TextInputStyle.Short)
+      .setPlaceholder(valuePlaceholder)
+      .setRequired(true)
+      .setMaxLength(100);
+    modal.addLabelComponents(new LabelBuilder()
+      .setLabel(valueLabel)
+      .setTextInputComponent(valueInput));
+
+    const targetInput = new TextInputBuilder()
+      .setCustomId('target')
+      .setStyle(TextInputStyle.Short)
+      .setPlaceholder('Leave empty for the scene')
+      .setRequired(false)
+      .setMaxLength(100);
+    modal.addLabelComponents(new LabelBuilder()
+      .setLabel('Character name (empty = the roll\'s scene)')
+      .setTextInputComponent(targetInput));
+
+    return modal;
+  }
+
+  /**
+   * Parse the modal input for an effect type
+   * @param {string} effect - SpendEffect value
+   * @param {Object} fields - interaction.fields from the modal submission
+   * @returns {{ valid: boolean, error?: string, value?: string, tier?: number|null, targetName?: string|null }}
+   */
+  static parse(effect, fields) {
+    const rawValue = (fields.getTextInputValue('value') || '').trim();
+    if (!rawValue) {
+      return { valid: false, error: 'Please enter a value.' };
+    }
+
+    if (effect === SpendEffect.DISCOVER_DETAIL) {
+      return { valid: true, value: rawValue, tier: null, targetName: null };
+    }
+
+    const targetName = (fields.getTextInputValue('target') || '').trim() || null;
+
+    if (effect === SpendEffect.ADD_STORY_TAG) {
+      return { valid: true, value: rawValue, tier: null, targetName };
+    }
+
+    const statusValidation = Validation.validateStatus(rawValue);
+    if (!statusValidation.valid) {
+      return { valid: false, error: statusValidation.error };
+    }
+    const lastDashIndex = rawValue.lastIndexOf('-');
+    const tier = parseInt(rawValue.substring(lastDashIndex + 1));
+    if (tier < 1 || tier > 6) {
+      return { valid: false, error: 'Status tiers go from 1 to 6.' };
+    }
+    return { valid: true, value: rawValue.substring(0, lastDashIndex), tier, targetName };
+  }
+}
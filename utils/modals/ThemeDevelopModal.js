@@ -0,0 +1,84 @@
+import { ModalBuilder, TextInputBuilder, TextInputStyle, LabelBuilder } from 'discord.js';
+import { ThemeImprovement, getThemeImprovementDisplayName } from '../../constants/ThemeImprovement.js';
+
+/**
+ * Modal for writing a new tag, the new wording of a tag, or a special improvement of a theme
+ * Uses Discord.js Components V2 (LabelBuilder)
+ */
+export class ThemeDevelopModal {
+  /**
+   * Build the modal for an improvement
+   * @param {number} characterId - Character ID
+   * @param {number} themeId - Theme ID
+   * @param {string} improvement - ThemeImprovement.ADD_TAG, REWRITE_TAG or SPECIAL
+   * @param {Object|null} tag - Tag being rewritten ({ id, tag }), for REWRITE_TAG
+   * @returns {ModalBuilder} The modal builder with Components V2 structure
+   */
+  static build(characterId, themeId, improvement, tag = null) {
+    // Format: theme_develop_modal_{characterId}_{themeId}_{tagId}_{improvement} (tagId is 0 without a tag)
+    const modal = new ModalBuilder()
+      .setCustomId(`theme_develop_modal_${characterId}_${themeId}_${tag ? tag.id : 0}_${improvement}`)
+      .setTitle(getThemeImprovementDisplayName(improvement));
+
+    const valueInput = new TextInputBuilder()
+      .setCustomId('value')
+      .setRequired(true);
+
+    let label;
+    if (improvement === ThemeImprovement.SPECIAL) {
+      label = 'Special improvement';
+      valueInput
+        .setStyle(TextInputStyle.Paragraph)
+        .setPlaceholder('Describe the special improvement the theme gains')
+        .setMaxLength(500);
+    } else {
+      label = improvement === ThemeImprovement.REWRITE_TAG ? 'New wording' : 'New power tag';
+      valueInput
+        .setStyle(TextInputStyle.Short)
+        .setPlaceholder('e.g. Lightning-fast reflexes')
+        .setMaxLength(100);
+      if (tag) {
+        valueInput.setValue(tag.tag);
+      }
+    }
+
+    modal.addLabelComponents(new LabelBuilder()
+      .setLabel(label)
+      .setTextInputComponent(valueInput));
+
+    return modal;
+  }
+
+  /**
+   * Parse the custom ID of a submitted modal
+   * @param {string} customId - Modal custom ID
+   * @returns {{ characterId: number, themeId: number, tagId: number|null, improvement: string }}
+   */
+  static parseCustomId(customId) {
+    const parts = customId.replace('theme_develop_modal_', '').split('_');
+    return {
+      characterId: parseInt(parts[0]),
+      themeId: parseInt(parts[1]),
+      tagId: parseInt(parts[2]) || null,
+      improvement: parts.slice(3).join('_'),
+    };
+  }
+
+  /**
+   * Parse the modal input
+   * @param {string} improvement - ThemeImprovement value
+   * @param {Object} fields - interaction.fields from the modal submission
+   * @returns {{ valid: boolean, error?: string, value?: string }}
+   */
+  static parse(improvement, fields) {
+    const value = (fields.getTextInputValue('value') || '').trim();
+    if (!value) {
+      return { valid: false, error: 'Please enter a value.' };
+    }
+    // Tags are edited as comma-separated lists, so a tag can't contain a comma
+    if (improvement !== ThemeImprovement.SPECIAL && value.includes(',')) {
+      return { valid: false, error: 'Tags can\'t contain commas.' };
+    }
+    return { valid: true, value };
+  }
+}
@@ -0,0 +1,34 @@
+import { Ruleset } from './Ruleset.js';
+import { ThemeTrack } from '../../constants/ThemeTrack.js';
+
+/**
+ * City of Mist rules
+ * Uses the shared Mist engine power and outcome rules without dice overrides or roll strategies,
+ * and tracks Attention and Fade/Crack on themes
+ */
+export class CityOfMistRuleset extends Ruleset {
+  get id() {
+    return 'city_of_mist';
+  }
+
+  get name() {
+    return 'City of Mist';
+  }
+
+  getThemeTracks() {
+    return [
+      {
+        track: ThemeTrack.IMPROVEMENTS,
+        name: 'Attention',
+        max: this.improvementsToDevelop,
+        fullPrompt: 'has gained enough attention: use `/theme-develop` to take an improvement.',
+      },
+      {
+        track: ThemeTrack.ABANDONS,
+        name: 'Fade / Crack',
+        max: 3,
+        fullPrompt: 'has faded or cracked away. Talk with your narrator about replacing it with a new theme.',
+      },
+    ];
+  }
+}
@@ -0,0 +1,43 @@
+import { Ruleset } from './Ruleset.js';
+
+/**
+ * Legend in the Mist rules
+ * Double 6's and double 1's are automatic outcomes, and players may
+ * Throw caution to the wind or Hedge their risks when executing a roll
+ */
+export class LegendInTheMistRuleset extends Ruleset {
+  get id() {
+    return 'legend_in_the_mist';
+  }
+
+  get name() {
+    return 'Legend in the Mist';
+  }
+
+  get hasDiceOverrides() {
+    return true;
+  }
+
+  getStrategies() {
+    return [
+      {
+        value: 'throw_caution',
+        name: 'Throw caution to the wind',
+        label: 'Throw caution to the wind (Power +1, Roll -1)',
+        rollModifier: -1,
+        spendModifier: +1,
+        requirement: 'Power ≤ 2',
+        isAllowed: (power) => power <= 2,
+      },
+      {
+        value: 'hedge_risks',
+        name: 'Hedge your risks',
+        label: 'Hedge your risks (Power -1, Roll +1)',
+        rollModifier: +1,
+        spendModifier: -1,
+        requirement: 'Power ≥ 2',
+        isAllowed: (power) => power >= 2,
+      },
+    ];
+  }
+}
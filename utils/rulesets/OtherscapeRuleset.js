@@ -0,0 +1,34 @@
+import { Ruleset } from './Ruleset.js';
+import { ThemeTrack } from '../../constants/ThemeTrack.js';
+
+/**
+ * Otherscape rules
+ * Uses the shared Mist engine power and outcome rules without dice overrides or roll strategies,
+ * and tracks Upgrade and Decay on themes
+ */
+export class OtherscapeRuleset extends Ruleset {
+  get id() {
+    return 'otherscape';
+  }
+
+  get name() {
+    return 'Otherscape';
+  }
+
+  getThemeTracks() {
+    return [
+      {
+        track: ThemeTrack.IMPROVEMENTS,
+        name: 'Upgrade',
+        max: this.improvementsToDevelop,
+        fullPrompt: 'can be upgraded: use `/theme-develop` to take an improvement.',
+      },
+      {
+        track: ThemeTrack.ABANDONS,
+        name: 'Decay',
+        max: 3,
+        fullPrompt: 'has decayed away. Talk with your narrator about replacing it with a new theme.',
+      },
+    ];
+  }
+}
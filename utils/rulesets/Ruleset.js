@@ -0,0 +1,331 @@
+import { RollOutcome } from '../../constants/RollOutcome.js';
+import { SpendEffect } from '../../constants/SpendEffect.js';
+import { ThemeImprovement } from '../../constants/ThemeImprovement.js';
+import { ThemeTrack } from '../../constants/ThemeTrack.js';
+
+/**
+ * Base class for game rulesets
+ * Holds the rules shared by the Mist engine games (power from tags and statuses, 7+/10+ outcome tiers).
+ * Subclasses override the getters or methods where their game differs.
+ */
+export class Ruleset {
+  /**
+   * Unique ID used in the RULESET server config (e.g. 'legend_in_the_mist')
+   * @returns {string}
+   */
+  get id() {
+    throw new Error('id must be implemented by ruleset class');
+  }
+
+  /**
+   * Human-readable game name
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('name must be implemented by ruleset class');
+  }
+
+  /**
+   * Power a burned tag gives instead of the usual +1
+   * @returns {number}
+   */
+  get burnedTagPower() {
+    return 3;
+  }
+
+  /**
+   * Minimum total for a full success (and the best reaction outcome)
+   * @returns {number}
+   */
+  get successThreshold() {
+    return 10;
+  }
+
+  /**
+   * Minimum total for a partial success (and the middle reaction outcome)
+   * @returns {number}
+   */
+  get partialThreshold() {
+    return 7;
+  }
+
+  /**
+   * Whether double 6's and double 1's override the total on regular rolls
+   * @returns {boolean}
+   */
+  get hasDiceOverrides() {
+    return false;
+  }
+
+  /**
+   * Strategies the player can pick when executing a roll (besides 'none')
+   * Each strategy: { value, name, label, rollModifier, spendModifier, requirement, isAllowed(power) }
+   * @returns {Array<Object>}
+   */
+  getStrategies() {
+    return [];
+  }
+
+  /**
+   * Calculate the Power of one side (help or hinder) of a roll
+   * Only the highest status counts, every other tag (including weaknesses) counts as 1,
+   * and burned tags count as burnedTagPower
+   * @param {Array<Object>} tags - [{ isStatus, isWeakness, isBurned, statusValue }]
+   * @returns {number} Power of this side
+   */
+  calculateSidePower(tags) {
+    const statusValues = [];
+    let tagPower = 0;
+
+    for (const tag of tags) {
+      if (tag.isStatus && !tag.isWeakness) {
+        // Statuses can't be burned (only tags can be burned)
+        statusValues.push(tag.statusValue);
+      } else if (tag.isBurned) {
+        tagPower += this.burnedTagPower;
+      } else {
+        tagPower += 1;
+      }
+    }
+
+    // Use only the highest status value (or 0 if no statuses)
+    const highestStatus = statusValues.length > 0 ? Math.max(...statusValues) : 0;
+    return highestStatus + tagPower;
+  }
+
+  /**
+   * Calculate the Power of a roll from its help and hinder tags
+   * Hinder tags are never burned
+   * @param {Array<Object>} helpTags - [{ isStatus, isWeakness, isBurned, statusValue }]
+   * @param {Array<Object>} hinderTags - [{ isStatus, isWeakness, isBurned, statusValue }]
+   * @returns {number} Power (help minus hinder)
+   */
+  calculatePower(helpTags, hinderTags) {
+    const hinderWithoutBurn = hinderTags.map(tag => ({ ...tag, isBurned: false }));
+    return this.calculateSidePower(helpTags) - this.calculateSidePower(hinderWithoutBurn);
+  }
+
+  /**
+   * Resolve the strategy picked when executing a roll
+   * @param {string|null} strategyValue - Strategy value ('none' or one of getStrategies())
+   * @param {number} totalPower - Power of the roll (including might)
+   * @returns {{ strategyModifier: number, strategyName: string|null, error: string|null }}
+   */
+  applyStrategy(strategyValue, totalPower) {
+    if (!strategyValue || strategyValue === 'none') {
+      return { strategyModifier: 0, strategyName: null, error: null };
+    }
+
+    const strategy = this.getStrategies().find(s => s.value === strategyValue);
+    if (!strategy) {
+      return {
+        strategyModifier: 0,
+        strategyName: null,
+        error: `${this.name} does not use this strategy.`,
+      };
+    }
+
+    if (!strategy.isAllowed(totalPower)) {
+      return {
+        strategyModifier: 0,
+        strategyName: null,
+        error: `Cannot use "${strategy.name}" - your Power is ${totalPower}, but it requires ${strategy.requirement}.`,
+      };
+    }
+
+    return { strategyModifier: strategy.rollModifier, strategyName: strategy.name, error: null };
+  }
+
+  /**
+   * Whether the dice override the total (double 6's / double 1's on regular rolls)
+   * @param {number} die1 - First die
+   * @param {number} die2 - Second die
+   * @param {boolean} isReaction - Whether this is a reaction roll
+   * @returns {boolean}
+   */
+  isAutomaticOutcome(die1, die2, isReaction = false) {
+    if (!this.hasDiceOverrides || isReaction) {
+      return false;
+    }
+    return (die1 === 1 && die2 === 1) || (die1 === 6 && die2 === 6);
+  }
+
+  /**
+   * Determine the outcome tier of an executed roll
+   * @param {number} die1 - First die
+   * @param {number} die2 - Second die
+   * @param {number} finalResult - Final total after Power and strategy
+   * @param {boolean} isReaction - Whether this is a reaction roll
+   * @returns {string} RollOutcome value
+   */
+  determineOutcome(die1, die2, finalResult, isReaction = false) {
+    if (isReaction) {
+      if (finalResult >= this.successThreshold) {
+        return RollOutcome.REACTION_SPEND_POWER_PLUS;
+      } else if (finalResult >= this.partialThreshold) {
+        return RollOutcome.REACTION_SPEND_POWER;
+      }
+      return RollOutcome.REACTION_SUFFER;
+    }
+
+    if (this.isAutomaticOutcome(die1, die2, isReaction)) {
+      return die1 === 6 ? RollOutcome.SUCCESS : RollOutcome.CONSEQUENCES;
+    } else if (finalResult >= this.successThreshold) {
+      return RollOutcome.SUCCESS;
+    } else if (finalResult >= this.partialThreshold) {
+      return RollOutcome.SUCCESS_WITH_CONSEQUENCES;
+    }
+    return RollOutcome.CONSEQUENCES;
+  }
+
+  /**
+   * Count how many of the 36 dice combinations land on each outcome tier
+   * Goes through determineOutcome, so dice overrides and the reaction thresholds are included
+   * @param {number} modifier - Everything added to the dice (Power, might and strategy modifier)
+   * @param {boolean} isReaction - Whether this is a reaction roll
+   * @returns {{ miss: number, partial: number, full: number }} Dice combinations out of 36
+   */
+  calculateOutcomeOdds(modifier, isReaction = false) {
+    const odds = { miss: 0, partial: 0, full: 0 };
+
+    for (let die1 = 1; die1 <= 6; die1++) {
+      for (let die2 = 1; die2 <= 6; die2++) {
+        switch (this.determineOutcome(die1, die2, die1 + die2 + modifier, isReaction)) {
+        case RollOutcome.SUCCESS:
+        case RollOutcome.REACTION_SPEND_POWER_PLUS:
+          odds.full++;
+          break;
+        case RollOutcome.SUCCESS_WITH_CONSEQUENCES:
+        case RollOutcome.REACTION_SPEND_POWER:
+          odds.partial++;
+          break;
+        default:
+          odds.miss++;
+        }
+      }
+    }
+
+    return odds;
+  }
+
+  /**
+   * Whether the roll was successful enough to spend Power
+   * Regular rolls need a partial success, reaction rolls need a full success
+   * @param {number} die1 - First die
+   * @param {number} die2 - Second die
+   * @param {number} finalResult - Final total after Power and strategy
+   * @param {boolean} isReaction - Whether this is a reaction roll
+   * @returns {boolean}
+   */
+  canSpendPower(die1, die2, finalResult, isReaction = false) {
+    if (this.hasDiceOverrides) {
+      if (die1 === 6 && die2 === 6) {
+        return true;
+      } else if (die1 === 1 && die2 === 1) {
+        return false;
+      }
+    }
+    return finalResult >= (isReaction ? this.successThreshold : this.partialThreshold);
+  }
+
+  /**
+   * Calculate how much Power the player may spend after a roll
+   * @param {boolean} canSpend - Result of canSpendPower
+   * @param {number} originalPower - Power of the roll (including might, before strategy)
+   * @param {string|null} strategyValue - Strategy value used for the roll
+   * @returns {number|null} Power to spend, or null if the roll was not successful
+   */
+  calculateSpendingPower(canSpend, originalPower, strategyValue) {
+    if (!canSpend) {
+      return null;
+    }
+    const strategy = this.getStrategies().find(s => s.value === strategyValue);
+    const spendModifier = strategy ? strategy.spendModifier : 0;
+    return Math.max(originalPower, 1) + spendModifier;
+  }
+
+  /**
+   * Power a story tag costs when bought with a successful roll
+   * @returns {number}
+   */
+  get storyTagCost() {
+    return 2;
+  }
+
+  /**
+   * Power a discovered detail costs when bought with a successful roll
+   * @returns {number}
+   */
+  get detailCost() {
+    return 1;
+  }
+
+  /**
+   * Calculate the Power cost of one spend effect
+   * Statuses cost one Power per tier given or removed
+   * @param {Object} effect - { effect, tier }
+   * @returns {number} Power cost
+   */
+  calculateEffectCost(effect) {
+    switch (effect.effect) {
+    case SpendEffect.GIVE_STATUS:
+    case SpendEffect.REDUCE_STATUS:
+      return effect.tier;
+    case SpendEffect.ADD_STORY_TAG:
+      return this.storyTagCost;
+    case SpendEffect.DISCOVER_DETAIL:
+      return this.detailCost;
+    default:
+      throw new Error(`Unknown spend effect: ${effect.effect}`);
+    }
+  }
+
+  /**
+   * Improvements a theme needs before it can be developed
+   * @returns {number}
+   */
+  get improvementsToDevelop() {
+    return 3;
+  }
+
+  /**
+   * Choices offered when developing a theme (ThemeImprovement values)
+   * @returns {Array<string>}
+   */
+  getThemeImprovements() {
+    return [
+      ThemeImprovement.ADD_TAG,
+      ThemeImprovement.REMOVE_WEAKNESS,
+      ThemeImprovement.REWRITE_TAG,
+      ThemeImprovement.SPECIAL,
+    ];
+  }
+
+  /**
+   * Tracks on each theme, in display order
+   * Each track: { track (ThemeTrack value), name, max, fullPrompt (what happens once it is full) }
+   * @returns {Array<Object>}
+   */
+  getThemeTracks() {
+    return [
+      {
+        track: ThemeTrack.IMPROVEMENTS,
+        name: 'Improve',
+        max: this.improvementsToDevelop,
+        fullPrompt: 'can develop: use `/theme-develop` to spend its improvements.',
+      },
+      {
+        track: ThemeTrack.MILESTONES,
+        name: 'Milestone',
+        max: 3,
+        fullPrompt: 'has fulfilled its quest. Talk with your narrator about how the theme evolves and write its new quest.',
+      },
+      {
+        track: ThemeTrack.ABANDONS,
+        name: 'Abandon',
+        max: 3,
+        fullPrompt: 'is abandoned. Talk with your narrator about replacing it with a new theme.',
+      },
+    ];
+  }
+}
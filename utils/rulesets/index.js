@@ -0,0 +1,53 @@
+import { getServerEnv } from '../ServerConfig.js';
+import { LegendInTheMistRuleset } from './LegendInTheMistRuleset.js';
+import { CityOfMistRuleset } from './CityOfMistRuleset.js';
+import { OtherscapeRuleset } from './OtherscapeRuleset.js';
+
+/**
+ * Array of all available rulesets
+ * Add new rulesets here to make them selectable
+ */
+export const rulesets = [
+  new LegendInTheMistRuleset(),
+  new CityOfMistRuleset(),
+  new OtherscapeRuleset(),
+];
+
+/**
+ * Ruleset used when a server does not configure one
+ */
+export const DEFAULT_RULESET_ID = 'legend_in_the_mist';
+
+/**
+ * Get the ruleset configured for a server (RULESET in .env.{guildId} or .env)
+ * Falls back to Legend in the Mist if not set or unknown
+ * @param {string|null} guildId - Discord guild ID
+ * @returns {import('./Ruleset.js').Ruleset} The ruleset
+ */
+export function getRuleset(guildId) {
+  const rulesetId = getServerEnv('RULESET', guildId, DEFAULT_RULESET_ID);
+  const ruleset = rulesets.find(r => r.id === rulesetId);
+  if (ruleset) {
+    return ruleset;
+  }
+
+  console.warn(`Unknown RULESET "${rulesetId}" for guild ${guildId}, using ${DEFAULT_RULESET_ID}`);
+  return rulesets.find(r => r.id === DEFAULT_RULESET_ID);
+}
+
+/**
+ * Get every strategy offered by any ruleset (for slash command choices)
+ * Rulesets reject strategies they don't support when the roll is executed
+ * @returns {Array<Object>} Strategies, unique by value
+ */
+export function getAllStrategies() {
+  const strategies = new Map();
+  for (const ruleset of rulesets) {
+    for (const strategy of ruleset.getStrategies()) {
+      if (!strategies.has(strategy.value)) {
+        strategies.set(strategy.value, strategy);
+      }
+    }
+  }
+  return Array.from(strategies.values());
+}